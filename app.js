@@ -0,0 +1,806 @@
+ // app.js - Express app: middleware, auth and staff endpoints, and the endpoint modules
+  const express = require('express');
+  const cors = require('cors');
+  const bcrypt = require('bcryptjs');
+  const { getSupabaseClient, testSupabaseConnection } = require('./lib/supabase');
+  const { generateToken, authenticateToken, requireRole } = require('./lib/auth');
+
+  const app = express();
+
+  // Middleware
+  app.use(cors({
+    origin: process.env.CORS_ORIGIN || '*',
+    credentials: true
+  }));
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Request logging middleware
+  app.use((req, res, next) => {
+    console.log(`${req.method} ${req.path}`);
+    next();
+  });
+
+  // Routes
+
+  // Root endpoint
+  app.get('/', (req, res) => {
+    res.json({ 
+      message: 'POS System API Server Running',
+      status: 'active',
+      timestamp: new Date().toISOString(),
+      version: '1.0.0',
+      environment: process.env.NODE_ENV || 'development',
+      endpoints: {
+        health: '/health',
+        auth: {
+          login: '/auth/login',
+          register: '/auth/register',
+          profile: '/auth/profile'
+        },
+        sync: {
+          users: '/sync/users',
+          all: '/sync/all'
+        }
+      }
+    });
+  });
+
+  // Health check endpoint
+  app.get('/health', async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      console.log('🔍 Health check started...');
+      
+      let healthData = {
+        status: 'checking',
+        database: 'testing',
+        timestamp: new Date().toISOString(),
+        supabase_url: process.env.SUPABASE_URL,
+        server: {
+          uptime: process.uptime(),
+          memory: process.memoryUsage(),
+          version: process.version,
+          environment: process.env.NODE_ENV || 'development'
+        },
+        response_time_ms: 0
+      };
+
+      // Try to get Supabase client and test connection
+      const client = await getSupabaseClient();
+      
+      if (client) {
+        const testResult = await testSupabaseConnection();
+        
+        if (testResult.success) {
+          healthData.status = 'healthy';
+          healthData.database = 'connected';
+          healthData.user_count = testResult.count || 0;
+        } else {
+          healthData.status = 'unhealthy';
+          healthData.database = 'disconnected';
+          healthData.error = testResult.error;
+          healthData.error_details = testResult.details;
+        }
+      } else {
+        healthData.status = 'unhealthy';
+        healthData.database = 'initialization_failed';
+        healthData.error = 'Could not initialize Supabase client';
+      }
+      
+      healthData.response_time_ms = Date.now() - startTime;
+      
+      const statusCode = healthData.status === 'healthy' ? 200 : 503;
+      console.log(`Health check completed: ${healthData.status} (${healthData.response_time_ms}ms)`);
+      
+      res.status(statusCode).json(healthData);
+
+    } catch (error) {
+      const responseTime = Date.now() - startTime;
+      console.error('Health check error:', error.message);
+      
+      res.status(500).json({ 
+        status: 'error',
+        database: 'error',
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        response_time_ms: responseTime
+      });
+    }
+  });
+
+  // NEW: Sync endpoints for getting data from Supabase
+
+  // Get all users from Supabase for syncing
+app.get('/users', async (req, res) => {
+  try {
+    console.log('🔄 Sync users request received');
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Get all users with company name using JOIN
+    const { data: users, error } = await client
+      .from('users')
+      .select(`
+        id, 
+        email, 
+        name, 
+        role, 
+        phone, 
+        store_id,
+        company_id, 
+        is_active, 
+        created_at, 
+        updated_at, 
+        last_login,
+        visible,
+        companies!company_id(name)
+        stores!store_id(name)  
+      `)
+      .eq('visible', true)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('❌ Failed to fetch users:', error.message);
+      return res.status(500).json({ 
+        error: 'Failed to fetch users from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    // Format the data to include company_name at root level
+   const formattedUsers = (users || []).map(user => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  phone: user.phone,
+  company_id: user.company_id,
+  company_name: user.companies?.name || 'Unknown Company',
+  store_id: user.store_id,                        // 👈 Add this
+  store_name: user.stores?.name || 'No Store',    // 👈 Add this
+  is_active: user.is_active,
+  created_at: user.created_at,
+  updated_at: user.updated_at,
+  last_login: user.last_login
+}));
+
+    console.log(`✅ Retrieved ${formattedUsers?.length || 0} users for sync`);
+
+    res.json({
+      users: formattedUsers || [],
+      count: formattedUsers?.length || 0,
+      timestamp: new Date().toISOString(),
+      source: 'supabase'
+    });
+
+  } catch (error) {
+    console.error('❌ Sync users error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error during sync',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+app.delete('/users/:userId', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    console.log(`🗑️ Soft deleting user: ${userId}`);
+    
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Soft delete - set is_active to false
+    const { data: deletedUser, error } = await client
+      .from('users')
+      .update({ 
+        visible: false,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', userId)
+      .select('id, email, name, visible')
+      .single();
+
+    if (error) {
+      console.error('Delete user error:', error.message);
+      return res.status(400).json({ 
+        error: 'Failed to delete user',
+        code: 'DB_DELETE_ERROR',
+        details: error.message
+      });
+    }
+
+    if (!deletedUser) {
+      return res.status(404).json({ 
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    console.log('✅ User soft deleted:', deletedUser.email);
+    res.json({
+      message: 'User deleted successfully',
+      user: deletedUser
+    });
+
+  } catch (error) {
+    console.error('❌ Delete user error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+  // Get all data for complete sync (users only for now, can expand later)
+  app.get('/sync/all', async (req, res) => {
+    try {
+      console.log('🔄 Complete sync request received');
+
+      const client = await getSupabaseClient();
+      
+      if (!client) {
+        return res.status(503).json({
+          error: 'Database connection not available',
+          code: 'SERVICE_UNAVAILABLE'
+        });
+      }
+
+      // Get all users
+      const { data: users, error: usersError } = await client
+        .from('users')
+        .select('id, email, name, role, phone, is_active, created_at, updated_at, last_login')
+        .order('created_at', { ascending: false });
+
+      if (usersError) {
+        console.error('❌ Failed to fetch users:', usersError.message);
+        return res.status(500).json({ 
+          error: 'Failed to fetch users from database',
+          code: 'DB_ERROR',
+          details: usersError.message
+        });
+      }
+
+      // Get all active customers
+      const { data: customers, error: customersError } = await client
+        .from('customers')
+        .select('*')
+        .eq('is_active', true)
+        .order('created_at', { ascending: false });
+
+      if (customersError) {
+        console.error('❌ Failed to fetch customers:', customersError.message);
+      }
+
+      // You can add more tables here later (products, categories, etc.)
+      const syncData = {
+        users: users || [],
+        // products: [], // Add when you have products table
+        // categories: [], // Add when you have categories table
+        customers: customers || [],
+        counts: {
+          users: users?.length || 0,
+          // products: 0,
+          // categories: 0,
+          customers: customers?.length || 0
+        },
+        timestamp: new Date().toISOString(),
+        source: 'supabase'
+      };
+
+      console.log(`✅ Complete sync data prepared:`, syncData.counts);
+
+      res.json(syncData);
+
+    } catch (error) {
+      console.error('❌ Complete sync error:', error.message);
+      res.status(500).json({ 
+        error: 'Internal server error during complete sync',
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  });
+
+  // Login endpoint
+  app.post('/auth/login', async (req, res) => {
+    try {
+      const { email, password } = req.body;
+
+      console.log(`🔐 Login attempt for: ${email}`);
+
+      // Validate input
+      if (!email || !password) {
+        return res.status(400).json({ 
+          error: 'Email and password are required',
+          code: 'MISSING_CREDENTIALS'
+        });
+      }
+
+      // Get Supabase client
+      const client = await getSupabaseClient();
+      
+      if (!client) {
+        // Fallback authentication for demo
+        console.log('⚠️ Using fallback authentication');
+        
+        const demoUsers = {
+          'admin@techcorp.com': { id: 1, name: 'Demo Admin', role: 'super_admin', email: 'admin@techcorp.com' },
+          'manager@techcorp.com': { id: 2, name: 'Demo Manager', role: 'manager', email: 'manager@techcorp.com' },
+          'cashier@techcorp.com': { id: 3, name: 'Demo Cashier', role: 'cashier', email: 'cashier@techcorp.com' }
+        };
+        
+        const user = demoUsers[email.toLowerCase()];
+        if (user && password === 'password123') {
+          const token = generateToken(user);
+          return res.json({
+            message: 'Login successful (fallback mode)',
+            user,
+            token,
+            source: 'fallback'
+          });
+        } else {
+          return res.status(401).json({ 
+            error: 'Invalid email or password (fallback mode)',
+            code: 'INVALID_CREDENTIALS'
+          });
+        }
+      }
+
+      // Normal Supabase authentication
+      const { data: user, error } = await client
+        .from('users')
+        .select('*')
+        .eq('email', email.toLowerCase())
+        .eq('is_active', true)
+        .single();
+
+      if (error || !user) {
+        console.log(`❌ User not found: ${email}`);
+        return res.status(401).json({ 
+          error: 'Invalid email or password',
+          code: 'INVALID_CREDENTIALS'
+        });
+      }
+
+      // Verify password
+      const isValidPassword = await bcrypt.compare(password, user.password);
+      if (!isValidPassword) {
+        console.log(`❌ Invalid password for ${email}`);
+        return res.status(401).json({ 
+          error: 'Invalid email or password',
+          code: 'INVALID_CREDENTIALS'
+        });
+      }
+
+      // Update last login
+      await client
+        .from('users')
+        .update({ last_login: new Date().toISOString() })
+        .eq('id', user.id);
+
+      // Generate JWT token
+      const token = generateToken(user);
+
+      // Return user data (without password)
+      const { password: _, ...userWithoutPassword } = user;
+      
+      res.json({
+        message: 'Login successful',
+        user: userWithoutPassword,
+        token,
+        source: 'supabase'
+      });
+
+      console.log(`✅ User logged in: ${user.email}`);
+
+    } catch (error) {
+      console.error('Login error:', error.message);
+      res.status(500).json({ 
+        error: 'Internal server error',
+        code: 'INTERNAL_ERROR',
+        message: error.message
+      });
+    }
+  });
+//all get function
+// Add these staff endpoints to your server.js file
+
+// GET /staff - Fetch staff with proper store filtering
+app.get('/staff', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    console.log('🔄 Get staff request received from user:', {
+      userId: req.user.id,
+      userRole: req.user.role,
+      userStoreId: req.user.store_id
+    });
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    let query = client
+      .from('staff')
+      .select(`
+        *,
+        stores!store_id(name),
+        companies!company_id(name)
+      `) // ✅ Added JOIN to get both store AND company name
+      .eq('is_active', true)
+      .order('created_at', { ascending: false });
+
+    // Apply filtering based on user role
+    if (req.user.role === 'manager' && req.user.store_id) {
+      console.log(`🏪 Manager filtering staff by store: ${req.user.store_id}`);
+      query = query.eq('store_id', req.user.store_id);
+    } else if (req.user.role === 'super_admin') {
+      const { store_id } = req.query;
+      if (store_id) {
+        console.log(`👑 Super admin filtering staff by store: ${store_id}`);
+        query = query.eq('store_id', store_id);
+      } else {
+        console.log('👑 Super admin accessing all staff');
+      }
+    }
+
+    const { data: staff, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch staff:', error.message);
+      return res.status(500).json({ 
+        error: 'Failed to fetch staff from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    // ✅ Format staff data to include store_name AND company_name at root level
+    const staffWithRole = staff.map(({ passcode: _, ...member }) => ({
+      ...member,
+      role: member.position || member.role || 'staff',
+      store_name: member.stores?.name || 'No Store',
+      company_name: member.companies?.name || 'Unknown Company' // ✅ Add company_name
+    }));
+
+    console.log(`✅ Retrieved ${staffWithRole?.length || 0} staff members`);
+
+    res.json({
+      staff: staffWithRole || [],
+      count: staffWithRole?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get staff error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+// POST /staff - Create new staff member with store validation
+app.post('/staff', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { name, staff_id, store_id, passcode, image_url, role, hourly_rate } = req.body;
+
+    console.log('📝 Creating staff request:', {
+      name,
+      staff_id,
+      store_id,
+      passcode: passcode ? '***' : 'missing',
+      role,
+      hourly_rate,
+      userRole: req.user.role,
+      userStoreId: req.user.store_id
+    });
+
+    // Validate required fields
+    if (!name || !staff_id || !store_id || !passcode) {
+      return res.status(400).json({ 
+        error: 'Name, staff ID, store ID, and passcode are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    // Validate store access for managers
+    if (req.user.role === 'manager' && req.user.store_id) {
+      if (store_id !== req.user.store_id) {
+        return res.status(403).json({
+          error: 'Managers can only create staff for their assigned store',
+          code: 'STORE_ACCESS_DENIED'
+        });
+      }
+    }
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Check if staff ID already exists
+    console.log('🔍 Checking for existing staff ID:', staff_id);
+    const { data: existingStaff, error: checkError } = await client
+      .from('staff')
+      .select('id, staff_id, store_id')
+      .eq('staff_id', staff_id.trim().toUpperCase())
+      .eq('is_active', true)
+      .single();
+
+    if (checkError && checkError.code !== 'PGRST116') {
+      console.log('❌ Error checking existing staff:', checkError);
+      return res.status(500).json({
+        error: 'Database query error',
+        code: 'DB_CHECK_ERROR',
+        details: checkError.message
+      });
+    }
+
+    if (existingStaff) {
+      console.log('❌ Staff ID already exists:', existingStaff);
+      return res.status(409).json({ 
+        error: `Staff ID "${staff_id}" already exists`,
+        code: 'STAFF_ID_EXISTS'
+      });
+    }
+
+    // FIXED: Use 'role' field to match your Supabase schema
+    const staffData = {
+      name: name.trim(),
+      staff_id: staff_id.trim().toUpperCase(),
+      store_id: store_id,
+      passcode: await bcrypt.hash(passcode.trim(), 12),
+      image_url: image_url || null,
+      role: role || 'staff', // Use 'role' instead of 'position'
+      hourly_rate: hourly_rate ? parseFloat(hourly_rate) : 15.00,
+      is_active: true,
+      created_by: req.user.id,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    console.log('📝 Inserting staff data:', {
+      ...staffData,
+      passcode: '***'
+    });
+
+    const { data: newStaff, error: insertError } = await client
+      .from('staff')
+      .insert([staffData])
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('❌ Database insert error:', {
+        message: insertError.message,
+        details: insertError.details,
+        hint: insertError.hint,
+        code: insertError.code
+      });
+      return res.status(400).json({ 
+        error: 'Failed to create staff member in database',
+        code: 'DB_INSERT_ERROR',
+        details: insertError.message
+      });
+    }
+
+    console.log('✅ Staff created successfully in Supabase:', newStaff.staff_id);
+
+    // Passcodes approve manager overrides; the hash is never handed out
+    const { passcode: _, ...staffWithoutPasscode } = newStaff;
+
+    res.status(201).json({
+      message: 'Staff member created successfully',
+      staff: staffWithoutPasscode
+    });
+
+  } catch (error) {
+    console.error('❌ Server error creating staff:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// PUT /staff/:staffId - Update staff member
+app.put('/staff/:staffId', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { staffId } = req.params;
+    const updates = req.body;
+
+    console.log(`📝 Updating staff: ${staffId}`);
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Prepare update data
+    const updateData = {
+      ...updates,
+      updated_at: new Date().toISOString()
+    };
+
+    // Remove fields that shouldn't be updated
+    delete updateData.id;
+    delete updateData.created_at;
+    delete updateData.created_by;
+
+    if (updateData.passcode) {
+      updateData.passcode = await bcrypt.hash(String(updateData.passcode).trim(), 12);
+    }
+
+    const { data: updatedStaff, error } = await client
+      .from('staff')
+      .update(updateData)
+      .eq('id', staffId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Update staff error:', error.message);
+      return res.status(400).json({ 
+        error: 'Failed to update staff member',
+        code: 'DB_UPDATE_ERROR',
+        details: error.message
+      });
+    }
+
+    if (!updatedStaff) {
+      return res.status(404).json({ 
+        error: 'Staff member not found',
+        code: 'STAFF_NOT_FOUND'
+      });
+    }
+
+    console.log('✅ Staff updated successfully:', updatedStaff.staff_id);
+
+    const { passcode: _, ...staffWithoutPasscode } = updatedStaff;
+
+    res.json({
+      message: 'Staff member updated successfully',
+      staff: staffWithoutPasscode
+    });
+
+  } catch (error) {
+    console.error('❌ Update staff error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// DELETE /staff/:staffId - Delete staff member (soft delete)
+app.delete('/staff/:staffId', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { staffId } = req.params;
+
+    console.log(`🗑️ Deleting staff: ${staffId}`);
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: deletedStaff, error } = await client
+      .from('staff')
+      .update({ 
+        is_active: false,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', staffId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Delete staff error:', error.message);
+      return res.status(400).json({ 
+        error: 'Failed to delete staff member',
+        code: 'DB_DELETE_ERROR'
+      });
+    }
+
+    if (!deletedStaff) {
+      return res.status(404).json({ 
+        error: 'Staff member not found',
+        code: 'STAFF_NOT_FOUND'
+      });
+    }
+
+    console.log('✅ Staff deleted successfully:', deletedStaff.staff_id);
+
+    res.json({
+      message: 'Staff member deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Delete staff error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+  // Endpoint modules, one per section, mounted in the order their routes were
+  // registered before the split so the first matching route still wins
+  app.use(require('./routes/stores').router);
+  app.use(require('./routes/sync').router);
+  app.use(require('./routes/categories').router);
+  app.use(require('./routes/products').router);
+  app.use(require('./routes/catalogue').router);
+  app.use(require('./routes/inventory').router);
+  app.use(require('./routes/transfers').router);
+  app.use(require('./routes/suppliers').router);
+  app.use(require('./routes/purchase-orders').router);
+  app.use(require('./routes/stock-counts').router);
+  app.use(require('./routes/lots').router);
+  app.use(require('./routes/serials').router);
+  app.use(require('./routes/overrides').router);
+  app.use(require('./routes/sales').router);
+  app.use(require('./routes/pricing').router);
+  app.use(require('./routes/promotions').router);
+  app.use(require('./routes/returns').router);
+  app.use(require('./routes/customers').router);
+  app.use(require('./routes/loyalty').router);
+  app.use(require('./routes/stored-value').router);
+  app.use(require('./routes/layaways').router);
+  app.use(require('./routes/quotes').router);
+  app.use(require('./routes/parked-orders').router);
+  app.use(require('./routes/receipts').router);
+  app.use(require('./routes/cash-drawers').router);
+  app.use(require('./routes/statistics').router);
+  app.use(require('./routes/companies').router);
+
+  // Error handling middleware
+  app.use((error, req, res, next) => {
+    console.error('Unhandled error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'UNHANDLED_ERROR'
+    });
+  });
+
+  // 404 handler
+  app.use('*', (req, res) => {
+    res.status(404).json({ 
+      error: 'Endpoint not found',
+      code: 'NOT_FOUND',
+      path: req.originalUrl,
+      method: req.method
+    });
+  });
+
+  module.exports = app;
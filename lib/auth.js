@@ -0,0 +1,305 @@
+// lib/auth.js - JWT authentication, role checks and manager override tokens
+
+const jwt = require('jsonwebtoken');
+const { getSupabaseClient } = require('./supabase');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+
+// Helper function to generate JWT token. The store and company the user is
+// assigned to travel in the token; the store and company scoping reads them.
+const generateToken = (user) => {
+  return jwt.sign(
+    { 
+      id: user.id, 
+      email: user.email, 
+      role: user.role,
+      store_id: user.store_id || null,
+      company_id: user.company_id || null
+    }, 
+    JWT_SECRET, 
+    { expiresIn: '7d' }
+  );
+};
+
+// Enhanced middleware to verify JWT token with better error handling
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ 
+      error: 'Access token required',
+      code: 'NO_TOKEN'
+    });
+  }
+
+  jwt.verify(token, JWT_SECRET, (err, user) => {
+    if (err) {
+      console.log('JWT verification failed:', err.message);
+
+      // Provide more specific error messages
+      let errorCode = 'INVALID_TOKEN';
+      let errorMessage = 'Invalid or expired token';
+
+      if (err.name === 'TokenExpiredError') {
+        errorCode = 'TOKEN_EXPIRED';
+        errorMessage = 'Token has expired';
+      } else if (err.name === 'JsonWebTokenError') {
+        errorCode = 'MALFORMED_TOKEN';
+        errorMessage = 'Token is malformed';
+      } else if (err.name === 'NotBeforeError') {
+        errorCode = 'TOKEN_NOT_ACTIVE';
+        errorMessage = 'Token not active yet';
+      }
+
+      return res.status(403).json({ 
+        error: errorMessage,
+        code: errorCode
+      });
+    }
+
+    // Manager override tokens only ever go in X-Override-Token
+    if (user.type || user.aud === OVERRIDE_TOKEN_AUDIENCE) {
+      return res.status(403).json({
+        error: 'Invalid or expired token',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    // Tokens signed before they carried the user's store cannot be scoped
+    if (!('store_id' in user)) {
+      return res.status(403).json({
+        error: 'Token has expired',
+        code: 'TOKEN_EXPIRED'
+      });
+    }
+
+    req.user = user;
+    next();
+  });
+};
+
+// Optional authentication middleware - doesn't fail if no token
+const optionalAuthentication = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    req.user = null;
+    return next();
+  }
+
+  jwt.verify(token, JWT_SECRET, (err, user) => {
+    if (err || user.type || user.aud === OVERRIDE_TOKEN_AUDIENCE || !('store_id' in user)) {
+      console.log('Optional auth failed (continuing anyway):', err ? err.message : 'not a login token');
+      req.user = null;
+    } else {
+      req.user = user;
+    }
+    next();
+  });
+};
+
+// Role-based authorization middleware
+const requireRole = (roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        error: 'Authentication required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+
+    const allowedRoles = Array.isArray(roles) ? roles : [roles];
+    if (!allowedRoles.includes(req.user.role)) {
+      return res.status(403).json({ 
+        error: 'Insufficient permissions',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        requiredRoles: allowedRoles,
+        userRole: req.user.role
+      });
+    }
+    next();
+  };
+};
+
+// Manager override tokens are short-lived and single-use. They are signed for
+// their own audience, so one can never stand in for a login token or the other way round.
+const OVERRIDE_TOKEN_TTL_SECONDS = 5 * 60;
+const OVERRIDE_TOKEN_AUDIENCE = 'override';
+
+// Sign the token a cashier presents to use a manager's approval
+const signOverrideToken = (approval) => {
+  return jwt.sign(
+    {
+      type: 'override',
+      approval_id: approval.id,
+      action: approval.action,
+      target_id: approval.target_id,
+      requested_by: approval.requested_by
+    },
+    JWT_SECRET,
+    { expiresIn: OVERRIDE_TOKEN_TTL_SECONDS, audience: OVERRIDE_TOKEN_AUDIENCE }
+  );
+};
+
+// Verify a manager override token sent in the X-Override-Token header and mark
+// its approval as used for this request. One request can carry approvals for
+// several actions as comma-separated tokens.
+async function consumeOverride(req, action, targetId = null) {
+  const overrideTokens = (req.headers['x-override-token'] || '')
+    .split(',')
+    .map(token => token.trim())
+    .filter(Boolean);
+
+  if (overrideTokens.length === 0) {
+    return {
+      status: 403,
+      error: 'Manager approval required',
+      code: 'OVERRIDE_REQUIRED',
+      action
+    };
+  }
+
+  let payload = null;
+  let verifyError = null;
+  for (const overrideToken of overrideTokens) {
+    try {
+      const decoded = jwt.verify(overrideToken, JWT_SECRET, { audience: OVERRIDE_TOKEN_AUDIENCE });
+      if (decoded.type === 'override' && decoded.action === action) {
+        payload = decoded;
+        break;
+      }
+    } catch (err) {
+      verifyError = err;
+    }
+  }
+
+  if (!payload && verifyError && overrideTokens.length === 1) {
+    return {
+      status: 403,
+      error: verifyError.name === 'TokenExpiredError' ? 'Manager approval has expired' : 'Invalid manager approval',
+      code: verifyError.name === 'TokenExpiredError' ? 'OVERRIDE_EXPIRED' : 'INVALID_OVERRIDE'
+    };
+  }
+
+  if (!payload || payload.requested_by !== req.user.id) {
+    return {
+      status: 403,
+      error: 'Manager approval does not cover this action',
+      code: 'INVALID_OVERRIDE',
+      action
+    };
+  }
+
+  if (payload.target_id && targetId && String(payload.target_id) !== String(targetId)) {
+    return {
+      status: 403,
+      error: 'Manager approval was given for a different record',
+      code: 'INVALID_OVERRIDE',
+      action
+    };
+  }
+
+  const client = await getSupabaseClient();
+
+  if (!client) {
+    return {
+      status: 503,
+      error: 'Database connection not available',
+      code: 'SERVICE_UNAVAILABLE'
+    };
+  }
+
+  // Only an unused approval can be consumed
+  const { data: approval, error } = await client
+    .from('override_approvals')
+    .update({
+      status: 'used',
+      used_at: new Date().toISOString(),
+      used_by: req.user.id,
+      used_on: `${req.method} ${req.originalUrl}`,
+      target_id: targetId || payload.target_id || null
+    })
+    .eq('id', payload.approval_id)
+    .eq('status', 'issued')
+    .select()
+    .single();
+
+  if (error || !approval) {
+    return {
+      status: 403,
+      error: 'Manager approval has already been used',
+      code: 'OVERRIDE_ALREADY_USED'
+    };
+  }
+
+  console.log(`🔑 Override ${approval.id} used for ${action} by user ${req.user.id}`);
+  return { approval };
+}
+
+// Give an approval back to its holder when the request that used it did not go through
+async function releaseOverride(client, approval) {
+  const { error } = await client
+    .from('override_approvals')
+    .update({ status: 'issued', used_at: null, used_by: null, used_on: null })
+    .eq('id', approval.id)
+    .eq('status', 'used');
+
+  if (error) {
+    console.error(`Error releasing override ${approval.id}:`, error.message);
+  }
+}
+
+// Like requireRole, but lets other users through with a manager override for the action
+const requireRoleOrOverride = (roles, action, getTargetId = null) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+
+    const allowedRoles = Array.isArray(roles) ? roles : [roles];
+    if (allowedRoles.includes(req.user.role)) {
+      return next();
+    }
+
+    try {
+      const result = await consumeOverride(req, action, getTargetId ? getTargetId(req) : null);
+      if (result.error) {
+        const { status, ...body } = result;
+        return res.status(status).json({
+          ...body,
+          requiredRoles: allowedRoles,
+          userRole: req.user.role
+        });
+      }
+
+      req.override = result.approval;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+const OVERRIDE_ACTIONS = ['void_sale', 'void_line', 'reopen_sale', 'discount', 'price_override', 'inventory_adjust', 'negative_stock', 'delete_product'];
+const OVERRIDE_STAFF_ROLES = ['manager', 'supervisor'];
+const OVERRIDE_USER_ROLES = ['super_admin', 'manager'];
+
+module.exports = {
+  generateToken,
+  authenticateToken,
+  optionalAuthentication,
+  requireRole,
+  OVERRIDE_TOKEN_TTL_SECONDS,
+  signOverrideToken,
+  consumeOverride,
+  releaseOverride,
+  requireRoleOrOverride,
+  OVERRIDE_ACTIONS,
+  OVERRIDE_STAFF_ROLES,
+  OVERRIDE_USER_ROLES
+};
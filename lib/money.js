@@ -0,0 +1,11 @@
+// lib/money.js - Money helpers
+
+// Round a monetary amount to 2 decimal places (half away from zero)
+const roundMoney = (amount) => {
+  const value = Number(amount) || 0;
+  return Math.sign(value) * Math.round((Math.abs(value) + Number.EPSILON) * 100) / 100;
+};
+
+module.exports = {
+  roundMoney
+};
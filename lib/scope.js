@@ -0,0 +1,94 @@
+// lib/scope.js - Store and company scoping of requests
+
+// Answer for users other than super admins who are not assigned to any store
+const storeNotAssigned = () => ({
+  status: 403,
+  error: 'Your account is not assigned to a store',
+  code: 'STORE_ACCESS_DENIED'
+});
+
+// Resolve the store a POS request acts on. Users are pinned to their assigned
+// store; only super admins act on other stores, and have to name the store.
+const resolveRequestStore = (req, requestedStoreId) => {
+  if (req.user.role !== 'super_admin') {
+    if (!req.user.store_id) {
+      return storeNotAssigned();
+    }
+
+    if (requestedStoreId && requestedStoreId !== req.user.store_id) {
+      return {
+        status: 403,
+        error: 'You can only record transactions for your assigned store',
+        code: 'STORE_ACCESS_DENIED'
+      };
+    }
+    return { storeId: req.user.store_id };
+  }
+
+  if (!requestedStoreId) {
+    return {
+      status: 400,
+      error: 'Store ID is required',
+      code: 'MISSING_FIELDS'
+    };
+  }
+
+  return { storeId: requestedStoreId };
+};
+
+// Resolve the store a listing is limited to: the user's assigned store, or for
+// super admins the store they ask for (every store when they name none)
+const resolveListingStore = (req, requestedStoreId) => {
+  if (req.user.role === 'super_admin') {
+    return { storeId: requestedStoreId || null };
+  }
+
+  if (!req.user.store_id) {
+    return storeNotAssigned();
+  }
+
+  return { storeId: req.user.store_id };
+};
+
+// Whether the current user may see records belonging to a store
+const canAccessStore = (req, storeId) => {
+  return req.user.role === 'super_admin' || (!!req.user.store_id && req.user.store_id === storeId);
+};
+
+// Resolve the company a customer request acts on. Users belonging to a company
+// (directly or through their store) are pinned to it; super admins name it.
+async function resolveCompanyScope(client, req, requestedCompanyId) {
+  if (req.user.role === 'super_admin') {
+    if (!requestedCompanyId) {
+      return { status: 400, error: 'Company ID is required', code: 'MISSING_FIELDS' };
+    }
+    return { companyId: requestedCompanyId };
+  }
+
+  let companyId = req.user.company_id;
+  if (!companyId && req.user.store_id) {
+    const { data: store } = await client
+      .from('stores')
+      .select('company_id')
+      .eq('id', req.user.store_id)
+      .single();
+    companyId = store?.company_id;
+  }
+
+  if (!companyId) {
+    return { status: 403, error: 'Your account is not linked to a company', code: 'COMPANY_ACCESS_DENIED' };
+  }
+
+  if (requestedCompanyId && requestedCompanyId !== companyId) {
+    return { status: 403, error: 'You can only access records of your own company', code: 'COMPANY_ACCESS_DENIED' };
+  }
+
+  return { companyId };
+}
+
+module.exports = {
+  resolveRequestStore,
+  resolveListingStore,
+  canAccessStore,
+  resolveCompanyScope
+};
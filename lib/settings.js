@@ -0,0 +1,46 @@
+// lib/settings.js - Company settings and the defaults shared by several endpoint modules
+
+// Tender types used when a company has not configured its own in companies.settings
+const DEFAULT_TENDER_TYPES = [
+  { code: 'cash', name: 'Cash', is_cash: true },
+  { code: 'card', name: 'Card', is_cash: false },
+  { code: 'e_wallet', name: 'E-Wallet', is_cash: false }
+];
+
+// Load a company's settings JSON (empty object when unset or unavailable)
+async function getCompanySettings(client, companyId) {
+  if (!companyId) {
+    return {};
+  }
+
+  const { data: company, error } = await client
+    .from('companies')
+    .select('settings')
+    .eq('id', companyId)
+    .single();
+
+  if (error || !company) {
+    return {};
+  }
+
+  return company.settings || {};
+}
+
+// Tender types accepted by a company
+const getTenderTypes = (settings) => {
+  const configured = settings && settings.tender_types;
+  return Array.isArray(configured) && configured.length > 0 ? configured : DEFAULT_TENDER_TYPES;
+};
+
+// Price tiers map onto the <tier>_price columns stored by POST /products
+const PRICE_TIERS = ['default', 'manila', 'delivery', 'wholesale'];
+
+// Time zone used for happy-hour windows unless companies.settings.timezone says otherwise
+const DEFAULT_TIME_ZONE = 'Asia/Manila';
+
+module.exports = {
+  getCompanySettings,
+  getTenderTypes,
+  PRICE_TIERS,
+  DEFAULT_TIME_ZONE
+};
@@ -0,0 +1,136 @@
+// lib/variants.js - Product variant helpers shared by the product, catalogue and stock endpoints
+
+const crypto = require('crypto');
+const { roundMoney } = require('./money');
+
+// A product sold in sizes, colours and the like is a parent with option axes
+// (variant_options, e.g. [{ name: 'Size', values: ['S', 'M'] }]) and one
+// variant per combination of values. The parent carries the name, category
+// and price tiers but holds no stock and cannot be sold. Each variant is a
+// catalogue product of its own, with a generated SKU and barcode, its own
+// stock, and prices that follow the parent's tiers except the ones recorded in
+// its price_overrides. Stock, transfers and sales handle variants like any
+// other product.
+
+const MAX_VARIANT_OPTIONS = 3;
+const MAX_VARIANTS = 100;
+
+const VARIANT_PRICE_FIELDS = ['default_price', 'manila_price', 'delivery_price', 'wholesale_price'];
+
+// Catalogue fields a parent's variants always share with it
+const VARIANT_FAMILY_FIELDS = [
+  'description', 'category_id', 'unit', 'tags', 'statutory_discount_eligible', 'tax_class', 'track_lots', 'track_serials'
+];
+
+// Letters and digits of an option value, as used in variant SKUs
+const variantCode = (value) => String(value).toUpperCase().replace(/[^A-Z0-9]+/g, '');
+
+const variantSku = (sku, options, values) => [sku, ...options.map(option => variantCode(values[option.name]))].join('-');
+
+const variantName = (name, options, values) => `${name} - ${options.map(option => values[option.name]).join(' / ')}`;
+
+// Identifies a combination regardless of how the values were capitalised
+const variantKey = (options, values) => options
+  .map(option => String(values[option.name] ?? '').trim().toUpperCase())
+  .join('/');
+
+const variantCombinations = (options) => options.reduce(
+  (combinations, option) => combinations.flatMap(values => option.values.map(value => ({ ...values, [option.name]: value }))),
+  [{}]
+);
+
+const ean13CheckDigit = (digits) => {
+  const sum = digits.split('').reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+// EAN-13 in the 2xx range GS1 leaves for in-store numbering
+const generateVariantBarcode = () => {
+  let digits = '2';
+  for (let index = 0; index < 11; index++) {
+    digits += crypto.randomInt(0, 10);
+  }
+  return digits + ean13CheckDigit(digits);
+};
+
+// Parents only group their variants; stock is bought, moved and sold per variant
+const variantRequiredError = (product) => ({
+  status: 400,
+  error: `Choose a variant of "${product.name}"`,
+  code: 'VARIANT_REQUIRED',
+  product_id: product.id
+});
+
+// Validate option axes and their values
+const normalizeVariantOptions = (input) => {
+  const invalid = (error) => ({ error, code: 'INVALID_VARIANT_OPTIONS' });
+
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_VARIANT_OPTIONS) {
+    return invalid(`Variant options must be a list of 1 to ${MAX_VARIANT_OPTIONS} options`);
+  }
+
+  const options = input.map(option => ({
+    name: String(option?.name || '').trim(),
+    values: Array.isArray(option?.values) ? option.values.map(value => String(value).trim()) : []
+  }));
+
+  if (options.some(option => !option.name || option.values.length === 0 || option.values.some(value => !variantCode(value)))) {
+    return invalid('Each option needs a name and a list of values');
+  }
+
+  if (new Set(options.map(option => option.name.toLowerCase())).size !== options.length) {
+    return invalid('Option names must be different');
+  }
+
+  // Variant SKUs are built from the values, so "XL" and "X-L" would collide
+  if (options.some(option => new Set(option.values.map(variantCode)).size !== option.values.length)) {
+    return invalid('The values of an option must differ in their letters or digits');
+  }
+
+  const count = options.reduce((total, option) => total * option.values.length, 1);
+  if (count > MAX_VARIANTS) {
+    return invalid(`At most ${MAX_VARIANTS} variants can be generated, these options make ${count}`);
+  }
+
+  return { options };
+};
+
+// Prices a variant sets for itself instead of following its parent
+const pickPriceOverrides = (input) => {
+  const overrides = {};
+  for (const field of VARIANT_PRICE_FIELDS) {
+    if (input[field] === undefined || input[field] === null) {
+      continue;
+    }
+
+    const price = Number(input[field]);
+    if (!Number.isFinite(price) || price < 0) {
+      return { error: `${field} must be a price of zero or more` };
+    }
+    overrides[field] = roundMoney(price);
+  }
+  return { overrides };
+};
+
+// A variant's prices: the parent's tiers with its overrides on top
+const variantPrices = (parent, overrides = {}) => {
+  const prices = {};
+  VARIANT_PRICE_FIELDS.forEach(field => {
+    prices[field] = overrides[field] !== undefined ? overrides[field] : (parent[field] ?? null);
+  });
+  return prices;
+};
+
+module.exports = {
+  VARIANT_PRICE_FIELDS,
+  VARIANT_FAMILY_FIELDS,
+  variantSku,
+  variantName,
+  variantKey,
+  variantCombinations,
+  generateVariantBarcode,
+  variantRequiredError,
+  normalizeVariantOptions,
+  pickPriceOverrides,
+  variantPrices
+};
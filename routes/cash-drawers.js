@@ -0,0 +1,584 @@
+// ========================= CASH DRAWER ENDPOINTS =========================
+const express = require('express');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole } = require('../lib/auth');
+const { resolveRequestStore, resolveListingStore, canAccessStore } = require('../lib/scope');
+const { roundMoney } = require('../lib/money');
+
+const router = express.Router();
+
+// Find the open drawer cash should go through: the one named on the request,
+// otherwise the drawer the user currently has open in the store
+async function findOpenDrawer(client, { drawerId, storeId, userId }) {
+  let query = client
+    .from('cash_drawers')
+    .select('*')
+    .eq('status', 'open')
+    .eq('store_id', storeId);
+
+  query = drawerId ? query.eq('id', drawerId) : query.eq('opened_by', userId);
+
+  const { data: drawers, error } = await query.limit(1);
+
+  if (error) {
+    console.error('Error looking up cash drawer:', error.message);
+  }
+
+  const drawer = drawers?.[0] || null;
+  if (drawerId && !drawer) {
+    return { error: 'Cash drawer is not open in this store', code: 'DRAWER_NOT_OPEN' };
+  }
+
+  return { drawer };
+}
+
+// Record cash moving in (positive) or out (negative) of a drawer
+async function recordDrawerMovement(client, { drawer, movementType, amount, userId, notes = '', referenceType = null, referenceId = null }) {
+  const { data: movement, error } = await client
+    .from('cash_drawer_movements')
+    .insert([{
+      drawer_id: drawer.id,
+      store_id: drawer.store_id,
+      movement_type: movementType,
+      amount: roundMoney(amount),
+      notes,
+      reference_type: referenceType,
+      reference_id: referenceId,
+      created_by: userId,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error recording drawer movement:', error.message);
+    return { success: false, error: error.message };
+  }
+
+  return { success: true, movement };
+}
+
+// Build an X (mid-shift) or Z (end of shift) report for a drawer
+async function buildDrawerReport(client, drawer, reportType, countedCash = null) {
+  const { data: movements } = await client
+    .from('cash_drawer_movements')
+    .select('movement_type, amount')
+    .eq('drawer_id', drawer.id);
+
+  const cashTotals = {};
+  (movements || []).forEach(movement => {
+    cashTotals[movement.movement_type] = roundMoney((cashTotals[movement.movement_type] || 0) + Number(movement.amount));
+  });
+
+  const expectedCash = roundMoney((movements || []).reduce((sum, movement) => sum + Number(movement.amount), 0));
+
+  // Sales rung up through this drawer, by status and tender
+  const { data: sales } = await client
+    .from('sales')
+    .select('id, status, subtotal, promotion_total, vat_exempt_amount, statutory_discount_total, discount_total, tax_total, total, sale_payments(tender_type, amount)')
+    .eq('drawer_id', drawer.id);
+
+  const completedSales = (sales || []).filter(sale => sale.status !== 'voided');
+  const byTender = {};
+  completedSales.forEach(sale => {
+    (sale.sale_payments || []).forEach(payment => {
+      byTender[payment.tender_type] = roundMoney((byTender[payment.tender_type] || 0) + Number(payment.amount));
+    });
+  });
+
+  const report = {
+    report_type: reportType,
+    drawer_id: drawer.id,
+    store_id: drawer.store_id,
+    staff_id: drawer.staff_id,
+    terminal_id: drawer.terminal_id,
+    opened_at: drawer.opened_at,
+    generated_at: new Date().toISOString(),
+    opening_float: Number(drawer.opening_float),
+    cash: {
+      sales: cashTotals.sale || 0,
+      refunds: cashTotals.refund || 0,
+      voids: cashTotals.void || 0,
+      drops: cashTotals.drop || 0,
+      payouts: cashTotals.payout || 0,
+      credit_payments: cashTotals.credit_payment || 0,
+      stored_value_loads: cashTotals.stored_value_load || 0,
+      layaway_payments: cashTotals.layaway_payment || 0,
+      layaway_refunds: cashTotals.layaway_refund || 0,
+      expected: expectedCash
+    },
+    sales: {
+      count: completedSales.length,
+      voided_count: (sales || []).length - completedSales.length,
+      gross: roundMoney(completedSales.reduce((sum, sale) => sum + Number(sale.subtotal), 0)),
+      promotions: roundMoney(completedSales.reduce((sum, sale) => sum + Number(sale.promotion_total || 0), 0)),
+      vat_exemptions: roundMoney(completedSales.reduce((sum, sale) => sum + Number(sale.vat_exempt_amount || 0), 0)),
+      statutory_discounts: roundMoney(completedSales.reduce((sum, sale) => sum + Number(sale.statutory_discount_total || 0), 0)),
+      discounts: roundMoney(completedSales.reduce((sum, sale) => sum + Number(sale.discount_total || 0), 0)),
+      tax: roundMoney(completedSales.reduce((sum, sale) => sum + Number(sale.tax_total || 0), 0)),
+      net: roundMoney(completedSales.reduce((sum, sale) => sum + Number(sale.total), 0)),
+      by_tender: byTender
+    }
+  };
+
+  if (countedCash !== null) {
+    report.cash.counted = countedCash;
+    report.cash.variance = roundMoney(countedCash - expectedCash);
+  }
+
+  return report;
+}
+
+// Load a drawer the user may act on
+async function fetchDrawer(client, req, drawerId) {
+  const { data: drawer, error } = await client
+    .from('cash_drawers')
+    .select('*')
+    .eq('id', drawerId)
+    .single();
+
+  if (error || !drawer) {
+    return { status: 404, error: 'Cash drawer not found', code: 'DRAWER_NOT_FOUND' };
+  }
+
+  if (!canAccessStore(req, drawer.store_id)) {
+    return { status: 403, error: 'You can only use cash drawers in your assigned store', code: 'STORE_ACCESS_DENIED' };
+  }
+
+  return { drawer };
+}
+
+// POST /drawers/open - Start a till shift with an opening float
+router.post('/drawers/open', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { store_id, staff_id, terminal_id = null, opening_float = 0, notes = '' } = req.body;
+
+    console.log(`💵 Opening drawer by user ${req.user.role}:${req.user.id}`);
+
+    const storeScope = resolveRequestStore(req, store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    const openingFloat = roundMoney(opening_float);
+    if (!staff_id || !Number.isFinite(Number(opening_float)) || openingFloat < 0) {
+      return res.status(400).json({
+        error: 'Staff ID and a non-negative opening float are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: staffMember, error: staffError } = await client
+      .from('staff')
+      .select('id, name, store_id')
+      .eq('id', staff_id)
+      .eq('is_active', true)
+      .single();
+
+    if (staffError || !staffMember || staffMember.store_id !== storeScope.storeId) {
+      return res.status(404).json({
+        error: 'Staff member not found in this store',
+        code: 'STAFF_NOT_FOUND'
+      });
+    }
+
+    // One open drawer per staff member per store
+    const { data: openDrawers } = await client
+      .from('cash_drawers')
+      .select('id')
+      .eq('store_id', storeScope.storeId)
+      .eq('staff_id', staff_id)
+      .eq('status', 'open')
+      .limit(1);
+
+    if (openDrawers && openDrawers.length > 0) {
+      return res.status(409).json({
+        error: `${staffMember.name} already has an open cash drawer`,
+        code: 'DRAWER_ALREADY_OPEN',
+        drawer_id: openDrawers[0].id
+      });
+    }
+
+    const drawerData = {
+      store_id: storeScope.storeId,
+      staff_id,
+      terminal_id,
+      opening_float: openingFloat,
+      status: 'open',
+      notes,
+      opened_by: req.user.id,
+      opened_at: new Date().toISOString(),
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    const { data: drawer, error: insertError } = await client
+      .from('cash_drawers')
+      .insert([drawerData])
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('Database error opening drawer:', insertError.message);
+      return res.status(400).json({
+        error: 'Failed to open cash drawer',
+        code: 'DB_INSERT_ERROR',
+        details: insertError.message
+      });
+    }
+
+    await recordDrawerMovement(client, {
+      drawer,
+      movementType: 'opening_float',
+      amount: openingFloat,
+      userId: req.user.id,
+      notes: 'Opening float'
+    });
+
+    console.log(`✅ Drawer opened: ${drawer.id} for ${staffMember.name} with float ${openingFloat}`);
+
+    res.status(201).json({
+      message: 'Cash drawer opened successfully',
+      drawer
+    });
+
+  } catch (error) {
+    console.error('❌ Open drawer error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Shared handler for cash leaving the drawer mid-shift (drops to the safe and payouts)
+const removeDrawerCash = (movementType, label) => async (req, res) => {
+  try {
+    const { drawerId } = req.params;
+    const { amount, notes = '' } = req.body;
+
+    console.log(`💵 ${label} from drawer ${drawerId} by user ${req.user.role}:${req.user.id}`);
+
+    const cashAmount = roundMoney(amount);
+    if (!(cashAmount > 0)) {
+      return res.status(400).json({
+        error: 'Amount must be greater than zero',
+        code: 'INVALID_AMOUNT'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { drawer, status, error, code } = await fetchDrawer(client, req, drawerId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    if (drawer.status !== 'open') {
+      return res.status(409).json({
+        error: 'Cash drawer is closed',
+        code: 'DRAWER_NOT_OPEN'
+      });
+    }
+
+    const report = await buildDrawerReport(client, drawer, 'X');
+    if (cashAmount > report.cash.expected) {
+      return res.status(400).json({
+        error: 'Amount exceeds the cash expected in the drawer',
+        code: 'INSUFFICIENT_DRAWER_CASH',
+        expected_cash: report.cash.expected
+      });
+    }
+
+    const result = await recordDrawerMovement(client, {
+      drawer,
+      movementType,
+      amount: -cashAmount,
+      userId: req.user.id,
+      notes
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        error: `Failed to record ${label.toLowerCase()}`,
+        code: 'DB_INSERT_ERROR',
+        details: result.error
+      });
+    }
+
+    console.log(`✅ ${label} of ${cashAmount} recorded on drawer ${drawer.id}`);
+
+    res.status(201).json({
+      message: `${label} recorded successfully`,
+      movement: result.movement,
+      expected_cash: roundMoney(report.cash.expected - cashAmount)
+    });
+
+  } catch (error) {
+    console.error(`❌ ${label} error:`, error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// POST /drawers/:drawerId/drop - Move cash from the drawer to the safe
+router.post('/drawers/:drawerId/drop', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), removeDrawerCash('drop', 'Cash drop'));
+
+// POST /drawers/:drawerId/payout - Pay cash out of the drawer (petty cash, supplier COD)
+router.post('/drawers/:drawerId/payout', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), removeDrawerCash('payout', 'Payout'));
+
+// GET /drawers/:drawerId/x-report - Mid-shift report without closing the drawer
+router.get('/drawers/:drawerId/x-report', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { drawerId } = req.params;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { drawer, status, error, code } = await fetchDrawer(client, req, drawerId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    // A closed drawer already has its final Z-report
+    if (drawer.status !== 'open') {
+      return res.status(409).json({
+        error: 'Cash drawer is closed, fetch its Z-report instead',
+        code: 'DRAWER_NOT_OPEN'
+      });
+    }
+
+    const report = await buildDrawerReport(client, drawer, 'X');
+
+    res.json({ report });
+
+  } catch (error) {
+    console.error('❌ X-report error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /drawers/:drawerId/close - Count the drawer, record the variance and produce the Z-report
+router.post('/drawers/:drawerId/close', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { drawerId } = req.params;
+    const { counted_cash, notes = '' } = req.body;
+
+    console.log(`💵 Closing drawer ${drawerId} by user ${req.user.role}:${req.user.id}`);
+
+    const countedCash = roundMoney(counted_cash);
+    if (counted_cash === undefined || !Number.isFinite(Number(counted_cash)) || countedCash < 0) {
+      return res.status(400).json({
+        error: 'Counted cash amount is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { drawer, status, error, code } = await fetchDrawer(client, req, drawerId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    if (drawer.status !== 'open') {
+      return res.status(409).json({
+        error: 'Cash drawer is already closed',
+        code: 'DRAWER_NOT_OPEN'
+      });
+    }
+
+    const report = await buildDrawerReport(client, drawer, 'Z', countedCash);
+    report.closed_at = report.generated_at;
+
+    const { data: closedDrawer, error: updateError } = await client
+      .from('cash_drawers')
+      .update({
+        status: 'closed',
+        expected_cash: report.cash.expected,
+        counted_cash: countedCash,
+        variance: report.cash.variance,
+        z_report: report,
+        close_notes: notes,
+        closed_by: req.user.id,
+        closed_at: report.closed_at,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', drawer.id)
+      .eq('status', 'open')
+      .select()
+      .single();
+
+    if (updateError || !closedDrawer) {
+      console.error('Close drawer error:', updateError?.message);
+      return res.status(409).json({
+        error: 'Cash drawer was closed by someone else',
+        code: 'DRAWER_NOT_OPEN'
+      });
+    }
+
+    console.log(`✅ Drawer closed: ${drawer.id} (variance ${report.cash.variance})`);
+
+    res.json({
+      message: 'Cash drawer closed successfully',
+      drawer: closedDrawer,
+      report
+    });
+
+  } catch (error) {
+    console.error('❌ Close drawer error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /drawers - Fetch cash drawer sessions with store filtering
+router.get('/drawers', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { status, staff_id, limit = 50 } = req.query;
+
+    const storeScope = resolveListingStore(req, req.query.store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    let query = client
+      .from('cash_drawers')
+      .select('*')
+      .order('opened_at', { ascending: false })
+      .limit(parseInt(limit));
+
+    if (storeScope.storeId) {
+      query = query.eq('store_id', storeScope.storeId);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (staff_id) {
+      query = query.eq('staff_id', staff_id);
+    }
+
+    const { data: drawers, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch drawers:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch cash drawers from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    res.json({
+      drawers: drawers || [],
+      count: drawers?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get drawers error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /drawers/:drawerId - Fetch a drawer session with its cash movements
+router.get('/drawers/:drawerId', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { drawerId } = req.params;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { drawer, status, error, code } = await fetchDrawer(client, req, drawerId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    const { data: movements } = await client
+      .from('cash_drawer_movements')
+      .select('*')
+      .eq('drawer_id', drawer.id)
+      .order('created_at', { ascending: true });
+
+    res.json({
+      drawer: {
+        ...drawer,
+        movements: movements || []
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get drawer error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router,
+  findOpenDrawer,
+  recordDrawerMovement
+};
@@ -0,0 +1,1107 @@
+// ========================= CATALOGUE ENDPOINTS =========================
+const express = require('express');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole } = require('../lib/auth');
+const { resolveCompanyScope } = require('../lib/scope');
+const {
+  VARIANT_FAMILY_FIELDS,
+  variantSku,
+  variantName,
+  variantKey,
+  variantCombinations,
+  generateVariantBarcode,
+  normalizeVariantOptions,
+  pickPriceOverrides,
+  variantPrices
+} = require('../lib/variants');
+const { recordStockMovement } = require('./inventory');
+const { checkSerialsIn } = require('./serials');
+
+const router = express.Router();
+
+// Copy a parent's family fields, name and SKU onto each of its variants
+async function syncVariantCatalogProducts(client, parent, fields) {
+  const updates = VARIANT_FAMILY_FIELDS.filter(field => fields[field] !== undefined);
+  if (updates.length === 0 && fields.name === undefined && !fields.sku) {
+    return;
+  }
+
+  const { data: variants } = await client
+    .from('catalog_products')
+    .select('*')
+    .eq('parent_catalog_product_id', parent.id)
+    .eq('is_active', true);
+
+  for (const variant of variants || []) {
+    const variantFields = {};
+    updates.forEach(field => {
+      variantFields[field] = fields[field];
+    });
+    if (fields.name !== undefined) {
+      variantFields.name = variantName(parent.name, parent.variant_options, variant.variant_values);
+    }
+    if (fields.sku) {
+      variantFields.sku = variantSku(parent.sku, parent.variant_options, variant.variant_values);
+    }
+
+    const result = await updateCatalogProduct(client, variant, variantFields);
+    if (result.error) {
+      console.error(`Error copying parent ${parent.id} onto variant ${variant.id}:`, result.error);
+    }
+  }
+}
+
+// Stock a parent and all its variants in a store. A new family is added to the
+// catalogue first, generating a variant for every combination of the options;
+// a family already in the catalogue is stocked with the variants it has.
+// input.variants may set a variant's prices, barcode, opening stock and serial
+// numbers, picked out by its option values.
+async function createVariantFamily(client, req, { store, catalogProduct, input }) {
+  const isNewFamily = !catalogProduct;
+
+  let options;
+  if (isNewFamily) {
+    if (!input.sku) {
+      return { status: 400, error: 'Products with variants need a SKU to build the variant SKUs from', code: 'MISSING_FIELDS' };
+    }
+
+    const normalized = normalizeVariantOptions(input.variant_options);
+    if (normalized.error) {
+      return { status: 400, ...normalized };
+    }
+    options = normalized.options;
+  } else {
+    options = catalogProduct.variant_options;
+  }
+
+  const combinations = variantCombinations(options);
+  const combinationKeys = combinations.map(values => variantKey(options, values));
+
+  const variantInputs = {};
+  const entries = input.variants === undefined ? [] : input.variants;
+  if (!Array.isArray(entries)) {
+    return { status: 400, error: 'Variants must be a list', code: 'INVALID_VARIANT' };
+  }
+
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index] || {};
+    const key = entry.options ? variantKey(options, entry.options) : null;
+    const prices = pickPriceOverrides(entry);
+    const openingStock = Number(entry.stock_quantity || 0);
+
+    if (!combinationKeys.includes(key) || prices.error || !Number.isInteger(openingStock) || openingStock < 0) {
+      return {
+        status: 400,
+        error: 'Each variant needs the option values of one combination, valid prices and a whole opening stock',
+        code: 'INVALID_VARIANT',
+        line: index
+      };
+    }
+    variantInputs[key] = { ...entry, price_overrides: prices.overrides };
+  }
+
+  // Catalogue products made here are removed again if the family cannot be stocked
+  const created = [];
+  const rollback = async (listingIds) => {
+    if (listingIds.length > 0) {
+      await client.from('products').delete().in('id', listingIds);
+    }
+    if (created.length > 0) {
+      await client.from('catalog_products').delete().in('id', created);
+    }
+  };
+
+  let parent = catalogProduct;
+  let variants = [];
+  if (isNewFamily) {
+    const sku = String(input.sku).trim().toUpperCase();
+    const { data: taken } = await client
+      .from('catalog_products')
+      .select('sku')
+      .eq('company_id', store.company_id)
+      .eq('is_active', true)
+      .in('sku', combinations.map(values => variantSku(sku, options, values)));
+
+    if ((taken || []).length > 0) {
+      return {
+        status: 409,
+        error: 'Some of the generated variant SKUs already exist',
+        code: 'SKU_EXISTS',
+        skus: taken.map(product => product.sku)
+      };
+    }
+
+    const parentResult = await createCatalogProduct(client, store.company_id, input, req.user.id, { variant_options: options });
+    if (parentResult.error) {
+      console.error('Database error creating parent product:', parentResult.error.message);
+      return { status: 400, error: 'Failed to create product', code: 'DB_INSERT_ERROR', details: parentResult.error.message };
+    }
+    parent = parentResult.catalogProduct;
+    created.push(parent.id);
+
+    for (const values of combinations) {
+      const variantInput = variantInputs[variantKey(options, values)] || {};
+      const familyFields = {};
+      VARIANT_FAMILY_FIELDS.forEach(field => {
+        familyFields[field] = parent[field];
+      });
+
+      const result = await createCatalogProduct(client, store.company_id, {
+        ...familyFields,
+        name: variantName(parent.name, options, values),
+        sku: variantSku(parent.sku, options, values),
+        barcode: variantInput.barcode || generateVariantBarcode(),
+        image_url: variantInput.image_url || parent.image_url
+      }, req.user.id, { parent_catalog_product_id: parent.id, variant_values: values });
+
+      if (result.error) {
+        console.error('Database error creating variant:', result.error.message);
+        await rollback([]);
+        return { status: 400, error: 'Failed to create product variants', code: 'DB_INSERT_ERROR', details: result.error.message };
+      }
+      created.push(result.catalogProduct.id);
+      variants.push(result.catalogProduct);
+    }
+  } else {
+    const { data } = await client
+      .from('catalog_products')
+      .select('*')
+      .eq('parent_catalog_product_id', parent.id)
+      .eq('is_active', true);
+    variants = data || [];
+  }
+
+  // Opening stock is checked for every variant before any of them is stocked
+  const openingStock = {};
+  for (const variant of variants) {
+    const variantInput = variantInputs[variantKey(options, variant.variant_values)] || {};
+    const quantity = Number(variantInput.stock_quantity || 0);
+    const serials = await checkSerialsIn(client, {
+      product: { ...variant, id: null, catalog_product_id: variant.id },
+      quantity,
+      serialNumbers: variantInput.serial_numbers
+    });
+    if (serials.error) {
+      await rollback([]);
+      return serials;
+    }
+    openingStock[variant.id] = { quantity, serialNumbers: serials.serialNumbers };
+  }
+
+  const parentListing = await createStoreListing(client, req, parent, { ...input, stock_quantity: 0 }, { is_variant_parent: true });
+  if (parentListing.error) {
+    await rollback([]);
+    return parentListing;
+  }
+
+  // Listings are created without stock, so a family that cannot be completed
+  // is removed again before anything reaches the ledger
+  const listings = [];
+  for (const variant of variants) {
+    const variantInput = variantInputs[variantKey(options, variant.variant_values)] || {};
+    const result = await createStoreListing(client, req, variant, {
+      ...input,
+      ...variantPrices(input, variantInput.price_overrides),
+      stock_quantity: 0
+    }, {
+      parent_product_id: parentListing.product.id,
+      price_overrides: variantInput.price_overrides || {}
+    });
+
+    if (result.error) {
+      await rollback([parentListing.product.id, ...listings.map(listing => listing.id)]);
+      return result;
+    }
+    listings.push(result.product);
+  }
+
+  for (const listing of listings) {
+    const { quantity, serialNumbers } = openingStock[listing.catalog_product_id];
+    if (quantity > 0) {
+      await bookOpeningStock(client, req, listing, quantity, serialNumbers);
+    }
+  }
+
+  return { product: parentListing.product, variants: listings };
+}
+
+// A catalogue product is shared by every store of a company. Each store stocks
+// it through its own row in products (the store listing), which holds that
+// store's stock, min/max levels and prices. The shared fields below are owned
+// by the catalogue and copied onto every listing so stock and sales code can
+// keep reading a single products row.
+const CATALOG_SHARED_FIELDS = [
+  'name', 'description', 'sku', 'barcode', 'category_id', 'unit', 'weight', 'dimensions',
+  'image_url', 'images', 'tags', 'is_featured', 'statutory_discount_eligible', 'tax_class', 'track_lots',
+  'track_serials', 'variant_options', 'variant_values'
+];
+
+const catalogFields = (input) => {
+  const fields = {};
+  if (input.name !== undefined) fields.name = String(input.name || '').trim();
+  if (input.description !== undefined) fields.description = input.description || '';
+  if (input.sku !== undefined) fields.sku = input.sku ? String(input.sku).trim().toUpperCase() : null;
+  if (input.barcode !== undefined) fields.barcode = input.barcode || null;
+  if (input.category_id !== undefined) fields.category_id = input.category_id || null;
+  if (input.unit !== undefined) fields.unit = input.unit || 'pcs';
+  if (input.weight !== undefined) fields.weight = input.weight ? parseFloat(input.weight) : null;
+  if (input.dimensions !== undefined) fields.dimensions = input.dimensions || null;
+  if (input.image_url !== undefined) fields.image_url = input.image_url || null;
+  if (input.images !== undefined) fields.images = input.images || null;
+  if (input.tags !== undefined) fields.tags = input.tags || null;
+  if (input.is_featured !== undefined) fields.is_featured = Boolean(input.is_featured);
+  // null follows the category's senior citizen / PWD eligibility
+  if (input.statutory_discount_eligible !== undefined) {
+    fields.statutory_discount_eligible = typeof input.statutory_discount_eligible === 'boolean' ? input.statutory_discount_eligible : null;
+  }
+  // null follows the category's tax class, then the company default
+  if (input.tax_class !== undefined) fields.tax_class = input.tax_class || null;
+  // Perishables keep their stock per lot and expiry date
+  if (input.track_lots !== undefined) fields.track_lots = Boolean(input.track_lots);
+  // High-value items are stocked and sold by serial or IMEI number
+  if (input.track_serials !== undefined) fields.track_serials = Boolean(input.track_serials);
+  return fields;
+};
+
+const sharedCatalogFields = (catalogProduct) => {
+  const fields = {};
+  CATALOG_SHARED_FIELDS.forEach(field => {
+    fields[field] = catalogProduct[field] === undefined ? null : catalogProduct[field];
+  });
+  return fields;
+};
+
+// The products row a store stocks a catalogue product through
+const storeListingData = (catalogProduct, storeId, input, userId) => ({
+  ...sharedCatalogFields(catalogProduct),
+  catalog_product_id: catalogProduct.id,
+  store_id: storeId,
+  default_price: parseFloat(input.default_price),
+  manila_price: input.manila_price ? parseFloat(input.manila_price) : null,
+  delivery_price: input.delivery_price ? parseFloat(input.delivery_price) : null,
+  wholesale_price: input.wholesale_price ? parseFloat(input.wholesale_price) : null,
+  // Opening stock is booked through the ledger once the listing exists
+  stock_quantity: 0,
+  min_stock_level: parseInt(input.min_stock_level || 5),
+  max_stock_level: parseInt(input.max_stock_level || 100),
+  is_active: true,
+  created_by: userId,
+  created_at: new Date().toISOString(),
+  updated_at: new Date().toISOString()
+});
+
+// SKUs are unique within a company's catalogue
+async function findCatalogProductBySku(client, companyId, sku, exceptId = null) {
+  if (!sku) {
+    return null;
+  }
+
+  let query = client
+    .from('catalog_products')
+    .select('*')
+    .eq('company_id', companyId)
+    .eq('sku', sku)
+    .eq('is_active', true);
+
+  if (exceptId) {
+    query = query.neq('id', exceptId);
+  }
+
+  const { data } = await query;
+  return (data || [])[0] || null;
+}
+
+async function createCatalogProduct(client, companyId, input, userId, variantFields = {}) {
+  const { data: catalogProduct, error } = await client
+    .from('catalog_products')
+    .insert([{
+      ...sharedCatalogFields(catalogFields({ description: '', unit: 'pcs', is_featured: false, track_lots: false, track_serials: false, ...input })),
+      ...variantFields,
+      company_id: companyId,
+      is_active: true,
+      created_by: userId,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  return { catalogProduct, error };
+}
+
+// Load an active catalogue product the user's company owns
+async function fetchCatalogProduct(client, req, catalogProductId) {
+  const { data: catalogProduct, error } = await client
+    .from('catalog_products')
+    .select('*')
+    .eq('id', catalogProductId)
+    .eq('is_active', true)
+    .single();
+
+  if (error || !catalogProduct) {
+    return { status: 404, error: 'Catalogue product not found', code: 'CATALOG_PRODUCT_NOT_FOUND' };
+  }
+
+  if (req.user.role !== 'super_admin') {
+    const scope = await resolveCompanyScope(client, req, catalogProduct.company_id);
+    if (scope.error) {
+      return scope;
+    }
+  }
+
+  return { catalogProduct };
+}
+
+// Turning lot or serial tracking on or off would leave the stock on hand
+// without lots or serials to account for it, so it is only allowed at zero stock
+const changedTracking = (product, fields) => ['track_lots', 'track_serials']
+  .filter(field => fields[field] !== undefined && Boolean(fields[field]) !== Boolean(product[field]));
+
+const trackingChangeError = (fields, stockOnHand) => ({
+  status: 409,
+  error: 'Lot and serial tracking can only be changed while the product has no stock',
+  code: 'PRODUCT_HAS_STOCK',
+  fields,
+  stock_quantity: stockOnHand
+});
+
+// Stock held across every store listing of a catalogue product, including its variants'
+async function catalogStockOnHand(client, catalogProduct) {
+  const { data: variants } = await client
+    .from('catalog_products')
+    .select('id')
+    .eq('parent_catalog_product_id', catalogProduct.id);
+
+  const { data: listings } = await client
+    .from('products')
+    .select('stock_quantity')
+    .in('catalog_product_id', [catalogProduct.id, ...(variants || []).map(variant => variant.id)]);
+
+  return (listings || []).reduce((sum, listing) => sum + Math.abs(listing.stock_quantity || 0), 0);
+}
+
+// Change a catalogue product's shared fields and copy them onto all its store listings
+async function updateCatalogProduct(client, catalogProduct, fields) {
+  if (fields.name !== undefined && !fields.name) {
+    return { status: 400, error: 'Product name is required', code: 'MISSING_FIELDS' };
+  }
+
+  const trackingChanges = changedTracking(catalogProduct, fields);
+  if (trackingChanges.length > 0) {
+    const stockOnHand = await catalogStockOnHand(client, catalogProduct);
+    if (stockOnHand) {
+      return trackingChangeError(trackingChanges, stockOnHand);
+    }
+  }
+
+  if (fields.sku && fields.sku !== catalogProduct.sku && await findCatalogProductBySku(client, catalogProduct.company_id, fields.sku, catalogProduct.id)) {
+    return { status: 409, error: `SKU "${fields.sku}" already exists`, code: 'SKU_EXISTS' };
+  }
+
+  const { data: updated, error } = await client
+    .from('catalog_products')
+    .update({
+      ...fields,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', catalogProduct.id)
+    .select()
+    .single();
+
+  if (error || !updated) {
+    return { status: 400, error: 'Failed to update catalogue product', code: 'DB_UPDATE_ERROR', details: error?.message };
+  }
+
+  const { error: syncError } = await client
+    .from('products')
+    .update({
+      ...fields,
+      updated_at: new Date().toISOString()
+    })
+    .eq('catalog_product_id', catalogProduct.id);
+
+  if (syncError) {
+    console.error(`Error copying catalogue product ${catalogProduct.id} to store listings:`, syncError.message);
+  }
+
+  if (updated.variant_options) {
+    await syncVariantCatalogProducts(client, updated, fields);
+  }
+
+  return { catalogProduct: updated };
+}
+
+// Attach each catalogue product's store listings with their stock and prices
+async function withStoreLevels(client, catalogProducts) {
+  if (catalogProducts.length === 0) {
+    return [];
+  }
+
+  const { data: listings, error } = await client
+    .from('products')
+    .select('id, catalog_product_id, store_id, stock_quantity, reserved_quantity, min_stock_level, max_stock_level, default_price, manila_price, delivery_price, wholesale_price')
+    .in('catalog_product_id', catalogProducts.map(catalogProduct => catalogProduct.id))
+    .eq('is_active', true);
+
+  if (error) {
+    console.error('Error fetching store listings:', error.message);
+  }
+
+  return catalogProducts.map(catalogProduct => {
+    const stores = (listings || [])
+      .filter(listing => listing.catalog_product_id === catalogProduct.id)
+      .map(({ id, catalog_product_id, ...listing }) => ({
+        product_id: id,
+        ...listing,
+        reserved_quantity: listing.reserved_quantity || 0,
+        available_quantity: (listing.stock_quantity || 0) - (listing.reserved_quantity || 0),
+        low_stock: (listing.stock_quantity || 0) <= (listing.min_stock_level || 0)
+      }));
+
+    return {
+      ...catalogProduct,
+      stores,
+      total_stock: stores.reduce((sum, listing) => sum + (listing.stock_quantity || 0), 0)
+    };
+  });
+}
+
+// Stock a catalogue product in a store. Managers can only stock their own store.
+// listingFields are store-level fields the caller sets, such as a variant's parent listing.
+async function createStoreListing(client, req, catalogProduct, input, listingFields = {}) {
+  const { store_id, default_price } = input;
+
+  if (!store_id || !default_price) {
+    return { status: 400, error: 'Store ID and default price are required', code: 'MISSING_FIELDS' };
+  }
+
+  if (req.user.role === 'manager' && req.user.store_id && store_id !== req.user.store_id) {
+    return { status: 403, error: 'Managers can only stock products in their assigned store', code: 'STORE_ACCESS_DENIED' };
+  }
+
+  const { data: store } = await client
+    .from('stores')
+    .select('id, company_id')
+    .eq('id', store_id)
+    .single();
+
+  if (!store || store.company_id !== catalogProduct.company_id) {
+    return { status: 404, error: 'Store not found', code: 'STORE_NOT_FOUND' };
+  }
+
+  const { data: existing } = await client
+    .from('products')
+    .select('id')
+    .eq('catalog_product_id', catalogProduct.id)
+    .eq('store_id', store_id)
+    .eq('is_active', true);
+
+  if ((existing || []).length > 0) {
+    return {
+      status: 409,
+      error: 'Store already stocks this product',
+      code: 'STORE_PRODUCT_EXISTS',
+      product_id: existing[0].id
+    };
+  }
+
+  // Opening stock of a serialised product comes with its serial numbers
+  const openingStock = parseInt(input.stock_quantity || 0);
+  const openingSerials = openingStock > 0
+    ? await checkSerialsIn(client, {
+      product: { ...catalogProduct, id: null, catalog_product_id: catalogProduct.id },
+      quantity: openingStock,
+      serialNumbers: input.serial_numbers
+    })
+    : { serialNumbers: [] };
+  if (openingSerials.error) {
+    return openingSerials;
+  }
+
+  const { data: product, error } = await client
+    .from('products')
+    .insert([{ ...storeListingData(catalogProduct, store_id, input, req.user.id), ...listingFields }])
+    .select(`
+      *,
+      categories:category_id (
+        id,
+        name,
+        color,
+        icon
+      )
+    `)
+    .single();
+
+  if (error) {
+    console.error('Database error creating store listing:', error.message);
+    return { status: 400, error: 'Failed to create product', code: 'DB_INSERT_ERROR', details: error.message };
+  }
+
+  if (openingStock) {
+    await bookOpeningStock(client, req, product, openingStock, openingSerials.serialNumbers);
+  }
+
+  return { product };
+}
+
+// Book a new listing's opening stock through the ledger
+async function bookOpeningStock(client, req, product, quantity, serialNumbers) {
+  const result = await recordStockMovement(client, {
+    product,
+    quantity,
+    serialNumbers,
+    movementType: 'opening',
+    userId: req.user.id,
+    notes: 'Opening stock'
+  });
+
+  if (!result.success) {
+    console.error(`Error booking opening stock of product ${product.id}:`, result.error);
+  }
+}
+
+// GET /catalog/products - List the company catalogue with stock and prices per store
+router.get('/catalog/products', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { company_id, category_id, search, limit = 100 } = req.query;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const scope = await resolveCompanyScope(client, req, company_id);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, code: scope.code });
+    }
+
+    let query = client
+      .from('catalog_products')
+      .select(`
+        *,
+        categories:category_id (
+          id,
+          name,
+          color,
+          icon
+        )
+      `)
+      .eq('company_id', scope.companyId)
+      .eq('is_active', true)
+      .order('name', { ascending: true })
+      .limit(parseInt(limit));
+
+    if (category_id) {
+      query = query.eq('category_id', category_id);
+    }
+
+    if (search) {
+      query = query.or(`name.ilike.%${search}%,sku.ilike.%${search}%,barcode.ilike.%${search}%`);
+    }
+
+    const { data: catalogProducts, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch catalogue:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch catalogue from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    const products = await withStoreLevels(client, catalogProducts || []);
+
+    res.json({
+      products,
+      count: products.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get catalogue error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /catalog/products - Add a product to the company catalogue, optionally stocking it in stores
+router.post('/catalog/products', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { company_id, stores = [] } = req.body;
+    const fields = catalogFields(req.body);
+
+    console.log(`📝 Adding catalogue product: ${fields.name} by user ${req.user.role}:${req.user.id}`);
+
+    if (!fields.name) {
+      return res.status(400).json({
+        error: 'Product name is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    if (!Array.isArray(stores)) {
+      return res.status(400).json({
+        error: 'Stores must be a list of store listings',
+        code: 'INVALID_STORES'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const scope = await resolveCompanyScope(client, req, company_id);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, code: scope.code });
+    }
+
+    if (await findCatalogProductBySku(client, scope.companyId, fields.sku)) {
+      return res.status(409).json({
+        error: `SKU "${fields.sku}" already exists`,
+        code: 'SKU_EXISTS'
+      });
+    }
+
+    const { catalogProduct, error: insertError } = await createCatalogProduct(client, scope.companyId, req.body, req.user.id);
+
+    if (insertError) {
+      console.error('Database error creating catalogue product:', insertError.message);
+      return res.status(400).json({
+        error: 'Failed to create catalogue product',
+        code: 'DB_INSERT_ERROR',
+        details: insertError.message
+      });
+    }
+
+    const listings = [];
+    const listingErrors = [];
+    for (const listing of stores) {
+      const result = await createStoreListing(client, req, catalogProduct, listing);
+      if (result.error) {
+        const { status, ...body } = result;
+        listingErrors.push({ store_id: listing.store_id || null, ...body });
+      } else {
+        listings.push(result.product);
+      }
+    }
+
+    console.log(`✅ Catalogue product created: ${catalogProduct.name} (${listings.length} stores)`);
+
+    res.status(201).json({
+      message: 'Catalogue product created successfully',
+      product: (await withStoreLevels(client, [catalogProduct]))[0],
+      ...(listingErrors.length > 0 ? { listing_errors: listingErrors } : {})
+    });
+
+  } catch (error) {
+    console.error('❌ Create catalogue product error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /catalog/products/:catalogProductId - Fetch a catalogue product with its stock in every store
+router.get('/catalog/products/:catalogProductId', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { catalogProduct, status, error, code } = await fetchCatalogProduct(client, req, req.params.catalogProductId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    res.json({
+      product: (await withStoreLevels(client, [catalogProduct]))[0]
+    });
+
+  } catch (error) {
+    console.error('❌ Get catalogue product error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /catalog/products/:catalogProductId - Change the shared fields of a catalogue product in all stores
+router.put('/catalog/products/:catalogProductId', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    console.log(`📝 Updating catalogue product: ${req.params.catalogProductId}`);
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const existing = await fetchCatalogProduct(client, req, req.params.catalogProductId);
+    if (existing.error) {
+      return res.status(existing.status).json({ error: existing.error, code: existing.code });
+    }
+
+    const result = await updateCatalogProduct(client, existing.catalogProduct, catalogFields(req.body));
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    console.log(`✅ Catalogue product updated: ${result.catalogProduct.name}`);
+
+    res.json({
+      message: 'Catalogue product updated successfully',
+      product: (await withStoreLevels(client, [result.catalogProduct]))[0]
+    });
+
+  } catch (error) {
+    console.error('❌ Update catalogue product error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// DELETE /catalog/products/:catalogProductId - Withdraw a product from the catalogue and every store (soft delete)
+router.delete('/catalog/products/:catalogProductId', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    console.log(`🗑️ Deleting catalogue product: ${req.params.catalogProductId}`);
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const existing = await fetchCatalogProduct(client, req, req.params.catalogProductId);
+    if (existing.error) {
+      return res.status(existing.status).json({ error: existing.error, code: existing.code });
+    }
+
+    // A parent is withdrawn together with its variants
+    const { data: variants } = await client
+      .from('catalog_products')
+      .select('id')
+      .eq('parent_catalog_product_id', existing.catalogProduct.id);
+    const catalogProductIds = [existing.catalogProduct.id, ...(variants || []).map(variant => variant.id)];
+
+    const { error } = await client
+      .from('catalog_products')
+      .update({
+        is_active: false,
+        updated_at: new Date().toISOString()
+      })
+      .in('id', catalogProductIds);
+
+    if (error) {
+      console.error('Delete catalogue product error:', error.message);
+      return res.status(400).json({
+        error: 'Failed to delete catalogue product',
+        code: 'DB_DELETE_ERROR'
+      });
+    }
+
+    await client
+      .from('products')
+      .update({
+        is_active: false,
+        updated_at: new Date().toISOString()
+      })
+      .in('catalog_product_id', catalogProductIds);
+
+    console.log('✅ Catalogue product deleted successfully:', existing.catalogProduct.name);
+
+    res.json({
+      message: 'Catalogue product deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Delete catalogue product error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /catalog/products/:catalogProductId/stores - Start stocking a catalogue product in a store
+router.post('/catalog/products/:catalogProductId/stores', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    console.log(`🏪 Stocking catalogue product ${req.params.catalogProductId} in store ${req.body.store_id}`);
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const existing = await fetchCatalogProduct(client, req, req.params.catalogProductId);
+    if (existing.error) {
+      return res.status(existing.status).json({ error: existing.error, code: existing.code });
+    }
+
+    if (existing.catalogProduct.parent_catalog_product_id) {
+      return res.status(400).json({
+        error: `"${existing.catalogProduct.name}" is a variant; stock its parent product to add it to a store`,
+        code: 'VARIANT_REQUIRES_PARENT'
+      });
+    }
+
+    // A parent is stocked together with all its variants
+    let result;
+    if (existing.catalogProduct.variant_options) {
+      const { data: store } = await client
+        .from('stores')
+        .select('id, company_id')
+        .eq('id', req.body.store_id)
+        .single();
+
+      result = store
+        ? await createVariantFamily(client, req, { store, catalogProduct: existing.catalogProduct, input: req.body })
+        : { status: 404, error: 'Store not found', code: 'STORE_NOT_FOUND' };
+    } else {
+      result = await createStoreListing(client, req, existing.catalogProduct, req.body);
+    }
+
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    console.log(`✅ ${existing.catalogProduct.name} is now stocked in store ${result.product.store_id}`);
+
+    res.status(201).json({
+      message: 'Product stocked in store successfully',
+      product: result.product,
+      ...(result.variants ? { variants: result.variants } : {})
+    });
+
+  } catch (error) {
+    console.error('❌ Stock catalogue product error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /catalog/migrate - Link a company's per-store product rows into catalogue products
+//
+// Rows with the same SKU (or, without a SKU, the same barcode) across the
+// company's stores become listings of one catalogue product, taking the shared
+// fields of the most recently updated row. Rows keep their ids, stock, prices
+// and history. Two active rows with the same SKU in one store cannot both be
+// listings and are reported as conflicts and left unlinked. Safe to run again;
+// rows already linked are skipped. Pass dry_run to see the plan only.
+router.post('/catalog/migrate', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const { company_id, dry_run = false } = req.body;
+
+    console.log(`🔀 Migrating products of company ${company_id} into the catalogue${dry_run ? ' (dry run)' : ''}`);
+
+    if (!company_id) {
+      return res.status(400).json({
+        error: 'Company ID is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: stores } = await client
+      .from('stores')
+      .select('id')
+      .eq('company_id', company_id);
+
+    const storeIds = (stores || []).map(store => store.id);
+    if (storeIds.length === 0) {
+      return res.status(404).json({
+        error: 'Company has no stores',
+        code: 'STORE_NOT_FOUND'
+      });
+    }
+
+    const { data: rows, error } = await client
+      .from('products')
+      .select('*')
+      .in('store_id', storeIds)
+      .eq('is_active', true)
+      .is('catalog_product_id', null);
+
+    if (error) {
+      console.error('❌ Failed to fetch products to migrate:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch products from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    // Group rows into the catalogue product they belong to
+    const groups = new Map();
+    (rows || []).forEach(row => {
+      const sku = row.sku ? String(row.sku).trim().toUpperCase() : null;
+      const key = sku ? `sku:${sku}` : row.barcode ? `barcode:${row.barcode}` : `row:${row.id}`;
+      if (!groups.has(key)) {
+        groups.set(key, { sku, rows: [] });
+      }
+      groups.get(key).rows.push(row);
+    });
+
+    const conflicts = [];
+    const plan = [];
+    groups.forEach(group => {
+      const byStore = {};
+      group.rows.forEach(row => {
+        byStore[row.store_id] = [...(byStore[row.store_id] || []), row];
+      });
+
+      const listings = [];
+      Object.entries(byStore).forEach(([storeId, storeRows]) => {
+        if (storeRows.length > 1) {
+          conflicts.push({ store_id: storeId, sku: group.sku, product_ids: storeRows.map(row => row.id) });
+        } else {
+          listings.push(storeRows[0]);
+        }
+      });
+
+      if (listings.length > 0) {
+        const source = [...listings].sort((a, b) => String(b.updated_at || '').localeCompare(String(a.updated_at || '')))[0];
+        plan.push({ sku: group.sku, source, listings });
+      }
+    });
+
+    let created = 0;
+    let linked = 0;
+    for (const entry of plan) {
+      let catalogProduct = await findCatalogProductBySku(client, company_id, entry.sku);
+
+      if (dry_run) {
+        created += catalogProduct ? 0 : 1;
+        linked += entry.listings.length;
+        continue;
+      }
+
+      if (!catalogProduct) {
+        const { data: inserted, error: insertError } = await client
+          .from('catalog_products')
+          .insert([{
+            ...sharedCatalogFields({ ...entry.source, sku: entry.sku }),
+            company_id,
+            is_active: true,
+            created_by: req.user.id,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+          }])
+          .select()
+          .single();
+
+        if (insertError) {
+          console.error(`Error creating catalogue product for ${entry.source.id}:`, insertError.message);
+          continue;
+        }
+        catalogProduct = inserted;
+        created++;
+      }
+
+      // Stores that already stock the catalogue product keep their listing
+      const { data: stocked } = await client
+        .from('products')
+        .select('store_id')
+        .eq('catalog_product_id', catalogProduct.id)
+        .eq('is_active', true);
+      const stockedStores = new Set((stocked || []).map(listing => listing.store_id));
+
+      for (const row of entry.listings) {
+        if (stockedStores.has(row.store_id)) {
+          conflicts.push({ store_id: row.store_id, sku: entry.sku, product_ids: [row.id] });
+          continue;
+        }
+
+        const { error: linkError } = await client
+          .from('products')
+          .update({
+            ...sharedCatalogFields(catalogProduct),
+            catalog_product_id: catalogProduct.id,
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', row.id)
+          .is('catalog_product_id', null);
+
+        if (linkError) {
+          console.error(`Error linking product ${row.id}:`, linkError.message);
+        } else {
+          linked++;
+        }
+      }
+    }
+
+    console.log(`✅ Catalogue migration: ${created} catalogue products, ${linked} listings, ${conflicts.length} conflicts`);
+
+    res.json({
+      message: dry_run ? 'Catalogue migration plan' : 'Products migrated into the catalogue',
+      dry_run: Boolean(dry_run),
+      catalog_products_created: created,
+      listings_linked: linked,
+      conflicts,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Catalogue migration error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router,
+  createVariantFamily,
+  CATALOG_SHARED_FIELDS,
+  catalogFields,
+  findCatalogProductBySku,
+  createCatalogProduct,
+  fetchCatalogProduct,
+  changedTracking,
+  trackingChangeError,
+  updateCatalogProduct,
+  createStoreListing
+};
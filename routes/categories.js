@@ -0,0 +1,243 @@
+// ========================= CATEGORIES ENDPOINTS =========================
+const express = require('express');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole } = require('../lib/auth');
+
+const router = express.Router();
+
+  // Add these endpoints to your server.js file
+
+// GET /categories - Fetch categories with store filtering
+router.get('/categories', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    console.log('🔄 Get categories request from user:', {
+      userId: req.user.id,
+      userRole: req.user.role,
+      userStoreId: req.user.store_id
+    });
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    let query = client
+      .from('categories')
+      .select('*')
+      .eq('is_active', true)
+      .order('name', { ascending: true });
+
+    // Apply filtering based on user role
+    if (req.user.role === 'manager' && req.user.store_id) {
+      console.log(`🏪 Manager filtering categories by store: ${req.user.store_id}`);
+      query = query.eq('store_id', req.user.store_id);
+    } else if (req.user.role === 'cashier' && req.user.store_id) {
+      console.log(`🏪 Cashier filtering categories by store: ${req.user.store_id}`);
+      query = query.eq('store_id', req.user.store_id);
+    } else if (req.user.role === 'super_admin') {
+      const { store_id } = req.query;
+      if (store_id) {
+        console.log(`👑 Super admin filtering categories by store: ${store_id}`);
+        query = query.eq('store_id', store_id);
+      } else {
+        console.log('👑 Super admin accessing all categories');
+      }
+    }
+
+    const { data: categories, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch categories:', error.message);
+      return res.status(500).json({ 
+        error: 'Failed to fetch categories from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    console.log(`✅ Retrieved ${categories?.length || 0} categories`);
+
+    res.json({
+      categories: categories || [],
+      count: categories?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get categories error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /categories - Create new category
+router.post('/categories', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { name, description, color, icon, store_id, statutory_discount_eligible, tax_class } = req.body;
+
+    console.log(`📝 Creating category: ${name} by user ${req.user.role}:${req.user.id}`);
+
+    // Validate required fields
+    if (!name || !store_id) {
+      return res.status(400).json({ 
+        error: 'Category name and store ID are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    // Validate store access for managers
+    if (req.user.role === 'manager' && req.user.store_id) {
+      if (store_id !== req.user.store_id) {
+        return res.status(403).json({
+          error: 'Managers can only create categories for their assigned store',
+          code: 'STORE_ACCESS_DENIED'
+        });
+      }
+    }
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Create category
+    const categoryData = {
+      name: name.trim(),
+      description: description || '',
+      color: color || '#3b82f6',
+      icon: icon || 'cube-outline',
+      store_id: store_id,
+      statutory_discount_eligible: statutory_discount_eligible === true,
+      tax_class: tax_class || null,
+      is_active: true,
+      created_by: req.user.id,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    const { data: newCategory, error: insertError } = await client
+      .from('categories')
+      .insert([categoryData])
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('Database error creating category:', insertError.message);
+      return res.status(400).json({ 
+        error: 'Failed to create category',
+        code: 'DB_INSERT_ERROR',
+        details: insertError.message
+      });
+    }
+
+    console.log('✅ Category created successfully:', newCategory.name);
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category: newCategory
+    });
+
+  } catch (error) {
+    console.error('❌ Create category error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /categories/:categoryId - Update category
+router.put('/categories/:categoryId', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { categoryId } = req.params;
+    const updates = req.body;
+
+    console.log(`📝 Updating category: ${categoryId}`);
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: existingCategory } = await client
+      .from('categories')
+      .select('id, store_id')
+      .eq('id', categoryId)
+      .single();
+
+    if (!existingCategory) {
+      return res.status(404).json({ 
+        error: 'Category not found',
+        code: 'CATEGORY_NOT_FOUND'
+      });
+    }
+
+    // Validate store access for managers
+    if (req.user.role === 'manager' && req.user.store_id && existingCategory.store_id !== req.user.store_id) {
+      return res.status(403).json({
+        error: 'Managers can only update categories for their assigned store',
+        code: 'STORE_ACCESS_DENIED'
+      });
+    }
+
+    // Prepare update data
+    const updateData = {
+      ...updates,
+      updated_at: new Date().toISOString()
+    };
+
+    // Remove fields that shouldn't be updated
+    delete updateData.id;
+    delete updateData.store_id;
+    delete updateData.created_at;
+    delete updateData.created_by;
+
+    const { data: updatedCategory, error } = await client
+      .from('categories')
+      .update(updateData)
+      .eq('id', categoryId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Update category error:', error.message);
+      return res.status(400).json({ 
+        error: 'Failed to update category',
+        code: 'DB_UPDATE_ERROR',
+        details: error.message
+      });
+    }
+
+    console.log('✅ Category updated successfully:', updatedCategory.name);
+
+    res.json({
+      message: 'Category updated successfully',
+      category: updatedCategory
+    });
+
+  } catch (error) {
+    console.error('❌ Update category error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router
+};
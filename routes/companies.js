@@ -0,0 +1,1241 @@
+// ========================= COMPANIES ENDPOINTS =========================
+const express = require('express');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole } = require('../lib/auth');
+const { resolveCompanyScope } = require('../lib/scope');
+const { getCompanySettings, getTenderTypes, PRICE_TIERS } = require('../lib/settings');
+const { roundMoney } = require('../lib/money');
+const { DEFAULT_LOT_SETTINGS, EXPIRED_LOT_POLICIES, getLotSettings } = require('./lots');
+const { DEFAULT_TAX_SETTINGS } = require('./pricing');
+const { DEFAULT_LOYALTY_SETTINGS, getLoyaltySettings } = require('./loyalty');
+const { DEFAULT_LAYAWAY_SETTINGS, getLayawaySettings } = require('./layaways');
+const { DEFAULT_RECEIPT_PREFIX, DEFAULT_RECEIPT_NUMBER_LENGTH } = require('./receipts');
+
+const router = express.Router();
+
+// Add this endpoint to your server.js file
+
+// GET /companies - Fetch all companies (Super Admin only can see all, others see their own)
+router.get('/companies', authenticateToken, async (req, res) => {
+  try {
+    console.log('🔄 Get companies request received from user:', {
+      userId: req.user.id,
+      userRole: req.user.role,
+      userCompanyId: req.user.company_id
+    });
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    let query = client
+      .from('companies')
+      .select(`
+        id,
+        name,
+        description,
+        logo_url,
+        website,
+        contact_email,
+        contact_phone,
+        address,
+        tax_id,
+        email,
+        phone,
+        is_active,
+        created_at,
+        updated_at,
+        stores:stores(count)
+      `)
+      .eq('is_active', true)
+      .order('created_at', { ascending: false });
+
+    // Apply filtering based on user role
+    if (req.user.role === 'super_admin') {
+      // Super admin can see all companies
+      console.log('👑 Super admin accessing all companies');
+    } else if (req.user.company_id) {
+      // Other roles can only see their own company
+      console.log(`🏢 User accessing their company: ${req.user.company_id}`);
+      query = query.eq('id', req.user.company_id);
+    } else {
+      // If user has no company_id, return empty array
+      return res.json({
+        companies: [],
+        count: 0,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { data: companies, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch companies:', error.message);
+      return res.status(500).json({ 
+        error: 'Failed to fetch companies from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    // Format the response to include store count
+    const formattedCompanies = (companies || []).map(company => ({
+      id: company.id,
+      name: company.name,
+      description: company.description,
+      logo_url: company.logo_url,
+      website: company.website,
+      contact_email: company.contact_email,
+      contact_phone: company.contact_phone,
+      address: company.address,
+      tax_id: company.tax_id,
+      email: company.email,
+      phone: company.phone,
+      is_active: company.is_active,
+      created_at: company.created_at,
+      updated_at: company.updated_at,
+      stores_count: company.stores?.[0]?.count || 0
+    }));
+
+    console.log(`✅ Retrieved ${formattedCompanies?.length || 0} companies`);
+
+    res.json({
+      companies: formattedCompanies || [],
+      count: formattedCompanies?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get companies error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /companies - Create new company (Super Admin only)
+router.post('/companies', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const { 
+      name, 
+      description, 
+      logo_url, 
+      website, 
+      contact_email, 
+      contact_phone, 
+      address, 
+      tax_id,
+      email,
+      phone
+    } = req.body;
+
+    console.log(`📝 Creating company: ${name}`);
+
+    // Validate required fields
+    if (!name) {
+      return res.status(400).json({ 
+        error: 'Company name is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Check if company name already exists
+    const { data: existingCompany } = await client
+      .from('companies')
+      .select('id, name')
+      .eq('name', name.trim())
+      .eq('is_active', true)
+      .single();
+
+    if (existingCompany) {
+      return res.status(409).json({ 
+        error: `Company "${name}" already exists`,
+        code: 'COMPANY_EXISTS'
+      });
+    }
+
+    // Create company
+    const companyData = {
+      name: name.trim(),
+      description: description || null,
+      logo_url: logo_url || null,
+      website: website || null,
+      contact_email: contact_email || email || null,
+      contact_phone: contact_phone || phone || null,
+      address: address || null,
+      tax_id: tax_id || null,
+      email: email || null,
+      phone: phone || null,
+      settings: {},
+      is_active: true,
+      created_by: req.user.id,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    const { data: newCompany, error: insertError } = await client
+      .from('companies')
+      .insert([companyData])
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('Database error creating company:', insertError.message);
+      return res.status(400).json({ 
+        error: 'Failed to create company',
+        code: 'DB_INSERT_ERROR',
+        details: insertError.message
+      });
+    }
+
+    console.log('✅ Company created successfully:', newCompany.name);
+
+    res.status(201).json({
+      message: 'Company created successfully',
+      company: newCompany
+    });
+
+  } catch (error) {
+    console.error('❌ Create company error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /companies/:companyId - Update company (Super Admin only)
+router.put('/companies/:companyId', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const updates = req.body;
+
+    console.log(`📝 Updating company: ${companyId}`);
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Prepare update data
+    const updateData = {
+      ...updates,
+      updated_at: new Date().toISOString()
+    };
+
+    // Remove fields that shouldn't be updated
+    delete updateData.id;
+    delete updateData.created_at;
+    delete updateData.created_by;
+
+    const { data: updatedCompany, error } = await client
+      .from('companies')
+      .update(updateData)
+      .eq('id', companyId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Update company error:', error.message);
+      return res.status(400).json({ 
+        error: 'Failed to update company',
+        code: 'DB_UPDATE_ERROR',
+        details: error.message
+      });
+    }
+
+    if (!updatedCompany) {
+      return res.status(404).json({ 
+        error: 'Company not found',
+        code: 'COMPANY_NOT_FOUND'
+      });
+    }
+
+    console.log('✅ Company updated successfully:', updatedCompany.name);
+
+    res.json({
+      message: 'Company updated successfully',
+      company: updatedCompany
+    });
+
+  } catch (error) {
+    console.error('❌ Update company error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /companies/:companyId/tender-types - Tender types accepted at checkout
+router.get('/companies/:companyId/tender-types', authenticateToken, async (req, res) => {
+  try {
+    const { companyId } = req.params;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Staff see the settings of their own company, directly or through their store
+    const scope = await resolveCompanyScope(client, req, companyId);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, code: scope.code });
+    }
+
+    const settings = await getCompanySettings(client, companyId);
+
+    res.json({
+      tender_types: getTenderTypes(settings),
+      is_default: !Array.isArray(settings.tender_types) || settings.tender_types.length === 0
+    });
+
+  } catch (error) {
+    console.error('❌ Get tender types error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /companies/:companyId/tender-types - Configure accepted tender types (Super Admin only)
+router.put('/companies/:companyId/tender-types', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { tender_types } = req.body;
+
+    console.log(`📝 Updating tender types for company: ${companyId}`);
+
+    if (!Array.isArray(tender_types) || tender_types.length === 0) {
+      return res.status(400).json({
+        error: 'At least one tender type is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const seenCodes = new Set();
+    const tenderTypes = [];
+    for (const tender of tender_types) {
+      const code = typeof tender.code === 'string' ? tender.code.trim().toLowerCase() : '';
+
+      if (!code || seenCodes.has(code)) {
+        return res.status(400).json({
+          error: 'Each tender type needs a unique code',
+          code: 'INVALID_TENDER_TYPE'
+        });
+      }
+
+      seenCodes.add(code);
+      tenderTypes.push({
+        code,
+        name: tender.name?.trim() || code,
+        is_cash: !!tender.is_cash
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: company, error: companyError } = await client
+      .from('companies')
+      .select('id, settings')
+      .eq('id', companyId)
+      .single();
+
+    if (companyError || !company) {
+      return res.status(404).json({
+        error: 'Company not found',
+        code: 'COMPANY_NOT_FOUND'
+      });
+    }
+
+    const { error: updateError } = await client
+      .from('companies')
+      .update({
+        settings: {
+          ...(company.settings || {}),
+          tender_types: tenderTypes
+        },
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', companyId);
+
+    if (updateError) {
+      console.error('Update tender types error:', updateError.message);
+      return res.status(400).json({
+        error: 'Failed to update tender types',
+        code: 'DB_UPDATE_ERROR',
+        details: updateError.message
+      });
+    }
+
+    console.log(`✅ Tender types updated for company ${companyId}:`, tenderTypes.map(tender => tender.code));
+
+    res.json({
+      message: 'Tender types updated successfully',
+      tender_types: tenderTypes
+    });
+
+  } catch (error) {
+    console.error('❌ Update tender types error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /companies/:companyId/price-tiers - Configure company and per-store default price tiers (Super Admin only)
+router.put('/companies/:companyId/price-tiers', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { default_price_tier, store_price_tiers = {} } = req.body;
+
+    console.log(`📝 Updating price tiers for company: ${companyId}`);
+
+    const tiers = [default_price_tier, ...Object.values(store_price_tiers || {})].filter(tier => tier !== undefined && tier !== null);
+    if (typeof store_price_tiers !== 'object' || tiers.some(tier => !PRICE_TIERS.includes(tier))) {
+      return res.status(400).json({
+        error: `Price tiers must be one of: ${PRICE_TIERS.join(', ')}`,
+        code: 'INVALID_PRICE_TIER'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: company, error: companyError } = await client
+      .from('companies')
+      .select('id, settings')
+      .eq('id', companyId)
+      .single();
+
+    if (companyError || !company) {
+      return res.status(404).json({
+        error: 'Company not found',
+        code: 'COMPANY_NOT_FOUND'
+      });
+    }
+
+    const settings = {
+      ...(company.settings || {}),
+      default_price_tier: default_price_tier || 'default',
+      store_price_tiers: store_price_tiers || {}
+    };
+
+    const { error: updateError } = await client
+      .from('companies')
+      .update({
+        settings,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', companyId);
+
+    if (updateError) {
+      console.error('Update price tiers error:', updateError.message);
+      return res.status(400).json({
+        error: 'Failed to update price tiers',
+        code: 'DB_UPDATE_ERROR',
+        details: updateError.message
+      });
+    }
+
+    console.log(`✅ Price tiers updated for company ${companyId}`);
+
+    res.json({
+      message: 'Price tiers updated successfully',
+      default_price_tier: settings.default_price_tier,
+      store_price_tiers: settings.store_price_tiers
+    });
+
+  } catch (error) {
+    console.error('❌ Update price tiers error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Validate tax settings and normalise them for companies.settings.tax
+const normalizeTaxSettings = (input) => {
+  const invalid = (error) => ({ error, code: 'INVALID_TAX_SETTINGS' });
+  const isRate = (rate) => typeof rate === 'number' && rate >= 0 && rate <= 100;
+
+  if (!input.classes || typeof input.classes !== 'object' || Object.keys(input.classes).length === 0) {
+    return invalid('At least one tax class is required');
+  }
+
+  const classes = {};
+  for (const [rawCode, taxClass] of Object.entries(input.classes)) {
+    const code = rawCode.trim().toLowerCase();
+    if (!code || !taxClass || !isRate(taxClass.rate)) {
+      return invalid(`Tax class "${rawCode}" needs a rate between 0 and 100`);
+    }
+
+    classes[code] = {
+      name: taxClass.name?.trim() || code,
+      rate: taxClass.rate,
+      exempt: !!taxClass.exempt
+    };
+  }
+
+  const defaultClass = input.default_class ? String(input.default_class).trim().toLowerCase() : Object.keys(classes)[0];
+  if (!classes[defaultClass]) {
+    return invalid('Default tax class must be one of the configured classes');
+  }
+
+  const stores = {};
+  for (const [storeId, storeTax] of Object.entries(input.stores || {})) {
+    const rates = {};
+    for (const [code, rate] of Object.entries(storeTax?.rates || {})) {
+      if (!classes[code] || !isRate(rate)) {
+        return invalid(`Store ${storeId} has an invalid rate for tax class "${code}"`);
+      }
+      rates[code] = rate;
+    }
+
+    stores[storeId] = { rates };
+    if (typeof storeTax?.prices_include_tax === 'boolean') {
+      stores[storeId].prices_include_tax = storeTax.prices_include_tax;
+    }
+  }
+
+  return {
+    tax: {
+      prices_include_tax: input.prices_include_tax !== false,
+      default_class: defaultClass,
+      classes,
+      stores
+    }
+  };
+};
+
+// GET /companies/:companyId/tax-settings - Tax classes, rates and price entry mode
+router.get('/companies/:companyId/tax-settings', authenticateToken, async (req, res) => {
+  try {
+    const { companyId } = req.params;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Staff see the settings of their own company, directly or through their store
+    const scope = await resolveCompanyScope(client, req, companyId);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, code: scope.code });
+    }
+
+    const settings = await getCompanySettings(client, companyId);
+
+    res.json({
+      tax: settings.tax || DEFAULT_TAX_SETTINGS,
+      is_default: !settings.tax
+    });
+
+  } catch (error) {
+    console.error('❌ Get tax settings error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /companies/:companyId/tax-settings - Configure tax classes and company/store rates (Super Admin only)
+router.put('/companies/:companyId/tax-settings', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+
+    console.log(`📝 Updating tax settings for company: ${companyId}`);
+
+    const { tax, error: validationError, code } = normalizeTaxSettings(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError, code });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: company, error: companyError } = await client
+      .from('companies')
+      .select('id, settings')
+      .eq('id', companyId)
+      .single();
+
+    if (companyError || !company) {
+      return res.status(404).json({
+        error: 'Company not found',
+        code: 'COMPANY_NOT_FOUND'
+      });
+    }
+
+    const { error: updateError } = await client
+      .from('companies')
+      .update({
+        settings: {
+          ...(company.settings || {}),
+          tax
+        },
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', companyId);
+
+    if (updateError) {
+      console.error('Update tax settings error:', updateError.message);
+      return res.status(400).json({
+        error: 'Failed to update tax settings',
+        code: 'DB_UPDATE_ERROR',
+        details: updateError.message
+      });
+    }
+
+    console.log(`✅ Tax settings updated for company ${companyId}:`, Object.keys(tax.classes));
+
+    res.json({
+      message: 'Tax settings updated successfully',
+      tax
+    });
+
+  } catch (error) {
+    console.error('❌ Update tax settings error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Validate a loyalty program configuration
+const normalizeLoyaltySettings = (input) => {
+  const invalid = (error) => ({ error, code: 'INVALID_LOYALTY_SETTINGS' });
+
+  const earnRate = input.earn_rate ?? DEFAULT_LOYALTY_SETTINGS.earn_rate;
+  const pointValue = input.point_value ?? DEFAULT_LOYALTY_SETTINGS.point_value;
+  const expiryMonths = input.expiry_months ?? DEFAULT_LOYALTY_SETTINGS.expiry_months;
+
+  if (typeof earnRate !== 'number' || earnRate < 0) {
+    return invalid('Earn rate must be a number of points per peso, zero or more');
+  }
+
+  if (typeof pointValue !== 'number' || pointValue <= 0) {
+    return invalid('Point value must be a peso amount greater than zero');
+  }
+
+  if (!Number.isInteger(expiryMonths) || expiryMonths < 0) {
+    return invalid('Expiry months must be a whole number, zero for points that never expire');
+  }
+
+  const excludedCategories = input.excluded_categories ?? [];
+  if (!Array.isArray(excludedCategories)) {
+    return invalid('Excluded categories must be a list of category IDs');
+  }
+
+  const tiers = [];
+  for (const tier of input.tiers ?? DEFAULT_LOYALTY_SETTINGS.tiers) {
+    const code = tier?.code ? String(tier.code).trim().toLowerCase() : '';
+    if (!code || !Number.isInteger(tier.min_points) || tier.min_points < 0 || typeof tier.multiplier !== 'number' || tier.multiplier < 0) {
+      return invalid(`Tier "${tier?.code}" needs a code, whole min_points and a multiplier`);
+    }
+    if (tiers.some(existing => existing.code === code)) {
+      return invalid(`Tier "${code}" is listed more than once`);
+    }
+    tiers.push({ code, name: tier.name?.trim() || code, min_points: tier.min_points, multiplier: tier.multiplier });
+  }
+
+  // Every member has to land in some tier
+  if (!tiers.some(tier => tier.min_points === 0)) {
+    return invalid('One tier must start at 0 points');
+  }
+
+  return {
+    loyalty: {
+      enabled: input.enabled !== false,
+      earn_rate: earnRate,
+      point_value: pointValue,
+      expiry_months: expiryMonths,
+      excluded_categories: excludedCategories,
+      tiers: tiers.sort((a, b) => a.min_points - b.min_points)
+    }
+  };
+};
+
+// GET /companies/:companyId/loyalty-settings - Loyalty earn rate, tiers and expiry rules
+router.get('/companies/:companyId/loyalty-settings', authenticateToken, async (req, res) => {
+  try {
+    const { companyId } = req.params;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Staff see the settings of their own company, directly or through their store
+    const scope = await resolveCompanyScope(client, req, companyId);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, code: scope.code });
+    }
+
+    const settings = await getCompanySettings(client, companyId);
+
+    res.json({
+      loyalty: getLoyaltySettings(settings),
+      is_default: !settings.loyalty
+    });
+
+  } catch (error) {
+    console.error('❌ Get loyalty settings error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /companies/:companyId/loyalty-settings - Configure the loyalty program (Super Admin only)
+router.put('/companies/:companyId/loyalty-settings', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+
+    console.log(`📝 Updating loyalty settings for company: ${companyId}`);
+
+    const { loyalty, error: validationError, code } = normalizeLoyaltySettings(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError, code });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: company, error: companyError } = await client
+      .from('companies')
+      .select('id, settings')
+      .eq('id', companyId)
+      .single();
+
+    if (companyError || !company) {
+      return res.status(404).json({
+        error: 'Company not found',
+        code: 'COMPANY_NOT_FOUND'
+      });
+    }
+
+    const { error: updateError } = await client
+      .from('companies')
+      .update({
+        settings: {
+          ...(company.settings || {}),
+          loyalty
+        },
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', companyId);
+
+    if (updateError) {
+      console.error('Update loyalty settings error:', updateError.message);
+      return res.status(400).json({
+        error: 'Failed to update loyalty settings',
+        code: 'DB_UPDATE_ERROR',
+        details: updateError.message
+      });
+    }
+
+    console.log(`✅ Loyalty settings updated for company ${companyId}`);
+
+    res.json({
+      message: 'Loyalty settings updated successfully',
+      loyalty
+    });
+
+  } catch (error) {
+    console.error('❌ Update loyalty settings error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Validate layaway deposit, forfeiture and term rules
+const normalizeLayawaySettings = (input) => {
+  const invalid = (error) => ({ error, code: 'INVALID_LAYAWAY_SETTINGS' });
+  const isPercent = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+
+  const layaway = { ...DEFAULT_LAYAWAY_SETTINGS, ...input };
+
+  if (!isPercent(layaway.min_deposit_percent)) {
+    return invalid('Minimum deposit must be a percentage between 0 and 100');
+  }
+
+  if (!isPercent(layaway.forfeiture_percent)) {
+    return invalid('Forfeiture fee must be a percentage between 0 and 100');
+  }
+
+  if (typeof layaway.forfeiture_min_amount !== 'number' || layaway.forfeiture_min_amount < 0) {
+    return invalid('Minimum forfeiture fee cannot be negative');
+  }
+
+  if (!Number.isInteger(layaway.max_days) || layaway.max_days < 1) {
+    return invalid('Layaway term must be at least one day');
+  }
+
+  return {
+    layaway: {
+      min_deposit_percent: layaway.min_deposit_percent,
+      forfeiture_percent: layaway.forfeiture_percent,
+      forfeiture_min_amount: roundMoney(layaway.forfeiture_min_amount),
+      max_days: layaway.max_days
+    }
+  };
+};
+
+// GET /companies/:companyId/layaway-settings - Layaway deposit, forfeiture and term rules
+router.get('/companies/:companyId/layaway-settings', authenticateToken, async (req, res) => {
+  try {
+    const { companyId } = req.params;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Staff see the settings of their own company, directly or through their store
+    const scope = await resolveCompanyScope(client, req, companyId);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, code: scope.code });
+    }
+
+    const settings = await getCompanySettings(client, companyId);
+
+    res.json({
+      layaway: getLayawaySettings(settings),
+      is_default: !settings.layaway
+    });
+
+  } catch (error) {
+    console.error('❌ Get layaway settings error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /companies/:companyId/layaway-settings - Configure layaway rules (Super Admin only)
+router.put('/companies/:companyId/layaway-settings', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+
+    console.log(`📝 Updating layaway settings for company: ${companyId}`);
+
+    const { layaway, error: validationError, code } = normalizeLayawaySettings(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError, code });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: company, error: companyError } = await client
+      .from('companies')
+      .select('id, settings')
+      .eq('id', companyId)
+      .single();
+
+    if (companyError || !company) {
+      return res.status(404).json({
+        error: 'Company not found',
+        code: 'COMPANY_NOT_FOUND'
+      });
+    }
+
+    const { error: updateError } = await client
+      .from('companies')
+      .update({
+        settings: {
+          ...(company.settings || {}),
+          layaway
+        },
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', companyId);
+
+    if (updateError) {
+      console.error('Update layaway settings error:', updateError.message);
+      return res.status(400).json({
+        error: 'Failed to update layaway settings',
+        code: 'DB_UPDATE_ERROR',
+        details: updateError.message
+      });
+    }
+
+    console.log(`✅ Layaway settings updated for company ${companyId}`);
+
+    res.json({
+      message: 'Layaway settings updated successfully',
+      layaway
+    });
+
+  } catch (error) {
+    console.error('❌ Update layaway settings error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Validate the expired-lot policy
+const normalizeLotSettings = (input) => {
+  const lots = { ...DEFAULT_LOT_SETTINGS, ...input };
+
+  if (!EXPIRED_LOT_POLICIES.includes(lots.expired_lot_policy)) {
+    return {
+      error: `Expired lot policy must be one of: ${EXPIRED_LOT_POLICIES.join(', ')}`,
+      code: 'INVALID_LOT_SETTINGS'
+    };
+  }
+
+  return {
+    lots: {
+      expired_lot_policy: lots.expired_lot_policy
+    }
+  };
+};
+
+// GET /companies/:companyId/lot-settings - What happens when expired stock would be sold
+router.get('/companies/:companyId/lot-settings', authenticateToken, async (req, res) => {
+  try {
+    const { companyId } = req.params;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Staff see the settings of their own company, directly or through their store
+    const scope = await resolveCompanyScope(client, req, companyId);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, code: scope.code });
+    }
+
+    const settings = await getCompanySettings(client, companyId);
+
+    res.json({
+      lots: getLotSettings(settings),
+      is_default: !settings.lots
+    });
+
+  } catch (error) {
+    console.error('❌ Get lot settings error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /companies/:companyId/lot-settings - Block or only warn on expired stock (Super Admin only)
+router.put('/companies/:companyId/lot-settings', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+
+    console.log(`📝 Updating lot settings for company: ${companyId}`);
+
+    const { lots, error: validationError, code } = normalizeLotSettings(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError, code });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: company, error: companyError } = await client
+      .from('companies')
+      .select('id, settings')
+      .eq('id', companyId)
+      .single();
+
+    if (companyError || !company) {
+      return res.status(404).json({
+        error: 'Company not found',
+        code: 'COMPANY_NOT_FOUND'
+      });
+    }
+
+    const { error: updateError } = await client
+      .from('companies')
+      .update({
+        settings: {
+          ...(company.settings || {}),
+          lots
+        },
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', companyId);
+
+    if (updateError) {
+      console.error('Update lot settings error:', updateError.message);
+      return res.status(400).json({
+        error: 'Failed to update lot settings',
+        code: 'DB_UPDATE_ERROR',
+        details: updateError.message
+      });
+    }
+
+    console.log(`✅ Lot settings updated for company ${companyId}`);
+
+    res.json({
+      message: 'Lot settings updated successfully',
+      lots
+    });
+
+  } catch (error) {
+    console.error('❌ Update lot settings error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /companies/:companyId/receipt-settings - Configure receipt prefixes, headers and footers per store (Super Admin only)
+router.put('/companies/:companyId/receipt-settings', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { prefix, number_length, stores = {} } = req.body;
+
+    console.log(`📝 Updating receipt settings for company: ${companyId}`);
+
+    const prefixPattern = /^[A-Za-z0-9]{1,10}$/;
+    const storePrefixes = Object.values(stores || {}).map(store => store?.prefix).filter(Boolean);
+    if ((prefix && !prefixPattern.test(prefix)) || storePrefixes.some(storePrefix => !prefixPattern.test(storePrefix))) {
+      return res.status(400).json({
+        error: 'Receipt prefixes must be 1 to 10 letters or numbers',
+        code: 'INVALID_RECEIPT_SETTINGS'
+      });
+    }
+
+    if (number_length !== undefined && !(Number.isInteger(number_length) && number_length >= 4 && number_length <= 12)) {
+      return res.status(400).json({
+        error: 'Receipt number length must be a whole number from 4 to 12',
+        code: 'INVALID_RECEIPT_SETTINGS'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: company, error: companyError } = await client
+      .from('companies')
+      .select('id, settings')
+      .eq('id', companyId)
+      .single();
+
+    if (companyError || !company) {
+      return res.status(404).json({
+        error: 'Company not found',
+        code: 'COMPANY_NOT_FOUND'
+      });
+    }
+
+    const currentReceipts = company.settings?.receipts || {};
+    const receipts = {
+      ...currentReceipts,
+      prefix: prefix ? prefix.toUpperCase() : currentReceipts.prefix || DEFAULT_RECEIPT_PREFIX,
+      number_length: number_length || currentReceipts.number_length || DEFAULT_RECEIPT_NUMBER_LENGTH,
+      stores: { ...(currentReceipts.stores || {}) }
+    };
+
+    // Only the store fields sent are changed; header and footer are printed on rendered receipts
+    Object.entries(stores || {}).forEach(([storeId, store]) => {
+      const storeReceipts = { ...(receipts.stores[storeId] || {}) };
+      if (store?.prefix !== undefined) {
+        storeReceipts.prefix = store.prefix ? store.prefix.toUpperCase() : null;
+      }
+      ['header', 'footer'].forEach(field => {
+        if (store?.[field] !== undefined) {
+          storeReceipts[field] = store[field] || null;
+        }
+      });
+      receipts.stores[storeId] = storeReceipts;
+    });
+
+    const { error: updateError } = await client
+      .from('companies')
+      .update({
+        settings: {
+          ...(company.settings || {}),
+          receipts
+        },
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', companyId);
+
+    if (updateError) {
+      console.error('Update receipt settings error:', updateError.message);
+      return res.status(400).json({
+        error: 'Failed to update receipt settings',
+        code: 'DB_UPDATE_ERROR',
+        details: updateError.message
+      });
+    }
+
+    console.log(`✅ Receipt settings updated for company ${companyId}`);
+
+    res.json({
+      message: 'Receipt settings updated successfully',
+      receipts
+    });
+
+  } catch (error) {
+    console.error('❌ Update receipt settings error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// DELETE /companies/:companyId - Delete company (Super Admin only - soft delete)
+router.delete('/companies/:companyId', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+
+    console.log(`🗑️ Deleting company: ${companyId}`);
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: deletedCompany, error } = await client
+      .from('companies')
+      .update({ 
+        is_active: false,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', companyId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Delete company error:', error.message);
+      return res.status(400).json({ 
+        error: 'Failed to delete company',
+        code: 'DB_DELETE_ERROR'
+      });
+    }
+
+    if (!deletedCompany) {
+      return res.status(404).json({ 
+        error: 'Company not found',
+        code: 'COMPANY_NOT_FOUND'
+      });
+    }
+
+    console.log('✅ Company deleted successfully:', deletedCompany.name);
+
+    res.json({
+      message: 'Company deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Delete company error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router
+};
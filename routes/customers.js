@@ -0,0 +1,886 @@
+// ========================= CUSTOMERS ENDPOINTS =========================
+const express = require('express');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole, OVERRIDE_USER_ROLES } = require('../lib/auth');
+const { resolveRequestStore, resolveCompanyScope } = require('../lib/scope');
+const { getCompanySettings, getTenderTypes, PRICE_TIERS } = require('../lib/settings');
+const { roundMoney } = require('../lib/money');
+const { findOpenDrawer, recordDrawerMovement } = require('./cash-drawers');
+
+const router = express.Router();
+
+// Charge sales are paid from the customer's credit account instead of a till tender
+const CHARGE_TENDER = { code: 'charge', name: 'Charge account', is_cash: false };
+
+// Load an active customer the user's company owns
+async function fetchCustomer(client, req, customerId) {
+  const { data: customer, error } = await client
+    .from('customers')
+    .select('*')
+    .eq('id', customerId)
+    .eq('is_active', true)
+    .single();
+
+  if (error || !customer) {
+    return { status: 404, error: 'Customer not found', code: 'CUSTOMER_NOT_FOUND' };
+  }
+
+  if (req.user.role !== 'super_admin') {
+    const scope = await resolveCompanyScope(client, req, customer.company_id);
+    if (scope.error) {
+      return scope;
+    }
+  }
+
+  return { customer };
+}
+
+const normalizePhone = (phone) => (phone ? String(phone).replace(/[\s()-]/g, '') : null);
+
+// Customer fields anyone at the till may set; credit terms are manager-only
+const customerFields = (input) => {
+  const fields = {};
+  if (input.name !== undefined) fields.name = String(input.name || '').trim();
+  if (input.phone !== undefined) fields.phone = normalizePhone(input.phone);
+  if (input.email !== undefined) fields.email = input.email ? String(input.email).trim().toLowerCase() : null;
+  if (input.address !== undefined) fields.address = input.address || null;
+  if (input.notes !== undefined) fields.notes = input.notes || '';
+  if (input.price_tier !== undefined) fields.price_tier = input.price_tier || null;
+  return fields;
+};
+
+// Phone numbers identify customers at the till, so they must be unique per company
+async function customerPhoneTaken(client, companyId, phone, exceptId = null) {
+  if (!phone) {
+    return false;
+  }
+
+  let query = client
+    .from('customers')
+    .select('id')
+    .eq('company_id', companyId)
+    .eq('phone', phone)
+    .eq('is_active', true);
+
+  if (exceptId) {
+    query = query.neq('id', exceptId);
+  }
+
+  const { data } = await query;
+  return (data || []).length > 0;
+}
+
+// Post an entry to a customer's credit account. Positive amounts raise the
+// balance owed (charges), negative ones lower it (payments, refunds). The
+// balance only moves if it is unchanged since it was read, and every move is
+// written to customer_credit_transactions with the balance it left.
+async function postCreditTransaction(client, { customerId, type, amount, userId, storeId = null, saleId = null, reference = null, notes = '', enforceLimit = false }) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const { data: customer } = await client
+      .from('customers')
+      .select('id, company_id, credit_enabled, credit_limit, credit_balance')
+      .eq('id', customerId)
+      .single();
+
+    if (!customer) {
+      return { success: false, status: 404, error: 'Customer not found', code: 'CUSTOMER_NOT_FOUND' };
+    }
+
+    const previousBalance = Number(customer.credit_balance || 0);
+    const newBalance = roundMoney(previousBalance + amount);
+
+    if (enforceLimit && amount > 0 && newBalance > Number(customer.credit_limit || 0)) {
+      return {
+        success: false,
+        status: 409,
+        error: 'Charge would exceed the customer\'s credit limit',
+        code: 'CREDIT_LIMIT_EXCEEDED',
+        credit_limit: Number(customer.credit_limit || 0),
+        credit_balance: previousBalance,
+        available_credit: roundMoney(Number(customer.credit_limit || 0) - previousBalance)
+      };
+    }
+
+    const { data: updated, error: updateError } = await client
+      .from('customers')
+      .update({
+        credit_balance: newBalance,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', customer.id)
+      .eq('credit_balance', customer.credit_balance || 0)
+      .select('id');
+
+    if (updateError) {
+      console.error('Error updating credit balance:', updateError.message);
+      return { success: false, status: 500, error: 'Failed to update credit balance', code: 'DB_UPDATE_ERROR' };
+    }
+
+    if (!updated || updated.length === 0) {
+      continue;
+    }
+
+    const { data: transaction, error: transactionError } = await client
+      .from('customer_credit_transactions')
+      .insert([{
+        customer_id: customer.id,
+        company_id: customer.company_id,
+        store_id: storeId,
+        sale_id: saleId,
+        transaction_type: type,
+        amount: roundMoney(amount),
+        balance_after: newBalance,
+        reference,
+        notes,
+        created_by: userId,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (transactionError) {
+      console.error(`❌ Credit balance of ${customer.id} moved to ${newBalance} but not recorded:`, transactionError.message);
+    }
+
+    return { success: true, transaction, balance: newBalance };
+  }
+
+  return { success: false, status: 409, error: 'Credit account is busy, please retry', code: 'CREDIT_ACCOUNT_CONFLICT' };
+}
+
+// Add a completed transaction to a customer's purchase history
+async function recordCustomerPurchase(client, { customer, storeId, saleId = null, orNumber = null, reference = null, total, itemCount, items = [], purchasedAt = null, userId }) {
+  const { data: purchase, error } = await client
+    .from('customer_purchases')
+    .insert([{
+      customer_id: customer.id,
+      company_id: customer.company_id,
+      store_id: storeId,
+      sale_id: saleId,
+      or_number: orNumber,
+      reference,
+      total: roundMoney(total),
+      item_count: itemCount,
+      items,
+      status: 'completed',
+      purchased_at: purchasedAt || new Date().toISOString(),
+      created_by: userId,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error recording customer purchase:', error.message);
+    return { error: error.message };
+  }
+
+  await client
+    .from('customers')
+    .update({
+      last_purchase_at: purchase.purchased_at,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', customer.id);
+
+  return { purchase };
+}
+
+// GET /customers - Search the company's customers by name, phone or email
+router.get('/customers', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { search, limit = 50 } = req.query;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const scope = await resolveCompanyScope(client, req, req.query.company_id);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, code: scope.code });
+    }
+
+    let query = client
+      .from('customers')
+      .select('*')
+      .eq('company_id', scope.companyId)
+      .eq('is_active', true)
+      .order('name', { ascending: true })
+      .limit(parseInt(limit));
+
+    if (search) {
+      const phoneSearch = normalizePhone(search);
+      query = query.or(`name.ilike.%${search}%,phone.ilike.%${phoneSearch}%,email.ilike.%${search}%`);
+    }
+
+    const { data: customers, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch customers:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch customers from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    res.json({
+      customers: customers || [],
+      count: customers?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get customers error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /customers - Create a customer
+router.post('/customers', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const fields = customerFields(req.body);
+    const { credit_enabled = false, credit_limit = 0 } = req.body;
+
+    console.log(`📝 Creating customer: ${fields.name} by user ${req.user.role}:${req.user.id}`);
+
+    if (!fields.name) {
+      return res.status(400).json({
+        error: 'Customer name is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    if (fields.price_tier && !PRICE_TIERS.includes(fields.price_tier)) {
+      return res.status(400).json({
+        error: `Price tier must be one of: ${PRICE_TIERS.join(', ')}`,
+        code: 'INVALID_PRICE_TIER'
+      });
+    }
+
+    // Only managers open credit accounts
+    if ((credit_enabled || Number(credit_limit) > 0) && !OVERRIDE_USER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        error: 'Only managers can open credit accounts',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    if (!(Number(credit_limit) >= 0)) {
+      return res.status(400).json({
+        error: 'Credit limit cannot be negative',
+        code: 'INVALID_CREDIT_LIMIT'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const scope = await resolveCompanyScope(client, req, req.body.company_id);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, code: scope.code });
+    }
+
+    if (await customerPhoneTaken(client, scope.companyId, fields.phone)) {
+      return res.status(409).json({
+        error: `A customer with phone "${fields.phone}" already exists`,
+        code: 'CUSTOMER_EXISTS'
+      });
+    }
+
+    const { data: customer, error: insertError } = await client
+      .from('customers')
+      .insert([{
+        ...fields,
+        company_id: scope.companyId,
+        credit_enabled: !!credit_enabled,
+        credit_limit: roundMoney(credit_limit),
+        credit_balance: 0,
+        is_active: true,
+        created_by: req.user.id,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('Database error creating customer:', insertError.message);
+      return res.status(400).json({
+        error: 'Failed to create customer',
+        code: 'DB_INSERT_ERROR',
+        details: insertError.message
+      });
+    }
+
+    console.log('✅ Customer created successfully:', customer.name);
+
+    res.status(201).json({
+      message: 'Customer created successfully',
+      customer
+    });
+
+  } catch (error) {
+    console.error('❌ Create customer error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /customers/:customerId - Fetch one customer
+router.get('/customers/:customerId', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { customer, status, error, code } = await fetchCustomer(client, req, req.params.customerId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    res.json({
+      customer: {
+        ...customer,
+        available_credit: customer.credit_enabled ? roundMoney(Number(customer.credit_limit) - Number(customer.credit_balance)) : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get customer error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /customers/:customerId - Update a customer (credit terms are manager-only)
+router.put('/customers/:customerId', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const { credit_enabled, credit_limit } = req.body;
+
+    console.log(`📝 Updating customer: ${customerId}`);
+
+    const updateData = customerFields(req.body);
+
+    if (updateData.name !== undefined && !updateData.name) {
+      return res.status(400).json({
+        error: 'Customer name is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    if (updateData.price_tier && !PRICE_TIERS.includes(updateData.price_tier)) {
+      return res.status(400).json({
+        error: `Price tier must be one of: ${PRICE_TIERS.join(', ')}`,
+        code: 'INVALID_PRICE_TIER'
+      });
+    }
+
+    if (credit_enabled !== undefined || credit_limit !== undefined) {
+      if (!OVERRIDE_USER_ROLES.includes(req.user.role)) {
+        return res.status(403).json({
+          error: 'Only managers can change credit terms',
+          code: 'INSUFFICIENT_PERMISSIONS'
+        });
+      }
+
+      if (credit_limit !== undefined && !(Number(credit_limit) >= 0)) {
+        return res.status(400).json({
+          error: 'Credit limit cannot be negative',
+          code: 'INVALID_CREDIT_LIMIT'
+        });
+      }
+
+      if (credit_enabled !== undefined) updateData.credit_enabled = !!credit_enabled;
+      if (credit_limit !== undefined) updateData.credit_limit = roundMoney(credit_limit);
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const existing = await fetchCustomer(client, req, customerId);
+    if (existing.error) {
+      return res.status(existing.status).json({ error: existing.error, code: existing.code });
+    }
+
+    if (updateData.phone && await customerPhoneTaken(client, existing.customer.company_id, updateData.phone, customerId)) {
+      return res.status(409).json({
+        error: `A customer with phone "${updateData.phone}" already exists`,
+        code: 'CUSTOMER_EXISTS'
+      });
+    }
+
+    const { data: customer, error } = await client
+      .from('customers')
+      .update({
+        ...updateData,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', customerId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Update customer error:', error.message);
+      return res.status(400).json({
+        error: 'Failed to update customer',
+        code: 'DB_UPDATE_ERROR',
+        details: error.message
+      });
+    }
+
+    console.log('✅ Customer updated successfully:', customer.name);
+
+    res.json({
+      message: 'Customer updated successfully',
+      customer
+    });
+
+  } catch (error) {
+    console.error('❌ Update customer error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// DELETE /customers/:customerId - Delete a customer (soft delete)
+router.delete('/customers/:customerId', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { customerId } = req.params;
+
+    console.log(`🗑️ Deleting customer: ${customerId}`);
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const existing = await fetchCustomer(client, req, customerId);
+    if (existing.error) {
+      return res.status(existing.status).json({ error: existing.error, code: existing.code });
+    }
+
+    // An account with money owed has to be settled first
+    if (Number(existing.customer.credit_balance) > 0) {
+      return res.status(409).json({
+        error: 'Customer still has an outstanding credit balance',
+        code: 'OUTSTANDING_BALANCE',
+        credit_balance: Number(existing.customer.credit_balance)
+      });
+    }
+
+    const { error } = await client
+      .from('customers')
+      .update({
+        is_active: false,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', customerId);
+
+    if (error) {
+      console.error('Delete customer error:', error.message);
+      return res.status(400).json({
+        error: 'Failed to delete customer',
+        code: 'DB_DELETE_ERROR'
+      });
+    }
+
+    console.log('✅ Customer deleted successfully:', existing.customer.name);
+
+    res.json({
+      message: 'Customer deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Delete customer error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /customers/:customerId/purchases - Purchase history of a customer
+router.get('/customers/:customerId/purchases', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { from, to, limit = 100 } = req.query;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { customer, status, error, code } = await fetchCustomer(client, req, req.params.customerId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    let query = client
+      .from('customer_purchases')
+      .select('*')
+      .eq('customer_id', customer.id)
+      .order('purchased_at', { ascending: false })
+      .limit(parseInt(limit));
+
+    if (from) {
+      query = query.gte('purchased_at', from);
+    }
+    if (to) {
+      query = query.lte('purchased_at', to);
+    }
+
+    const { data: purchases, error: purchasesError } = await query;
+
+    if (purchasesError) {
+      console.error('❌ Failed to fetch customer purchases:', purchasesError.message);
+      return res.status(500).json({
+        error: 'Failed to fetch purchases from database',
+        code: 'DB_ERROR',
+        details: purchasesError.message
+      });
+    }
+
+    res.json({
+      purchases: purchases || [],
+      total_spent: roundMoney((purchases || []).filter(purchase => purchase.status !== 'voided').reduce((sum, purchase) => sum + Number(purchase.total), 0)),
+      count: purchases?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get customer purchases error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /customers/:customerId/purchases - Post a completed transaction into a customer's history
+router.post('/customers/:customerId/purchases', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { store_id, sale_id, or_number, reference, total, items = [], purchased_at } = req.body;
+
+    const storeScope = resolveRequestStore(req, store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    if (!(Number(total) >= 0) || !Array.isArray(items)) {
+      return res.status(400).json({
+        error: 'A purchase needs a total and a list of items',
+        code: 'INVALID_PURCHASE'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { customer, status, error, code } = await fetchCustomer(client, req, req.params.customerId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    // A recorded sale can only be posted once
+    if (sale_id) {
+      const { data: existing } = await client
+        .from('customer_purchases')
+        .select('id')
+        .eq('sale_id', sale_id);
+
+      if ((existing || []).length > 0) {
+        return res.status(409).json({
+          error: 'This sale is already in a customer\'s purchase history',
+          code: 'PURCHASE_EXISTS'
+        });
+      }
+    }
+
+    const { purchase, error: purchaseError } = await recordCustomerPurchase(client, {
+      customer,
+      storeId: storeScope.storeId,
+      saleId: sale_id || null,
+      orNumber: or_number || null,
+      reference: reference || null,
+      total: Number(total),
+      itemCount: items.reduce((sum, item) => sum + (Number(item.quantity) || 0), 0),
+      items,
+      purchasedAt: purchased_at,
+      userId: req.user.id
+    });
+
+    if (purchaseError) {
+      return res.status(400).json({
+        error: 'Failed to record purchase',
+        code: 'DB_INSERT_ERROR',
+        details: purchaseError
+      });
+    }
+
+    res.status(201).json({
+      message: 'Purchase recorded successfully',
+      purchase
+    });
+
+  } catch (error) {
+    console.error('❌ Create customer purchase error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /customers/:customerId/credit/payments - Take a payment against a credit account balance
+router.post('/customers/:customerId/credit/payments', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { store_id, amount, tender_type = 'cash', drawer_id, reference, notes = '' } = req.body;
+    const paymentAmount = roundMoney(amount);
+
+    if (!(paymentAmount > 0)) {
+      return res.status(400).json({
+        error: 'Payment amount must be greater than zero',
+        code: 'INVALID_PAYMENT_AMOUNT'
+      });
+    }
+
+    const storeScope = resolveRequestStore(req, store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { customer, status, error, code } = await fetchCustomer(client, req, req.params.customerId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    if (paymentAmount > Number(customer.credit_balance || 0)) {
+      return res.status(400).json({
+        error: 'Payment is more than the balance owed',
+        code: 'PAYMENT_EXCEEDS_BALANCE',
+        credit_balance: Number(customer.credit_balance || 0)
+      });
+    }
+
+    const tender = getTenderTypes(await getCompanySettings(client, customer.company_id)).find(type => type.code === tender_type);
+    if (!tender) {
+      return res.status(400).json({
+        error: `Unknown tender type "${tender_type}"`,
+        code: 'INVALID_TENDER_TYPE'
+      });
+    }
+
+    // Cash received goes into the named drawer or the user's open one
+    const drawerLookup = await findOpenDrawer(client, {
+      drawerId: drawer_id,
+      storeId: storeScope.storeId,
+      userId: req.user.id
+    });
+
+    if (drawerLookup.error) {
+      return res.status(400).json({
+        error: drawerLookup.error,
+        code: drawerLookup.code
+      });
+    }
+
+    const result = await postCreditTransaction(client, {
+      customerId: customer.id,
+      type: 'payment',
+      amount: -paymentAmount,
+      userId: req.user.id,
+      storeId: storeScope.storeId,
+      reference: reference || tender.code,
+      notes
+    });
+
+    if (!result.success) {
+      const { success, status: postStatus, ...body } = result;
+      return res.status(postStatus).json(body);
+    }
+
+    if (tender.is_cash && drawerLookup.drawer) {
+      await recordDrawerMovement(client, {
+        drawer: drawerLookup.drawer,
+        movementType: 'credit_payment',
+        amount: paymentAmount,
+        userId: req.user.id,
+        notes: `Credit payment from ${customer.name}`,
+        referenceType: 'customer_credit_transaction',
+        referenceId: result.transaction?.id || null
+      });
+    }
+
+    console.log(`✅ Credit payment of ${paymentAmount} from customer ${customer.id}`);
+
+    res.status(201).json({
+      message: 'Payment recorded successfully',
+      transaction: result.transaction,
+      credit_balance: result.balance
+    });
+
+  } catch (error) {
+    console.error('❌ Credit payment error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /customers/:customerId/statement - Credit account statement for a period
+router.get('/customers/:customerId/statement', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { customer, status, error, code } = await fetchCustomer(client, req, req.params.customerId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    // The balance carried into the period is what the last earlier entry left
+    let openingBalance = 0;
+    if (from) {
+      const { data: previous } = await client
+        .from('customer_credit_transactions')
+        .select('balance_after')
+        .eq('customer_id', customer.id)
+        .lt('created_at', from)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      openingBalance = previous && previous.length > 0 ? Number(previous[0].balance_after) : 0;
+    }
+
+    let query = client
+      .from('customer_credit_transactions')
+      .select('*')
+      .eq('customer_id', customer.id)
+      .order('created_at', { ascending: true });
+
+    if (from) {
+      query = query.gte('created_at', from);
+    }
+    if (to) {
+      query = query.lte('created_at', to);
+    }
+
+    const { data: transactions, error: transactionsError } = await query;
+
+    if (transactionsError) {
+      console.error('❌ Failed to fetch credit transactions:', transactionsError.message);
+      return res.status(500).json({
+        error: 'Failed to fetch credit transactions from database',
+        code: 'DB_ERROR',
+        details: transactionsError.message
+      });
+    }
+
+    const entries = transactions || [];
+    const totalOf = (types) => roundMoney(entries
+      .filter(entry => types.includes(entry.transaction_type))
+      .reduce((sum, entry) => sum + Number(entry.amount), 0));
+
+    res.json({
+      statement: {
+        customer_id: customer.id,
+        customer_name: customer.name,
+        credit_limit: Number(customer.credit_limit || 0),
+        period: { from: from || null, to: to || null },
+        opening_balance: openingBalance,
+        charges: totalOf(['charge']),
+        payments: totalOf(['payment']),
+        refunds: totalOf(['refund', 'void']),
+        closing_balance: entries.length > 0 ? Number(entries[entries.length - 1].balance_after) : openingBalance,
+        transactions: entries
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Customer statement error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router,
+  CHARGE_TENDER,
+  fetchCustomer,
+  normalizePhone,
+  postCreditTransaction,
+  recordCustomerPurchase
+};
@@ -0,0 +1,565 @@
+// ========================= INVENTORY ENDPOINTS =========================
+const express = require('express');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole, requireRoleOrOverride, consumeOverride, releaseOverride, OVERRIDE_USER_ROLES } = require('../lib/auth');
+const { resolveRequestStore, canAccessStore } = require('../lib/scope');
+const { getCompanySettings } = require('../lib/settings');
+const { variantRequiredError } = require('../lib/variants');
+const { checkExpiredLots, parseReceivedLot } = require('./lots');
+const { serialCountError, checkSerialsIn, checkSerialsOut } = require('./serials');
+
+const router = express.Router();
+
+// Movement types a manual adjustment may record; sales, returns, transfers and
+// counts write their own movements
+const ADJUSTMENT_MOVEMENT_TYPES = ['adjustment', 'damage', 'expired', 'loss', 'found'];
+
+// GET /inventory/movements - Get inventory movements
+router.get('/inventory/movements', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    console.log('🔄 Get inventory movements request');
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { product_id, limit = 50 } = req.query;
+
+    let query = client
+      .from('inventory_movements')
+      .select(`
+        *,
+        products:product_id (
+          id,
+          name,
+          sku
+        )
+      `)
+      .order('created_at', { ascending: false })
+      .limit(parseInt(limit));
+
+    // Apply filtering based on user role
+    if (req.user.role === 'manager' && req.user.store_id) {
+      query = query.eq('store_id', req.user.store_id);
+    }
+
+    if (product_id) {
+      query = query.eq('product_id', product_id);
+    }
+
+    const { data: movements, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch inventory movements:', error.message);
+      return res.status(500).json({ 
+        error: 'Failed to fetch inventory movements',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    res.json({
+      movements: movements || [],
+      count: movements?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get inventory movements error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /inventory/adjust - Adjust product stock (cashiers need manager approval)
+//
+// Send quantity_change to add or remove stock, or new_quantity to set it. A new
+// quantity is only applied if stock is still what the user last saw
+// (expected_quantity, or the stock read here), so a sale rung up in the
+// meantime is not silently overwritten. Stock added to a lot-tracked product
+// can carry a lot_number and expiry_date; stock removed with a lot_id (such as
+// expired goods written off) comes out of that lot instead of first-to-expire.
+// Serialised products name the serial_numbers added or removed. Taking stock
+// below zero needs a manager, or a manager's negative_stock override.
+router.post('/inventory/adjust', authenticateToken, requireRoleOrOverride(['super_admin', 'manager'], 'inventory_adjust', req => req.body.product_id), async (req, res) => {
+  try {
+    const { product_id, new_quantity, quantity_change, expected_quantity, lot_id, serial_numbers, movement_type = 'adjustment', notes = '' } = req.body;
+
+    console.log(`📦 Adjusting stock for product: ${product_id} ${quantity_change !== undefined ? `by ${quantity_change}` : `to ${new_quantity}`}`);
+
+    if (!product_id || (new_quantity === undefined && quantity_change === undefined)) {
+      return res.status(400).json({ 
+        error: 'Product ID and a new quantity or quantity change are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const quantities = [new_quantity, quantity_change, expected_quantity].filter(value => value !== undefined && value !== null);
+    if (quantities.some(value => !Number.isInteger(Number(value))) || (new_quantity !== undefined && quantity_change !== undefined)) {
+      return res.status(400).json({
+        error: 'Send either a whole new quantity or a whole quantity change',
+        code: 'INVALID_QUANTITY'
+      });
+    }
+
+    if (!ADJUSTMENT_MOVEMENT_TYPES.includes(movement_type)) {
+      return res.status(400).json({
+        error: `Movement type must be one of: ${ADJUSTMENT_MOVEMENT_TYPES.join(', ')}`,
+        code: 'INVALID_MOVEMENT_TYPE'
+      });
+    }
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Get current product stock
+    const { data: product, error: productError } = await client
+      .from('products')
+      .select('id, stock_quantity, store_id, name, catalog_product_id, track_lots, track_serials, is_variant_parent')
+      .eq('id', product_id)
+      .single();
+
+    if (productError || !product) {
+      return res.status(404).json({
+        error: 'Product not found',
+        code: 'PRODUCT_NOT_FOUND'
+      });
+    }
+
+    if (!canAccessStore(req, product.store_id)) {
+      return res.status(403).json({
+        error: 'You can only adjust stock for your assigned store',
+        code: 'STORE_ACCESS_DENIED'
+      });
+    }
+
+    if (product.is_variant_parent) {
+      const { status, ...body } = variantRequiredError(product);
+      return res.status(status).json(body);
+    }
+
+    const seenStock = expected_quantity !== undefined && expected_quantity !== null
+      ? Number(expected_quantity)
+      : product.stock_quantity || 0;
+    const isSetting = new_quantity !== undefined;
+    const change = isSetting ? Number(new_quantity) - seenStock : Number(quantity_change);
+
+    const lot = parseReceivedLot(change > 0 ? req.body : {}, change);
+    if (lot.error) {
+      return res.status(lot.status).json({ error: lot.error, code: lot.code });
+    }
+
+    if (lot_id) {
+      const { data: stockLot } = await client
+        .from('stock_lots')
+        .select('id, product_id, lot_number, quantity_remaining')
+        .eq('id', lot_id)
+        .single();
+
+      if (!stockLot || stockLot.product_id !== product.id) {
+        return res.status(404).json({
+          error: 'Lot not found for this product',
+          code: 'LOT_NOT_FOUND'
+        });
+      }
+
+      if (change >= 0 || -change > stockLot.quantity_remaining) {
+        return res.status(400).json({
+          error: `Only a decrease of up to ${stockLot.quantity_remaining} can be taken out of lot ${stockLot.lot_number}`,
+          code: 'INVALID_QUANTITY'
+        });
+      }
+    }
+
+    // Stock taken out without naming a lot comes out first-to-expire, so
+    // expired lots are checked the same way as for a sale
+    let lotWarnings = [];
+    if (change < 0 && !lot_id) {
+      const { data: store } = await client
+        .from('stores')
+        .select('id, company_id')
+        .eq('id', product.store_id)
+        .single();
+
+      const lotCheck = await checkExpiredLots(client, {
+        products: [product],
+        quantities: { [product.id]: -change },
+        settings: await getCompanySettings(client, store?.company_id)
+      });
+      if (lotCheck.error) {
+        const { status, ...body } = lotCheck;
+        return res.status(status).json(body);
+      }
+      lotWarnings = lotCheck.warnings;
+    }
+
+    const serials = change > 0
+      ? await checkSerialsIn(client, { product, quantity: change, serialNumbers: serial_numbers })
+      : await checkSerialsOut(client, { product, quantity: -change, serialNumbers: serial_numbers });
+    if (serials.error) {
+      const { status, ...body } = serials;
+      return res.status(status).json(body);
+    }
+
+    // Stock below zero means goods were sold or moved that were never booked in
+    let negativeApproval = null;
+    const resultingStock = (product.stock_quantity || 0) + change;
+    if (resultingStock < 0 && !OVERRIDE_USER_ROLES.includes(req.user.role)) {
+      const override = await consumeOverride(req, 'negative_stock', product.id);
+      if (override.error) {
+        if (req.override) {
+          await releaseOverride(client, req.override);
+        }
+
+        const { status, ...body } = override;
+        return res.status(status).json({
+          ...body,
+          error: override.code === 'OVERRIDE_REQUIRED' ? 'Stock cannot go below zero without a manager' : body.error,
+          code: override.code === 'OVERRIDE_REQUIRED' ? 'NEGATIVE_STOCK' : body.code,
+          product_id,
+          current_stock: product.stock_quantity || 0,
+          resulting_stock: resultingStock
+        });
+      }
+      negativeApproval = override.approval;
+    }
+
+    const result = await recordStockMovement(client, {
+      product,
+      quantity: change,
+      lots: lot.lots,
+      lotId: lot_id || null,
+      serialNumbers: serials.serialNumbers,
+      movementType: movement_type,
+      userId: req.user.id,
+      notes,
+      approvalId: negativeApproval ? negativeApproval.id : req.override ? req.override.id : null,
+      expectedStock: isSetting || (expected_quantity !== undefined && expected_quantity !== null) ? seenStock : null
+    });
+
+    // An adjustment that did not go through leaves its approvals unused
+    if (!result.success) {
+      for (const approval of [req.override, negativeApproval].filter(Boolean)) {
+        await releaseOverride(client, approval);
+      }
+    }
+
+    if (result.code === 'STOCK_CONFLICT') {
+      return res.status(409).json({
+        error: 'Stock changed since it was read, please recount or retry',
+        code: 'STOCK_CONFLICT',
+        product_id,
+        expected_stock: seenStock,
+        current_stock: result.currentStock
+      });
+    }
+
+    if (!result.success) {
+      console.error('Error adjusting product stock:', result.error);
+
+      // Serials or a lot that changed since they were checked
+      if (result.status) {
+        const { success, status, ...body } = result;
+        return res.status(status).json(body);
+      }
+
+      return res.status(400).json({
+        error: 'Failed to update product stock',
+        code: 'DB_UPDATE_ERROR'
+      });
+    }
+
+    console.log(`✅ Stock updated for ${product.name}: ${result.previousStock} → ${result.newStock}`);
+
+    res.json({
+      message: 'Stock updated successfully',
+      product_id: product_id,
+      previous_stock: result.previousStock,
+      new_stock: result.newStock,
+      movement: result.movement,
+      lot_allocations: result.lotAllocations,
+      lot_warnings: lotWarnings,
+      serial_numbers: result.serialNumbers
+    });
+
+  } catch (error) {
+    console.error('❌ Adjust stock error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /inventory/reconcile - Recompute stock from the inventory_movements ledger and report mismatches
+//
+// A product's ledger stock is the stock before its first movement plus every
+// movement since. Products whose stock differs from that, whose movements do
+// not chain (one's previous stock is not the last one's new stock), or that
+// hold stock without any movements are reported.
+router.get('/inventory/reconcile', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { store_id, product_id } = req.query;
+
+    console.log(`🧮 Reconciling stock by user ${req.user.role}:${req.user.id}`);
+
+    const storeScope = resolveRequestStore(req, store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    let productsQuery = client
+      .from('products')
+      .select('id, name, sku, stock_quantity, is_active')
+      .eq('store_id', storeScope.storeId);
+
+    if (product_id) {
+      productsQuery = productsQuery.eq('id', product_id);
+    }
+
+    const { data: products, error: productsError } = await productsQuery;
+
+    if (productsError) {
+      console.error('❌ Failed to fetch products to reconcile:', productsError.message);
+      return res.status(500).json({
+        error: 'Failed to fetch products from database',
+        code: 'DB_ERROR',
+        details: productsError.message
+      });
+    }
+
+    // Read the whole ledger of the store, a page at a time; id breaks ties
+    // between movements recorded at the same moment so no page skips or
+    // repeats one
+    const pageSize = 1000;
+    const movementsByProduct = {};
+    for (let offset = 0; ; offset += pageSize) {
+      let movementsQuery = client
+        .from('inventory_movements')
+        .select('id, product_id, quantity, previous_stock, new_stock, created_at')
+        .eq('store_id', storeScope.storeId)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + pageSize - 1);
+
+      if (product_id) {
+        movementsQuery = movementsQuery.eq('product_id', product_id);
+      }
+
+      const { data: page, error: movementsError } = await movementsQuery;
+
+      if (movementsError) {
+        console.error('❌ Failed to fetch inventory movements:', movementsError.message);
+        return res.status(500).json({
+          error: 'Failed to fetch inventory movements',
+          code: 'DB_ERROR',
+          details: movementsError.message
+        });
+      }
+
+      (page || []).forEach(movement => {
+        (movementsByProduct[movement.product_id] = movementsByProduct[movement.product_id] || []).push(movement);
+      });
+
+      if (!page || page.length < pageSize) {
+        break;
+      }
+    }
+
+    const mismatches = [];
+    (products || []).forEach(product => {
+      const stock = product.stock_quantity || 0;
+      const movements = movementsByProduct[product.id] || [];
+
+      if (movements.length === 0) {
+        if (stock !== 0) {
+          mismatches.push({
+            product_id: product.id,
+            name: product.name,
+            sku: product.sku,
+            stock_quantity: stock,
+            ledger_stock: null,
+            difference: null,
+            movements: 0,
+            chain_breaks: 0,
+            reasons: ['no_movements']
+          });
+        }
+        return;
+      }
+
+      const ledgerStock = (movements[0].previous_stock || 0) + movements.reduce((sum, movement) => sum + movement.quantity, 0);
+      const chainBreaks = movements.filter((movement, index) => index > 0 && movement.previous_stock !== movements[index - 1].new_stock).length;
+
+      const reasons = [];
+      if (stock !== ledgerStock) reasons.push('stock_differs_from_ledger');
+      if (chainBreaks > 0) reasons.push('ledger_chain_broken');
+
+      if (reasons.length > 0) {
+        mismatches.push({
+          product_id: product.id,
+          name: product.name,
+          sku: product.sku,
+          stock_quantity: stock,
+          ledger_stock: ledgerStock,
+          difference: stock - ledgerStock,
+          movements: movements.length,
+          chain_breaks: chainBreaks,
+          reasons
+        });
+      }
+    });
+
+    console.log(`✅ Reconciled ${products?.length || 0} products in store ${storeScope.storeId}: ${mismatches.length} mismatches`);
+
+    res.json({
+      store_id: storeScope.storeId,
+      products_checked: products?.length || 0,
+      mismatches,
+      count: mismatches.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Reconcile stock error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Apply a stock delta to a product and record it in the inventory_movements ledger.
+// Both happen in one transaction inside the apply_stock_movement database
+// function, which adds the delta to the locked row instead of writing back a
+// value read earlier, so concurrent changes cannot overwrite each other and the
+// ledger cannot drift from the product. When expectedStock is given the change
+// only applies if the stock is still that quantity. Sales and outgoing
+// transfers are refused when they would dig into stock reserved for layaways.
+// Lot-tracked products also move their lots in that transaction: received
+// stock goes into the lots given, and stock taken out comes from the
+// earliest-expiring lots, or from lotId when writing one off. Serialised
+// products move the serialNumbers given, one per unit; the function refuses
+// serials that are not where the movement needs them.
+// The product's stock_quantity is updated in place so several lines for the
+// same product chain their previous/new stock correctly.
+// The function is defined in supabase/migrations (see the README).
+async function recordStockMovement(client, { product, quantity, movementType, userId, notes = '', referenceType = null, referenceId = null, approvalId = null, expectedStock = null, lots = [], lotId = null, serialNumbers = [] }) {
+  const { data: result, error } = await client.rpc('apply_stock_movement', {
+    p_product_id: product.id,
+    p_quantity: quantity,
+    p_movement_type: movementType,
+    p_created_by: userId,
+    p_notes: notes,
+    p_reference_type: referenceType,
+    p_reference_id: referenceId,
+    p_approval_id: approvalId,
+    p_expected_stock: expectedStock,
+    p_lots: lots,
+    p_lot_id: lotId,
+    p_serial_numbers: serialNumbers
+  });
+
+  if (error || !result) {
+    console.error('Error applying stock movement:', error?.message || 'no result');
+    return { success: false, error: error?.message || 'Stock movement was not applied' };
+  }
+
+  if (result.status === 'not_found') {
+    return { success: false, error: 'Product not found', code: 'PRODUCT_NOT_FOUND' };
+  }
+
+  if (result.status === 'conflict') {
+    return {
+      success: false,
+      error: 'Stock changed since it was read',
+      code: 'STOCK_CONFLICT',
+      currentStock: result.current_stock
+    };
+  }
+
+  if (result.status === 'insufficient_stock') {
+    return {
+      success: false,
+      status: 409,
+      error: `Insufficient stock for "${product.name}"`,
+      code: 'INSUFFICIENT_STOCK',
+      product_id: product.id,
+      available: result.available,
+      requested: -quantity
+    };
+  }
+
+  if (result.status === 'serials_required') {
+    return { success: false, ...serialCountError(product, Math.abs(quantity)) };
+  }
+
+  if (result.status === 'serials_in_stock' || result.status === 'serials_not_available') {
+    return {
+      success: false,
+      status: 409,
+      error: result.status === 'serials_in_stock'
+        ? 'Some serial numbers are already in stock'
+        : `Some serial numbers of "${product.name}" are not in stock`,
+      code: result.status === 'serials_in_stock' ? 'SERIAL_IN_STOCK' : 'SERIAL_NOT_AVAILABLE',
+      product_id: product.id,
+      serial_numbers: result.serial_numbers
+    };
+  }
+
+  if (result.status === 'lot_short') {
+    return {
+      success: false,
+      status: 409,
+      error: `Only ${result.quantity_remaining} left in the lot`,
+      code: 'LOT_SHORT',
+      product_id: product.id
+    };
+  }
+
+  if (result.status !== 'applied') {
+    console.error(`❌ apply_stock_movement answered with unknown status ${result.status}; are the database migrations applied?`);
+    return { success: false, error: 'Stock movement was not applied' };
+  }
+
+  product.stock_quantity = result.new_stock;
+
+  return {
+    success: true,
+    previousStock: result.previous_stock,
+    newStock: result.new_stock,
+    movement: result.movement,
+    lotAllocations: result.lot_allocations,
+    serialNumbers: result.serial_numbers
+  };
+}
+
+module.exports = {
+  router,
+  recordStockMovement
+};
@@ -0,0 +1,1140 @@
+// ========================= LAYAWAY ENDPOINTS =========================
+const express = require('express');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole } = require('../lib/auth');
+const { resolveRequestStore, resolveListingStore, canAccessStore } = require('../lib/scope');
+const { getCompanySettings, getTenderTypes } = require('../lib/settings');
+const { roundMoney } = require('../lib/money');
+const { checkExpiredLots } = require('./lots');
+const { checkSerialsOut, holdSerials } = require('./serials');
+const { putBackSaleStock, takeSaleLinesOutOfStock } = require('./sales');
+const { priceBasket } = require('./pricing');
+const { fetchCustomer, normalizePhone, recordCustomerPurchase } = require('./customers');
+const {
+  STORED_VALUE_TENDER,
+  presentStoredValueCard,
+  issueStoredValueCard,
+  maskStoredValueCode,
+  postStoredValueEntry,
+  prepareStoredValueRedemptions
+} = require('./stored-value');
+const { DEFAULT_TERMINAL_ID, TERMINAL_ID_PATTERN, issueOfficialReceipt } = require('./receipts');
+const { findOpenDrawer, recordDrawerMovement } = require('./cash-drawers');
+
+const router = express.Router();
+
+const DEFAULT_LAYAWAY_SETTINGS = {
+  min_deposit_percent: 20,
+  forfeiture_percent: 10,
+  forfeiture_min_amount: 0,
+  max_days: 90
+};
+
+const getLayawaySettings = (settings) => ({
+  ...DEFAULT_LAYAWAY_SETTINGS,
+  ...(settings?.layaway || {})
+});
+
+// Fee kept when a layaway is cancelled: a share of the order total with a
+// floor, but never more than the customer has paid
+const computeForfeitureFee = (layaway, order) => {
+  const fee = Math.max(
+    roundMoney(Number(order.total) * layaway.forfeiture_percent / 100),
+    roundMoney(layaway.forfeiture_min_amount)
+  );
+  return roundMoney(Math.min(fee, Number(order.amount_paid)));
+};
+
+// Hold stock for a layaway without taking it out of stock_quantity; a negative
+// quantity releases a hold. The hold is placed in the reserve_stock database
+// function under the product's row lock, and only while the stock not yet held
+// covers it (see supabase/migrations).
+async function reserveStock(client, productId, quantity) {
+  const { data: result, error } = await client.rpc('reserve_stock', {
+    p_product_id: productId,
+    p_quantity: quantity
+  });
+
+  if (error || !result) {
+    console.error('Error reserving stock:', error?.message || 'no result');
+    return { success: false, error: error?.message || 'Stock was not reserved' };
+  }
+
+  if (result.status === 'not_found') {
+    return { success: false, error: 'Product not found' };
+  }
+
+  if (result.status === 'insufficient_stock') {
+    return { success: false, error: `Insufficient stock for "${result.name}"`, available: result.available };
+  }
+
+  if (result.status !== 'applied') {
+    console.error(`❌ reserve_stock answered with unknown status ${result.status}; are the database migrations applied?`);
+    return { success: false, error: 'Stock was not reserved' };
+  }
+
+  return { success: true, reserved: result.reserved_quantity };
+}
+
+// Release the holds of every line of a layaway, serial numbers included
+async function releaseLayawayReservations(client, order) {
+  for (const line of order.lines || []) {
+    const result = await reserveStock(client, line.product_id, -line.quantity);
+    if (!result.success) {
+      console.error(`❌ Failed to release ${line.quantity} of ${line.product_id} held for layaway ${order.id}:`, result.error);
+    }
+    await holdSerials(client, { productId: line.product_id, serialNumbers: line.serial_numbers, hold: false });
+  }
+}
+
+// Load a layaway of a store the user may access
+async function fetchLayaway(client, req, layawayId) {
+  const { data: order, error } = await client
+    .from('layaway_orders')
+    .select('*, layaway_payments(*)')
+    .eq('id', layawayId)
+    .single();
+
+  if (error || !order) {
+    return { status: 404, error: 'Layaway not found', code: 'LAYAWAY_NOT_FOUND' };
+  }
+
+  if (!canAccessStore(req, order.store_id)) {
+    return { status: 403, error: 'You can only access layaways of your assigned store', code: 'STORE_ACCESS_DENIED' };
+  }
+
+  return { order };
+}
+
+// The tenders an installment can be paid in: the company's, plus gift cards
+// and store credit
+const findLayawayTender = (settings, code) => [...getTenderTypes(settings), STORED_VALUE_TENDER].find(type => type.code === code);
+
+// Check the card of a gift card or store credit installment (its code is the
+// reference); other tenders need no card
+async function prepareLayawayCard(client, req, { companyId, tender, amount, reference }) {
+  const storedValue = await prepareStoredValueRedemptions(client, req, companyId, [{ tender_type: tender.code, amount, reference }]);
+  if (storedValue.error) {
+    return storedValue;
+  }
+
+  return { card: storedValue.redemptions.length > 0 ? storedValue.redemptions[0].card : null };
+}
+
+// Record an installment, take it off the card it was paid with and put any
+// cash into the drawer
+async function recordLayawayPayment(client, req, { order, tender, amount, reference, drawer, card = null }) {
+  const { data: payment, error } = await client
+    .from('layaway_payments')
+    .insert([{
+      layaway_id: order.id,
+      tender_type: tender.code,
+      amount,
+      reference: card ? maskStoredValueCode(card.code) : reference || null,
+      stored_value_card_id: card ? card.id : null,
+      drawer_id: drawer ? drawer.id : null,
+      received_by: req.user.id,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error recording layaway payment:', error.message);
+    return { error: error.message };
+  }
+
+  if (card) {
+    const redeemed = await postStoredValueEntry(client, {
+      cardId: card.id,
+      type: 'redeem',
+      amount: -amount,
+      userId: req.user.id,
+      storeId: order.store_id,
+      notes: `Layaway ${order.id}`
+    });
+
+    if (!redeemed.success) {
+      await client.from('layaway_payments').delete().eq('id', payment.id);
+
+      const { success, ...failure } = redeemed;
+      return failure;
+    }
+  }
+
+  let drawerMovement = null;
+  if (tender.is_cash && drawer) {
+    ({ movement: drawerMovement } = await recordDrawerMovement(client, {
+      drawer,
+      movementType: 'layaway_payment',
+      amount,
+      userId: req.user.id,
+      notes: `Layaway ${order.id}`,
+      referenceType: 'layaway',
+      referenceId: order.id
+    }));
+  }
+
+  return { payment, drawerMovement };
+}
+
+// Hold the lines of a layaway again after its completion was withdrawn
+async function restoreLayawayReservations(client, order) {
+  for (const line of order.lines || []) {
+    const result = await reserveStock(client, line.product_id, line.quantity);
+    if (!result.success) {
+      console.error(`❌ Failed to hold ${line.quantity} of ${line.product_id} again for layaway ${order.id}:`, result.error);
+    }
+    await holdSerials(client, { productId: line.product_id, serialNumbers: line.serial_numbers, hold: true });
+  }
+}
+
+// Take back an installment whose layaway could not be updated or completed,
+// together with the cash it put into the drawer and the value it took off a card
+async function withdrawLayawayPayment(client, req, { payment, drawerMovement }) {
+  if (drawerMovement) {
+    await client.from('cash_drawer_movements').delete().eq('id', drawerMovement.id);
+  }
+  if (payment && payment.stored_value_card_id) {
+    const refunded = await postStoredValueEntry(client, {
+      cardId: payment.stored_value_card_id,
+      type: 'refund',
+      amount: Number(payment.amount),
+      userId: req.user.id,
+      notes: `Layaway ${payment.layaway_id} payment withdrawn`
+    });
+    if (!refunded.success) {
+      console.error(`❌ Failed to put ${payment.amount} back on card ${payment.stored_value_card_id}:`, refunded.error);
+    }
+  }
+  if (payment) {
+    await client.from('layaway_payments').delete().eq('id', payment.id);
+  }
+}
+
+// Turn a fully paid layaway into a completed sale: the held stock is released
+// and taken out of stock through the ledger, and the sale gets its official
+// receipt. Installments become the sale's payments, one per tender and card;
+// their cash was counted into drawers as it was paid. If any step fails the sale is
+// withdrawn and the stock held for the layaway again, like recordSale does.
+async function completeLayaway(client, req, order, terminalId) {
+  const settings = await getCompanySettings(client, order.company_id);
+
+  const { data: payments, error: paymentsError } = await client
+    .from('layaway_payments')
+    .select('tender_type, amount, reference, stored_value_card_id')
+    .eq('layaway_id', order.id);
+
+  if (paymentsError) {
+    console.error(`❌ Failed to fetch installments of layaway ${order.id}:`, paymentsError.message);
+    return { status: 500, error: 'Failed to fetch layaway payments from database', code: 'DB_ERROR', details: paymentsError.message };
+  }
+
+  // Card payments keep their card so they can be traced and refunded to it
+  const paidByTender = {};
+  (payments || []).forEach(payment => {
+    const key = `${payment.tender_type}:${payment.stored_value_card_id || ''}`;
+    const paid = paidByTender[key] || {
+      tender_type: payment.tender_type,
+      stored_value_card_id: payment.stored_value_card_id || null,
+      reference: payment.stored_value_card_id ? payment.reference : `Layaway ${order.id}`,
+      amount: 0
+    };
+    paid.amount = roundMoney(paid.amount + Number(payment.amount));
+    paidByTender[key] = paid;
+  });
+
+  const { data: sale, error: saleError } = await client
+    .from('sales')
+    .insert([{
+      store_id: order.store_id,
+      company_id: order.company_id,
+      cashier_id: req.user.id,
+      customer_id: order.customer_id,
+      item_count: order.lines.reduce((sum, line) => sum + line.quantity, 0),
+      subtotal: order.subtotal,
+      promotion_total: order.promotion_total || 0,
+      discount_total: order.discount_total || 0,
+      prices_include_tax: order.prices_include_tax,
+      taxes: order.taxes,
+      tax_total: order.tax_total,
+      price_tier: order.price_tier,
+      total: order.total,
+      amount_tendered: order.total,
+      change_due: 0,
+      terminal_id: terminalId,
+      layaway_id: order.id,
+      status: 'completed',
+      notes: `Layaway ${order.id}`,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (saleError) {
+    console.error(`❌ Layaway ${order.id} is paid but its sale could not be recorded:`, saleError.message);
+    return { status: 500, error: 'Failed to record the layaway sale', code: 'DB_INSERT_ERROR', details: saleError.message };
+  }
+
+  const withdrawSale = async () => {
+    await client.from('sale_payments').delete().eq('sale_id', sale.id);
+    await client.from('sale_items').delete().eq('sale_id', sale.id);
+    await client.from('sales').delete().eq('id', sale.id);
+  };
+
+  const { data: saleItems, error: itemsError } = await client
+    .from('sale_items')
+    .insert(order.lines.map(line => ({
+      ...line,
+      sale_id: sale.id,
+      created_at: new Date().toISOString()
+    })))
+    .select();
+
+  if (itemsError) {
+    console.error(`❌ Layaway ${order.id} sale withdrawn, its items could not be recorded:`, itemsError.message);
+    await withdrawSale();
+    return { status: 500, error: 'Failed to record the layaway sale items', code: 'DB_INSERT_ERROR', details: itemsError.message };
+  }
+
+  const { error: salePaymentsError } = await client
+    .from('sale_payments')
+    .insert(Object.values(paidByTender).map(paid => ({
+      sale_id: sale.id,
+      tender_type: paid.tender_type,
+      tendered_amount: paid.amount,
+      amount: paid.amount,
+      change_amount: 0,
+      reference: paid.reference,
+      stored_value_card_id: paid.stored_value_card_id,
+      created_at: new Date().toISOString()
+    })));
+
+  if (salePaymentsError) {
+    console.error(`❌ Layaway ${order.id} sale withdrawn, its payments could not be recorded:`, salePaymentsError.message);
+    await withdrawSale();
+    return { status: 500, error: 'Failed to record the layaway sale payments', code: 'DB_INSERT_ERROR', details: salePaymentsError.message };
+  }
+
+  const { data: products } = await client
+    .from('products')
+    .select('id, name, store_id, stock_quantity, track_lots')
+    .in('id', [...new Set(order.lines.map(line => line.product_id))]);
+
+  const productsById = {};
+  (products || []).forEach(product => {
+    productsById[product.id] = product;
+  });
+
+  // Held stock still comes out first-to-expire, so expired lots are checked as for a sale
+  const quantities = {};
+  order.lines.forEach(line => {
+    quantities[line.product_id] = (quantities[line.product_id] || 0) + line.quantity;
+  });
+  const lotCheck = await checkExpiredLots(client, {
+    products: products || [],
+    quantities,
+    settings
+  });
+  if (lotCheck.error) {
+    await withdrawSale();
+    return lotCheck;
+  }
+
+  await releaseLayawayReservations(client, order);
+
+  const stockResult = await takeSaleLinesOutOfStock(client, saleItems, productsById, {
+    userId: req.user.id,
+    notes: `Sale ${sale.id} for layaway ${order.id}`,
+    saleId: sale.id
+  });
+
+  if (stockResult.error) {
+    console.error(`❌ Layaway ${order.id} sale withdrawn, stock could not be taken out:`, stockResult.error);
+    await restoreLayawayReservations(client, order);
+    await withdrawSale();
+
+    const { movements, ...failure } = stockResult;
+    return failure;
+  }
+
+  const receiptResult = await issueOfficialReceipt(client, {
+    sale,
+    terminalId,
+    settings,
+    userId: req.user.id
+  });
+
+  if (receiptResult.error) {
+    await putBackSaleStock(client, stockResult.movements, {
+      userId: req.user.id,
+      notes: `Sale ${sale.id} for layaway ${order.id} withdrawn`,
+      saleId: sale.id
+    });
+    await restoreLayawayReservations(client, order);
+    await withdrawSale();
+    return receiptResult;
+  }
+
+  sale.or_number = receiptResult.receipt.or_number;
+  sale.receipt_id = receiptResult.receipt.id;
+
+  if (order.customer_id) {
+    await recordCustomerPurchase(client, {
+      customer: { id: order.customer_id, company_id: order.company_id },
+      storeId: order.store_id,
+      saleId: sale.id,
+      orNumber: sale.or_number,
+      total: Number(order.total),
+      itemCount: sale.item_count,
+      items: order.lines.map(line => ({
+        product_id: line.product_id,
+        product_name: line.product_name,
+        quantity: line.quantity,
+        unit_price: line.unit_price,
+        line_total: line.line_total
+      })),
+      purchasedAt: sale.created_at,
+      userId: req.user.id
+    });
+  }
+
+  return { sale: { ...sale, items: saleItems }, lotWarnings: lotCheck.warnings };
+}
+
+// GET /layaways - List layaways of the store
+router.get('/layaways', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { status = 'active', customer_id, overdue, limit = 100 } = req.query;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const storeScope = resolveListingStore(req, req.query.store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    let query = client
+      .from('layaway_orders')
+      .select('*')
+      .eq('status', status)
+      .order('created_at', { ascending: false })
+      .limit(parseInt(limit));
+
+    if (storeScope.storeId) {
+      query = query.eq('store_id', storeScope.storeId);
+    }
+
+    if (customer_id) {
+      query = query.eq('customer_id', customer_id);
+    }
+
+    if (overdue === 'true') {
+      query = query.lt('due_date', new Date().toISOString());
+    }
+
+    const { data: layaways, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch layaways:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch layaways from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    res.json({
+      layaways: layaways || [],
+      count: layaways?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get layaways error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /layaways - Open a layaway: hold the items and take the deposit
+router.post('/layaways', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { store_id, items, price_tier, discount, customer_id, customer_name, customer_phone, due_date, deposit, drawer_id, notes = '' } = req.body;
+
+    console.log(`📦 Opening layaway by user ${req.user.role}:${req.user.id}`);
+
+    const storeScope = resolveRequestStore(req, store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    if (!customer_id && (!customer_name || !customer_phone)) {
+      return res.status(400).json({
+        error: 'A customer, or a customer name and phone number, is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    if (!deposit || !deposit.tender_type || !(roundMoney(deposit.amount) > 0)) {
+      return res.status(400).json({
+        error: 'A deposit with a tender type and amount is required',
+        code: 'MISSING_DEPOSIT'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    let customer = null;
+    if (customer_id) {
+      const customerLookup = await fetchCustomer(client, req, customer_id);
+      if (customerLookup.error) {
+        return res.status(customerLookup.status).json({ error: customerLookup.error, code: customerLookup.code });
+      }
+      customer = customerLookup.customer;
+    }
+
+    // Layaways are priced from the price tier; submitted unit prices are ignored
+    const pricing = await priceBasket(client, {
+      storeId: storeScope.storeId,
+      items: Array.isArray(items) ? items.map(({ unit_price, ...item }) => item) : items,
+      priceTier: price_tier,
+      customerTier: customer ? customer.price_tier : null,
+      discount
+    });
+
+    if (pricing.error) {
+      const { status, ...body } = pricing;
+      return res.status(status).json(body);
+    }
+
+    const { store, settings, lines, total, productsById } = pricing;
+    const layaway = getLayawaySettings(settings);
+
+    // Serialised items are laid away by the serial numbers picked for each line
+    for (const line of lines) {
+      const serials = await checkSerialsOut(client, {
+        product: productsById[line.product_id],
+        quantity: line.quantity,
+        serialNumbers: line.serial_numbers
+      });
+      if (serials.error) {
+        const { status, ...body } = serials;
+        return res.status(status).json(body);
+      }
+
+      if (line.serial_numbers) {
+        line.serial_numbers = serials.serialNumbers;
+      }
+    }
+
+    if (customer && customer.company_id !== store.company_id) {
+      return res.status(404).json({
+        error: 'Customer not found',
+        code: 'CUSTOMER_NOT_FOUND'
+      });
+    }
+
+    const depositAmount = roundMoney(deposit.amount);
+    const minimumDeposit = roundMoney(total * layaway.min_deposit_percent / 100);
+    if (depositAmount < minimumDeposit || depositAmount > total) {
+      return res.status(400).json({
+        error: `Deposit must be between ${minimumDeposit} and ${total}`,
+        code: 'INVALID_DEPOSIT',
+        minimum_deposit: minimumDeposit,
+        total
+      });
+    }
+
+    const latestDueDate = new Date(Date.now() + layaway.max_days * 24 * 60 * 60 * 1000);
+    const dueDate = due_date ? new Date(due_date) : latestDueDate;
+    if (isNaN(dueDate.getTime()) || dueDate > latestDueDate || dueDate <= new Date()) {
+      return res.status(400).json({
+        error: `Due date must be within the next ${layaway.max_days} days`,
+        code: 'INVALID_DUE_DATE'
+      });
+    }
+
+    const tender = findLayawayTender(settings, deposit.tender_type);
+    if (!tender) {
+      return res.status(400).json({
+        error: `Tender type "${deposit.tender_type}" is not accepted`,
+        code: 'INVALID_TENDER_TYPE'
+      });
+    }
+
+    const depositCard = await prepareLayawayCard(client, req, {
+      companyId: store.company_id,
+      tender,
+      amount: depositAmount,
+      reference: deposit.reference
+    });
+    if (depositCard.error) {
+      const { status: cardStatus, ...body } = depositCard;
+      return res.status(cardStatus).json(body);
+    }
+
+    const drawerLookup = await findOpenDrawer(client, {
+      drawerId: drawer_id,
+      storeId: storeScope.storeId,
+      userId: req.user.id
+    });
+
+    if (drawerLookup.error) {
+      return res.status(400).json({
+        error: drawerLookup.error,
+        code: drawerLookup.code
+      });
+    }
+
+    // Hold every line's stock; give back what was held if any line cannot be
+    const held = [];
+    for (const line of lines) {
+      const result = await reserveStock(client, line.product_id, line.quantity);
+      if (!result.success) {
+        for (const heldLine of held) {
+          await reserveStock(client, heldLine.product_id, -heldLine.quantity);
+          await holdSerials(client, { productId: heldLine.product_id, serialNumbers: heldLine.serial_numbers, hold: false });
+        }
+
+        return res.status(409).json({
+          error: result.error,
+          code: 'INSUFFICIENT_STOCK',
+          product_id: line.product_id,
+          available: result.available
+        });
+      }
+      held.push(line);
+
+      // The picked serials are held too, so they cannot be sold to someone else
+      const heldSerials = await holdSerials(client, { productId: line.product_id, serialNumbers: line.serial_numbers, hold: true });
+      if (heldSerials.length !== (line.serial_numbers || []).length) {
+        await holdSerials(client, { productId: line.product_id, serialNumbers: heldSerials, hold: false });
+        held.pop();
+        await reserveStock(client, line.product_id, -line.quantity);
+        for (const heldLine of held) {
+          await reserveStock(client, heldLine.product_id, -heldLine.quantity);
+          await holdSerials(client, { productId: heldLine.product_id, serialNumbers: heldLine.serial_numbers, hold: false });
+        }
+
+        return res.status(409).json({
+          error: `Some serial numbers of "${line.product_name}" are not in stock`,
+          code: 'SERIAL_NOT_AVAILABLE',
+          product_id: line.product_id,
+          serial_numbers: (line.serial_numbers || []).filter(serial => !heldSerials.includes(serial))
+        });
+      }
+    }
+
+    const { data: order, error: insertError } = await client
+      .from('layaway_orders')
+      .insert([{
+        store_id: store.id,
+        company_id: store.company_id,
+        customer_id: customer ? customer.id : null,
+        customer_name: customer ? customer.name : String(customer_name).trim(),
+        customer_phone: customer ? customer.phone : normalizePhone(customer_phone),
+        lines,
+        price_tier: pricing.priceTier,
+        subtotal: pricing.subtotal,
+        promotion_total: pricing.promotionTotal,
+        discount_total: pricing.basketDiscount.amount,
+        prices_include_tax: pricing.pricesIncludeTax,
+        taxes: pricing.taxes,
+        tax_total: pricing.taxTotal,
+        total,
+        amount_paid: 0,
+        balance_due: total,
+        due_date: dueDate.toISOString(),
+        status: 'active',
+        notes,
+        created_by: req.user.id,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('Database error opening layaway:', insertError.message);
+      for (const heldLine of held) {
+        await reserveStock(client, heldLine.product_id, -heldLine.quantity);
+        await holdSerials(client, { productId: heldLine.product_id, serialNumbers: heldLine.serial_numbers, hold: false });
+      }
+
+      return res.status(400).json({
+        error: 'Failed to open layaway',
+        code: 'DB_INSERT_ERROR',
+        details: insertError.message
+      });
+    }
+
+    // Without its deposit, or a sale when the deposit pays it all, the layaway
+    // is not opened: its holds are given back
+    const withdrawLayaway = async () => {
+      await client.from('layaway_orders').delete().eq('id', order.id);
+      await releaseLayawayReservations(client, order);
+    };
+
+    const deposited = await recordLayawayPayment(client, req, {
+      order,
+      tender,
+      amount: depositAmount,
+      reference: deposit.reference,
+      drawer: drawerLookup.drawer,
+      card: depositCard.card
+    });
+
+    if (deposited.error) {
+      await withdrawLayaway();
+
+      if (deposited.status) {
+        const { status: cardStatus, ...body } = deposited;
+        return res.status(cardStatus).json(body);
+      }
+
+      return res.status(400).json({
+        error: 'Failed to record layaway deposit',
+        code: 'DB_INSERT_ERROR',
+        details: deposited.error
+      });
+    }
+
+    const { payment } = deposited;
+
+    const { data: updated } = await client
+      .from('layaway_orders')
+      .update({
+        amount_paid: depositAmount,
+        balance_due: roundMoney(total - depositAmount),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', order.id)
+      .select()
+      .single();
+
+    let layawayOrder = updated || order;
+    let completion = null;
+    if (depositAmount >= total) {
+      completion = await completeLayaway(client, req, layawayOrder, DEFAULT_TERMINAL_ID);
+      if (completion.error) {
+        await withdrawLayawayPayment(client, req, deposited);
+        await withdrawLayaway();
+
+        const { status: completionStatus, ...body } = completion;
+        return res.status(completionStatus).json(body);
+      }
+
+      const { data: completed } = await client
+        .from('layaway_orders')
+        .update({
+          status: 'completed',
+          sale_id: completion.sale.id,
+          completed_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', order.id)
+        .select()
+        .single();
+      layawayOrder = completed || layawayOrder;
+    }
+
+    console.log(`✅ Layaway opened: ${order.id}, deposit ${depositAmount} of ${total}`);
+
+    res.status(201).json({
+      message: 'Layaway opened successfully',
+      layaway: {
+        ...layawayOrder,
+        payments: payment ? [payment] : []
+      },
+      sale: completion?.sale || null,
+      lot_warnings: completion?.lotWarnings || []
+    });
+
+  } catch (error) {
+    console.error('❌ Open layaway error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /layaways/:layawayId - Fetch one layaway with its installments
+router.get('/layaways/:layawayId', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { order, status, error, code } = await fetchLayaway(client, req, req.params.layawayId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    const { layaway_payments, ...layaway } = order;
+
+    res.json({
+      layaway: {
+        ...layaway,
+        payments: layaway_payments || [],
+        is_overdue: layaway.status === 'active' && new Date(layaway.due_date) < new Date()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get layaway error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /layaways/:layawayId/payments - Pay an installment; the final one completes the sale
+router.post('/layaways/:layawayId/payments', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { tender_type, amount, reference, drawer_id, terminal_id = DEFAULT_TERMINAL_ID } = req.body;
+    const paymentAmount = roundMoney(amount);
+
+    if (!tender_type || !(paymentAmount > 0)) {
+      return res.status(400).json({
+        error: 'A tender type and an amount greater than zero are required',
+        code: 'INVALID_PAYMENT_AMOUNT'
+      });
+    }
+
+    if (!TERMINAL_ID_PATTERN.test(terminal_id)) {
+      return res.status(400).json({
+        error: 'Terminal ID may only contain letters, numbers, dashes and underscores',
+        code: 'INVALID_TERMINAL_ID'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { order, status, error, code } = await fetchLayaway(client, req, req.params.layawayId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    if (order.status !== 'active') {
+      return res.status(409).json({
+        error: `Cannot pay into a ${order.status} layaway`,
+        code: 'INVALID_LAYAWAY_STATUS'
+      });
+    }
+
+    if (paymentAmount > Number(order.balance_due)) {
+      return res.status(400).json({
+        error: 'Payment is more than the balance due',
+        code: 'PAYMENT_EXCEEDS_BALANCE',
+        balance_due: Number(order.balance_due)
+      });
+    }
+
+    const tender = findLayawayTender(await getCompanySettings(client, order.company_id), tender_type);
+    if (!tender) {
+      return res.status(400).json({
+        error: `Tender type "${tender_type}" is not accepted`,
+        code: 'INVALID_TENDER_TYPE'
+      });
+    }
+
+    const paymentCard = await prepareLayawayCard(client, req, {
+      companyId: order.company_id,
+      tender,
+      amount: paymentAmount,
+      reference
+    });
+    if (paymentCard.error) {
+      const { status: cardStatus, ...body } = paymentCard;
+      return res.status(cardStatus).json(body);
+    }
+
+    const drawerLookup = await findOpenDrawer(client, {
+      drawerId: drawer_id,
+      storeId: order.store_id,
+      userId: req.user.id
+    });
+
+    if (drawerLookup.error) {
+      return res.status(400).json({
+        error: drawerLookup.error,
+        code: drawerLookup.code
+      });
+    }
+
+    // The paid amount only moves if no other installment landed in between
+    const amountPaid = roundMoney(Number(order.amount_paid) + paymentAmount);
+    const balanceDue = roundMoney(Number(order.total) - amountPaid);
+    const { data: updated, error: updateError } = await client
+      .from('layaway_orders')
+      .update({
+        amount_paid: amountPaid,
+        balance_due: balanceDue,
+        status: balanceDue <= 0 ? 'completed' : 'active',
+        completed_at: balanceDue <= 0 ? new Date().toISOString() : null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', order.id)
+      .eq('status', 'active')
+      .eq('amount_paid', order.amount_paid)
+      .select()
+      .single();
+
+    if (updateError || !updated) {
+      return res.status(409).json({
+        error: 'Layaway was changed by someone else, please retry',
+        code: 'LAYAWAY_CONFLICT'
+      });
+    }
+
+    // Put the layaway back as it was read if the installment does not go through
+    const revertLayaway = () => client
+      .from('layaway_orders')
+      .update({
+        amount_paid: order.amount_paid,
+        balance_due: order.balance_due,
+        status: 'active',
+        completed_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', order.id)
+      .eq('amount_paid', amountPaid);
+
+    const paid = await recordLayawayPayment(client, req, {
+      order,
+      tender,
+      amount: paymentAmount,
+      reference,
+      drawer: drawerLookup.drawer,
+      card: paymentCard.card
+    });
+
+    if (paid.error) {
+      await revertLayaway();
+
+      if (paid.status) {
+        const { status: cardStatus, ...body } = paid;
+        return res.status(cardStatus).json(body);
+      }
+
+      return res.status(400).json({
+        error: 'Failed to record layaway payment',
+        code: 'DB_INSERT_ERROR',
+        details: paid.error
+      });
+    }
+
+    let layawayOrder = updated;
+    let completion = null;
+    if (balanceDue <= 0) {
+      completion = await completeLayaway(client, req, updated, terminal_id);
+      if (completion.error) {
+        await withdrawLayawayPayment(client, req, paid);
+        await revertLayaway();
+
+        const { status: completionStatus, ...body } = completion;
+        return res.status(completionStatus).json(body);
+      }
+
+      const { data: completed } = await client
+        .from('layaway_orders')
+        .update({ sale_id: completion.sale.id })
+        .eq('id', order.id)
+        .select()
+        .single();
+      layawayOrder = completed || layawayOrder;
+      console.log(`✅ Layaway ${order.id} fully paid, sale ${completion.sale.id}`);
+    }
+
+    res.status(201).json({
+      message: balanceDue <= 0 ? 'Layaway paid in full and completed' : 'Payment recorded successfully',
+      payment: paid.payment,
+      layaway: layawayOrder,
+      sale: completion?.sale || null,
+      lot_warnings: completion?.lotWarnings || []
+    });
+
+  } catch (error) {
+    console.error('❌ Layaway payment error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /layaways/:layawayId/cancel - Cancel a layaway, keep the forfeiture fee and refund the rest
+router.post('/layaways/:layawayId/cancel', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { reason = '', refund_method = 'cash', drawer_id, waive_fee = false } = req.body;
+
+    console.log(`🚫 Cancelling layaway ${req.params.layawayId} by user ${req.user.role}:${req.user.id}`);
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { order, status, error, code } = await fetchLayaway(client, req, req.params.layawayId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    if (order.status !== 'active') {
+      return res.status(409).json({
+        error: `Cannot cancel a ${order.status} layaway`,
+        code: 'INVALID_LAYAWAY_STATUS'
+      });
+    }
+
+    const settings = await getCompanySettings(client, order.company_id);
+    const forfeitureFee = waive_fee ? 0 : computeForfeitureFee(getLayawaySettings(settings), order);
+    const refundAmount = roundMoney(Number(order.amount_paid) - forfeitureFee);
+
+    // The refund is paid in a tender, or put on a new store credit card
+    const tender = refund_method === 'store_credit'
+      ? null
+      : getTenderTypes(settings).find(type => type.code === refund_method);
+
+    if (refund_method !== 'store_credit' && !tender) {
+      return res.status(400).json({
+        error: `Refund method must be "store_credit" or a tender type`,
+        code: 'INVALID_REFUND_METHOD'
+      });
+    }
+
+    const drawerLookup = await findOpenDrawer(client, {
+      drawerId: drawer_id,
+      storeId: order.store_id,
+      userId: req.user.id
+    });
+
+    if (drawerLookup.error) {
+      return res.status(400).json({
+        error: drawerLookup.error,
+        code: drawerLookup.code
+      });
+    }
+
+    const { data: cancelled, error: updateError } = await client
+      .from('layaway_orders')
+      .update({
+        status: 'cancelled',
+        forfeiture_fee: forfeitureFee,
+        refund_amount: refundAmount,
+        refund_method,
+        cancel_reason: reason,
+        cancelled_by: req.user.id,
+        cancelled_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', order.id)
+      .eq('status', 'active')
+      .eq('amount_paid', order.amount_paid)
+      .select()
+      .single();
+
+    if (updateError || !cancelled) {
+      return res.status(409).json({
+        error: 'Layaway was changed by someone else, please retry',
+        code: 'LAYAWAY_CONFLICT'
+      });
+    }
+
+    await releaseLayawayReservations(client, order);
+
+    let storeCredit = null;
+    if (refundAmount > 0 && refund_method === 'store_credit') {
+      const result = await issueStoredValueCard(client, {
+        companyId: order.company_id,
+        kind: 'store_credit',
+        amount: refundAmount,
+        userId: req.user.id,
+        storeId: order.store_id,
+        customerId: order.customer_id,
+        notes: `Cancelled layaway ${order.id}`
+      });
+
+      if (result.success) {
+        storeCredit = presentStoredValueCard(result.card, { revealCode: true });
+      } else {
+        console.error(`❌ Failed to issue store credit for layaway ${order.id}:`, result.error);
+      }
+    } else if (refundAmount > 0 && tender.is_cash && drawerLookup.drawer) {
+      await recordDrawerMovement(client, {
+        drawer: drawerLookup.drawer,
+        movementType: 'layaway_refund',
+        amount: -refundAmount,
+        userId: req.user.id,
+        notes: `Cancelled layaway ${order.id}`,
+        referenceType: 'layaway',
+        referenceId: order.id
+      });
+    }
+
+    console.log(`✅ Layaway cancelled: ${order.id}, fee ${forfeitureFee}, refund ${refundAmount}`);
+
+    res.json({
+      message: 'Layaway cancelled successfully',
+      layaway: cancelled,
+      forfeiture_fee: forfeitureFee,
+      refund_amount: refundAmount,
+      store_credit: storeCredit
+    });
+
+  } catch (error) {
+    console.error('❌ Cancel layaway error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router,
+  DEFAULT_LAYAWAY_SETTINGS,
+  getLayawaySettings
+};
@@ -0,0 +1,312 @@
+// ========================= STOCK LOT ENDPOINTS =========================
+const express = require('express');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole } = require('../lib/auth');
+const { resolveRequestStore, canAccessStore } = require('../lib/scope');
+const { getCompanySettings, DEFAULT_TIME_ZONE } = require('../lib/settings');
+
+const router = express.Router();
+
+// Products with track_lots on keep their stock split into stock_lots, one row
+// per lot number and expiry date received. Lots are depleted
+// first-expiry-first-out; stock that came in without a lot (or before tracking
+// was turned on) is untracked and only goes out once the lots are used up, as
+// nothing is known about its expiry. Each movement that touched
+// lots keeps its split in inventory_movements.lot_allocations. The lots move in
+// apply_stock_movement together with the stock; planLotDepletion follows the
+// same order to tell beforehand which lots a decrement will take.
+
+// Lot policy used until a company configures its own in companies.settings.lots.
+// 'block' stops sales and transfers that would take stock from an expired lot,
+// 'warn' lets them through and reports the expired lots.
+const DEFAULT_LOT_SETTINGS = {
+  expired_lot_policy: 'block'
+};
+const EXPIRED_LOT_POLICIES = ['block', 'warn'];
+
+const getLotSettings = (settings) => ({
+  ...DEFAULT_LOT_SETTINGS,
+  ...(settings?.lots || {})
+});
+
+// Calendar date (YYYY-MM-DD) of a moment in a time zone
+const getLocalDate = (date, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(date);
+
+const isLotExpired = (lot, today) => Boolean(lot.expiry_date) && lot.expiry_date < today;
+
+// Earliest expiry first; lots without an expiry date go last
+const compareLotExpiry = (a, b) => {
+  if (a.expiry_date === b.expiry_date) return String(a.received_at || '').localeCompare(String(b.received_at || ''));
+  if (!a.expiry_date) return 1;
+  if (!b.expiry_date) return -1;
+  return a.expiry_date < b.expiry_date ? -1 : 1;
+};
+
+// Split a decrement between a product's lots, first-to-expire, and its
+// untracked stock, which goes out last
+const planLotDepletion = (stockQuantity, lots, quantity) => {
+  const sorted = [...lots].sort(compareLotExpiry);
+  const tracked = sorted.reduce((sum, lot) => sum + lot.quantity_remaining, 0);
+
+  let remaining = quantity;
+  const allocations = [];
+  for (const lot of sorted) {
+    if (remaining <= 0) {
+      break;
+    }
+    const take = Math.min(lot.quantity_remaining, remaining);
+    allocations.push({ lot, quantity: take });
+    remaining -= take;
+  }
+
+  const untracked = Math.max(Math.min(stockQuantity - tracked, remaining), 0);
+
+  return { untracked, allocations };
+};
+
+async function fetchOpenLots(client, productIds) {
+  const { data: lots, error } = await client
+    .from('stock_lots')
+    .select('*')
+    .in('product_id', productIds)
+    .gt('quantity_remaining', 0);
+
+  if (error) {
+    console.error('Error fetching stock lots:', error.message);
+  }
+
+  return lots || [];
+}
+
+// Check what taking these quantities out of stock would do to expired lots.
+// Under the 'block' policy it is refused; under 'warn' the lots come back as warnings.
+async function checkExpiredLots(client, { products, quantities, settings }) {
+  const tracked = products.filter(product => product.track_lots && quantities[product.id] > 0);
+  if (tracked.length === 0) {
+    return { warnings: [] };
+  }
+
+  const today = getLocalDate(new Date(), settings.timezone || DEFAULT_TIME_ZONE);
+  const lots = await fetchOpenLots(client, tracked.map(product => product.id));
+
+  const expiredLots = [];
+  tracked.forEach(product => {
+    const plan = planLotDepletion(product.stock_quantity || 0, lots.filter(lot => lot.product_id === product.id), quantities[product.id]);
+    plan.allocations
+      .filter(allocation => isLotExpired(allocation.lot, today))
+      .forEach(allocation => expiredLots.push({
+        product_id: product.id,
+        product_name: product.name,
+        lot_id: allocation.lot.id,
+        lot_number: allocation.lot.lot_number,
+        expiry_date: allocation.lot.expiry_date,
+        quantity: allocation.quantity
+      }));
+  });
+
+  if (expiredLots.length === 0) {
+    return { warnings: [] };
+  }
+
+  if (getLotSettings(settings).expired_lot_policy === 'block') {
+    return {
+      status: 409,
+      error: 'Expired stock has to be written off before more can be sold',
+      code: 'EXPIRED_LOT',
+      expired_lots: expiredLots
+    };
+  }
+
+  return { warnings: expiredLots };
+}
+
+// Validate the lot a received quantity comes in under
+const parseReceivedLot = (input, quantity) => {
+  if (!input.lot_number && !input.expiry_date) {
+    return { lots: [] };
+  }
+
+  if (!input.lot_number) {
+    return { status: 400, error: 'An expiry date needs a lot number', code: 'INVALID_LOT' };
+  }
+
+  if (input.expiry_date && !/^\d{4}-\d{2}-\d{2}$/.test(input.expiry_date)) {
+    return { status: 400, error: 'Expiry date must be a YYYY-MM-DD date', code: 'INVALID_LOT' };
+  }
+
+  return {
+    lots: [{
+      lot_number: String(input.lot_number).trim(),
+      expiry_date: input.expiry_date || null,
+      quantity
+    }]
+  };
+};
+
+// GET /inventory/expiring - Lots in stock that expire within N days (or already have)
+router.get('/inventory/expiring', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { store_id, days = 30 } = req.query;
+
+    const storeScope = resolveRequestStore(req, store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    const window = parseInt(days);
+    if (!Number.isInteger(window) || window < 0) {
+      return res.status(400).json({
+        error: 'Days must be a whole number of days',
+        code: 'INVALID_DAYS'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: store } = await client
+      .from('stores')
+      .select('id, company_id')
+      .eq('id', storeScope.storeId)
+      .single();
+
+    const settings = await getCompanySettings(client, store?.company_id);
+    const timeZone = settings.timezone || DEFAULT_TIME_ZONE;
+    const today = getLocalDate(new Date(), timeZone);
+    const until = getLocalDate(new Date(Date.now() + window * 24 * 60 * 60 * 1000), timeZone);
+
+    const { data: lots, error } = await client
+      .from('stock_lots')
+      .select('*')
+      .eq('store_id', storeScope.storeId)
+      .gt('quantity_remaining', 0)
+      .lte('expiry_date', until)
+      .order('expiry_date', { ascending: true });
+
+    if (error) {
+      console.error('❌ Failed to fetch expiring lots:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch stock lots from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    const productIds = [...new Set((lots || []).map(lot => lot.product_id))];
+    const { data: products } = productIds.length > 0
+      ? await client
+        .from('products')
+        .select('id, name, sku, barcode')
+        .in('id', productIds)
+      : { data: [] };
+
+    const expiring = (lots || []).map(lot => {
+      const product = (products || []).find(candidate => candidate.id === lot.product_id) || {};
+      return {
+        ...lot,
+        product_name: product.name || null,
+        sku: product.sku || null,
+        barcode: product.barcode || null,
+        expired: isLotExpired(lot, today),
+        days_to_expiry: Math.round((new Date(lot.expiry_date) - new Date(today)) / (24 * 60 * 60 * 1000))
+      };
+    });
+
+    res.json({
+      store_id: storeScope.storeId,
+      as_of: today,
+      days: window,
+      lots: expiring,
+      expired_quantity: expiring.filter(lot => lot.expired).reduce((sum, lot) => sum + lot.quantity_remaining, 0),
+      count: expiring.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get expiring stock error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /inventory/lots - A product's lots still in stock, in the order they will be sold
+router.get('/inventory/lots', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { product_id } = req.query;
+
+    if (!product_id) {
+      return res.status(400).json({
+        error: 'Product ID is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: product } = await client
+      .from('products')
+      .select('id, name, store_id, stock_quantity, track_lots')
+      .eq('id', product_id)
+      .single();
+
+    if (!product || !canAccessStore(req, product.store_id)) {
+      return res.status(404).json({
+        error: 'Product not found',
+        code: 'PRODUCT_NOT_FOUND'
+      });
+    }
+
+    const lots = (await fetchOpenLots(client, [product.id])).sort(compareLotExpiry);
+    const tracked = lots.reduce((sum, lot) => sum + lot.quantity_remaining, 0);
+
+    res.json({
+      product_id: product.id,
+      track_lots: Boolean(product.track_lots),
+      stock_quantity: product.stock_quantity || 0,
+      untracked_quantity: Math.max((product.stock_quantity || 0) - tracked, 0),
+      lots,
+      count: lots.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get stock lots error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router,
+  DEFAULT_LOT_SETTINGS,
+  EXPIRED_LOT_POLICIES,
+  getLotSettings,
+  planLotDepletion,
+  checkExpiredLots,
+  parseReceivedLot
+};
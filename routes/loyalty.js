@@ -0,0 +1,936 @@
+// ========================= LOYALTY ENDPOINTS =========================
+const express = require('express');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole } = require('../lib/auth');
+const { resolveRequestStore, resolveCompanyScope } = require('../lib/scope');
+const { getCompanySettings } = require('../lib/settings');
+const { roundMoney } = require('../lib/money');
+const { normalizePhone } = require('./customers');
+
+const router = express.Router();
+
+// Points redeemed at checkout are taken as a tender worth point_value pesos each
+const LOYALTY_TENDER = { code: 'loyalty_points', name: 'Loyalty points', is_cash: false };
+
+const DEFAULT_LOYALTY_SETTINGS = {
+  enabled: false,
+  earn_rate: 0.01,
+  point_value: 1,
+  expiry_months: 12,
+  excluded_categories: [],
+  tiers: [{ code: 'member', name: 'Member', min_points: 0, multiplier: 1 }]
+};
+
+const getLoyaltySettings = (settings) => ({
+  ...DEFAULT_LOYALTY_SETTINGS,
+  ...(settings?.loyalty || {})
+});
+
+// Highest tier a member's lifetime points qualify for
+const resolveLoyaltyTier = (loyalty, lifetimePoints) => {
+  const tiers = [...loyalty.tiers].sort((a, b) => b.min_points - a.min_points);
+  return tiers.find(tier => lifetimePoints >= tier.min_points) || tiers[tiers.length - 1];
+};
+
+// Earned points lapse expiry_months after they were earned (never when 0)
+const loyaltyPointsExpiry = (loyalty, from = new Date()) => {
+  if (!(loyalty.expiry_months > 0)) {
+    return null;
+  }
+
+  const expiresAt = new Date(from);
+  expiresAt.setMonth(expiresAt.getMonth() + loyalty.expiry_months);
+  return expiresAt.toISOString();
+};
+
+// Points a purchase earns: the amount spent outside excluded categories, times
+// the earn rate and the member's tier multiplier, rounded down. paidShare
+// scales the spend when part of the bill was itself paid with points.
+const computeEarnedPoints = (loyalty, member, lines, paidShare = 1) => {
+  const excluded = loyalty.excluded_categories || [];
+  const eligibleAmount = lines
+    .filter(line => !line.category_id || !excluded.includes(line.category_id))
+    .reduce((sum, line) => sum + Number(line.line_total ?? line.amount ?? 0), 0);
+
+  const tier = loyalty.tiers.find(candidate => candidate.code === member.tier) || resolveLoyaltyTier(loyalty, member.lifetime_points || 0);
+  const points = Math.floor(roundMoney(eligibleAmount * paidShare) * loyalty.earn_rate * (tier.multiplier || 1));
+
+  return { points: Math.max(points, 0), eligibleAmount: roundMoney(eligibleAmount * paidShare) };
+};
+
+// Load an active loyalty member the user's company owns
+async function fetchLoyaltyMember(client, req, memberId) {
+  const { data: member, error } = await client
+    .from('loyalty_members')
+    .select('*')
+    .eq('id', memberId)
+    .eq('is_active', true)
+    .single();
+
+  if (error || !member) {
+    return { status: 404, error: 'Loyalty member not found', code: 'MEMBER_NOT_FOUND' };
+  }
+
+  if (req.user.role !== 'super_admin') {
+    const scope = await resolveCompanyScope(client, req, member.company_id);
+    if (scope.error) {
+      return scope;
+    }
+  }
+
+  return { member };
+}
+
+async function findLoyaltyMemberByPhone(client, companyId, phone) {
+  const { data: members } = await client
+    .from('loyalty_members')
+    .select('*')
+    .eq('company_id', companyId)
+    .eq('phone', normalizePhone(phone))
+    .eq('is_active', true)
+    .limit(1);
+
+  return members?.[0] || null;
+}
+
+// Use up points from a member's earned lots, soonest-expiring first (or from
+// one lot when it is the lot that expired)
+async function consumeLoyaltyLots(client, memberId, points, lotId = null) {
+  let remaining = points;
+
+  for (let attempt = 0; attempt < 5 && remaining > 0; attempt++) {
+    let query = client
+      .from('loyalty_ledger')
+      .select('id, points_remaining, expires_at')
+      .eq('member_id', memberId)
+      .gt('points_remaining', 0)
+      .order('expires_at', { ascending: true });
+
+    if (lotId) {
+      query = query.eq('id', lotId);
+    }
+
+    const { data: lots } = await query;
+    if (!lots || lots.length === 0) {
+      break;
+    }
+
+    for (const lot of lots) {
+      if (remaining <= 0) {
+        break;
+      }
+
+      const taken = Math.min(remaining, lot.points_remaining);
+      const { data: updated } = await client
+        .from('loyalty_ledger')
+        .update({ points_remaining: lot.points_remaining - taken })
+        .eq('id', lot.id)
+        .eq('points_remaining', lot.points_remaining)
+        .select('id');
+
+      if (updated && updated.length > 0) {
+        remaining -= taken;
+      }
+    }
+  }
+
+  return points - remaining;
+}
+
+// Post an entry to a member's points ledger. Positive entries become lots that
+// can later be redeemed or expire; negative ones use up lots. The member's
+// balance only moves if it is unchanged since it was read. Earned points also
+// count towards the member's lifetime points and tier.
+async function postLoyaltyEntry(client, { memberId, type, points, loyalty, userId, storeId = null, saleId = null, reference = null, notes = '', lotId = null, allowNegative = false }) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const { data: member } = await client
+      .from('loyalty_members')
+      .select('id, company_id, tier, points_balance, lifetime_points')
+      .eq('id', memberId)
+      .single();
+
+    if (!member) {
+      return { success: false, status: 404, error: 'Loyalty member not found', code: 'MEMBER_NOT_FOUND' };
+    }
+
+    const previousBalance = Number(member.points_balance || 0);
+    const newBalance = previousBalance + points;
+
+    if (points < 0 && newBalance < 0 && !allowNegative) {
+      return {
+        success: false,
+        status: 409,
+        error: 'Member does not have enough points',
+        code: 'INSUFFICIENT_POINTS',
+        points_balance: previousBalance,
+        requested: -points
+      };
+    }
+
+    const lifetimePoints = Number(member.lifetime_points || 0) + (type === 'earn' ? points : 0);
+    const tier = type === 'earn' ? resolveLoyaltyTier(loyalty, lifetimePoints).code : member.tier;
+
+    const { data: updated, error: updateError } = await client
+      .from('loyalty_members')
+      .update({
+        points_balance: newBalance,
+        lifetime_points: lifetimePoints,
+        tier,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', member.id)
+      .eq('points_balance', member.points_balance || 0)
+      .select('id');
+
+    if (updateError) {
+      console.error('Error updating points balance:', updateError.message);
+      return { success: false, status: 500, error: 'Failed to update points balance', code: 'DB_UPDATE_ERROR' };
+    }
+
+    if (!updated || updated.length === 0) {
+      continue;
+    }
+
+    if (points < 0) {
+      await consumeLoyaltyLots(client, member.id, -points, lotId);
+    }
+
+    const { data: entry, error: entryError } = await client
+      .from('loyalty_ledger')
+      .insert([{
+        member_id: member.id,
+        company_id: member.company_id,
+        store_id: storeId,
+        sale_id: saleId,
+        entry_type: type,
+        points,
+        points_remaining: points > 0 ? points : 0,
+        expires_at: points > 0 && loyalty ? loyaltyPointsExpiry(loyalty) : null,
+        balance_after: newBalance,
+        reference,
+        notes,
+        created_by: userId,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (entryError) {
+      console.error(`❌ Points balance of ${member.id} moved to ${newBalance} but not recorded:`, entryError.message);
+    }
+
+    return { success: true, entry, balance: newBalance, tier };
+  }
+
+  return { success: false, status: 409, error: 'Points balance is busy, please retry', code: 'POINTS_CONFLICT' };
+}
+
+// Expire every earned lot past its expiry date, one expire entry per lot
+async function expireLoyaltyPoints(client, { companyId = null, memberId = null, now = new Date() } = {}) {
+  let query = client
+    .from('loyalty_ledger')
+    .select('id, member_id, store_id, points_remaining, expires_at')
+    .gt('points_remaining', 0)
+    .lte('expires_at', now.toISOString());
+
+  if (companyId) {
+    query = query.eq('company_id', companyId);
+  }
+  if (memberId) {
+    query = query.eq('member_id', memberId);
+  }
+
+  const { data: lots, error } = await query;
+
+  if (error) {
+    console.error('Error looking up expiring points:', error.message);
+    return { expired_lots: 0, expired_points: 0, error: error.message };
+  }
+
+  let expiredLots = 0;
+  let expiredPoints = 0;
+  for (const lot of lots || []) {
+    const result = await postLoyaltyEntry(client, {
+      memberId: lot.member_id,
+      type: 'expire',
+      points: -lot.points_remaining,
+      userId: null,
+      storeId: lot.store_id,
+      reference: lot.id,
+      notes: `Points earned before ${lot.expires_at} expired`,
+      lotId: lot.id,
+      allowNegative: true
+    });
+
+    if (result.success) {
+      expiredLots++;
+      expiredPoints += lot.points_remaining;
+    }
+  }
+
+  return { expired_lots: expiredLots, expired_points: expiredPoints };
+}
+
+// Take back the points a sale earned and give back the points it redeemed, in
+// proportion to the share of the sale being reversed
+async function reverseSaleLoyalty(client, sale, { share = 1, redeemedRefund = null, userId, reference, notes }) {
+  if (!sale.loyalty_member_id) {
+    return null;
+  }
+
+  const { data: entries } = await client
+    .from('loyalty_ledger')
+    .select('entry_type, points')
+    .eq('sale_id', sale.id);
+
+  const sumOf = (types) => (entries || [])
+    .filter(entry => types.includes(entry.entry_type))
+    .reduce((sum, entry) => sum + Number(entry.points), 0);
+
+  const earned = Math.floor(sumOf(['earn']) * share);
+  const redeemed = redeemedRefund !== null ? redeemedRefund : Math.floor(-sumOf(['redeem']) * share);
+  const points = redeemed - earned;
+
+  if (points === 0) {
+    return null;
+  }
+
+  const { data: company } = await client
+    .from('companies')
+    .select('settings')
+    .eq('id', sale.company_id)
+    .single();
+
+  const result = await postLoyaltyEntry(client, {
+    memberId: sale.loyalty_member_id,
+    type: 'adjust',
+    points,
+    loyalty: getLoyaltySettings(company?.settings),
+    userId,
+    storeId: sale.store_id,
+    saleId: sale.id,
+    reference,
+    notes,
+    allowNegative: true
+  });
+
+  if (!result.success) {
+    console.error(`❌ Failed to reverse loyalty points of sale ${sale.id}:`, result.error);
+  }
+
+  return result;
+}
+
+// GET /loyalty/members - Find loyalty members by phone, or search by name, phone or email
+router.get('/loyalty/members', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { phone, search, limit = 50 } = req.query;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const scope = await resolveCompanyScope(client, req, req.query.company_id);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, code: scope.code });
+    }
+
+    let query = client
+      .from('loyalty_members')
+      .select('*')
+      .eq('company_id', scope.companyId)
+      .eq('is_active', true)
+      .order('name', { ascending: true })
+      .limit(parseInt(limit));
+
+    if (phone) {
+      query = query.eq('phone', normalizePhone(phone));
+    } else if (search) {
+      query = query.or(`name.ilike.%${search}%,phone.ilike.%${normalizePhone(search)}%,email.ilike.%${search}%`);
+    }
+
+    const { data: members, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch loyalty members:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch loyalty members from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    res.json({
+      members: members || [],
+      count: members?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get loyalty members error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /loyalty/members - Enrol a loyalty member by phone number
+router.post('/loyalty/members', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { name, email } = req.body;
+    const phone = normalizePhone(req.body.phone);
+
+    console.log(`📝 Enrolling loyalty member ${phone} by user ${req.user.role}:${req.user.id}`);
+
+    if (!phone) {
+      return res.status(400).json({
+        error: 'Phone number is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const scope = await resolveCompanyScope(client, req, req.body.company_id);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, code: scope.code });
+    }
+
+    const loyalty = getLoyaltySettings(await getCompanySettings(client, scope.companyId));
+    if (!loyalty.enabled) {
+      return res.status(400).json({
+        error: 'Loyalty program is not enabled for this company',
+        code: 'LOYALTY_DISABLED'
+      });
+    }
+
+    if (await findLoyaltyMemberByPhone(client, scope.companyId, phone)) {
+      return res.status(409).json({
+        error: `A loyalty member with phone "${phone}" already exists`,
+        code: 'MEMBER_EXISTS'
+      });
+    }
+
+    // Members who are also in the customer directory are linked to it
+    const { data: customers } = await client
+      .from('customers')
+      .select('id')
+      .eq('company_id', scope.companyId)
+      .eq('phone', phone)
+      .eq('is_active', true)
+      .limit(1);
+
+    const { data: member, error: insertError } = await client
+      .from('loyalty_members')
+      .insert([{
+        company_id: scope.companyId,
+        customer_id: customers?.[0]?.id || null,
+        phone,
+        name: name ? String(name).trim() : null,
+        email: email ? String(email).trim().toLowerCase() : null,
+        tier: resolveLoyaltyTier(loyalty, 0).code,
+        points_balance: 0,
+        lifetime_points: 0,
+        is_active: true,
+        enrolled_by: req.user.id,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('Database error enrolling loyalty member:', insertError.message);
+      return res.status(400).json({
+        error: 'Failed to enrol loyalty member',
+        code: 'DB_INSERT_ERROR',
+        details: insertError.message
+      });
+    }
+
+    console.log('✅ Loyalty member enrolled:', member.phone);
+
+    res.status(201).json({
+      message: 'Loyalty member enrolled successfully',
+      member
+    });
+
+  } catch (error) {
+    console.error('❌ Enrol loyalty member error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /loyalty/members/:memberId - Member balance, tier and progress to the next tier
+router.get('/loyalty/members/:memberId', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { member, status, error, code } = await fetchLoyaltyMember(client, req, req.params.memberId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    const loyalty = getLoyaltySettings(await getCompanySettings(client, member.company_id));
+    const nextTier = [...loyalty.tiers]
+      .sort((a, b) => a.min_points - b.min_points)
+      .find(tier => tier.min_points > Number(member.lifetime_points || 0));
+
+    res.json({
+      member: {
+        ...member,
+        points_value: roundMoney(Number(member.points_balance || 0) * loyalty.point_value),
+        next_tier: nextTier ? {
+          code: nextTier.code,
+          name: nextTier.name,
+          points_needed: nextTier.min_points - Number(member.lifetime_points || 0)
+        } : null
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get loyalty member error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /loyalty/members/:memberId - Update a member's contact details
+router.put('/loyalty/members/:memberId', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { memberId } = req.params;
+    const { name, email, phone } = req.body;
+
+    console.log(`📝 Updating loyalty member: ${memberId}`);
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const existing = await fetchLoyaltyMember(client, req, memberId);
+    if (existing.error) {
+      return res.status(existing.status).json({ error: existing.error, code: existing.code });
+    }
+
+    const updateData = {
+      updated_at: new Date().toISOString()
+    };
+
+    if (name !== undefined) updateData.name = name ? String(name).trim() : null;
+    if (email !== undefined) updateData.email = email ? String(email).trim().toLowerCase() : null;
+
+    if (phone !== undefined) {
+      updateData.phone = normalizePhone(phone);
+      if (!updateData.phone) {
+        return res.status(400).json({
+          error: 'Phone number is required',
+          code: 'MISSING_FIELDS'
+        });
+      }
+
+      const other = await findLoyaltyMemberByPhone(client, existing.member.company_id, updateData.phone);
+      if (other && other.id !== memberId) {
+        return res.status(409).json({
+          error: `A loyalty member with phone "${updateData.phone}" already exists`,
+          code: 'MEMBER_EXISTS'
+        });
+      }
+    }
+
+    const { data: member, error } = await client
+      .from('loyalty_members')
+      .update(updateData)
+      .eq('id', memberId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Update loyalty member error:', error.message);
+      return res.status(400).json({
+        error: 'Failed to update loyalty member',
+        code: 'DB_UPDATE_ERROR',
+        details: error.message
+      });
+    }
+
+    res.json({
+      message: 'Loyalty member updated successfully',
+      member
+    });
+
+  } catch (error) {
+    console.error('❌ Update loyalty member error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /loyalty/members/:memberId/ledger - Points history of a member
+router.get('/loyalty/members/:memberId/ledger', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { entry_type, limit = 100 } = req.query;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { member, status, error, code } = await fetchLoyaltyMember(client, req, req.params.memberId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    let query = client
+      .from('loyalty_ledger')
+      .select('*')
+      .eq('member_id', member.id)
+      .order('created_at', { ascending: false })
+      .limit(parseInt(limit));
+
+    if (entry_type) {
+      query = query.eq('entry_type', entry_type);
+    }
+
+    const { data: entries, error: entriesError } = await query;
+
+    if (entriesError) {
+      console.error('❌ Failed to fetch loyalty ledger:', entriesError.message);
+      return res.status(500).json({
+        error: 'Failed to fetch loyalty ledger from database',
+        code: 'DB_ERROR',
+        details: entriesError.message
+      });
+    }
+
+    res.json({
+      entries: entries || [],
+      points_balance: Number(member.points_balance || 0),
+      count: entries?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get loyalty ledger error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /loyalty/members/:memberId/adjust - Manually add or remove points (Manager only)
+router.post('/loyalty/members/:memberId/adjust', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { points, reason } = req.body;
+
+    if (!Number.isInteger(points) || points === 0) {
+      return res.status(400).json({
+        error: 'Points must be a non-zero whole number',
+        code: 'INVALID_POINTS'
+      });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        error: 'A reason is required for manual adjustments',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { member, status, error, code } = await fetchLoyaltyMember(client, req, req.params.memberId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    const result = await postLoyaltyEntry(client, {
+      memberId: member.id,
+      type: 'adjust',
+      points,
+      loyalty: getLoyaltySettings(await getCompanySettings(client, member.company_id)),
+      userId: req.user.id,
+      notes: String(reason).trim()
+    });
+
+    if (!result.success) {
+      const { success, status: postStatus, ...body } = result;
+      return res.status(postStatus).json(body);
+    }
+
+    console.log(`✅ Adjusted member ${member.id} by ${points} points`);
+
+    res.status(201).json({
+      message: 'Points adjusted successfully',
+      entry: result.entry,
+      points_balance: result.balance
+    });
+
+  } catch (error) {
+    console.error('❌ Adjust loyalty points error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /loyalty/earn - Award points for a purchase reported by the POS
+router.post('/loyalty/earn', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { store_id, member_id, phone, sale_id, lines, reference } = req.body;
+
+    const storeScope = resolveRequestStore(req, store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    if (!sale_id && (!Array.isArray(lines) || lines.length === 0)) {
+      return res.status(400).json({
+        error: 'Either a sale ID or the purchased lines are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: store } = await client
+      .from('stores')
+      .select('id, company_id')
+      .eq('id', storeScope.storeId)
+      .single();
+
+    if (!store) {
+      return res.status(404).json({
+        error: 'Store not found',
+        code: 'STORE_NOT_FOUND'
+      });
+    }
+
+    let member = null;
+    if (member_id) {
+      const lookup = await fetchLoyaltyMember(client, req, member_id);
+      if (lookup.error) {
+        return res.status(lookup.status).json({ error: lookup.error, code: lookup.code });
+      }
+      member = lookup.member;
+    } else if (phone) {
+      member = await findLoyaltyMemberByPhone(client, store.company_id, phone);
+    }
+
+    if (!member || member.company_id !== store.company_id) {
+      return res.status(404).json({
+        error: 'Loyalty member not found',
+        code: 'MEMBER_NOT_FOUND'
+      });
+    }
+
+    const loyalty = getLoyaltySettings(await getCompanySettings(client, store.company_id));
+    if (!loyalty.enabled) {
+      return res.status(400).json({
+        error: 'Loyalty program is not enabled for this company',
+        code: 'LOYALTY_DISABLED'
+      });
+    }
+
+    // A sale earns points once; its recorded lines take precedence over reported ones
+    let purchaseLines = lines;
+    if (sale_id) {
+      const { data: earned } = await client
+        .from('loyalty_ledger')
+        .select('id')
+        .eq('sale_id', sale_id)
+        .eq('entry_type', 'earn');
+
+      if ((earned || []).length > 0) {
+        return res.status(409).json({
+          error: 'Points were already awarded for this sale',
+          code: 'POINTS_ALREADY_EARNED'
+        });
+      }
+
+      const { data: sale } = await client
+        .from('sales')
+        .select('id, store_id, status, sale_items(category_id, line_total, voided_at)')
+        .eq('id', sale_id)
+        .single();
+
+      if (sale) {
+        if (sale.store_id !== storeScope.storeId || sale.status === 'voided') {
+          return res.status(409).json({
+            error: 'Points cannot be awarded for this sale',
+            code: 'INVALID_SALE_STATUS'
+          });
+        }
+        purchaseLines = (sale.sale_items || []).filter(item => !item.voided_at);
+      }
+    }
+
+    if (!Array.isArray(purchaseLines) || purchaseLines.some(line => !(Number(line.line_total ?? line.amount) >= 0))) {
+      return res.status(400).json({
+        error: 'Each purchased line needs an amount',
+        code: 'INVALID_PURCHASE'
+      });
+    }
+
+    const { points, eligibleAmount } = computeEarnedPoints(loyalty, member, purchaseLines);
+
+    if (points === 0) {
+      return res.json({
+        message: 'Purchase does not earn any points',
+        points_earned: 0,
+        eligible_amount: eligibleAmount,
+        points_balance: Number(member.points_balance || 0)
+      });
+    }
+
+    const result = await postLoyaltyEntry(client, {
+      memberId: member.id,
+      type: 'earn',
+      points,
+      loyalty,
+      userId: req.user.id,
+      storeId: storeScope.storeId,
+      saleId: sale_id || null,
+      reference: reference || null,
+      notes: `Earned on ${eligibleAmount} spend`
+    });
+
+    if (!result.success) {
+      const { success, status: postStatus, ...body } = result;
+      return res.status(postStatus).json(body);
+    }
+
+    console.log(`✅ Member ${member.id} earned ${points} points`);
+
+    res.status(201).json({
+      message: 'Points awarded successfully',
+      entry: result.entry,
+      points_earned: points,
+      eligible_amount: eligibleAmount,
+      points_balance: result.balance,
+      tier: result.tier
+    });
+
+  } catch (error) {
+    console.error('❌ Earn loyalty points error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /jobs/loyalty-expiry - Scheduled job that expires lapsed points (Vercel cron)
+router.get('/jobs/loyalty-expiry', async (req, res) => {
+  try {
+    // Vercel cron calls carry the project's CRON_SECRET as a bearer token
+    const cronSecret = process.env.CRON_SECRET;
+    if (!cronSecret || req.headers['authorization'] !== `Bearer ${cronSecret}`) {
+      return res.status(401).json({
+        error: 'Scheduled job token required',
+        code: 'UNAUTHORIZED_JOB'
+      });
+    }
+
+    console.log('⏰ Running loyalty points expiry');
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const result = await expireLoyaltyPoints(client);
+
+    if (result.error) {
+      return res.status(500).json({
+        error: 'Failed to expire loyalty points',
+        code: 'DB_ERROR',
+        details: result.error
+      });
+    }
+
+    console.log(`✅ Expired ${result.expired_points} points across ${result.expired_lots} lots`);
+
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Loyalty expiry job error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router,
+  LOYALTY_TENDER,
+  DEFAULT_LOYALTY_SETTINGS,
+  getLoyaltySettings,
+  computeEarnedPoints,
+  fetchLoyaltyMember,
+  postLoyaltyEntry,
+  expireLoyaltyPoints,
+  reverseSaleLoyalty
+};
@@ -0,0 +1,207 @@
+// ========================= MANAGER OVERRIDE ENDPOINTS =========================
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { getSupabaseClient } = require('../lib/supabase');
+const {
+  authenticateToken,
+  OVERRIDE_TOKEN_TTL_SECONDS,
+  signOverrideToken,
+  OVERRIDE_ACTIONS,
+  OVERRIDE_STAFF_ROLES,
+  OVERRIDE_USER_ROLES
+} = require('../lib/auth');
+
+const router = express.Router();
+
+// Wrong manager credentials a user may enter before approvals are refused for a while
+const MAX_FAILED_OVERRIDES = 5;
+const FAILED_OVERRIDE_WINDOW_MINUTES = 15;
+
+// Check a staff passcode against its bcrypt hash. A passcode still stored in
+// plain text from before passcodes were hashed is compared as it is and
+// hashed on the spot.
+async function verifyStaffPasscode(client, staffMember, passcode) {
+  const stored = staffMember.passcode || '';
+  if (/^\$2[aby]\$/.test(stored)) {
+    return bcrypt.compare(passcode, stored);
+  }
+
+  if (!stored || stored !== passcode) {
+    return false;
+  }
+
+  await client
+    .from('staff')
+    .update({ passcode: await bcrypt.hash(passcode, 12), updated_at: new Date().toISOString() })
+    .eq('id', staffMember.id)
+    .eq('passcode', stored);
+
+  return true;
+}
+
+// POST /overrides - A manager authorises a cashier action on the spot
+router.post('/overrides', authenticateToken, async (req, res) => {
+  try {
+    const { action, target_id, reason = '', staff_id, passcode, email, password } = req.body;
+
+    console.log(`🔑 Override requested for ${action} by user ${req.user.role}:${req.user.id}`);
+
+    if (!OVERRIDE_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        error: `Action must be one of: ${OVERRIDE_ACTIONS.join(', ')}`,
+        code: 'INVALID_OVERRIDE_ACTION'
+      });
+    }
+
+    if (!(staff_id && passcode) && !(email && password)) {
+      return res.status(400).json({
+        error: 'Manager staff ID and passcode, or email and password, are required',
+        code: 'MISSING_CREDENTIALS'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Guessing a manager's passcode is cut short after a few wrong tries
+    const windowStart = new Date(Date.now() - FAILED_OVERRIDE_WINDOW_MINUTES * 60 * 1000).toISOString();
+    const { count: failedAttempts } = await client
+      .from('override_approvals')
+      .select('id', { count: 'exact', head: true })
+      .eq('requested_by', req.user.id)
+      .eq('status', 'rejected')
+      .gte('created_at', windowStart);
+
+    if ((failedAttempts || 0) >= MAX_FAILED_OVERRIDES) {
+      console.log(`⛔ Override attempts of user ${req.user.id} blocked after ${failedAttempts} failures`);
+      return res.status(429).json({
+        error: `Too many failed manager approvals, try again in ${FAILED_OVERRIDE_WINDOW_MINUTES} minutes`,
+        code: 'TOO_MANY_ATTEMPTS'
+      });
+    }
+
+    // Verify the approving manager
+    let approver = null;
+    if (staff_id && passcode) {
+      const { data: staffMember } = await client
+        .from('staff')
+        .select('id, name, staff_id, store_id, role, passcode')
+        .eq('staff_id', String(staff_id).trim().toUpperCase())
+        .eq('is_active', true)
+        .single();
+
+      if (staffMember && OVERRIDE_STAFF_ROLES.includes(staffMember.role) && await verifyStaffPasscode(client, staffMember, String(passcode).trim())) {
+        approver = {
+          approved_by_staff_id: staffMember.id,
+          approver_name: staffMember.name,
+          store_id: staffMember.store_id
+        };
+      }
+    } else {
+      const { data: user } = await client
+        .from('users')
+        .select('id, name, role, store_id, password')
+        .eq('email', String(email).toLowerCase())
+        .eq('is_active', true)
+        .single();
+
+      if (user && OVERRIDE_USER_ROLES.includes(user.role) && await bcrypt.compare(password, user.password)) {
+        approver = {
+          approved_by_user_id: user.id,
+          approver_name: user.name,
+          store_id: user.store_id || null
+        };
+      }
+    }
+
+    if (!approver) {
+      console.log(`❌ Override rejected for ${action}`);
+
+      // Rejected attempts are kept to count them against the limit
+      await client
+        .from('override_approvals')
+        .insert([{
+          action,
+          target_id: target_id || null,
+          reason,
+          requested_by: req.user.id,
+          store_id: req.user.store_id || null,
+          status: 'rejected',
+          created_at: new Date().toISOString()
+        }]);
+
+      return res.status(401).json({
+        error: 'Invalid manager credentials',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    // A store manager can only approve actions in their own store
+    if (approver.store_id && req.user.store_id && approver.store_id !== req.user.store_id) {
+      return res.status(403).json({
+        error: 'Manager is not assigned to this store',
+        code: 'STORE_ACCESS_DENIED'
+      });
+    }
+
+    const approvalData = {
+      action,
+      target_id: target_id || null,
+      reason,
+      requested_by: req.user.id,
+      store_id: req.user.store_id || approver.store_id || null,
+      ...approver,
+      status: 'issued',
+      expires_at: new Date(Date.now() + OVERRIDE_TOKEN_TTL_SECONDS * 1000).toISOString(),
+      created_at: new Date().toISOString()
+    };
+
+    const { data: approval, error: insertError } = await client
+      .from('override_approvals')
+      .insert([approvalData])
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('Database error recording override:', insertError.message);
+      return res.status(400).json({
+        error: 'Failed to record manager approval',
+        code: 'DB_INSERT_ERROR',
+        details: insertError.message
+      });
+    }
+
+    const overrideToken = signOverrideToken(approval);
+
+    console.log(`✅ Override ${approval.id} approved by ${approver.approver_name} for ${action}`);
+
+    res.status(201).json({
+      message: 'Manager approval granted',
+      override_token: overrideToken,
+      approval: {
+        id: approval.id,
+        action: approval.action,
+        target_id: approval.target_id,
+        approver_name: approval.approver_name,
+        expires_at: approval.expires_at
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Override error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router
+};
@@ -0,0 +1,660 @@
+// ========================= PARKED ORDERS ENDPOINTS =========================
+const express = require('express');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole, OVERRIDE_USER_ROLES } = require('../lib/auth');
+const { resolveRequestStore, resolveListingStore, canAccessStore } = require('../lib/scope');
+const { priceBasket } = require('./pricing');
+const { DEFAULT_TERMINAL_ID } = require('./receipts');
+
+const router = express.Router();
+
+// Parked baskets expire after this many hours unless companies.settings.parked_order_ttl_hours says otherwise
+const DEFAULT_PARKED_ORDER_TTL_HOURS = 12;
+
+// A terminal editing a parked basket holds it for this long; each change renews the lock
+const PARKED_ORDER_LOCK_SECONDS = 5 * 60;
+
+const parkedOrderExpiry = (settings) => {
+  const hours = Number(settings?.parked_order_ttl_hours) || DEFAULT_PARKED_ORDER_TTL_HOURS;
+  return new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+};
+
+const lockExpiry = () => new Date(Date.now() + PARKED_ORDER_LOCK_SECONDS * 1000).toISOString();
+
+// Whether someone other than this user holds a live lock on the order
+const isLockedByOther = (order, userId) => {
+  return !!order.locked_by && order.locked_by !== userId && new Date(order.lock_expires_at) > new Date();
+};
+
+const lockedResponse = (order) => ({
+  status: 423,
+  error: 'This order is being edited on another terminal',
+  code: 'ORDER_LOCKED',
+  locked_by: order.locked_by,
+  locked_terminal_id: order.locked_terminal_id,
+  lock_expires_at: order.lock_expires_at
+});
+
+// Parked baskets past their expiry stop being resumable. Run whenever parked
+// orders are read, so no background job is needed.
+async function expireStaleParkedOrders(client, storeId = null) {
+  let query = client
+    .from('parked_orders')
+    .update({
+      status: 'expired',
+      locked_by: null,
+      locked_terminal_id: null,
+      lock_expires_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('status', 'parked')
+    .lt('expires_at', new Date().toISOString());
+
+  if (storeId) {
+    query = query.eq('store_id', storeId);
+  }
+
+  const { error } = await query;
+  if (error) {
+    console.error('Error expiring parked orders:', error.message);
+  }
+}
+
+// Load a parked order of the user's store, expiring it first if it is stale
+async function fetchParkedOrder(client, req, orderId) {
+  const { data: order, error } = await client
+    .from('parked_orders')
+    .select('*')
+    .eq('id', orderId)
+    .single();
+
+  if (error || !order) {
+    return { status: 404, error: 'Parked order not found', code: 'PARKED_ORDER_NOT_FOUND' };
+  }
+
+  if (!canAccessStore(req, order.store_id)) {
+    return { status: 403, error: 'You can only access parked orders of your assigned store', code: 'STORE_ACCESS_DENIED' };
+  }
+
+  if (order.status === 'parked' && new Date(order.expires_at) < new Date()) {
+    await expireStaleParkedOrders(client, order.store_id);
+    order.status = 'expired';
+  }
+
+  return { order };
+}
+
+// A parked order can be checked out by POST /sales if it is still parked in the
+// selling store and nobody else is editing it
+async function fetchParkedOrderForCheckout(client, req, orderId, storeId) {
+  const result = await fetchParkedOrder(client, req, orderId);
+  if (result.error) {
+    return result;
+  }
+
+  const { order } = result;
+  if (order.store_id !== storeId) {
+    return { status: 400, error: 'Parked order belongs to another store', code: 'PARKED_ORDER_STORE_MISMATCH' };
+  }
+
+  if (order.status !== 'parked') {
+    return { status: 409, error: `Parked order is ${order.status}`, code: 'INVALID_PARKED_ORDER_STATUS' };
+  }
+
+  if (isLockedByOther(order, req.user.id)) {
+    return lockedResponse(order);
+  }
+
+  return { order };
+}
+
+// Take a parked order out of reach of other checkouts and editors while it is being sold
+async function claimParkedOrderForCheckout(client, order) {
+  const { data: claimed, error } = await client
+    .from('parked_orders')
+    .update({ status: 'checking_out', updated_at: new Date().toISOString() })
+    .eq('id', order.id)
+    .eq('status', 'parked')
+    .select('id');
+
+  if (error || !claimed || claimed.length === 0) {
+    return { status: 409, error: 'Parked order was changed by someone else, please retry', code: 'PARKED_ORDER_CONFLICT' };
+  }
+
+  return { order };
+}
+
+// Give a claimed parked order back when its sale did not go through
+async function releaseParkedOrderClaim(client, order) {
+  const { error } = await client
+    .from('parked_orders')
+    .update({ status: 'parked', updated_at: new Date().toISOString() })
+    .eq('id', order.id)
+    .eq('status', 'checking_out');
+
+  if (error) {
+    console.error(`❌ Parked order ${order.id} could not be given back after a failed sale:`, error.message);
+  }
+}
+
+// Close a parked order once its sale is recorded
+async function completeParkedOrder(client, order, sale, userId) {
+  const { data: completed, error } = await client
+    .from('parked_orders')
+    .update({
+      status: 'completed',
+      sale_id: sale.id,
+      completed_by: userId,
+      completed_at: new Date().toISOString(),
+      locked_by: null,
+      locked_terminal_id: null,
+      lock_expires_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', order.id)
+    .eq('status', 'checking_out')
+    .select('id');
+
+  if (error || !completed || completed.length === 0) {
+    console.error(`❌ Parked order ${order.id} could not be closed after sale ${sale.id}:`, error?.message || 'status changed');
+  }
+}
+
+// Validate a basket the same way checkout will, so only sellable baskets are parked
+async function priceParkedBasket(client, storeId, basket) {
+  return priceBasket(client, {
+    storeId,
+    items: basket.items,
+    priceTier: basket.price_tier,
+    couponCodes: basket.coupon_codes || [],
+    statutoryDiscountType: basket.statutory_discount ? basket.statutory_discount.type || '' : null,
+    discount: basket.discount || null
+  });
+}
+
+const parkedOrderQuote = (pricing) => ({
+  price_tier: pricing.priceTier,
+  lines: pricing.lines,
+  applied_promotions: pricing.appliedPromotions,
+  rejected_coupons: pricing.rejectedCoupons,
+  subtotal: pricing.subtotal,
+  tax_total: pricing.taxTotal,
+  total: pricing.total
+});
+
+// GET /parked-orders - List parked orders of the store
+router.get('/parked-orders', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { status = 'parked' } = req.query;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const storeScope = resolveListingStore(req, req.query.store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    const { storeId } = storeScope;
+
+    await expireStaleParkedOrders(client, storeId || null);
+
+    let query = client
+      .from('parked_orders')
+      .select('*')
+      .eq('status', status)
+      .order('created_at', { ascending: true });
+
+    if (storeId) {
+      query = query.eq('store_id', storeId);
+    }
+
+    const { data: orders, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch parked orders:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch parked orders from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    res.json({
+      parked_orders: (orders || []).map(order => ({
+        ...order,
+        is_locked: isLockedByOther(order, req.user.id)
+      })),
+      count: orders?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get parked orders error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /parked-orders - Park a basket to resume later on any terminal in the store
+router.post('/parked-orders', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { store_id, label, items, price_tier, coupon_codes = [], discount, statutory_discount, terminal_id = DEFAULT_TERMINAL_ID, notes = '' } = req.body;
+
+    console.log(`⏸️ Parking order "${label}" by user ${req.user.role}:${req.user.id}`);
+
+    if (!label || !String(label).trim()) {
+      return res.status(400).json({
+        error: 'A label is required to find the order again',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const storeScope = resolveRequestStore(req, store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const basket = { items, price_tier: price_tier || null, coupon_codes, discount: discount || null, statutory_discount: statutory_discount || null };
+    const pricing = await priceParkedBasket(client, storeScope.storeId, basket);
+
+    if (pricing.error) {
+      const { status, ...body } = pricing;
+      return res.status(status).json(body);
+    }
+
+    const { data: order, error: insertError } = await client
+      .from('parked_orders')
+      .insert([{
+        ...basket,
+        store_id: storeScope.storeId,
+        label: String(label).trim(),
+        notes,
+        subtotal: pricing.subtotal,
+        total: pricing.total,
+        status: 'parked',
+        parked_by: req.user.id,
+        parked_terminal_id: terminal_id,
+        expires_at: parkedOrderExpiry(pricing.settings),
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('Database error parking order:', insertError.message);
+      return res.status(400).json({
+        error: 'Failed to park order',
+        code: 'DB_INSERT_ERROR',
+        details: insertError.message
+      });
+    }
+
+    console.log(`✅ Order parked: ${order.id}`);
+
+    res.status(201).json({
+      message: 'Order parked successfully',
+      parked_order: order
+    });
+
+  } catch (error) {
+    console.error('❌ Park order error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /parked-orders/:orderId - Fetch one parked order
+router.get('/parked-orders/:orderId', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { order, status, error, code } = await fetchParkedOrder(client, req, req.params.orderId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    res.json({
+      parked_order: {
+        ...order,
+        is_locked: isLockedByOther(order, req.user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get parked order error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /parked-orders/:orderId/resume - Lock a parked order to this terminal and reprice it
+router.post('/parked-orders/:orderId/resume', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { terminal_id = DEFAULT_TERMINAL_ID } = req.body;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { order, status, error, code } = await fetchParkedOrder(client, req, req.params.orderId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    if (order.status !== 'parked') {
+      return res.status(409).json({
+        error: `Parked order is ${order.status}`,
+        code: 'INVALID_PARKED_ORDER_STATUS'
+      });
+    }
+
+    if (isLockedByOther(order, req.user.id)) {
+      const { status: lockStatus, ...body } = lockedResponse(order);
+      return res.status(lockStatus).json(body);
+    }
+
+    // Only take the lock if nobody touched the order since it was read
+    const { data: lockedOrder, error: lockError } = await client
+      .from('parked_orders')
+      .update({
+        locked_by: req.user.id,
+        locked_terminal_id: terminal_id,
+        locked_at: new Date().toISOString(),
+        lock_expires_at: lockExpiry(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', order.id)
+      .eq('status', 'parked')
+      .eq('updated_at', order.updated_at)
+      .select()
+      .single();
+
+    if (lockError || !lockedOrder) {
+      return res.status(409).json({
+        error: 'Parked order was changed by someone else, please retry',
+        code: 'PARKED_ORDER_CONFLICT'
+      });
+    }
+
+    console.log(`▶️ Parked order ${order.id} resumed on ${terminal_id} by ${req.user.id}`);
+
+    // Prices and promotions may have changed since the basket was parked
+    const pricing = await priceParkedBasket(client, order.store_id, order);
+
+    res.json({
+      message: 'Parked order resumed',
+      parked_order: lockedOrder,
+      quote: pricing.error ? null : parkedOrderQuote(pricing),
+      pricing_error: pricing.error ? { error: pricing.error, code: pricing.code } : null
+    });
+
+  } catch (error) {
+    console.error('❌ Resume parked order error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /parked-orders/:orderId - Change a resumed basket (needs the edit lock)
+router.put('/parked-orders/:orderId', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { order, status, error, code } = await fetchParkedOrder(client, req, req.params.orderId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    if (order.status !== 'parked') {
+      return res.status(409).json({
+        error: `Parked order is ${order.status}`,
+        code: 'INVALID_PARKED_ORDER_STATUS'
+      });
+    }
+
+    if (order.locked_by !== req.user.id || new Date(order.lock_expires_at) < new Date()) {
+      return res.status(423).json({
+        error: 'Resume the order before changing it',
+        code: 'ORDER_NOT_LOCKED'
+      });
+    }
+
+    const basket = {};
+    ['items', 'price_tier', 'coupon_codes', 'discount', 'statutory_discount'].forEach(field => {
+      basket[field] = req.body[field] !== undefined ? req.body[field] : order[field];
+    });
+
+    const pricing = await priceParkedBasket(client, order.store_id, basket);
+
+    if (pricing.error) {
+      const { status: pricingStatus, ...body } = pricing;
+      return res.status(pricingStatus).json(body);
+    }
+
+    const { data: updatedOrder, error: updateError } = await client
+      .from('parked_orders')
+      .update({
+        ...basket,
+        label: req.body.label ? String(req.body.label).trim() : order.label,
+        notes: req.body.notes !== undefined ? req.body.notes : order.notes,
+        subtotal: pricing.subtotal,
+        total: pricing.total,
+        lock_expires_at: lockExpiry(),
+        expires_at: parkedOrderExpiry(pricing.settings),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', order.id)
+      .eq('locked_by', req.user.id)
+      .select()
+      .single();
+
+    if (updateError || !updatedOrder) {
+      console.error('Update parked order error:', updateError?.message);
+      return res.status(409).json({
+        error: 'Parked order was changed by someone else, please retry',
+        code: 'PARKED_ORDER_CONFLICT'
+      });
+    }
+
+    res.json({
+      message: 'Parked order updated successfully',
+      parked_order: updatedOrder,
+      quote: parkedOrderQuote(pricing)
+    });
+
+  } catch (error) {
+    console.error('❌ Update parked order error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /parked-orders/:orderId/release - Put a resumed order back on hold for other terminals
+router.post('/parked-orders/:orderId/release', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { order, status, error, code } = await fetchParkedOrder(client, req, req.params.orderId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    // Managers may break a lock left behind by a terminal that went away
+    if (isLockedByOther(order, req.user.id) && !OVERRIDE_USER_ROLES.includes(req.user.role)) {
+      const { status: lockStatus, ...body } = lockedResponse(order);
+      return res.status(lockStatus).json(body);
+    }
+
+    const { data: releasedOrder, error: updateError } = await client
+      .from('parked_orders')
+      .update({
+        locked_by: null,
+        locked_terminal_id: null,
+        locked_at: null,
+        lock_expires_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', order.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error('Release parked order error:', updateError.message);
+      return res.status(400).json({
+        error: 'Failed to release parked order',
+        code: 'DB_UPDATE_ERROR',
+        details: updateError.message
+      });
+    }
+
+    res.json({
+      message: 'Parked order released',
+      parked_order: releasedOrder
+    });
+
+  } catch (error) {
+    console.error('❌ Release parked order error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /parked-orders/:orderId/discard - Throw a parked basket away
+router.post('/parked-orders/:orderId/discard', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { reason = '' } = req.body;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { order, status, error, code } = await fetchParkedOrder(client, req, req.params.orderId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    if (order.status !== 'parked') {
+      return res.status(409).json({
+        error: `Parked order is ${order.status}`,
+        code: 'INVALID_PARKED_ORDER_STATUS'
+      });
+    }
+
+    if (isLockedByOther(order, req.user.id) && !OVERRIDE_USER_ROLES.includes(req.user.role)) {
+      const { status: lockStatus, ...body } = lockedResponse(order);
+      return res.status(lockStatus).json(body);
+    }
+
+    const { data: discardedOrder, error: updateError } = await client
+      .from('parked_orders')
+      .update({
+        status: 'discarded',
+        discarded_by: req.user.id,
+        discarded_at: new Date().toISOString(),
+        discard_reason: reason,
+        locked_by: null,
+        locked_terminal_id: null,
+        lock_expires_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', order.id)
+      .eq('status', 'parked')
+      .select()
+      .single();
+
+    if (updateError || !discardedOrder) {
+      return res.status(409).json({
+        error: 'Parked order was changed by someone else, please retry',
+        code: 'PARKED_ORDER_CONFLICT'
+      });
+    }
+
+    console.log(`🗑️ Parked order discarded: ${order.id}`);
+
+    res.json({
+      message: 'Parked order discarded',
+      parked_order: discardedOrder
+    });
+
+  } catch (error) {
+    console.error('❌ Discard parked order error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router,
+  fetchParkedOrderForCheckout,
+  claimParkedOrderForCheckout,
+  releaseParkedOrderClaim,
+  completeParkedOrder
+};
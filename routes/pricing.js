@@ -0,0 +1,753 @@
+// ========================= PRICING ENDPOINTS =========================
+const express = require('express');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole } = require('../lib/auth');
+const { resolveRequestStore } = require('../lib/scope');
+const { getCompanySettings, PRICE_TIERS, DEFAULT_TIME_ZONE } = require('../lib/settings');
+const { roundMoney } = require('../lib/money');
+const { variantRequiredError } = require('../lib/variants');
+const { fetchCustomer } = require('./customers');
+
+const router = express.Router();
+
+// Cashiers may give up to this basket discount without a manager override,
+// unless the company sets max_cashier_discount_percent in its settings
+const DEFAULT_MAX_CASHIER_DISCOUNT_PERCENT = 10;
+
+// Work out a basket discount given as { type: 'percent' | 'amount', value }
+const computeBasketDiscount = (subtotal, discount) => {
+  if (!discount) {
+    return { amount: 0, percent: 0 };
+  }
+
+  const value = Number(discount.value);
+  if (!['percent', 'amount'].includes(discount.type) || !Number.isFinite(value) || value < 0) {
+    return {
+      error: "Discount needs a type of 'percent' or 'amount' and a non-negative value",
+      code: 'INVALID_DISCOUNT'
+    };
+  }
+
+  const amount = roundMoney(discount.type === 'percent' ? subtotal * value / 100 : value);
+  if (amount > subtotal) {
+    return {
+      error: 'Discount cannot exceed the sale subtotal',
+      code: 'INVALID_DISCOUNT'
+    };
+  }
+
+  return {
+    amount,
+    percent: subtotal > 0 ? roundMoney(amount / subtotal * 100) : 0
+  };
+};
+
+// Spread a basket discount over the lines in proportion to their value so that
+// returns refund what was actually paid. Rounding leftovers go to the last line.
+const spreadDiscountOverLines = (lines, discountAmount) => {
+  const subtotal = lines.reduce((sum, line) => sum + line.line_total, 0);
+  if (!(discountAmount > 0) || subtotal <= 0) {
+    return lines;
+  }
+
+  let remaining = discountAmount;
+  lines.forEach((line, index) => {
+    const share = index === lines.length - 1
+      ? remaining
+      : roundMoney(discountAmount * line.line_total / subtotal);
+
+    line.discount_amount = roundMoney(line.discount_amount + share);
+    line.line_total = roundMoney(line.line_total - share);
+    remaining = roundMoney(remaining - share);
+  });
+
+  return lines;
+};
+
+// Senior citizen and PWD purchases of eligible items are sold VAT-exempt with a
+// statutory 20% discount on the VAT-exclusive price (RA 9994 / RA 10754)
+const STATUTORY_DISCOUNT_TYPES = ['senior_citizen', 'pwd'];
+const STATUTORY_DISCOUNT_PERCENT = 20;
+
+// Tax classes used until a company configures its own in companies.settings.tax.
+// Shelf prices include tax unless prices_include_tax is turned off.
+const DEFAULT_TAX_SETTINGS = {
+  prices_include_tax: true,
+  default_class: 'vat',
+  classes: {
+    vat: { name: 'VAT', rate: 12 },
+    zero_rated: { name: 'Zero-rated', rate: 0 },
+    exempt: { name: 'VAT-exempt', rate: 0, exempt: true }
+  },
+  stores: {}
+};
+
+// Sales covered by a statutory discount are always booked under this class
+const EXEMPT_TAX_CLASS = 'exempt';
+
+// Pick the price tier for a sale: the one declared on the sale, then the
+// customer's, then the store default and company default from companies.settings
+const resolvePriceTier = ({ saleTier, customerTier, storeId, settings }) => {
+  const candidates = [
+    saleTier,
+    customerTier,
+    settings?.store_price_tiers?.[storeId],
+    settings?.default_price_tier
+  ];
+
+  return candidates.find(tier => PRICE_TIERS.includes(tier)) || 'default';
+};
+
+// Unit price of a product in a tier, falling back to default_price when the tier has none
+const getTierPrice = (product, tier) => {
+  const tierPrice = product[`${tier}_price`];
+  return roundMoney(tierPrice !== null && tierPrice !== undefined ? tierPrice : product.default_price);
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Day of week (0 = Sunday) and HH:MM wall-clock time of a moment in a time zone
+const getLocalTime = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const part = (type) => parts.find(p => p.type === type).value;
+  return {
+    day: WEEKDAYS.indexOf(part('weekday')),
+    time: `${part('hour')}:${part('minute')}`
+  };
+};
+
+// Whether a promotion can apply right now to a basket presenting these coupon codes
+const isPromotionActive = (promotion, now, local, couponCodes) => {
+  if (!promotion.is_active) {
+    return false;
+  }
+
+  if (promotion.starts_at && new Date(promotion.starts_at) > now) {
+    return false;
+  }
+  if (promotion.ends_at && new Date(promotion.ends_at) < now) {
+    return false;
+  }
+
+  if (Array.isArray(promotion.days_of_week) && promotion.days_of_week.length > 0 && !promotion.days_of_week.includes(local.day)) {
+    return false;
+  }
+
+  // Happy-hour window; a window ending before it starts runs past midnight
+  if (promotion.start_time && promotion.end_time) {
+    const inWindow = promotion.start_time <= promotion.end_time
+      ? local.time >= promotion.start_time && local.time < promotion.end_time
+      : local.time >= promotion.start_time || local.time < promotion.end_time;
+
+    if (!inWindow) {
+      return false;
+    }
+  }
+
+  if (promotion.coupon_code && !couponCodes.includes(promotion.coupon_code)) {
+    return false;
+  }
+
+  if (promotion.usage_limit && (promotion.usage_count || 0) >= promotion.usage_limit) {
+    return false;
+  }
+
+  return true;
+};
+
+// Whether a line-level promotion covers a basket line
+const promotionCoversLine = (promotion, line) => {
+  if (promotion.scope === 'product') {
+    return (promotion.product_ids || []).includes(line.product_id);
+  }
+  if (promotion.scope === 'category') {
+    return !!line.category_id && (promotion.category_ids || []).includes(line.category_id);
+  }
+  return false;
+};
+
+// Evaluate store promotions against priced basket lines. Each unit takes at most
+// one line-level promotion (highest priority first); basket promotions then
+// apply to what is left. Returns the discount per line and an itemised list of
+// the promotions that applied, for receipts.
+const evaluatePromotions = (lines, promotions, { now = new Date(), timeZone = DEFAULT_TIME_ZONE, couponCodes = [] } = {}) => {
+  const local = getLocalTime(now, timeZone);
+  const codes = couponCodes.map(code => String(code).trim().toUpperCase()).filter(Boolean);
+
+  const active = promotions
+    .filter(promotion => isPromotionActive(promotion, now, local, codes))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+  const remainingUnits = lines.map(line => line.quantity);
+  const lineDiscounts = lines.map(() => 0);
+  const applied = [];
+
+  // Units still free to promote, most expensive first
+  const collectUnits = (promotion) => {
+    const units = [];
+    lines.forEach((line, index) => {
+      if (promotionCoversLine(promotion, line)) {
+        for (let unit = 0; unit < remainingUnits[index]; unit++) {
+          units.push({ index, price: line.unit_price });
+        }
+      }
+    });
+    return units.sort((a, b) => b.price - a.price);
+  };
+
+  for (const promotion of active) {
+    const perLine = {};
+    const addToLine = (index, quantity, amount) => {
+      perLine[index] = perLine[index] || { quantity: 0, amount: 0 };
+      perLine[index].quantity += quantity;
+      perLine[index].amount += amount;
+    };
+
+    if (promotion.scope === 'basket') {
+      // Basket-wide percentage or fixed amount off what is left after line promotions
+      const netByLine = lines.map((line, index) => Math.max(0, line.gross_amount - lineDiscounts[index]));
+      const net = netByLine.reduce((sum, amount) => sum + amount, 0);
+
+      if (net <= 0 || (promotion.min_basket_amount && net < Number(promotion.min_basket_amount))) {
+        continue;
+      }
+
+      const amount = roundMoney(promotion.type === 'percent'
+        ? net * Number(promotion.value) / 100
+        : Math.min(Number(promotion.value), net));
+
+      let remaining = amount;
+      const lastIndex = netByLine.map(lineNet => lineNet > 0).lastIndexOf(true);
+      netByLine.forEach((lineNet, index) => {
+        if (lineNet <= 0) {
+          return;
+        }
+        const share = index === lastIndex ? remaining : roundMoney(amount * lineNet / net);
+        remaining = roundMoney(remaining - share);
+        addToLine(index, lines[index].quantity, share);
+      });
+    } else if (promotion.type === 'percent' || promotion.type === 'fixed') {
+      lines.forEach((line, index) => {
+        if (!promotionCoversLine(promotion, line) || remainingUnits[index] <= 0) {
+          return;
+        }
+
+        const units = remainingUnits[index];
+        const perUnit = promotion.type === 'percent'
+          ? line.unit_price * Number(promotion.value) / 100
+          : Math.min(Number(promotion.value), line.unit_price);
+
+        addToLine(index, units, perUnit * units);
+        remainingUnits[index] = 0;
+      });
+    } else if (promotion.type === 'buy_x_get_y') {
+      // In every group of buy + get units the cheapest get units are discounted
+      const units = collectUnits(promotion);
+      const groupSize = promotion.buy_quantity + promotion.get_quantity;
+      const getPercent = promotion.get_discount_percent ?? 100;
+
+      for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+        units.slice(start, start + groupSize).forEach((unit, position) => {
+          const amount = position >= promotion.buy_quantity ? unit.price * getPercent / 100 : 0;
+          addToLine(unit.index, 1, amount);
+          remainingUnits[unit.index] -= 1;
+        });
+      }
+    } else if (promotion.type === 'bundle') {
+      // Every bundle_quantity units sell for bundle_price, discount spread by unit price
+      const units = collectUnits(promotion);
+      const bundlePrice = Number(promotion.bundle_price);
+
+      for (let start = 0; start + promotion.bundle_quantity <= units.length; start += promotion.bundle_quantity) {
+        const bundle = units.slice(start, start + promotion.bundle_quantity);
+        const regular = bundle.reduce((sum, unit) => sum + unit.price, 0);
+        if (regular <= bundlePrice) {
+          break;
+        }
+
+        bundle.forEach(unit => {
+          addToLine(unit.index, 1, (regular - bundlePrice) * unit.price / regular);
+          remainingUnits[unit.index] -= 1;
+        });
+      }
+    }
+
+    const appliedLines = Object.entries(perLine)
+      .map(([index, { quantity, amount }]) => ({
+        line: Number(index),
+        product_id: lines[index].product_id,
+        quantity,
+        amount: roundMoney(Math.min(amount, lines[index].gross_amount - lineDiscounts[index]))
+      }))
+      .filter(line => line.amount > 0);
+
+    if (appliedLines.length === 0) {
+      continue;
+    }
+
+    appliedLines.forEach(line => {
+      lineDiscounts[line.line] = roundMoney(lineDiscounts[line.line] + line.amount);
+    });
+
+    applied.push({
+      promotion_id: promotion.id,
+      name: promotion.name,
+      type: promotion.type,
+      scope: promotion.scope,
+      coupon_code: promotion.coupon_code || null,
+      amount: roundMoney(appliedLines.reduce((sum, line) => sum + line.amount, 0)),
+      lines: appliedLines
+    });
+  }
+
+  const rejectedCoupons = codes
+    .filter(code => !active.some(promotion => promotion.coupon_code === code))
+    .map(code => ({ code, reason: 'Coupon is unknown, expired or used up' }));
+
+  return { lineDiscounts, applied, rejectedCoupons };
+};
+
+// Tax setup for a store: the company's classes and rates with the store's own
+// rates and price entry mode laid over them
+const resolveTaxSettings = (settings, storeId) => {
+  const tax = settings?.tax || DEFAULT_TAX_SETTINGS;
+  const storeTax = tax.stores?.[storeId] || {};
+
+  const classes = {};
+  Object.entries({ [EXEMPT_TAX_CLASS]: DEFAULT_TAX_SETTINGS.classes[EXEMPT_TAX_CLASS], ...tax.classes }).forEach(([code, taxClass]) => {
+    const storeRate = storeTax.rates?.[code];
+    classes[code] = {
+      ...taxClass,
+      rate: storeRate !== undefined && storeRate !== null ? Number(storeRate) : Number(taxClass.rate) || 0
+    };
+  });
+
+  return {
+    pricesIncludeTax: typeof storeTax.prices_include_tax === 'boolean' ? storeTax.prices_include_tax : tax.prices_include_tax !== false,
+    defaultClass: classes[tax.default_class] ? tax.default_class : Object.keys(classes)[0],
+    classes
+  };
+};
+
+// Tax class of a product: its own, else its category's, else the company default
+const resolveTaxClass = (product, categoriesById, taxSettings) => {
+  const candidates = [product.tax_class, categoriesById[product.category_id]?.tax_class];
+  return candidates.find(code => code && taxSettings.classes[code]) || taxSettings.defaultClass;
+};
+
+// Work out tax per class on what each line finally sells for. Tax is rounded
+// once per class and the rounded amount shared out over that class's lines, so
+// lines always add up to the breakdown. With tax-exclusive prices the tax is
+// added to the line totals.
+const computeTaxes = (lines, taxSettings) => {
+  const breakdown = [];
+
+  Object.entries(taxSettings.classes).forEach(([code, taxClass]) => {
+    const classLines = lines.filter(line => line.tax_class === code);
+    if (classLines.length === 0) {
+      return;
+    }
+
+    const amount = roundMoney(classLines.reduce((sum, line) => sum + line.line_total, 0));
+    const taxAmount = taxSettings.pricesIncludeTax
+      ? roundMoney(amount * taxClass.rate / (100 + taxClass.rate))
+      : roundMoney(amount * taxClass.rate / 100);
+
+    let remaining = taxAmount;
+    classLines.forEach((line, index) => {
+      const share = index === classLines.length - 1
+        ? remaining
+        : roundMoney(amount > 0 ? taxAmount * line.line_total / amount : 0);
+
+      line.tax_rate = taxClass.rate;
+      line.tax_amount = share;
+      if (!taxSettings.pricesIncludeTax) {
+        line.line_total = roundMoney(line.line_total + share);
+      }
+      remaining = roundMoney(remaining - share);
+    });
+
+    breakdown.push({
+      tax_class: code,
+      name: taxClass.name || code,
+      rate: taxClass.rate,
+      exempt: !!taxClass.exempt,
+      taxable_amount: taxSettings.pricesIncludeTax ? roundMoney(amount - taxAmount) : amount,
+      tax_amount: taxAmount
+    });
+  });
+
+  return {
+    breakdown,
+    taxTotal: roundMoney(breakdown.reduce((sum, taxClass) => sum + taxClass.tax_amount, 0))
+  };
+};
+
+// Rebuild a sale's tax breakdown from the tax already booked on its remaining lines
+const summarizeLineTaxes = (lines, breakdown) => {
+  return breakdown
+    .map(taxClass => {
+      const classLines = lines.filter(line => line.tax_class === taxClass.tax_class);
+      const taxAmount = roundMoney(classLines.reduce((sum, line) => sum + Number(line.tax_amount || 0), 0));
+      const amount = roundMoney(classLines.reduce((sum, line) => sum + Number(line.line_total), 0));
+
+      return { ...taxClass, taxable_amount: roundMoney(amount - taxAmount), tax_amount: taxAmount, line_count: classLines.length };
+    })
+    .filter(taxClass => taxClass.line_count > 0)
+    .map(({ line_count, ...taxClass }) => taxClass);
+};
+
+// Whether a product qualifies for the senior citizen / PWD discount. A flag on
+// the product wins; products without one follow their category.
+const isStatutoryEligible = (product, categoriesById) => {
+  if (product.statutory_discount_eligible === true || product.statutory_discount_eligible === false) {
+    return product.statutory_discount_eligible;
+  }
+  return !!categoriesById[product.category_id]?.statutory_discount_eligible;
+};
+
+// Take VAT out of a line, apply the statutory discount to what remains and
+// book the line as VAT-exempt
+const applyStatutoryDiscount = (line, taxSettings) => {
+  const vatRate = taxSettings.classes[line.tax_class].rate;
+  const vatExemptSales = taxSettings.pricesIncludeTax
+    ? roundMoney(line.gross_amount / (1 + vatRate / 100))
+    : line.gross_amount;
+
+  line.vat_exempt_amount = roundMoney(line.gross_amount - vatExemptSales);
+  line.statutory_discount = roundMoney(vatExemptSales * STATUTORY_DISCOUNT_PERCENT / 100);
+  line.line_total = roundMoney(vatExemptSales - line.statutory_discount);
+  line.tax_class = EXEMPT_TAX_CLASS;
+
+  return vatExemptSales;
+};
+
+// Price a basket for a store: validate the items, resolve the price tier,
+// apply the store's promotions (or the senior citizen / PWD discount on the
+// items it covers) and any manual discount, then work out tax. Shared by
+// checkout and POST /pricing/quote.
+async function priceBasket(client, { storeId, items, priceTier, customerTier = null, couponCodes = [], statutoryDiscountType = null, discount = null, now = new Date() }) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { status: 400, error: 'At least one line item is required', code: 'MISSING_ITEMS' };
+  }
+
+  if (priceTier && !PRICE_TIERS.includes(priceTier)) {
+    return { status: 400, error: `Price tier must be one of: ${PRICE_TIERS.join(', ')}`, code: 'INVALID_PRICE_TIER' };
+  }
+
+  if (!Array.isArray(couponCodes)) {
+    return { status: 400, error: 'Coupon codes must be a list', code: 'INVALID_COUPON' };
+  }
+
+  if (statutoryDiscountType !== null && !STATUTORY_DISCOUNT_TYPES.includes(statutoryDiscountType)) {
+    return {
+      status: 400,
+      error: `Statutory discount type must be one of: ${STATUTORY_DISCOUNT_TYPES.join(', ')}`,
+      code: 'INVALID_STATUTORY_DISCOUNT'
+    };
+  }
+
+  if (statutoryDiscountType && discount) {
+    return {
+      status: 400,
+      error: 'Manual discounts cannot be combined with a senior citizen or PWD discount',
+      code: 'INVALID_DISCOUNT'
+    };
+  }
+
+  // Unit prices are optional and checked against the price tier
+  for (let index = 0; index < items.length; index++) {
+    const item = items[index];
+    const quantity = Number(item.quantity);
+    const hasPrice = item.unit_price !== undefined && item.unit_price !== null;
+    const unitPrice = Number(item.unit_price);
+
+    if (!item.product_id || !Number.isInteger(quantity) || quantity <= 0 || (hasPrice && (!Number.isFinite(unitPrice) || unitPrice < 0))) {
+      return {
+        status: 400,
+        error: 'Each line item needs a product ID and a positive whole quantity',
+        code: 'INVALID_LINE_ITEM',
+        line: index
+      };
+    }
+  }
+
+  const productIds = [...new Set(items.map(item => item.product_id))];
+
+  const { data: products, error: productsError } = await client
+    .from('products')
+    .select('id, name, sku, category_id, store_id, stock_quantity, reserved_quantity, default_price, manila_price, delivery_price, wholesale_price, statutory_discount_eligible, tax_class, track_lots, track_serials, is_variant_parent')
+    .in('id', productIds)
+    .eq('is_active', true);
+
+  if (productsError) {
+    console.error('❌ Failed to fetch basket products:', productsError.message);
+    return { status: 500, error: 'Failed to fetch products from database', code: 'DB_ERROR', details: productsError.message };
+  }
+
+  const productsById = {};
+  (products || []).forEach(product => {
+    productsById[product.id] = product;
+  });
+
+  // Every product must exist in the selling store
+  for (const item of items) {
+    const product = productsById[item.product_id];
+
+    if (!product) {
+      return { status: 404, error: 'Product not found', code: 'PRODUCT_NOT_FOUND', product_id: item.product_id };
+    }
+
+    if (product.store_id !== storeId) {
+      return {
+        status: 400,
+        error: `Product "${product.name}" does not belong to this store`,
+        code: 'PRODUCT_STORE_MISMATCH',
+        product_id: product.id
+      };
+    }
+
+    if (product.is_variant_parent) {
+      return variantRequiredError(product);
+    }
+  }
+
+  const { data: store, error: storeError } = await client
+    .from('stores')
+    .select('id, company_id')
+    .eq('id', storeId)
+    .single();
+
+  if (storeError || !store) {
+    return { status: 404, error: 'Store not found', code: 'STORE_NOT_FOUND' };
+  }
+
+  const settings = await getCompanySettings(client, store.company_id);
+  const tier = resolvePriceTier({ saleTier: priceTier, customerTier, storeId: store.id, settings });
+  const taxSettings = resolveTaxSettings(settings, store.id);
+
+  // Categories decide tax class and statutory eligibility for products without their own
+  const categoryIds = [...new Set(Object.values(productsById).map(product => product.category_id).filter(Boolean))];
+  const categoriesById = {};
+
+  if (categoryIds.length > 0) {
+    const { data: categories, error: categoriesError } = await client
+      .from('categories')
+      .select('id, statutory_discount_eligible, tax_class')
+      .in('id', categoryIds);
+
+    if (categoriesError) {
+      console.error('Error fetching categories:', categoriesError.message);
+    }
+
+    (categories || []).forEach(category => {
+      categoriesById[category.id] = category;
+    });
+  }
+
+  // Price each line from the resolved tier
+  const mismatchedPrices = [];
+  const lines = items.map((item, index) => {
+    const product = productsById[item.product_id];
+    const quantity = Number(item.quantity);
+    const listPrice = getTierPrice(product, tier);
+    const hasPrice = item.unit_price !== undefined && item.unit_price !== null;
+    const unitPrice = hasPrice ? roundMoney(item.unit_price) : listPrice;
+
+    if (unitPrice !== listPrice) {
+      mismatchedPrices.push({ line: index, product_id: product.id, submitted: unitPrice, expected: listPrice });
+    }
+
+    return {
+      product_id: product.id,
+      product_name: product.name,
+      sku: product.sku,
+      category_id: product.category_id || null,
+      quantity,
+      price_tier: tier,
+      list_price: listPrice,
+      unit_price: unitPrice,
+      price_overridden: unitPrice !== listPrice,
+      gross_amount: roundMoney(quantity * unitPrice),
+      promotion_discount: 0,
+      vat_exempt_amount: 0,
+      statutory_discount: 0,
+      discount_amount: 0,
+      tax_class: resolveTaxClass(product, categoriesById, taxSettings),
+      tax_rate: 0,
+      tax_amount: 0,
+      line_total: roundMoney(quantity * unitPrice),
+      ...(product.track_serials ? { serial_numbers: item.serial_numbers || [] } : {})
+    };
+  });
+
+  // Lines covered by the senior citizen / PWD discount don't also take promotions
+  const statutoryLines = statutoryDiscountType
+    ? lines.filter(line => isStatutoryEligible(productsById[line.product_id], categoriesById))
+    : [];
+
+  const promotionLines = lines.filter(line => !statutoryLines.includes(line));
+
+  const { data: promotions, error: promotionsError } = await client
+    .from('promotions')
+    .select('*')
+    .eq('store_id', store.id)
+    .eq('is_active', true);
+
+  if (promotionsError) {
+    console.error('Error fetching promotions:', promotionsError.message);
+  }
+
+  const promotionResult = evaluatePromotions(promotionLines, promotions || [], {
+    now,
+    timeZone: settings.timezone || DEFAULT_TIME_ZONE,
+    couponCodes
+  });
+
+  promotionLines.forEach((line, index) => {
+    line.promotion_discount = promotionResult.lineDiscounts[index];
+    line.line_total = roundMoney(line.gross_amount - line.promotion_discount);
+  });
+
+  // Promotion line numbers refer to the promoted lines; point them back at the basket
+  promotionResult.applied.forEach(promotion => {
+    promotion.lines.forEach(appliedLine => {
+      appliedLine.line = lines.indexOf(promotionLines[appliedLine.line]);
+    });
+  });
+
+  const vatExemptSales = roundMoney(statutoryLines.reduce((sum, line) => sum + applyStatutoryDiscount(line, taxSettings), 0));
+
+  // Manual discounts come off what is left after promotions
+  const basketDiscount = computeBasketDiscount(roundMoney(lines.reduce((sum, line) => sum + line.line_total, 0)), discount);
+  if (basketDiscount.error) {
+    return { status: 400, error: basketDiscount.error, code: basketDiscount.code };
+  }
+
+  spreadDiscountOverLines(lines, basketDiscount.amount);
+
+  const taxes = computeTaxes(lines, taxSettings);
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.gross_amount, 0));
+  const promotionTotal = roundMoney(lines.reduce((sum, line) => sum + line.promotion_discount, 0));
+  const vatExemptAmount = roundMoney(lines.reduce((sum, line) => sum + line.vat_exempt_amount, 0));
+  const statutoryDiscountTotal = roundMoney(lines.reduce((sum, line) => sum + line.statutory_discount, 0));
+
+  return {
+    store,
+    settings,
+    productsById,
+    priceTier: tier,
+    lines,
+    mismatchedPrices,
+    appliedPromotions: promotionResult.applied,
+    rejectedCoupons: promotionResult.rejectedCoupons,
+    statutoryDiscount: statutoryDiscountType ? {
+      type: statutoryDiscountType,
+      eligible_lines: statutoryLines.map(line => lines.indexOf(line)),
+      vat_exempt_sales: vatExemptSales,
+      vat_exempt_amount: vatExemptAmount,
+      discount_total: statutoryDiscountTotal
+    } : null,
+    basketDiscount,
+    pricesIncludeTax: taxSettings.pricesIncludeTax,
+    taxes: taxes.breakdown,
+    taxTotal: taxes.taxTotal,
+    subtotal,
+    promotionTotal,
+    total: roundMoney(lines.reduce((sum, line) => sum + line.line_total, 0))
+  };
+}
+
+// POST /pricing/quote - Price an arbitrary basket with tiers, promotions and tax, without selling it
+router.post('/pricing/quote', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { store_id, items, price_tier, coupon_codes = [], statutory_discount, discount, customer_id } = req.body;
+
+    const storeScope = resolveRequestStore(req, store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    let customer = null;
+    if (customer_id) {
+      const customerLookup = await fetchCustomer(client, req, customer_id);
+      if (customerLookup.error) {
+        return res.status(customerLookup.status).json({ error: customerLookup.error, code: customerLookup.code });
+      }
+      customer = customerLookup.customer;
+    }
+
+    const pricing = await priceBasket(client, {
+      storeId: storeScope.storeId,
+      items,
+      priceTier: price_tier,
+      customerTier: customer ? customer.price_tier : null,
+      couponCodes: coupon_codes,
+      statutoryDiscountType: statutory_discount ? statutory_discount.type || '' : null,
+      discount
+    });
+
+    if (pricing.error) {
+      const { status, ...body } = pricing;
+      return res.status(status).json(body);
+    }
+
+    res.json({
+      quote: {
+        store_id: storeScope.storeId,
+        price_tier: pricing.priceTier,
+        lines: pricing.lines,
+        applied_promotions: pricing.appliedPromotions,
+        rejected_coupons: pricing.rejectedCoupons,
+        mismatched_prices: pricing.mismatchedPrices,
+        subtotal: pricing.subtotal,
+        promotion_total: pricing.promotionTotal,
+        statutory_discount: pricing.statutoryDiscount,
+        discount_total: pricing.basketDiscount.amount,
+        prices_include_tax: pricing.pricesIncludeTax,
+        taxes: pricing.taxes,
+        tax_total: pricing.taxTotal,
+        total: pricing.total
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Pricing quote error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router,
+  DEFAULT_MAX_CASHIER_DISCOUNT_PERCENT,
+  STATUTORY_DISCOUNT_TYPES,
+  DEFAULT_TAX_SETTINGS,
+  evaluatePromotions,
+  computeTaxes,
+  summarizeLineTaxes,
+  priceBasket
+};
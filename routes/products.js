@@ -0,0 +1,568 @@
+// ========================= PRODUCTS ENDPOINTS =========================
+const express = require('express');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole, requireRoleOrOverride } = require('../lib/auth');
+const { VARIANT_PRICE_FIELDS, pickPriceOverrides, variantPrices } = require('../lib/variants');
+const {
+  createVariantFamily,
+  CATALOG_SHARED_FIELDS,
+  catalogFields,
+  findCatalogProductBySku,
+  createCatalogProduct,
+  fetchCatalogProduct,
+  changedTracking,
+  trackingChangeError,
+  updateCatalogProduct,
+  createStoreListing
+} = require('./catalogue');
+
+const router = express.Router();
+
+// GET /products - Fetch products with store filtering and search
+router.get('/products', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    console.log('🔄 Get products request from user:', {
+      userId: req.user.id,
+      userRole: req.user.role,
+      userStoreId: req.user.store_id,
+      queryParams: req.query
+    });
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { category_id, catalog_product_id, parent_product_id, search, view = 'flat', limit = 100 } = req.query;
+
+    if (!['flat', 'grouped'].includes(view)) {
+      return res.status(400).json({
+        error: "View must be either 'flat' or 'grouped'",
+        code: 'INVALID_VIEW'
+      });
+    }
+
+    let query = client
+      .from('products')
+      .select(`
+        *,
+        categories:category_id (
+          id,
+          name,
+          color,
+          icon
+        )
+      `)
+      .eq('is_active', true)
+      .order('name', { ascending: true })
+      .limit(parseInt(limit));
+
+    // Apply filtering based on user role
+    if (req.user.role === 'manager' && req.user.store_id) {
+      console.log(`🏪 Manager filtering products by store: ${req.user.store_id}`);
+      query = query.eq('store_id', req.user.store_id);
+    } else if (req.user.role === 'cashier' && req.user.store_id) {
+      console.log(`🏪 Cashier filtering products by store: ${req.user.store_id}`);
+      query = query.eq('store_id', req.user.store_id);
+    } else if (req.user.role === 'super_admin') {
+      const { store_id } = req.query;
+      if (store_id) {
+        console.log(`👑 Super admin filtering products by store: ${store_id}`);
+        query = query.eq('store_id', store_id);
+      } else {
+        console.log('👑 Super admin accessing all products');
+      }
+    }
+
+    // Category filter
+    if (category_id) {
+      query = query.eq('category_id', category_id);
+    }
+
+    // Every store's listing of one catalogue product
+    if (catalog_product_id) {
+      query = query.eq('catalog_product_id', catalog_product_id);
+    }
+
+    // The variants of one parent
+    if (parent_product_id) {
+      query = query.eq('parent_product_id', parent_product_id);
+    }
+
+    // Search filter
+    if (search) {
+      query = query.or(`name.ilike.%${search}%,sku.ilike.%${search}%,barcode.ilike.%${search}%`);
+    }
+
+    const { data: products, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch products:', error.message);
+      return res.status(500).json({ 
+        error: 'Failed to fetch products from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    // Stock held for layaways is still on hand but cannot be sold
+    const withAvailability = (product) => ({
+      ...product,
+      reserved_quantity: product.reserved_quantity || 0,
+      available_quantity: (product.stock_quantity || 0) - (product.reserved_quantity || 0)
+    });
+
+    // The flat view lists what can be sold, so variants but not their parents;
+    // the grouped view lists parents with their variants under them, including
+    // parents whose variants matched the filters
+    let items;
+    if (view === 'grouped') {
+      const rows = products || [];
+      const missingParentIds = [...new Set(rows.map(product => product.parent_product_id).filter(Boolean))]
+        .filter(id => !rows.some(product => product.id === id));
+
+      const { data: missingParents } = missingParentIds.length > 0
+        ? await client
+          .from('products')
+          .select(`
+            *,
+            categories:category_id (
+              id,
+              name,
+              color,
+              icon
+            )
+          `)
+          .in('id', missingParentIds)
+          .eq('is_active', true)
+        : { data: [] };
+
+      const groups = [...rows.filter(product => !product.parent_product_id), ...(missingParents || [])];
+      const parentIds = groups.filter(product => product.is_variant_parent).map(product => product.id);
+
+      const { data: variants } = parentIds.length > 0
+        ? await client
+          .from('products')
+          .select('*')
+          .in('parent_product_id', parentIds)
+          .eq('is_active', true)
+          .order('sku', { ascending: true })
+        : { data: [] };
+
+      items = groups.map(product => {
+        if (!product.is_variant_parent) {
+          return withAvailability(product);
+        }
+
+        const productVariants = (variants || []).filter(variant => variant.parent_product_id === product.id).map(withAvailability);
+        return {
+          ...withAvailability(product),
+          stock_quantity: productVariants.reduce((sum, variant) => sum + (variant.stock_quantity || 0), 0),
+          reserved_quantity: productVariants.reduce((sum, variant) => sum + variant.reserved_quantity, 0),
+          available_quantity: productVariants.reduce((sum, variant) => sum + variant.available_quantity, 0),
+          variants: productVariants
+        };
+      });
+    } else {
+      items = (products || []).filter(product => !product.is_variant_parent).map(withAvailability);
+    }
+
+    console.log(`✅ Retrieved ${items.length} products`);
+
+    res.json({
+      products: items,
+      count: items.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get products error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /products - Create new product
+router.post('/products', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { name, sku, store_id, default_price } = req.body;
+
+    console.log(`📝 Creating product: ${name} by user ${req.user.role}:${req.user.id}`);
+
+    // Validate required fields
+    if (!name || !store_id || !default_price) {
+      return res.status(400).json({ 
+        error: 'Product name, store ID, and default price are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    // Validate store access for managers
+    if (req.user.role === 'manager' && req.user.store_id) {
+      if (store_id !== req.user.store_id) {
+        return res.status(403).json({
+          error: 'Managers can only create products for their assigned store',
+          code: 'STORE_ACCESS_DENIED'
+        });
+      }
+    }
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: store } = await client
+      .from('stores')
+      .select('id, company_id')
+      .eq('id', store_id)
+      .single();
+
+    if (!store) {
+      return res.status(404).json({
+        error: 'Store not found',
+        code: 'STORE_NOT_FOUND'
+      });
+    }
+
+    // Check if SKU already exists in this store
+    const normalizedSku = sku ? sku.trim().toUpperCase() : null;
+    if (normalizedSku) {
+      const { data: existingProducts } = await client
+        .from('products')
+        .select('id, sku')
+        .eq('store_id', store_id)
+        .eq('sku', normalizedSku)
+        .eq('is_active', true);
+
+      if ((existingProducts || []).length > 0) {
+        return res.status(409).json({ 
+          error: `SKU "${sku}" already exists`,
+          code: 'SKU_EXISTS'
+        });
+      }
+    }
+
+    // A SKU already in the company catalogue is stocked here as that product,
+    // keeping its shared name, barcode and category; anything else is added to
+    // the catalogue first
+    let catalogProduct = await findCatalogProductBySku(client, store.company_id, normalizedSku);
+    const isNewCatalogProduct = !catalogProduct;
+
+    if (catalogProduct?.parent_catalog_product_id) {
+      return res.status(400).json({
+        error: `"${catalogProduct.name}" is a variant; stock its parent product to add it to a store`,
+        code: 'VARIANT_REQUIRES_PARENT'
+      });
+    }
+
+    // Products with options are stocked as a parent and one variant per combination
+    if (catalogProduct?.variant_options || (isNewCatalogProduct && req.body.variant_options !== undefined)) {
+      const family = await createVariantFamily(client, req, { store, catalogProduct, input: req.body });
+      if (family.error) {
+        const { status, ...body } = family;
+        return res.status(status).json(body);
+      }
+
+      console.log(`✅ Product created successfully: ${family.product.name} with ${family.variants.length} variants`);
+
+      return res.status(201).json({
+        message: 'Product created successfully',
+        product: family.product,
+        variants: family.variants
+      });
+    }
+
+    if (isNewCatalogProduct) {
+      const created = await createCatalogProduct(client, store.company_id, req.body, req.user.id);
+      if (created.error) {
+        console.error('Database error creating product:', created.error.message);
+        return res.status(400).json({ 
+          error: 'Failed to create product',
+          code: 'DB_INSERT_ERROR',
+          details: created.error.message
+        });
+      }
+      catalogProduct = created.catalogProduct;
+    }
+
+    const listing = await createStoreListing(client, req, catalogProduct, req.body);
+
+    if (listing.error) {
+      if (isNewCatalogProduct) {
+        await client.from('catalog_products').delete().eq('id', catalogProduct.id);
+      }
+      const { status, ...body } = listing;
+      return res.status(status).json(body);
+    }
+
+    const newProduct = listing.product;
+
+    console.log('✅ Product created successfully:', newProduct.name);
+
+    res.status(201).json({
+      message: 'Product created successfully',
+      product: newProduct
+    });
+
+  } catch (error) {
+    console.error('❌ Create product error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /products/:productId - Update product
+router.put('/products/:productId', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const updates = req.body;
+
+    console.log(`📝 Updating product: ${productId}`);
+
+    // Stock only changes through the ledger, so it cannot be edited on the product
+    const stockFields = ['stock_quantity', 'reserved_quantity'].filter(field => updates[field] !== undefined);
+    if (stockFields.length > 0) {
+      return res.status(400).json({
+        error: 'Stock cannot be edited on the product, adjust it through POST /inventory/adjust',
+        code: 'STOCK_NOT_EDITABLE',
+        fields: stockFields
+      });
+    }
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Prepare update data
+    const updateData = {
+      ...updates,
+      updated_at: new Date().toISOString()
+    };
+
+    // Remove fields that shouldn't be updated
+    delete updateData.id;
+    delete updateData.created_at;
+    delete updateData.created_by;
+    delete updateData.store_id;
+    delete updateData.catalog_product_id;
+    delete updateData.parent_product_id;
+    delete updateData.is_variant_parent;
+    delete updateData.price_overrides;
+
+    // Name, SKU, barcode and category belong to the catalogue product and
+    // change in every store that stocks it
+    const { data: currentProduct } = await client
+      .from('products')
+      .select('id, catalog_product_id, parent_product_id, price_overrides, stock_quantity, track_lots, track_serials')
+      .eq('id', productId)
+      .single();
+
+    // Catalogued products are checked across all their listings by updateCatalogProduct
+    const trackingChanges = currentProduct && !currentProduct.catalog_product_id ? changedTracking(currentProduct, updates) : [];
+    if (trackingChanges.length > 0 && currentProduct.stock_quantity) {
+      const { status, ...body } = trackingChangeError(trackingChanges, currentProduct.stock_quantity);
+      return res.status(status).json(body);
+    }
+
+    // A price set on a variant overrides its parent's; a price cleared to null follows the parent again
+    const priceUpdates = VARIANT_PRICE_FIELDS.filter(field => updates[field] !== undefined);
+    if (currentProduct?.parent_product_id && priceUpdates.length > 0) {
+      const { data: parent } = await client
+        .from('products')
+        .select('id, default_price, manila_price, delivery_price, wholesale_price')
+        .eq('id', currentProduct.parent_product_id)
+        .single();
+
+      const prices = pickPriceOverrides(updates);
+      if (prices.error || !parent) {
+        return res.status(400).json({
+          error: prices.error || 'Parent product not found',
+          code: 'INVALID_PRICE'
+        });
+      }
+
+      const overrides = { ...(currentProduct.price_overrides || {}) };
+      priceUpdates.forEach(field => {
+        if (updates[field] === null) {
+          delete overrides[field];
+        } else {
+          overrides[field] = prices.overrides[field];
+        }
+      });
+      Object.assign(updateData, variantPrices(parent, overrides));
+      updateData.price_overrides = overrides;
+    }
+
+    const sharedUpdates = CATALOG_SHARED_FIELDS.filter(field => updates[field] !== undefined);
+    if (currentProduct?.catalog_product_id && sharedUpdates.length > 0) {
+      const catalogLookup = await fetchCatalogProduct(client, req, currentProduct.catalog_product_id);
+      if (catalogLookup.error) {
+        return res.status(catalogLookup.status).json({ error: catalogLookup.error, code: catalogLookup.code });
+      }
+
+      const catalogUpdate = await updateCatalogProduct(client, catalogLookup.catalogProduct, catalogFields(updates));
+      if (catalogUpdate.error) {
+        const { status, ...body } = catalogUpdate;
+        return res.status(status).json(body);
+      }
+
+      sharedUpdates.forEach(field => delete updateData[field]);
+    }
+
+    const { data: updatedProduct, error } = await client
+      .from('products')
+      .update(updateData)
+      .eq('id', productId)
+      .select(`
+        *,
+        categories:category_id (
+          id,
+          name,
+          color,
+          icon
+        )
+      `)
+      .single();
+
+    if (error) {
+      console.error('Update product error:', error.message);
+      return res.status(400).json({ 
+        error: 'Failed to update product',
+        code: 'DB_UPDATE_ERROR',
+        details: error.message
+      });
+    }
+
+    if (!updatedProduct) {
+      return res.status(404).json({ 
+        error: 'Product not found',
+        code: 'PRODUCT_NOT_FOUND'
+      });
+    }
+
+    // Variants follow a parent's new prices unless they override them
+    if (updatedProduct.is_variant_parent && priceUpdates.length > 0) {
+      const { data: variants } = await client
+        .from('products')
+        .select('id, price_overrides')
+        .eq('parent_product_id', updatedProduct.id);
+
+      for (const variant of variants || []) {
+        const { error: variantError } = await client
+          .from('products')
+          .update({
+            ...variantPrices(updatedProduct, variant.price_overrides || {}),
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', variant.id);
+
+        if (variantError) {
+          console.error(`Error copying prices of ${updatedProduct.id} to variant ${variant.id}:`, variantError.message);
+        }
+      }
+    }
+
+    console.log('✅ Product updated successfully:', updatedProduct.name);
+
+    res.json({
+      message: 'Product updated successfully',
+      product: updatedProduct
+    });
+
+  } catch (error) {
+    console.error('❌ Update product error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// DELETE /products/:productId - Delete product (soft delete, cashiers need manager approval)
+router.delete('/products/:productId', authenticateToken, requireRoleOrOverride(['super_admin', 'manager'], 'delete_product', req => req.params.productId), async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    console.log(`🗑️ Deleting product: ${productId}`);
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: deletedProduct, error } = await client
+      .from('products')
+      .update({ 
+        is_active: false,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', productId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Delete product error:', error.message);
+      return res.status(400).json({ 
+        error: 'Failed to delete product',
+        code: 'DB_DELETE_ERROR'
+      });
+    }
+
+    if (!deletedProduct) {
+      return res.status(404).json({ 
+        error: 'Product not found',
+        code: 'PRODUCT_NOT_FOUND'
+      });
+    }
+
+    // Deleting a parent takes its variants with it
+    if (deletedProduct.is_variant_parent) {
+      await client
+        .from('products')
+        .update({
+          is_active: false,
+          updated_at: new Date().toISOString()
+        })
+        .eq('parent_product_id', deletedProduct.id);
+    }
+
+    console.log('✅ Product deleted successfully:', deletedProduct.name);
+
+    res.json({
+      message: 'Product deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Delete product error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router
+};
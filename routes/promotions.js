@@ -0,0 +1,490 @@
+// ========================= PROMOTIONS ENDPOINTS =========================
+const express = require('express');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole } = require('../lib/auth');
+const { resolveListingStore, canAccessStore } = require('../lib/scope');
+const { roundMoney } = require('../lib/money');
+
+const router = express.Router();
+
+const PROMOTION_TYPES = ['percent', 'fixed', 'buy_x_get_y', 'bundle'];
+const PROMOTION_SCOPES = ['product', 'category', 'basket'];
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validate promotion fields and normalise them into a promotions row
+const normalizePromotion = (input) => {
+  const invalid = (error) => ({ error, code: 'INVALID_PROMOTION' });
+
+  const promotion = {
+    name: typeof input.name === 'string' ? input.name.trim() : '',
+    description: input.description || '',
+    type: input.type,
+    scope: input.scope || 'product',
+    product_ids: Array.isArray(input.product_ids) ? input.product_ids : [],
+    category_ids: Array.isArray(input.category_ids) ? input.category_ids : [],
+    value: input.value !== undefined && input.value !== null ? Number(input.value) : null,
+    buy_quantity: input.buy_quantity ? parseInt(input.buy_quantity) : null,
+    get_quantity: input.get_quantity ? parseInt(input.get_quantity) : null,
+    get_discount_percent: input.get_discount_percent !== undefined && input.get_discount_percent !== null ? Number(input.get_discount_percent) : null,
+    bundle_quantity: input.bundle_quantity ? parseInt(input.bundle_quantity) : null,
+    bundle_price: input.bundle_price !== undefined && input.bundle_price !== null ? roundMoney(input.bundle_price) : null,
+    min_basket_amount: input.min_basket_amount ? roundMoney(input.min_basket_amount) : null,
+    starts_at: input.starts_at || null,
+    ends_at: input.ends_at || null,
+    days_of_week: Array.isArray(input.days_of_week) ? input.days_of_week.map(Number) : null,
+    start_time: input.start_time || null,
+    end_time: input.end_time || null,
+    coupon_code: input.coupon_code ? String(input.coupon_code).trim().toUpperCase() : null,
+    usage_limit: input.usage_limit ? parseInt(input.usage_limit) : null,
+    priority: input.priority ? parseInt(input.priority) : 0
+  };
+
+  if (!promotion.name) {
+    return invalid('Promotion name is required');
+  }
+  if (!PROMOTION_TYPES.includes(promotion.type)) {
+    return invalid(`Promotion type must be one of: ${PROMOTION_TYPES.join(', ')}`);
+  }
+  if (!PROMOTION_SCOPES.includes(promotion.scope)) {
+    return invalid(`Promotion scope must be one of: ${PROMOTION_SCOPES.join(', ')}`);
+  }
+  if (promotion.scope === 'product' && promotion.product_ids.length === 0) {
+    return invalid('Product promotions need at least one product');
+  }
+  if (promotion.scope === 'category' && promotion.category_ids.length === 0) {
+    return invalid('Category promotions need at least one category');
+  }
+
+  if (promotion.type === 'percent' && !(promotion.value > 0 && promotion.value <= 100)) {
+    return invalid('Percentage promotions need a value between 0 and 100');
+  }
+  if (promotion.type === 'fixed' && !(promotion.value > 0)) {
+    return invalid('Fixed promotions need a positive amount');
+  }
+  if (['buy_x_get_y', 'bundle'].includes(promotion.type) && promotion.scope === 'basket') {
+    return invalid('Buy X get Y and bundle promotions apply to products or categories');
+  }
+  if (promotion.type === 'buy_x_get_y') {
+    if (!(promotion.buy_quantity >= 1) || !(promotion.get_quantity >= 1)) {
+      return invalid('Buy X get Y promotions need buy and get quantities of at least 1');
+    }
+    if (promotion.get_discount_percent !== null && !(promotion.get_discount_percent > 0 && promotion.get_discount_percent <= 100)) {
+      return invalid('Get discount must be between 0 and 100 percent');
+    }
+  }
+  if (promotion.type === 'bundle' && (!(promotion.bundle_quantity >= 2) || !(promotion.bundle_price >= 0))) {
+    return invalid('Bundle promotions need a bundle quantity of at least 2 and a bundle price');
+  }
+
+  for (const field of ['starts_at', 'ends_at']) {
+    if (promotion[field] && isNaN(new Date(promotion[field]).getTime())) {
+      return invalid(`${field} must be a valid date`);
+    }
+  }
+  if (promotion.starts_at && promotion.ends_at && new Date(promotion.starts_at) > new Date(promotion.ends_at)) {
+    return invalid('Promotion must start before it ends');
+  }
+  if (promotion.days_of_week && promotion.days_of_week.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return invalid('Days of week must be numbers from 0 (Sunday) to 6 (Saturday)');
+  }
+  if ((promotion.start_time || promotion.end_time) && !(TIME_OF_DAY_PATTERN.test(promotion.start_time || '') && TIME_OF_DAY_PATTERN.test(promotion.end_time || ''))) {
+    return invalid('Happy hour needs both a start and end time as HH:MM');
+  }
+
+  return { promotion };
+};
+
+// Load a promotion the user may manage
+async function fetchPromotion(client, req, promotionId) {
+  const { data: promotion, error } = await client
+    .from('promotions')
+    .select('*')
+    .eq('id', promotionId)
+    .single();
+
+  if (error || !promotion) {
+    return { status: 404, error: 'Promotion not found', code: 'PROMOTION_NOT_FOUND' };
+  }
+
+  if (!canAccessStore(req, promotion.store_id)) {
+    return { status: 403, error: 'Managers can only manage promotions for their assigned store', code: 'STORE_ACCESS_DENIED' };
+  }
+
+  return { promotion };
+}
+
+// Coupon codes must be unique among a store's active promotions
+async function couponCodeTaken(client, storeId, couponCode, exceptId = null) {
+  if (!couponCode) {
+    return false;
+  }
+
+  let query = client
+    .from('promotions')
+    .select('id')
+    .eq('store_id', storeId)
+    .eq('coupon_code', couponCode)
+    .eq('is_active', true);
+
+  if (exceptId) {
+    query = query.neq('id', exceptId);
+  }
+
+  const { data } = await query;
+  return (data || []).length > 0;
+}
+
+// Count one use of each coupon promotion applied to a sale, before the sale is
+// final. A use only lands while the coupon is under its usage limit and its
+// usage_count is unchanged, so concurrent checkouts cannot take it past the
+// limit; a checkout that finds a coupon used up gets it back as rejected and
+// the uses it already counted are given back.
+async function claimCouponUsage(client, appliedPromotions) {
+  const claimed = [];
+
+  for (const applied of appliedPromotions.filter(promotion => promotion.coupon_code)) {
+    let counted = false;
+    let usedUp = false;
+
+    for (let attempt = 0; attempt < 5 && !counted && !usedUp; attempt++) {
+      const { data: promotion } = await client
+        .from('promotions')
+        .select('id, usage_count, usage_limit')
+        .eq('id', applied.promotion_id)
+        .single();
+
+      if (!promotion || (promotion.usage_limit && (promotion.usage_count || 0) >= promotion.usage_limit)) {
+        usedUp = true;
+        break;
+      }
+
+      const { data: updated, error } = await client
+        .from('promotions')
+        .update({
+          usage_count: (promotion.usage_count || 0) + 1,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', promotion.id)
+        .eq('usage_count', promotion.usage_count || 0)
+        .select('id');
+
+      if (error) {
+        console.error('Error recording coupon usage:', error.message);
+        break;
+      }
+      counted = updated && updated.length > 0;
+    }
+
+    if (!counted) {
+      await releaseCouponUsage(client, claimed);
+      return {
+        status: 409,
+        error: 'One or more coupon codes cannot be applied',
+        code: 'INVALID_COUPON',
+        rejected_coupons: [{
+          code: applied.coupon_code,
+          reason: usedUp ? 'Coupon is unknown, expired or used up' : 'Coupon is busy, please retry'
+        }]
+      };
+    }
+
+    claimed.push(applied.promotion_id);
+  }
+
+  return { promotionIds: claimed };
+}
+
+// Give back coupon uses counted for a sale that was then withdrawn
+async function releaseCouponUsage(client, promotionIds) {
+  for (const promotionId of promotionIds) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const { data: promotion } = await client
+        .from('promotions')
+        .select('id, usage_count')
+        .eq('id', promotionId)
+        .single();
+
+      if (!promotion || !(promotion.usage_count > 0)) {
+        break;
+      }
+
+      const { data: updated } = await client
+        .from('promotions')
+        .update({
+          usage_count: promotion.usage_count - 1,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', promotion.id)
+        .eq('usage_count', promotion.usage_count)
+        .select('id');
+
+      if (updated && updated.length > 0) {
+        break;
+      }
+    }
+  }
+}
+
+// GET /promotions - Fetch promotions with store filtering
+router.get('/promotions', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const storeScope = resolveListingStore(req, req.query.store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    let query = client
+      .from('promotions')
+      .select('*')
+      .eq('is_active', true)
+      .order('priority', { ascending: false });
+
+    if (storeScope.storeId) {
+      query = query.eq('store_id', storeScope.storeId);
+    }
+
+    const { data: promotions, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch promotions:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch promotions from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    res.json({
+      promotions: promotions || [],
+      count: promotions?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get promotions error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /promotions - Create a promotion for a store
+router.post('/promotions', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { store_id } = req.body;
+
+    console.log(`📝 Creating promotion: ${req.body.name} by user ${req.user.role}:${req.user.id}`);
+
+    if (!store_id) {
+      return res.status(400).json({
+        error: 'Store ID is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    // Validate store access for managers
+    if (req.user.role === 'manager' && req.user.store_id && store_id !== req.user.store_id) {
+      return res.status(403).json({
+        error: 'Managers can only create promotions for their assigned store',
+        code: 'STORE_ACCESS_DENIED'
+      });
+    }
+
+    const { promotion, error: validationError, code } = normalizePromotion(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError, code });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    if (await couponCodeTaken(client, store_id, promotion.coupon_code)) {
+      return res.status(409).json({
+        error: `Coupon code "${promotion.coupon_code}" is already in use`,
+        code: 'COUPON_EXISTS'
+      });
+    }
+
+    const { data: newPromotion, error: insertError } = await client
+      .from('promotions')
+      .insert([{
+        ...promotion,
+        store_id,
+        usage_count: 0,
+        is_active: true,
+        created_by: req.user.id,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('Database error creating promotion:', insertError.message);
+      return res.status(400).json({
+        error: 'Failed to create promotion',
+        code: 'DB_INSERT_ERROR',
+        details: insertError.message
+      });
+    }
+
+    console.log('✅ Promotion created successfully:', newPromotion.name);
+
+    res.status(201).json({
+      message: 'Promotion created successfully',
+      promotion: newPromotion
+    });
+
+  } catch (error) {
+    console.error('❌ Create promotion error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /promotions/:promotionId - Update a promotion
+router.put('/promotions/:promotionId', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { promotionId } = req.params;
+
+    console.log(`📝 Updating promotion: ${promotionId}`);
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const existing = await fetchPromotion(client, req, promotionId);
+    if (existing.error) {
+      return res.status(existing.status).json({ error: existing.error, code: existing.code });
+    }
+
+    const { promotion, error: validationError, code } = normalizePromotion({ ...existing.promotion, ...req.body });
+    if (validationError) {
+      return res.status(400).json({ error: validationError, code });
+    }
+
+    if (await couponCodeTaken(client, existing.promotion.store_id, promotion.coupon_code, promotionId)) {
+      return res.status(409).json({
+        error: `Coupon code "${promotion.coupon_code}" is already in use`,
+        code: 'COUPON_EXISTS'
+      });
+    }
+
+    const { data: updatedPromotion, error } = await client
+      .from('promotions')
+      .update({
+        ...promotion,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', promotionId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Update promotion error:', error.message);
+      return res.status(400).json({
+        error: 'Failed to update promotion',
+        code: 'DB_UPDATE_ERROR',
+        details: error.message
+      });
+    }
+
+    console.log('✅ Promotion updated successfully:', updatedPromotion.name);
+
+    res.json({
+      message: 'Promotion updated successfully',
+      promotion: updatedPromotion
+    });
+
+  } catch (error) {
+    console.error('❌ Update promotion error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// DELETE /promotions/:promotionId - Delete a promotion (soft delete)
+router.delete('/promotions/:promotionId', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { promotionId } = req.params;
+
+    console.log(`🗑️ Deleting promotion: ${promotionId}`);
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const existing = await fetchPromotion(client, req, promotionId);
+    if (existing.error) {
+      return res.status(existing.status).json({ error: existing.error, code: existing.code });
+    }
+
+    const { error } = await client
+      .from('promotions')
+      .update({
+        is_active: false,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', promotionId);
+
+    if (error) {
+      console.error('Delete promotion error:', error.message);
+      return res.status(400).json({
+        error: 'Failed to delete promotion',
+        code: 'DB_DELETE_ERROR'
+      });
+    }
+
+    console.log('✅ Promotion deleted successfully:', existing.promotion.name);
+
+    res.json({
+      message: 'Promotion deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Delete promotion error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router,
+  claimCouponUsage,
+  releaseCouponUsage
+};
@@ -0,0 +1,678 @@
+// ========================= PURCHASE ORDER ENDPOINTS =========================
+const express = require('express');
+const crypto = require('crypto');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole } = require('../lib/auth');
+const { resolveRequestStore, resolveListingStore, canAccessStore } = require('../lib/scope');
+const { roundMoney } = require('../lib/money');
+const { variantRequiredError } = require('../lib/variants');
+const { recordStockMovement } = require('./inventory');
+const { fetchSupplier } = require('./suppliers');
+const { parseReceivedLot } = require('./lots');
+const { checkSerialsIn } = require('./serials');
+
+const router = express.Router();
+
+// Statuses a purchase order may be moved to by hand; receiving moves it to
+// partially_received and then closed on its own
+const PURCHASE_ORDER_TRANSITIONS = {
+  draft: ['sent', 'cancelled'],
+  sent: ['cancelled'],
+  partially_received: ['closed'],
+  closed: [],
+  cancelled: []
+};
+
+const generatePurchaseOrderNumber = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `PO-${date}-${String(crypto.randomInt(0, 1000000)).padStart(6, '0')}`;
+};
+
+async function fetchPurchaseOrder(client, req, purchaseOrderId) {
+  const { data: order, error } = await client
+    .from('purchase_orders')
+    .select('*')
+    .eq('id', purchaseOrderId)
+    .single();
+
+  if (error || !order) {
+    return { status: 404, error: 'Purchase order not found', code: 'PURCHASE_ORDER_NOT_FOUND' };
+  }
+
+  if (!canAccessStore(req, order.store_id)) {
+    return { status: 403, error: 'You can only access purchase orders of your assigned store', code: 'STORE_ACCESS_DENIED' };
+  }
+
+  return { order };
+}
+
+// Turn requested items into purchase order lines for the store's listings
+async function buildPurchaseOrderLines(client, storeId, items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { status: 400, error: 'At least one line item is required', code: 'MISSING_ITEMS' };
+  }
+
+  for (let index = 0; index < items.length; index++) {
+    const item = items[index];
+    const quantity = Number(item.quantity);
+    const unitCost = Number(item.unit_cost);
+
+    if (!item.product_id || !Number.isInteger(quantity) || quantity <= 0 || !Number.isFinite(unitCost) || unitCost < 0) {
+      return {
+        status: 400,
+        error: 'Each line item needs a product ID, a positive whole quantity and an expected unit cost',
+        code: 'INVALID_LINE_ITEM',
+        line: index
+      };
+    }
+
+    if (items.findIndex(other => other.product_id === item.product_id) !== index) {
+      return { status: 400, error: 'Each product can only be ordered on one line', code: 'INVALID_LINE_ITEM', line: index };
+    }
+  }
+
+  const { data: products } = await client
+    .from('products')
+    .select('id, name, sku, store_id, catalog_product_id, is_active, is_variant_parent')
+    .in('id', items.map(item => item.product_id));
+
+  const lines = [];
+  for (let index = 0; index < items.length; index++) {
+    const product = (products || []).find(candidate => candidate.id === items[index].product_id);
+    if (!product || !product.is_active || product.store_id !== storeId) {
+      return { status: 400, error: 'Product not found in this store', code: 'PRODUCT_NOT_FOUND', line: index };
+    }
+
+    if (product.is_variant_parent) {
+      return { ...variantRequiredError(product), line: index };
+    }
+
+    const quantity = Number(items[index].quantity);
+    const unitCost = roundMoney(items[index].unit_cost);
+    lines.push({
+      product_id: product.id,
+      catalog_product_id: product.catalog_product_id || null,
+      product_name: product.name,
+      sku: product.sku,
+      quantity_ordered: quantity,
+      quantity_received: 0,
+      unit_cost: unitCost,
+      line_total: roundMoney(quantity * unitCost)
+    });
+  }
+
+  return {
+    lines,
+    total: roundMoney(lines.reduce((sum, line) => sum + line.line_total, 0))
+  };
+}
+
+// GET /purchase-orders - List the store's purchase orders
+router.get('/purchase-orders', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { status, supplier_id, limit = 100 } = req.query;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const storeScope = resolveListingStore(req, req.query.store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    const { storeId } = storeScope;
+
+    let query = client
+      .from('purchase_orders')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(parseInt(limit));
+
+    if (storeId) {
+      query = query.eq('store_id', storeId);
+    }
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (supplier_id) {
+      query = query.eq('supplier_id', supplier_id);
+    }
+
+    const { data: orders, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch purchase orders:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch purchase orders from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    res.json({
+      purchase_orders: orders || [],
+      count: orders?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get purchase orders error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /purchase-orders - Draft a purchase order from a supplier
+router.post('/purchase-orders', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { store_id, supplier_id, items, expected_date, notes = '' } = req.body;
+
+    console.log(`📝 Drafting purchase order by user ${req.user.role}:${req.user.id}`);
+
+    const storeScope = resolveRequestStore(req, store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    if (!supplier_id) {
+      return res.status(400).json({
+        error: 'Supplier ID is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    if (expected_date && isNaN(new Date(expected_date).getTime())) {
+      return res.status(400).json({
+        error: 'Expected date is not a valid date',
+        code: 'INVALID_EXPECTED_DATE'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: store } = await client
+      .from('stores')
+      .select('id, company_id')
+      .eq('id', storeScope.storeId)
+      .single();
+
+    const supplierLookup = await fetchSupplier(client, req, supplier_id);
+    if (supplierLookup.error || !store || supplierLookup.supplier.company_id !== store.company_id) {
+      return res.status(404).json({
+        error: 'Supplier not found',
+        code: 'SUPPLIER_NOT_FOUND'
+      });
+    }
+
+    const built = await buildPurchaseOrderLines(client, storeScope.storeId, items);
+    if (built.error) {
+      const { status, ...body } = built;
+      return res.status(status).json(body);
+    }
+
+    const { data: order, error: insertError } = await client
+      .from('purchase_orders')
+      .insert([{
+        po_number: generatePurchaseOrderNumber(),
+        company_id: store.company_id,
+        store_id: storeScope.storeId,
+        supplier_id,
+        supplier_name: supplierLookup.supplier.name,
+        lines: built.lines,
+        total: built.total,
+        received_total: 0,
+        expected_date: expected_date || null,
+        status: 'draft',
+        notes,
+        created_by: req.user.id,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('Database error creating purchase order:', insertError.message);
+      return res.status(400).json({
+        error: 'Failed to create purchase order',
+        code: 'DB_INSERT_ERROR',
+        details: insertError.message
+      });
+    }
+
+    console.log(`✅ Purchase order drafted: ${order.po_number}`);
+
+    res.status(201).json({
+      message: 'Purchase order created successfully',
+      purchase_order: order
+    });
+
+  } catch (error) {
+    console.error('❌ Create purchase order error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /purchase-orders/:purchaseOrderId - Fetch a purchase order with its deliveries
+router.get('/purchase-orders/:purchaseOrderId', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { order, status, error, code } = await fetchPurchaseOrder(client, req, req.params.purchaseOrderId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    const { data: receipts } = await client
+      .from('purchase_order_receipts')
+      .select('*')
+      .eq('purchase_order_id', order.id)
+      .order('created_at', { ascending: true });
+
+    res.json({
+      purchase_order: {
+        ...order,
+        receipts: receipts || []
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get purchase order error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /purchase-orders/:purchaseOrderId - Change a draft purchase order
+router.put('/purchase-orders/:purchaseOrderId', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { purchaseOrderId } = req.params;
+    const { items, expected_date, notes } = req.body;
+
+    console.log(`📝 Updating purchase order: ${purchaseOrderId}`);
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const existing = await fetchPurchaseOrder(client, req, purchaseOrderId);
+    if (existing.error) {
+      return res.status(existing.status).json({ error: existing.error, code: existing.code });
+    }
+
+    if (existing.order.status !== 'draft') {
+      return res.status(409).json({
+        error: `Cannot change a ${existing.order.status} purchase order`,
+        code: 'INVALID_PURCHASE_ORDER_STATUS'
+      });
+    }
+
+    const updateData = {
+      updated_at: new Date().toISOString()
+    };
+
+    if (items !== undefined) {
+      const built = await buildPurchaseOrderLines(client, existing.order.store_id, items);
+      if (built.error) {
+        const { status, ...body } = built;
+        return res.status(status).json(body);
+      }
+      updateData.lines = built.lines;
+      updateData.total = built.total;
+    }
+
+    if (expected_date !== undefined) {
+      if (expected_date && isNaN(new Date(expected_date).getTime())) {
+        return res.status(400).json({
+          error: 'Expected date is not a valid date',
+          code: 'INVALID_EXPECTED_DATE'
+        });
+      }
+      updateData.expected_date = expected_date || null;
+    }
+
+    if (notes !== undefined) updateData.notes = notes;
+
+    const { data: order, error } = await client
+      .from('purchase_orders')
+      .update(updateData)
+      .eq('id', purchaseOrderId)
+      .eq('status', 'draft')
+      .select()
+      .single();
+
+    if (error || !order) {
+      return res.status(409).json({
+        error: 'Purchase order was changed by someone else, please reload it',
+        code: 'PURCHASE_ORDER_CONFLICT'
+      });
+    }
+
+    console.log(`✅ Purchase order updated: ${order.po_number}`);
+
+    res.json({
+      message: 'Purchase order updated successfully',
+      purchase_order: order
+    });
+
+  } catch (error) {
+    console.error('❌ Update purchase order error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Build a handler that moves a purchase order to another status
+const changePurchaseOrderStatus = (toStatus, stampField) => async (req, res) => {
+  try {
+    const { reason = '' } = req.body;
+
+    console.log(`📨 Marking purchase order ${req.params.purchaseOrderId} as ${toStatus} by user ${req.user.role}:${req.user.id}`);
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { order, status, error, code } = await fetchPurchaseOrder(client, req, req.params.purchaseOrderId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    if (!PURCHASE_ORDER_TRANSITIONS[order.status].includes(toStatus)) {
+      return res.status(409).json({
+        error: `Cannot move a ${order.status} purchase order to ${toStatus}`,
+        code: 'INVALID_PURCHASE_ORDER_STATUS'
+      });
+    }
+
+    const { data: updated, error: updateError } = await client
+      .from('purchase_orders')
+      .update({
+        status: toStatus,
+        [`${stampField}_at`]: new Date().toISOString(),
+        [`${stampField}_by`]: req.user.id,
+        ...(reason ? { [`${stampField}_reason`]: reason } : {}),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', order.id)
+      .eq('status', order.status)
+      .select()
+      .single();
+
+    if (updateError || !updated) {
+      return res.status(409).json({
+        error: 'Purchase order was changed by someone else, please reload it',
+        code: 'PURCHASE_ORDER_CONFLICT'
+      });
+    }
+
+    console.log(`✅ Purchase order ${order.po_number} is now ${toStatus}`);
+
+    res.json({
+      message: `Purchase order marked as ${toStatus}`,
+      purchase_order: updated
+    });
+
+  } catch (error) {
+    console.error('❌ Change purchase order status error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// POST /purchase-orders/:purchaseOrderId/send - Mark a draft purchase order as sent to the supplier
+router.post('/purchase-orders/:purchaseOrderId/send', authenticateToken, requireRole(['super_admin', 'manager']), changePurchaseOrderStatus('sent', 'sent'));
+
+// POST /purchase-orders/:purchaseOrderId/cancel - Cancel a purchase order nothing was received against
+router.post('/purchase-orders/:purchaseOrderId/cancel', authenticateToken, requireRole(['super_admin', 'manager']), changePurchaseOrderStatus('cancelled', 'cancelled'));
+
+// POST /purchase-orders/:purchaseOrderId/close - Close a part-delivered purchase order, giving up on the rest
+router.post('/purchase-orders/:purchaseOrderId/close', authenticateToken, requireRole(['super_admin', 'manager']), changePurchaseOrderStatus('closed', 'closed'));
+
+// POST /purchase-orders/:purchaseOrderId/receive - Book a delivery against a purchase order into stock
+router.post('/purchase-orders/:purchaseOrderId/receive', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { purchaseOrderId } = req.params;
+    const { items, reference = null, notes = '' } = req.body;
+
+    console.log(`📦 Receiving against purchase order ${purchaseOrderId} by user ${req.user.role}:${req.user.id}`);
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        error: 'At least one received line is required',
+        code: 'MISSING_ITEMS'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { order, status, error, code } = await fetchPurchaseOrder(client, req, purchaseOrderId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    if (!['sent', 'partially_received'].includes(order.status)) {
+      return res.status(409).json({
+        error: `Cannot receive against a ${order.status} purchase order`,
+        code: 'INVALID_PURCHASE_ORDER_STATUS'
+      });
+    }
+
+    // Each delivered line is checked against what is still outstanding on the order
+    const lines = order.lines.map(line => ({ ...line }));
+    const receivedLines = [];
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
+      const line = lines.find(orderLine => orderLine.product_id === item.product_id);
+      const quantity = Number(item.quantity);
+      const unitCost = item.unit_cost !== undefined && item.unit_cost !== null ? Number(item.unit_cost) : null;
+
+      if (!line || !Number.isInteger(quantity) || quantity <= 0 || (unitCost !== null && (!Number.isFinite(unitCost) || unitCost < 0))) {
+        return res.status(400).json({
+          error: 'Each received line needs a product on the order and a positive whole quantity',
+          code: 'INVALID_LINE_ITEM',
+          line: index
+        });
+      }
+
+      const outstanding = line.quantity_ordered - line.quantity_received;
+      if (quantity > outstanding) {
+        return res.status(409).json({
+          error: `Only ${outstanding} of "${line.product_name}" are still outstanding`,
+          code: 'OVER_RECEIPT',
+          product_id: line.product_id,
+          outstanding,
+          received: quantity
+        });
+      }
+
+      // Perishables arrive under the supplier's lot number and expiry date
+      const lot = parseReceivedLot(item, quantity);
+      if (lot.error) {
+        return res.status(lot.status).json({ error: lot.error, code: lot.code, line: index });
+      }
+
+      line.quantity_received += quantity;
+      receivedLines.push({
+        product_id: line.product_id,
+        product_name: line.product_name,
+        quantity,
+        unit_cost: unitCost !== null ? roundMoney(unitCost) : line.unit_cost,
+        line_total: roundMoney(quantity * (unitCost !== null ? unitCost : line.unit_cost)),
+        ...(lot.lots.length > 0 ? { lot_number: lot.lots[0].lot_number, expiry_date: lot.lots[0].expiry_date } : {}),
+        serial_numbers: item.serial_numbers
+      });
+    }
+
+    const { data: products } = await client
+      .from('products')
+      .select('id, name, store_id, stock_quantity, catalog_product_id, track_serials')
+      .in('id', receivedLines.map(line => line.product_id));
+
+    // Serialised goods are registered by serial number as they are received
+    for (const line of receivedLines) {
+      const product = (products || []).find(candidate => candidate.id === line.product_id);
+      const serials = product
+        ? await checkSerialsIn(client, { product, quantity: line.quantity, serialNumbers: line.serial_numbers })
+        : { serialNumbers: [] };
+      if (serials.error) {
+        const { status, ...body } = serials;
+        return res.status(status).json(body);
+      }
+
+      if (serials.serialNumbers.length > 0) {
+        line.serial_numbers = serials.serialNumbers;
+      } else {
+        delete line.serial_numbers;
+      }
+    }
+
+    const fullyReceived = lines.every(line => line.quantity_received >= line.quantity_ordered);
+    const receiptTotal = roundMoney(receivedLines.reduce((sum, line) => sum + line.line_total, 0));
+
+    // The order only moves on if no other delivery was booked since it was read
+    const { data: updated, error: updateError } = await client
+      .from('purchase_orders')
+      .update({
+        lines,
+        received_total: roundMoney(Number(order.received_total || 0) + receiptTotal),
+        status: fullyReceived ? 'closed' : 'partially_received',
+        ...(fullyReceived ? { closed_at: new Date().toISOString(), closed_by: req.user.id } : {}),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', order.id)
+      .eq('updated_at', order.updated_at)
+      .select()
+      .single();
+
+    if (updateError || !updated) {
+      return res.status(409).json({
+        error: 'Purchase order was changed by someone else, please reload it',
+        code: 'PURCHASE_ORDER_CONFLICT'
+      });
+    }
+
+    const { data: receipt, error: receiptError } = await client
+      .from('purchase_order_receipts')
+      .insert([{
+        purchase_order_id: order.id,
+        store_id: order.store_id,
+        supplier_id: order.supplier_id,
+        lines: receivedLines,
+        total: receiptTotal,
+        reference,
+        notes,
+        received_by: req.user.id,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (receiptError) {
+      console.error('Error recording purchase order receipt:', receiptError.message);
+    }
+
+    const stockErrors = [];
+    for (const line of receivedLines) {
+      const product = (products || []).find(candidate => candidate.id === line.product_id);
+      if (!product) {
+        stockErrors.push({ product_id: line.product_id, error: 'Product not found' });
+        continue;
+      }
+
+      const result = await recordStockMovement(client, {
+        product,
+        quantity: line.quantity,
+        lots: line.lot_number ? [{ lot_number: line.lot_number, expiry_date: line.expiry_date, quantity: line.quantity }] : [],
+        serialNumbers: line.serial_numbers || [],
+        movementType: 'purchase',
+        userId: req.user.id,
+        notes: `${order.po_number} from ${order.supplier_name}${reference ? ` (${reference})` : ''}`,
+        referenceType: 'purchase_order',
+        referenceId: order.id
+      });
+
+      if (!result.success) {
+        stockErrors.push({ product_id: line.product_id, error: result.error });
+      }
+    }
+
+    if (stockErrors.length > 0) {
+      console.error(`⚠️ Purchase order ${order.id} received with stock errors:`, stockErrors);
+    }
+
+    console.log(`✅ Received ${receivedLines.length} lines against ${order.po_number}, now ${updated.status}`);
+
+    res.status(201).json({
+      message: 'Delivery received successfully',
+      purchase_order: updated,
+      receipt,
+      ...(stockErrors.length > 0 ? { stock_errors: stockErrors } : {})
+    });
+
+  } catch (error) {
+    console.error('❌ Receive purchase order error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router
+};
@@ -0,0 +1,831 @@
+// ========================= QUOTES ENDPOINTS =========================
+const express = require('express');
+const crypto = require('crypto');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole, OVERRIDE_USER_ROLES } = require('../lib/auth');
+const { resolveRequestStore, resolveListingStore, canAccessStore } = require('../lib/scope');
+const { DEFAULT_TIME_ZONE } = require('../lib/settings');
+const { priceBasket } = require('./pricing');
+const { fetchCustomer } = require('./customers');
+const {
+  formatReceiptMoney,
+  toReceiptAscii,
+  wrapReceiptText,
+  receiptColumns,
+  renderReceiptText,
+  renderReceiptHtml
+} = require('./receipts');
+
+const router = express.Router();
+
+// Quotes are valid for this many days unless companies.settings.quote_validity_days says otherwise
+const DEFAULT_QUOTE_VALIDITY_DAYS = 15;
+const QUOTE_FORMATS = ['html', 'pdf', 'text'];
+const QUOTE_DOCUMENTS = { quote: 'QUOTATION', proforma: 'PRO-FORMA INVOICE' };
+
+// Characters per line of a rendered quote (fits A4 in 10pt Courier)
+const QUOTE_WIDTH = 80;
+
+// Statuses a quote may be moved to from each status by hand; quotes expire
+// and are converted on their own
+const QUOTE_TRANSITIONS = {
+  draft: ['sent'],
+  sent: ['accepted', 'draft'],
+  accepted: [],
+  expired: [],
+  converted: []
+};
+
+const generateQuoteNumber = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `QT-${date}-${String(crypto.randomInt(0, 1000000)).padStart(6, '0')}`;
+};
+
+// The basket a quote was priced from, for repricing it. Serial numbers picked
+// at conversion, keyed by product, are handed out to its lines in order.
+const quoteBasket = (quote, serialNumbers = {}) => {
+  const picked = {};
+  return {
+    items: (quote.lines || []).map(line => {
+      const serials = [].concat((serialNumbers || {})[line.product_id] || []);
+      const offset = picked[line.product_id] || 0;
+      picked[line.product_id] = offset + line.quantity;
+      return {
+        product_id: line.product_id,
+        quantity: line.quantity,
+        ...(serials.length > 0 ? { serial_numbers: serials.slice(offset, offset + line.quantity) } : {})
+      };
+    }),
+    price_tier: quote.price_tier,
+    discount: quote.discount || null
+  };
+};
+
+// Quotes past their validity date stop being usable. Run whenever quotes are
+// read, so no background job is needed.
+async function expireStaleQuotes(client, storeId = null) {
+  let query = client
+    .from('quotes')
+    .update({
+      status: 'expired',
+      updated_at: new Date().toISOString()
+    })
+    .in('status', ['draft', 'sent', 'accepted'])
+    .lt('valid_until', new Date().toISOString());
+
+  if (storeId) {
+    query = query.eq('store_id', storeId);
+  }
+
+  const { error } = await query;
+  if (error) {
+    console.error('Error expiring quotes:', error.message);
+  }
+}
+
+// Load a quote of the user's store, expiring it first if it is stale
+async function fetchQuote(client, req, quoteId) {
+  const { data: quote, error } = await client
+    .from('quotes')
+    .select('*')
+    .eq('id', quoteId)
+    .single();
+
+  if (error || !quote) {
+    return { status: 404, error: 'Quote not found', code: 'QUOTE_NOT_FOUND' };
+  }
+
+  if (!canAccessStore(req, quote.store_id)) {
+    return { status: 403, error: 'You can only access quotes of your assigned store', code: 'STORE_ACCESS_DENIED' };
+  }
+
+  if (['draft', 'sent', 'accepted'].includes(quote.status) && new Date(quote.valid_until) < new Date()) {
+    await expireStaleQuotes(client, quote.store_id);
+    quote.status = 'expired';
+  }
+
+  return { quote };
+}
+
+// A quote can be sold once the customer has accepted it and while it is valid
+async function fetchQuoteForConversion(client, req, quoteId, storeId) {
+  const lookup = await fetchQuote(client, req, quoteId);
+  if (lookup.error) {
+    return lookup;
+  }
+
+  const { quote } = lookup;
+  if (quote.store_id !== storeId) {
+    return { status: 409, error: 'Quote belongs to another store', code: 'STORE_MISMATCH' };
+  }
+
+  if (quote.status === 'expired') {
+    return { status: 409, error: 'Quote has expired, please requote', code: 'QUOTE_EXPIRED' };
+  }
+
+  if (quote.status !== 'accepted') {
+    return { status: 409, error: `Cannot convert a ${quote.status} quote`, code: 'INVALID_QUOTE_STATUS' };
+  }
+
+  return { quote };
+}
+
+// Take an accepted quote out of reach of other checkouts while it is being sold
+async function claimQuoteForConversion(client, quote) {
+  const { data: claimed, error } = await client
+    .from('quotes')
+    .update({ status: 'converting', updated_at: new Date().toISOString() })
+    .eq('id', quote.id)
+    .eq('status', 'accepted')
+    .select('id');
+
+  if (error || !claimed || claimed.length === 0) {
+    return { status: 409, error: 'Quote was changed by someone else, please reload it', code: 'QUOTE_CONFLICT' };
+  }
+
+  return { quote };
+}
+
+// Give a claimed quote back when its sale did not go through
+async function releaseQuoteClaim(client, quote) {
+  const { error } = await client
+    .from('quotes')
+    .update({ status: 'accepted', updated_at: new Date().toISOString() })
+    .eq('id', quote.id)
+    .eq('status', 'converting');
+
+  if (error) {
+    console.error(`❌ Quote ${quote.id} could not be given back after a failed sale:`, error.message);
+  }
+}
+
+async function markQuoteConverted(client, quote, sale, userId) {
+  const { data: converted, error } = await client
+    .from('quotes')
+    .update({
+      status: 'converted',
+      sale_id: sale.id,
+      converted_by: userId,
+      converted_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', quote.id)
+    .eq('status', 'converting')
+    .select('id');
+
+  if (error || !converted || converted.length === 0) {
+    console.error(`❌ Quote ${quote.id} could not be closed after sale ${sale.id}:`, error?.message || 'status changed');
+  }
+}
+
+// Price a quote's basket from the tier; quotes never take submitted unit prices
+async function priceQuote(client, { storeId, items, priceTier, discount, customer }) {
+  return priceBasket(client, {
+    storeId,
+    items: Array.isArray(items) ? items.map(({ unit_price, ...item }) => item) : items,
+    priceTier,
+    customerTier: customer ? customer.price_tier : null,
+    discount
+  });
+}
+
+const quotePricingFields = (pricing, discount) => ({
+  // Serial numbers are only picked when the quote is sold
+  lines: pricing.lines.map(({ serial_numbers, ...line }) => line),
+  price_tier: pricing.priceTier,
+  discount: discount || null,
+  subtotal: pricing.subtotal,
+  promotion_total: pricing.promotionTotal,
+  discount_total: pricing.basketDiscount.amount,
+  prices_include_tax: pricing.pricesIncludeTax,
+  taxes: pricing.taxes,
+  tax_total: pricing.taxTotal,
+  total: pricing.total
+});
+
+// Lay a quote out as document lines, in the same shape as receipt layouts
+const buildQuoteLayout = ({ quote, store, company, documentType, timeZone, width }) => {
+  const layout = [];
+  const add = (text, options = {}) => layout.push({ text, align: 'left', bold: false, large: false, ...options });
+  const addWrapped = (text, options = {}) => wrapReceiptText(text, width).forEach(line => add(line, options));
+  const addAmount = (label, amount, options = {}) => add(receiptColumns(label, formatReceiptMoney(amount), width), options);
+  const separator = () => add('-'.repeat(width));
+  const formatDate = (value) => new Date(value).toLocaleDateString('en-PH', { timeZone });
+
+  addWrapped(company.name || store.name, { align: 'center', bold: true, large: true });
+  if (company.name && company.name !== store.name) {
+    addWrapped(store.name, { align: 'center' });
+  }
+  if (store.address) {
+    addWrapped(store.address, { align: 'center' });
+  }
+  if (store.phone) {
+    addWrapped(`Tel: ${store.phone}`, { align: 'center' });
+  }
+  if (company.tax_id) {
+    addWrapped(`TIN: ${company.tax_id}`, { align: 'center' });
+  }
+
+  add('');
+  add(QUOTE_DOCUMENTS[documentType], { align: 'center', bold: true, large: true });
+  add('');
+  add(receiptColumns('Quote No:', quote.quote_number, width));
+  add(receiptColumns('Date:', formatDate(quote.created_at), width));
+  add(receiptColumns('Valid until:', formatDate(quote.valid_until), width));
+  add(receiptColumns('Customer:', quote.customer_name || '', width));
+  separator();
+
+  const columns = (description, quantity, price, amount) => {
+    const numbers = `${String(quantity).padStart(8)}${String(price).padStart(14)}${String(amount).padStart(16)}`;
+    return description.slice(0, width - numbers.length).padEnd(width - numbers.length) + numbers;
+  };
+
+  add(columns('Description', 'Qty', 'Unit price', 'Amount'), { bold: true });
+  separator();
+  (quote.lines || []).forEach(line => {
+    const [first, ...rest] = wrapReceiptText(line.product_name || line.sku || line.product_id, width - 38);
+    add(columns(first, line.quantity, formatReceiptMoney(line.unit_price), formatReceiptMoney(Number(line.quantity) * Number(line.unit_price))));
+    rest.forEach(text => add(text));
+  });
+  separator();
+
+  addAmount('Subtotal', quote.subtotal);
+  if (Number(quote.promotion_total) > 0) {
+    addAmount('Promotions', -quote.promotion_total);
+  }
+  if (Number(quote.discount_total) > 0) {
+    addAmount('Discount', -quote.discount_total);
+  }
+  if (quote.prices_include_tax === false && Number(quote.tax_total) > 0) {
+    addAmount('Tax', quote.tax_total);
+  }
+  addAmount('TOTAL', quote.total, { bold: true });
+
+  if (quote.prices_include_tax !== false && Number(quote.tax_total) > 0) {
+    addAmount('Tax included', quote.tax_total);
+  }
+
+  if (quote.notes) {
+    add('');
+    addWrapped(quote.notes);
+  }
+
+  add('');
+  addWrapped(documentType === 'proforma'
+    ? 'This pro-forma invoice is not an official receipt. Prices are subject to stock availability.'
+    : `Prices are valid until ${formatDate(quote.valid_until)} and subject to stock availability.`);
+
+  return layout;
+};
+
+// Minimal single-font PDF (A4, Courier) of a document layout, one text line per layout line
+const renderDocumentPdf = (layout, { title }) => {
+  const pageWidth = 595;
+  const pageHeight = 842;
+  const margin = 48;
+  const fontSize = 9.5;
+  const leading = 13;
+  const charWidth = fontSize * 0.6;
+  const linesPerPage = Math.floor((pageHeight - 2 * margin) / leading);
+  const escapePdf = (text) => toReceiptAscii(text).replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+
+  const pages = [];
+  for (let index = 0; index < layout.length; index += linesPerPage) {
+    pages.push(layout.slice(index, index + linesPerPage));
+  }
+
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold >>');
+  const infoId = addObject(`<< /Title (${escapePdf(title)}) /Producer (POS System) >>`);
+
+  const pageIds = pages.map(pageLines => {
+    const commands = pageLines.map((line, index) => {
+      const text = toReceiptAscii(line.text);
+      const x = line.align === 'center'
+        ? Math.max(margin, (pageWidth - text.length * charWidth) / 2)
+        : margin;
+      const y = pageHeight - margin - (index + 1) * leading;
+      return `BT /${line.bold || line.large ? 'F2' : 'F1'} ${fontSize} Tf ${x.toFixed(2)} ${y} Td (${escapePdf(text)}) Tj ET`;
+    }).join('\n');
+
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(commands, 'latin1')} >>\nstream\n${commands}\nendstream`);
+    return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+// GET /quotes - List quotes of the store
+router.get('/quotes', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { status, customer_id, limit = 100 } = req.query;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const storeScope = resolveListingStore(req, req.query.store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    const { storeId } = storeScope;
+    await expireStaleQuotes(client, storeId);
+
+    let query = client
+      .from('quotes')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(parseInt(limit));
+
+    if (storeId) {
+      query = query.eq('store_id', storeId);
+    }
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (customer_id) {
+      query = query.eq('customer_id', customer_id);
+    }
+
+    const { data: quotes, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch quotes:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch quotes from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    res.json({
+      quotes: quotes || [],
+      count: quotes?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get quotes error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /quotes - Draft a quote priced by tier
+router.post('/quotes', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { store_id, items, price_tier, discount, customer_id, customer_name, valid_until, notes = '' } = req.body;
+
+    console.log(`📝 Drafting quote by user ${req.user.role}:${req.user.id}`);
+
+    const storeScope = resolveRequestStore(req, store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    if (!customer_id && !customer_name) {
+      return res.status(400).json({
+        error: 'A customer or customer name is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    if (discount && !OVERRIDE_USER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        error: 'Only managers can discount quotes',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    let customer = null;
+    if (customer_id) {
+      const customerLookup = await fetchCustomer(client, req, customer_id);
+      if (customerLookup.error) {
+        return res.status(customerLookup.status).json({ error: customerLookup.error, code: customerLookup.code });
+      }
+      customer = customerLookup.customer;
+    }
+
+    const pricing = await priceQuote(client, {
+      storeId: storeScope.storeId,
+      items,
+      priceTier: price_tier,
+      discount,
+      customer
+    });
+
+    if (pricing.error) {
+      const { status, ...body } = pricing;
+      return res.status(status).json(body);
+    }
+
+    if (customer && customer.company_id !== pricing.store.company_id) {
+      return res.status(404).json({
+        error: 'Customer not found',
+        code: 'CUSTOMER_NOT_FOUND'
+      });
+    }
+
+    const validityDays = Number(pricing.settings.quote_validity_days) || DEFAULT_QUOTE_VALIDITY_DAYS;
+    const validUntil = valid_until ? new Date(valid_until) : new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000);
+    if (isNaN(validUntil.getTime()) || validUntil <= new Date()) {
+      return res.status(400).json({
+        error: 'Validity date must be in the future',
+        code: 'INVALID_VALID_UNTIL'
+      });
+    }
+
+    const { data: quote, error: insertError } = await client
+      .from('quotes')
+      .insert([{
+        ...quotePricingFields(pricing, discount),
+        quote_number: generateQuoteNumber(),
+        store_id: storeScope.storeId,
+        company_id: pricing.store.company_id,
+        customer_id: customer ? customer.id : null,
+        customer_name: customer ? customer.name : String(customer_name).trim(),
+        valid_until: validUntil.toISOString(),
+        status: 'draft',
+        notes,
+        created_by: req.user.id,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('Database error creating quote:', insertError.message);
+      return res.status(400).json({
+        error: 'Failed to create quote',
+        code: 'DB_INSERT_ERROR',
+        details: insertError.message
+      });
+    }
+
+    console.log(`✅ Quote drafted: ${quote.quote_number}`);
+
+    res.status(201).json({
+      message: 'Quote created successfully',
+      quote
+    });
+
+  } catch (error) {
+    console.error('❌ Create quote error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /quotes/:quoteId - Fetch one quote
+router.get('/quotes/:quoteId', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { quote, status, error, code } = await fetchQuote(client, req, req.params.quoteId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    res.json({ quote });
+
+  } catch (error) {
+    console.error('❌ Get quote error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /quotes/:quoteId - Change and reprice a draft quote
+router.put('/quotes/:quoteId', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { quoteId } = req.params;
+    const { valid_until, notes, customer_name } = req.body;
+
+    console.log(`📝 Updating quote: ${quoteId}`);
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const existing = await fetchQuote(client, req, quoteId);
+    if (existing.error) {
+      return res.status(existing.status).json({ error: existing.error, code: existing.code });
+    }
+
+    if (existing.quote.status !== 'draft') {
+      return res.status(409).json({
+        error: `Cannot change a ${existing.quote.status} quote`,
+        code: 'INVALID_QUOTE_STATUS'
+      });
+    }
+
+    if (req.body.discount && !OVERRIDE_USER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        error: 'Only managers can discount quotes',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    const updateData = {
+      updated_at: new Date().toISOString()
+    };
+
+    // A manager's discount was given for the basket they saw: when someone
+    // else changes the items or price tier, the discount is dropped
+    const basketChanged = req.body.items !== undefined || req.body.price_tier !== undefined;
+    const discountCleared = basketChanged && req.body.discount === undefined &&
+      Boolean(existing.quote.discount) && !OVERRIDE_USER_ROLES.includes(req.user.role);
+
+    if (basketChanged || req.body.discount !== undefined) {
+      const current = quoteBasket(existing.quote);
+      const discount = discountCleared ? null : req.body.discount !== undefined ? req.body.discount : current.discount;
+      const { customer } = existing.quote.customer_id
+        ? await fetchCustomer(client, req, existing.quote.customer_id)
+        : { customer: null };
+
+      const pricing = await priceQuote(client, {
+        storeId: existing.quote.store_id,
+        items: req.body.items ?? current.items,
+        priceTier: req.body.price_tier ?? current.price_tier,
+        discount,
+        customer
+      });
+
+      if (pricing.error) {
+        const { status, ...body } = pricing;
+        return res.status(status).json(body);
+      }
+
+      Object.assign(updateData, quotePricingFields(pricing, discount));
+    }
+
+    if (valid_until !== undefined) {
+      const validUntil = new Date(valid_until);
+      if (isNaN(validUntil.getTime()) || validUntil <= new Date()) {
+        return res.status(400).json({
+          error: 'Validity date must be in the future',
+          code: 'INVALID_VALID_UNTIL'
+        });
+      }
+      updateData.valid_until = validUntil.toISOString();
+    }
+
+    if (notes !== undefined) updateData.notes = notes;
+    if (customer_name && !existing.quote.customer_id) updateData.customer_name = String(customer_name).trim();
+
+    const { data: quote, error } = await client
+      .from('quotes')
+      .update(updateData)
+      .eq('id', quoteId)
+      .eq('status', 'draft')
+      .select()
+      .single();
+
+    if (error || !quote) {
+      return res.status(409).json({
+        error: 'Quote was changed by someone else, please retry',
+        code: 'QUOTE_CONFLICT'
+      });
+    }
+
+    console.log(`✅ Quote updated: ${quote.quote_number}`);
+
+    res.json({
+      message: 'Quote updated successfully',
+      quote,
+      ...(discountCleared ? { discount_cleared: true } : {})
+    });
+
+  } catch (error) {
+    console.error('❌ Update quote error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Build a handler that moves a quote to another status
+const changeQuoteStatus = (toStatus, stampField) => async (req, res) => {
+  try {
+    console.log(`📨 Marking quote ${req.params.quoteId} as ${toStatus} by user ${req.user.role}:${req.user.id}`);
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { quote, status, error, code } = await fetchQuote(client, req, req.params.quoteId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    if (!(QUOTE_TRANSITIONS[quote.status] || []).includes(toStatus)) {
+      return res.status(409).json({
+        error: `Cannot move a ${quote.status} quote to ${toStatus}`,
+        code: quote.status === 'expired' ? 'QUOTE_EXPIRED' : 'INVALID_QUOTE_STATUS'
+      });
+    }
+
+    const { data: updated, error: updateError } = await client
+      .from('quotes')
+      .update({
+        status: toStatus,
+        ...(stampField ? { [`${stampField}_at`]: new Date().toISOString(), [`${stampField}_by`]: req.user.id } : {}),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', quote.id)
+      .eq('status', quote.status)
+      .select()
+      .single();
+
+    if (updateError || !updated) {
+      return res.status(409).json({
+        error: 'Quote was changed by someone else, please retry',
+        code: 'QUOTE_CONFLICT'
+      });
+    }
+
+    console.log(`✅ Quote ${quote.quote_number} is now ${toStatus}`);
+
+    res.json({
+      message: `Quote marked as ${toStatus}`,
+      quote: updated
+    });
+
+  } catch (error) {
+    console.error('❌ Change quote status error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// POST /quotes/:quoteId/send - Mark a draft quote as sent to the customer
+router.post('/quotes/:quoteId/send', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), changeQuoteStatus('sent', 'sent'));
+
+// POST /quotes/:quoteId/accept - Record that the customer accepted a sent quote
+router.post('/quotes/:quoteId/accept', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), changeQuoteStatus('accepted', 'accepted'));
+
+// POST /quotes/:quoteId/revise - Take a sent quote back to draft for changes
+router.post('/quotes/:quoteId/revise', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), changeQuoteStatus('draft', null));
+
+// GET /quotes/:quoteId/render - Render a quote or pro-forma invoice as HTML, PDF or text
+router.get('/quotes/:quoteId/render', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { format = 'html', document = 'quote' } = req.query;
+
+    if (!QUOTE_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `Format must be one of: ${QUOTE_FORMATS.join(', ')}`,
+        code: 'INVALID_FORMAT'
+      });
+    }
+
+    if (!QUOTE_DOCUMENTS[document]) {
+      return res.status(400).json({
+        error: `Document must be one of: ${Object.keys(QUOTE_DOCUMENTS).join(', ')}`,
+        code: 'INVALID_DOCUMENT'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { quote, status, error, code } = await fetchQuote(client, req, req.params.quoteId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    const { data: store } = await client
+      .from('stores')
+      .select('id, name, address, phone, company_id')
+      .eq('id', quote.store_id)
+      .single();
+
+    const { data: company } = await client
+      .from('companies')
+      .select('id, name, logo_url, tax_id, settings')
+      .eq('id', quote.company_id)
+      .single();
+
+    const layout = buildQuoteLayout({
+      quote,
+      store: store || {},
+      company: company || {},
+      documentType: document,
+      timeZone: company?.settings?.timezone || DEFAULT_TIME_ZONE,
+      width: QUOTE_WIDTH
+    });
+    const title = `${QUOTE_DOCUMENTS[document]} ${quote.quote_number}`;
+
+    console.log(`🖨️ Rendering ${format} ${document} for quote ${quote.quote_number}`);
+
+    if (format === 'text') {
+      return res.type('text/plain').send(renderReceiptText(layout, QUOTE_WIDTH));
+    }
+
+    if (format === 'pdf') {
+      return res
+        .type('application/pdf')
+        .set('Content-Disposition', `inline; filename="${quote.quote_number}.pdf"`)
+        .send(renderDocumentPdf(layout, { title }));
+    }
+
+    res.type('text/html').send(renderReceiptHtml(layout, {
+      width: QUOTE_WIDTH,
+      logoUrl: company?.logo_url,
+      title
+    }));
+
+  } catch (error) {
+    console.error('❌ Render quote error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router,
+  quoteBasket,
+  fetchQuoteForConversion,
+  claimQuoteForConversion,
+  releaseQuoteClaim,
+  markQuoteConverted
+};
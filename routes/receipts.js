@@ -0,0 +1,658 @@
+// ========================= OFFICIAL RECEIPTS ENDPOINTS =========================
+const express = require('express');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole } = require('../lib/auth');
+const { resolveRequestStore, resolveListingStore, canAccessStore } = require('../lib/scope');
+const { getTenderTypes, DEFAULT_TIME_ZONE } = require('../lib/settings');
+
+const router = express.Router();
+
+// OR numbers look like <prefix>-<terminal>-<zero padded sequence>. The prefix
+// and padding come from companies.settings.receipts, per store where set.
+const DEFAULT_RECEIPT_PREFIX = 'OR';
+const DEFAULT_RECEIPT_NUMBER_LENGTH = 8;
+const DEFAULT_TERMINAL_ID = 'main';
+const TERMINAL_ID_PATTERN = /^[A-Za-z0-9_-]{1,20}$/;
+
+// Receipt numbering settings for a store
+const getReceiptSettings = (settings, storeId) => {
+  const receipts = settings?.receipts || {};
+  const storeReceipts = receipts.stores?.[storeId] || {};
+
+  return {
+    prefix: storeReceipts.prefix || receipts.prefix || DEFAULT_RECEIPT_PREFIX,
+    numberLength: receipts.number_length || DEFAULT_RECEIPT_NUMBER_LENGTH
+  };
+};
+
+// Issue the next official receipt number of a store terminal to a sale. The
+// issue_official_receipt database function (see supabase/migrations) takes the
+// number, records it in official_receipts and stamps it on the sale in one
+// transaction, so two checkouts on the same terminal can never take the same
+// number and a number is never taken without its receipt row.
+async function issueOfficialReceipt(client, { sale, terminalId, settings, userId }) {
+  const { prefix, numberLength } = getReceiptSettings(settings, sale.store_id);
+
+  const { data: receipt, error } = await client.rpc('issue_official_receipt', {
+    p_sale_id: sale.id,
+    p_store_id: sale.store_id,
+    p_terminal_id: terminalId,
+    p_prefix: prefix,
+    p_number_length: numberLength,
+    p_issued_by: userId
+  });
+
+  if (error || !receipt) {
+    console.error(`❌ Failed to issue receipt number on ${sale.store_id}/${terminalId}:`, error?.message || 'no result');
+    return { status: 503, error: 'Failed to issue an official receipt number, please retry', code: 'RECEIPT_NOT_ISSUED' };
+  }
+
+  return { receipt };
+}
+
+// Mark the receipt of a voided sale as voided; its number stays used
+async function voidOfficialReceipt(client, { sale, userId, reason }) {
+  const { error } = await client
+    .from('official_receipts')
+    .update({
+      status: 'voided',
+      voided_at: new Date().toISOString(),
+      voided_by: userId,
+      void_reason: reason
+    })
+    .eq('sale_id', sale.id)
+    .eq('status', 'issued');
+
+  if (error) {
+    console.error('Error voiding official receipt:', error.message);
+  }
+}
+
+// Check one terminal's receipts against its sequence for missing or repeated numbers
+const auditReceiptSequence = (sequence, receipts) => {
+  const seen = {};
+  receipts.forEach(receipt => {
+    seen[receipt.sequence_number] = (seen[receipt.sequence_number] || 0) + 1;
+  });
+
+  const missing = [];
+  for (let number = 1; number <= sequence.last_number; number++) {
+    if (!seen[number]) {
+      missing.push(number);
+    }
+  }
+
+  const duplicates = Object.entries(seen)
+    .filter(([, count]) => count > 1)
+    .map(([number]) => Number(number));
+
+  const statusCounts = {};
+  receipts.forEach(receipt => {
+    statusCounts[receipt.status] = (statusCounts[receipt.status] || 0) + 1;
+  });
+
+  return {
+    store_id: sequence.store_id,
+    terminal_id: sequence.terminal_id,
+    last_number: sequence.last_number,
+    issued: statusCounts.issued || 0,
+    voided: statusCounts.voided || 0,
+    voided_numbers: receipts.filter(receipt => receipt.status === 'voided').map(receipt => receipt.or_number),
+    missing,
+    duplicates,
+    is_gap_free: missing.length === 0 && duplicates.length === 0
+  };
+};
+
+// GET /receipts - Fetch official receipts with store filtering
+router.get('/receipts', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { terminal_id, status, from, to, limit = 100 } = req.query;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const storeScope = resolveListingStore(req, req.query.store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    let query = client
+      .from('official_receipts')
+      .select('*')
+      .order('issued_at', { ascending: false })
+      .limit(parseInt(limit));
+
+    if (storeScope.storeId) {
+      query = query.eq('store_id', storeScope.storeId);
+    }
+
+    if (terminal_id) {
+      query = query.eq('terminal_id', terminal_id);
+    }
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (from) {
+      query = query.gte('issued_at', from);
+    }
+    if (to) {
+      query = query.lte('issued_at', to);
+    }
+
+    const { data: receipts, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch receipts:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch receipts from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    res.json({
+      receipts: receipts || [],
+      count: receipts?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get receipts error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /receipts/audit - Check each terminal's OR sequence for gaps and duplicates
+router.get('/receipts/audit', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { terminal_id } = req.query;
+
+    console.log('🔎 Receipt sequence audit request');
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const storeScope = resolveListingStore(req, req.query.store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    let sequenceQuery = client
+      .from('receipt_sequences')
+      .select('*')
+      .order('terminal_id', { ascending: true });
+
+    if (storeScope.storeId) {
+      sequenceQuery = sequenceQuery.eq('store_id', storeScope.storeId);
+    }
+
+    if (terminal_id) {
+      sequenceQuery = sequenceQuery.eq('terminal_id', terminal_id);
+    }
+
+    const { data: sequences, error: sequencesError } = await sequenceQuery;
+
+    if (sequencesError) {
+      console.error('❌ Failed to fetch receipt sequences:', sequencesError.message);
+      return res.status(500).json({
+        error: 'Failed to fetch receipt sequences from database',
+        code: 'DB_ERROR',
+        details: sequencesError.message
+      });
+    }
+
+    const audits = [];
+    for (const sequence of sequences || []) {
+      const { data: receipts, error: receiptsError } = await client
+        .from('official_receipts')
+        .select('sequence_number, or_number, status')
+        .eq('store_id', sequence.store_id)
+        .eq('terminal_id', sequence.terminal_id);
+
+      if (receiptsError) {
+        console.error('❌ Failed to fetch receipts for audit:', receiptsError.message);
+        return res.status(500).json({
+          error: 'Failed to fetch receipts from database',
+          code: 'DB_ERROR',
+          details: receiptsError.message
+        });
+      }
+
+      audits.push(auditReceiptSequence(sequence, receipts || []));
+    }
+
+    res.json({
+      sequences: audits,
+      is_gap_free: audits.every(audit => audit.is_gap_free),
+      count: audits.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Receipt audit error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Characters per line in the printer's default font for each paper width
+const RECEIPT_WIDTHS = { '58mm': 32, '80mm': 48 };
+const RECEIPT_FORMATS = ['escpos', 'text', 'html'];
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+const formatReceiptMoney = (amount) => {
+  return Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+};
+
+// Thermal printers only get plain ASCII; accents and typographic punctuation
+// are simplified and anything else becomes '?'
+const toReceiptAscii = (text) => {
+  return String(text ?? '')
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/\u20b1/g, 'P')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '?');
+};
+
+// Break text into lines of at most width characters, on spaces where possible
+const wrapReceiptText = (text, width) => {
+  const lines = [];
+  String(text ?? '').split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      while (word.length > width) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(word.slice(0, width));
+        word = word.slice(width);
+      }
+      if (!word) {
+        return;
+      }
+      if (line && line.length + 1 + word.length > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+// Label on the left, amount on the right
+const receiptColumns = (left, right, width) => {
+  const rightText = String(right);
+  const leftText = String(left).slice(0, Math.max(0, width - rightText.length - 1));
+  return leftText + ' '.repeat(Math.max(1, width - leftText.length - rightText.length)) + rightText;
+};
+
+// Lay a sale out as receipt lines ({ text, align, bold, large }) for the given
+// paper width. Every output format renders from this layout. Only a recorded
+// sale (official) prints as an official receipt with its OR number.
+const buildReceiptLayout = ({ sale, store, company, receiptSettings, width, official = false }) => {
+  const layout = [];
+  const add = (text, options = {}) => layout.push({ text, align: 'left', bold: false, large: false, ...options });
+  const addWrapped = (text, options = {}) => wrapReceiptText(text, options.large ? Math.floor(width / 2) : width).forEach(line => add(line, options));
+  const addAmount = (label, amount, options = {}) => add(receiptColumns(label, formatReceiptMoney(amount), width), options);
+  const separator = () => add('-'.repeat(width));
+  const textLines = (value) => (Array.isArray(value) ? value : String(value || '').split('\n')).filter(line => line !== '');
+
+  addWrapped(store.name, { align: 'center', bold: true, large: true });
+  if (company.name && company.name !== store.name) {
+    addWrapped(company.name, { align: 'center' });
+  }
+  if (store.address) {
+    addWrapped(store.address, { align: 'center' });
+  }
+  if (store.phone) {
+    addWrapped(`Tel: ${store.phone}`, { align: 'center' });
+  }
+  if (company.tax_id) {
+    addWrapped(`TIN: ${company.tax_id}`, { align: 'center' });
+  }
+  textLines(receiptSettings.header).forEach(line => addWrapped(line, { align: 'center' }));
+
+  add('');
+  if (!official) {
+    add('NOT AN OFFICIAL RECEIPT', { align: 'center', bold: true });
+  } else {
+    add(sale.or_number ? 'OFFICIAL RECEIPT' : 'SALES INVOICE', { align: 'center', bold: true });
+  }
+  if (sale.status === 'voided') {
+    add('*** VOID ***', { align: 'center', bold: true, large: true });
+  }
+  if (official && sale.or_number) {
+    add(receiptColumns('OR No:', sale.or_number, width));
+  }
+  add(receiptColumns('Date:', new Date(sale.created_at || Date.now()).toLocaleString('en-PH', { timeZone: receiptSettings.timeZone }), width));
+  if (sale.terminal_id) {
+    add(receiptColumns('Terminal:', sale.terminal_id, width));
+  }
+  if (sale.cashier_name) {
+    add(receiptColumns('Cashier:', sale.cashier_name, width));
+  }
+  separator();
+
+  (sale.items || []).filter(item => !item.voided_at).forEach(item => {
+    addWrapped(item.product_name || item.sku || item.product_id);
+    add(receiptColumns(`  ${item.quantity} x ${formatReceiptMoney(item.unit_price)}`, formatReceiptMoney(Number(item.quantity) * Number(item.unit_price)), width));
+    if (Number(item.promotion_discount) > 0) {
+      add(receiptColumns('  Promo', `-${formatReceiptMoney(item.promotion_discount)}`, width));
+    }
+    if (Number(item.vat_exempt_amount) > 0) {
+      add(receiptColumns('  Less VAT', `-${formatReceiptMoney(item.vat_exempt_amount)}`, width));
+    }
+    if (Number(item.statutory_discount) > 0) {
+      add(receiptColumns('  Less 20% discount', `-${formatReceiptMoney(item.statutory_discount)}`, width));
+    }
+  });
+  separator();
+
+  addAmount('Subtotal', sale.subtotal);
+  if (Number(sale.promotion_total) > 0) {
+    addAmount('Promotions', -sale.promotion_total);
+  }
+  if (Number(sale.vat_exempt_amount) > 0) {
+    addAmount('Less VAT', -sale.vat_exempt_amount);
+  }
+  if (Number(sale.statutory_discount_total) > 0) {
+    addAmount(sale.statutory_discount_type === 'pwd' ? 'PWD discount' : 'SC discount', -sale.statutory_discount_total);
+  }
+  if (Number(sale.discount_total) > 0) {
+    addAmount('Discount', -sale.discount_total);
+  }
+  if (sale.prices_include_tax === false && Number(sale.tax_total) > 0) {
+    addAmount('Tax', sale.tax_total);
+  }
+  addAmount('TOTAL', sale.total, { bold: true });
+  add('');
+
+  (sale.payments || []).forEach(payment => {
+    addAmount(String(payment.tender_type).replace(/_/g, ' ').toUpperCase(), payment.tendered_amount ?? payment.amount);
+  });
+  if (Number(sale.change_due) > 0) {
+    addAmount('Change', sale.change_due, { bold: true });
+  }
+
+  if (Array.isArray(sale.taxes) && sale.taxes.length > 0) {
+    separator();
+    sale.taxes.forEach(tax => {
+      if (tax.exempt) {
+        addAmount('VAT-exempt sales', tax.taxable_amount);
+      } else if (Number(tax.rate) === 0) {
+        addAmount(`${tax.name} sales`, tax.taxable_amount);
+      } else {
+        addAmount(`${tax.name} sales`, tax.taxable_amount);
+        addAmount(`${tax.name} ${tax.rate}%`, tax.tax_amount);
+      }
+    });
+  }
+
+  if (sale.statutory_discount_type) {
+    separator();
+    add(sale.statutory_discount_type === 'pwd' ? 'PWD ID No:' : 'OSCA/SC ID No:');
+    add(`  ${sale.statutory_id_number || ''}`);
+    add('Name:');
+    add(`  ${sale.statutory_holder_name || ''}`);
+    add('Signature: _______________');
+  }
+
+  add('');
+  textLines(receiptSettings.footer).forEach(line => addWrapped(line, { align: 'center' }));
+
+  return layout;
+};
+
+const renderReceiptText = (layout, width) => {
+  return layout.map(line => {
+    const text = toReceiptAscii(line.text).slice(0, width);
+    if (line.align === 'center') {
+      return ' '.repeat(Math.floor((width - text.length) / 2)) + text;
+    }
+    return text;
+  }).join('\n') + '\n';
+};
+
+// Raw ESC/POS: initialise, print the layout, feed, optionally kick the cash
+// drawer (pin 2) and make a partial cut
+const renderReceiptEscPos = (layout, { cut = true, openDrawer = false } = {}) => {
+  const chunks = [Buffer.from([ESC, 0x40])];
+
+  layout.forEach(line => {
+    chunks.push(Buffer.from([ESC, 0x61, line.align === 'center' ? 1 : 0]));
+    chunks.push(Buffer.from([ESC, 0x45, line.bold ? 1 : 0]));
+    chunks.push(Buffer.from([GS, 0x21, line.large ? 0x11 : 0x00]));
+    chunks.push(Buffer.from(`${toReceiptAscii(line.text)}\n`, 'ascii'));
+  });
+
+  chunks.push(Buffer.from([ESC, 0x45, 0, GS, 0x21, 0x00, ESC, 0x61, 0]));
+  if (openDrawer) {
+    chunks.push(Buffer.from([ESC, 0x70, 0x00, 0x19, 0xfa]));
+  }
+  if (cut) {
+    chunks.push(Buffer.from([GS, 0x56, 0x42, 0x03]));
+  }
+
+  return Buffer.concat(chunks);
+};
+
+const escapeHtml = (text) => {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+const renderReceiptHtml = (layout, { width, logoUrl, title }) => {
+  const rows = layout.map(line => {
+    const styles = [
+      line.align === 'center' ? 'text-align:center' : '',
+      line.bold ? 'font-weight:bold' : '',
+      line.large ? 'font-size:1.6em' : ''
+    ].filter(Boolean).join(';');
+
+    return `<div${styles ? ` style="${styles}"` : ''}>${escapeHtml(line.text) || '&nbsp;'}</div>`;
+  });
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>body{margin:0}.receipt{width:${width}ch;margin:0 auto;font-family:monospace;white-space:pre;line-height:1.3}.logo{display:block;max-width:100%;margin:0 auto 8px}</style>`,
+    '</head>',
+    '<body>',
+    '<div class="receipt">',
+    logoUrl ? `<img class="logo" src="${escapeHtml(logoUrl)}" alt="">` : '',
+    ...rows,
+    '</div>',
+    '</body>',
+    '</html>'
+  ].filter(Boolean).join('\n');
+};
+
+// POST /receipts/render - Render a sale as ESC/POS bytes, plain text or HTML
+router.post('/receipts/render', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const format = req.query.format || 'escpos';
+    const { sale_id, sale: salePayload, paper_width = '80mm', cut = true, open_drawer } = req.body;
+
+    if (!RECEIPT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `Format must be one of: ${RECEIPT_FORMATS.join(', ')}`,
+        code: 'INVALID_FORMAT'
+      });
+    }
+
+    const width = RECEIPT_WIDTHS[paper_width];
+    if (!width) {
+      return res.status(400).json({
+        error: `Paper width must be one of: ${Object.keys(RECEIPT_WIDTHS).join(', ')}`,
+        code: 'INVALID_PAPER_WIDTH'
+      });
+    }
+
+    if (!sale_id && !salePayload) {
+      return res.status(400).json({
+        error: 'A sale ID or a sale payload is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Recorded sales are rendered as stored; payloads are rendered as given,
+    // as a preview that carries no OR number
+    let sale;
+    if (sale_id) {
+      const { data: storedSale, error: saleError } = await client
+        .from('sales')
+        .select('*, sale_items(*), sale_payments(*)')
+        .eq('id', sale_id)
+        .single();
+
+      if (saleError || !storedSale) {
+        return res.status(404).json({
+          error: 'Sale not found',
+          code: 'SALE_NOT_FOUND'
+        });
+      }
+
+      if (!canAccessStore(req, storedSale.store_id)) {
+        return res.status(403).json({
+          error: 'You can only print receipts for your assigned store',
+          code: 'STORE_ACCESS_DENIED'
+        });
+      }
+
+      const { sale_items, sale_payments, ...saleFields } = storedSale;
+      sale = { ...saleFields, items: sale_items || [], payments: sale_payments || [] };
+    } else {
+      const storeScope = resolveRequestStore(req, salePayload.store_id);
+      if (storeScope.error) {
+        return res.status(storeScope.status).json({
+          error: storeScope.error,
+          code: storeScope.code
+        });
+      }
+
+      sale = { ...salePayload, or_number: null, store_id: storeScope.storeId };
+    }
+
+    const { data: store, error: storeError } = await client
+      .from('stores')
+      .select('id, name, address, phone, company_id')
+      .eq('id', sale.store_id)
+      .single();
+
+    if (storeError || !store) {
+      return res.status(404).json({
+        error: 'Store not found',
+        code: 'STORE_NOT_FOUND'
+      });
+    }
+
+    const { data: company } = await client
+      .from('companies')
+      .select('id, name, logo_url, tax_id, settings')
+      .eq('id', store.company_id)
+      .single();
+
+    const settings = company?.settings || {};
+    const storeReceiptSettings = settings.receipts?.stores?.[store.id] || {};
+    const receiptSettings = {
+      header: storeReceiptSettings.header ?? settings.receipts?.header,
+      footer: storeReceiptSettings.footer ?? settings.receipts?.footer,
+      timeZone: settings.timezone || DEFAULT_TIME_ZONE
+    };
+
+    const layout = buildReceiptLayout({ sale, store, company: company || {}, receiptSettings, width, official: Boolean(sale_id) });
+
+    console.log(`🖨️ Rendering ${format} receipt (${paper_width}) for sale ${sale.id || 'payload'}`);
+
+    if (format === 'text') {
+      return res.type('text/plain').send(renderReceiptText(layout, width));
+    }
+
+    if (format === 'html') {
+      return res.type('text/html').send(renderReceiptHtml(layout, {
+        width,
+        logoUrl: company?.logo_url,
+        title: sale.or_number || (sale_id ? 'Receipt' : 'Receipt preview')
+      }));
+    }
+
+    // Kick the drawer for cash sales unless the caller says otherwise
+    const cashTenders = getTenderTypes(settings).filter(tender => tender.is_cash).map(tender => tender.code);
+    const openDrawer = typeof open_drawer === 'boolean'
+      ? open_drawer
+      : (sale.payments || []).some(payment => cashTenders.includes(payment.tender_type));
+
+    res.type('application/octet-stream').send(renderReceiptEscPos(layout, { cut: cut !== false, openDrawer }));
+
+  } catch (error) {
+    console.error('❌ Render receipt error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router,
+  DEFAULT_RECEIPT_PREFIX,
+  DEFAULT_RECEIPT_NUMBER_LENGTH,
+  DEFAULT_TERMINAL_ID,
+  TERMINAL_ID_PATTERN,
+  issueOfficialReceipt,
+  voidOfficialReceipt,
+  formatReceiptMoney,
+  toReceiptAscii,
+  wrapReceiptText,
+  receiptColumns,
+  renderReceiptText,
+  renderReceiptHtml
+};
@@ -0,0 +1,490 @@
+// ========================= RETURNS ENDPOINTS =========================
+const express = require('express');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole } = require('../lib/auth');
+const { canAccessStore } = require('../lib/scope');
+const { getCompanySettings } = require('../lib/settings');
+const { roundMoney } = require('../lib/money');
+const { normalizeSerialNumbers } = require('./serials');
+const { allocateRefundToTenders, refundToTenders, restockSaleLines } = require('./sales');
+const {
+  presentStoredValueCard,
+  fetchStoredValueCard,
+  storedValueCardUsable,
+  postStoredValueEntry,
+  issueStoredValueCard
+} = require('./stored-value');
+const { findOpenDrawer } = require('./cash-drawers');
+
+const router = express.Router();
+
+const REFUND_METHODS = ['original_tender', 'store_credit'];
+
+// POST /sales/:saleId/returns - Refund some or all lines of a past sale
+router.post('/sales/:saleId/returns', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { saleId } = req.params;
+    const { items, restock = true, refund_method = 'original_tender', drawer_id, reason = '', store_credit_code } = req.body;
+
+    console.log(`↩️ Return against sale ${saleId} by user ${req.user.role}:${req.user.id}`);
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        error: 'At least one line to return is required',
+        code: 'MISSING_ITEMS'
+      });
+    }
+
+    if (!REFUND_METHODS.includes(refund_method)) {
+      return res.status(400).json({
+        error: `Refund method must be one of: ${REFUND_METHODS.join(', ')}`,
+        code: 'INVALID_REFUND_METHOD'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: sale, error: saleError } = await client
+      .from('sales')
+      .select('*, sale_items(*), sale_payments(*)')
+      .eq('id', saleId)
+      .single();
+
+    if (saleError || !sale) {
+      return res.status(404).json({
+        error: 'Sale not found',
+        code: 'SALE_NOT_FOUND'
+      });
+    }
+
+    if (!canAccessStore(req, sale.store_id)) {
+      return res.status(403).json({
+        error: 'You can only process returns for your assigned store',
+        code: 'STORE_ACCESS_DENIED'
+      });
+    }
+
+    if (!['completed', 'partially_returned'].includes(sale.status)) {
+      return res.status(409).json({
+        error: `Cannot return items from a ${sale.status} sale`,
+        code: 'INVALID_SALE_STATUS'
+      });
+    }
+
+    // Quantities already returned per sale line
+    const { data: previousReturnItems, error: previousError } = await client
+      .from('sale_return_items')
+      .select('sale_item_id, quantity, serial_numbers')
+      .eq('sale_id', sale.id);
+
+    if (previousError) {
+      console.error('❌ Failed to fetch previous returns:', previousError.message);
+      return res.status(500).json({
+        error: 'Failed to fetch previous returns',
+        code: 'DB_ERROR',
+        details: previousError.message
+      });
+    }
+
+    const returnedQuantities = {};
+    const returnedSerials = {};
+    (previousReturnItems || []).forEach(item => {
+      returnedQuantities[item.sale_item_id] = (returnedQuantities[item.sale_item_id] || 0) + Number(item.quantity);
+      returnedSerials[item.sale_item_id] = (returnedSerials[item.sale_item_id] || []).concat(item.serial_numbers || []);
+    });
+
+    const saleItemsById = {};
+    (sale.sale_items || []).forEach(item => {
+      saleItemsById[item.id] = item;
+    });
+
+    // Validate requested quantities against what is still returnable
+    const returnLines = [];
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
+      const saleItem = saleItemsById[item.sale_item_id];
+      const quantity = Number(item.quantity);
+
+      if (!saleItem || saleItem.voided_at) {
+        return res.status(400).json({
+          error: 'Line item does not belong to this sale',
+          code: 'INVALID_LINE_ITEM',
+          line: index
+        });
+      }
+
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        return res.status(400).json({
+          error: 'Return quantities must be positive whole numbers',
+          code: 'INVALID_LINE_ITEM',
+          line: index
+        });
+      }
+
+      const alreadyReturned = returnedQuantities[saleItem.id] || 0;
+      const returnable = saleItem.quantity - alreadyReturned;
+      if (quantity > returnable) {
+        return res.status(400).json({
+          error: `Cannot return more than was sold for "${saleItem.product_name}"`,
+          code: 'RETURN_EXCEEDS_SOLD',
+          sale_item_id: saleItem.id,
+          sold: saleItem.quantity,
+          already_returned: alreadyReturned,
+          requested: quantity
+        });
+      }
+
+      // Serialised lines name the serials coming back, unless all that are left are
+      let serialNumbers = null;
+      if (saleItem.serial_numbers && saleItem.serial_numbers.length > 0) {
+        const outstanding = saleItem.serial_numbers.filter(serial => !(returnedSerials[saleItem.id] || []).includes(serial));
+        serialNumbers = item.serial_numbers !== undefined
+          ? normalizeSerialNumbers(item.serial_numbers)
+          : quantity === outstanding.length ? outstanding : null;
+
+        if (!serialNumbers || serialNumbers.length !== quantity || serialNumbers.some(serial => !outstanding.includes(serial))) {
+          return res.status(400).json({
+            error: `Name which of the serial numbers sold of "${saleItem.product_name}" are being returned`,
+            code: 'SERIALS_REQUIRED',
+            sale_item_id: saleItem.id,
+            serial_numbers: outstanding
+          });
+        }
+        returnedSerials[saleItem.id] = (returnedSerials[saleItem.id] || []).concat(serialNumbers);
+      }
+
+      returnedQuantities[saleItem.id] = alreadyReturned + quantity;
+      returnLines.push({
+        sale_item_id: saleItem.id,
+        product_id: saleItem.product_id,
+        product_name: saleItem.product_name,
+        quantity,
+        unit_price: saleItem.unit_price,
+        refund_amount: roundMoney(Number(saleItem.line_total) * quantity / saleItem.quantity),
+        restocked: item.restock !== undefined ? !!item.restock : !!restock,
+        ...(serialNumbers ? { serial_numbers: serialNumbers } : {})
+      });
+    }
+
+    const refundTotal = roundMoney(returnLines.reduce((sum, line) => sum + line.refund_amount, 0));
+
+    // Work out where the money goes back to
+    // Store credit goes onto the card the customer brought, or a new one
+    let refunds;
+    let storeCreditCard = null;
+    if (refund_method === 'store_credit') {
+      if (store_credit_code) {
+        const lookup = await fetchStoredValueCard(client, req, store_credit_code, sale.company_id);
+        if (lookup.error) {
+          return res.status(lookup.status).json({ error: lookup.error, code: lookup.code });
+        }
+
+        const unusable = storedValueCardUsable(lookup.card);
+        if (unusable) {
+          const { status, ...body } = unusable;
+          return res.status(status).json(body);
+        }
+        storeCreditCard = lookup.card;
+      }
+
+      refunds = [{ sale_payment_id: null, tender_type: 'store_credit', amount: refundTotal }];
+    } else {
+      const { data: previousRefunds, error: previousRefundsError } = await client
+        .from('sale_return_refunds')
+        .select('sale_payment_id, amount')
+        .eq('sale_id', sale.id);
+
+      if (previousRefundsError) {
+        console.error('❌ Failed to fetch previous refunds:', previousRefundsError.message);
+        return res.status(500).json({
+          error: 'Failed to fetch previous refunds',
+          code: 'DB_ERROR',
+          details: previousRefundsError.message
+        });
+      }
+
+      // Lines voided while the sale was reopened were refunded then
+      const lineVoidRefunds = (sale.sale_items || []).flatMap(item => item.void_refunds || []);
+      const allocation = allocateRefundToTenders(refundTotal, sale.sale_payments || [], [...(previousRefunds || []), ...lineVoidRefunds]);
+      if (allocation.unallocated > 0) {
+        return res.status(409).json({
+          error: 'Refund exceeds what remains refundable on the original tenders',
+          code: 'REFUND_EXCEEDS_PAYMENTS',
+          unallocated: allocation.unallocated
+        });
+      }
+      refunds = allocation.refunds;
+    }
+
+    // Cash handed back comes out of the named drawer or the user's open one
+    const drawerLookup = await findOpenDrawer(client, {
+      drawerId: drawer_id,
+      storeId: sale.store_id,
+      userId: req.user.id
+    });
+
+    if (drawerLookup.error) {
+      return res.status(400).json({
+        error: drawerLookup.error,
+        code: drawerLookup.code
+      });
+    }
+
+    const returnData = {
+      sale_id: sale.id,
+      store_id: sale.store_id,
+      company_id: sale.company_id,
+      refund_method,
+      refund_total: refundTotal,
+      reason,
+      created_by: req.user.id,
+      created_at: new Date().toISOString()
+    };
+
+    const { data: saleReturn, error: returnError } = await client
+      .from('sale_returns')
+      .insert([returnData])
+      .select()
+      .single();
+
+    if (returnError) {
+      console.error('Database error creating return:', returnError.message);
+      return res.status(400).json({
+        error: 'Failed to record return',
+        code: 'DB_INSERT_ERROR',
+        details: returnError.message
+      });
+    }
+
+    const { data: returnItems, error: returnItemsError } = await client
+      .from('sale_return_items')
+      .insert(returnLines.map(line => ({
+        ...line,
+        return_id: saleReturn.id,
+        sale_id: sale.id,
+        created_at: new Date().toISOString()
+      })))
+      .select();
+
+    // The database refuses lines returned more often than sold, which a return
+    // recorded at the same time can cause after the check above
+    if (returnItemsError) {
+      console.error('Database error creating return items:', returnItemsError.message);
+
+      await client.from('sale_returns').delete().eq('id', saleReturn.id);
+
+      if (returnItemsError.code === '23514') {
+        return res.status(409).json({
+          error: 'Some of these items were returned in the meantime, please reload the sale',
+          code: 'RETURN_EXCEEDS_SOLD'
+        });
+      }
+
+      return res.status(400).json({
+        error: 'Failed to record return items',
+        code: 'DB_INSERT_ERROR',
+        details: returnItemsError.message
+      });
+    }
+
+    const { data: returnRefunds, error: refundsError } = await client
+      .from('sale_return_refunds')
+      .insert(refunds.map(refund => ({
+        ...refund,
+        return_id: saleReturn.id,
+        sale_id: sale.id,
+        created_at: new Date().toISOString()
+      })))
+      .select();
+
+    // Later returns work out what is left to refund per tender from these rows,
+    // so a return whose refunds cannot be recorded is withdrawn
+    if (refundsError) {
+      console.error('Database error creating return refunds:', refundsError.message);
+
+      await client.from('sale_return_items').delete().eq('return_id', saleReturn.id);
+      await client.from('sale_returns').delete().eq('id', saleReturn.id);
+
+      if (refundsError.code === '23514') {
+        return res.status(409).json({
+          error: 'Refund exceeds what remains refundable on the original tenders, please retry',
+          code: 'REFUND_EXCEEDS_PAYMENTS'
+        });
+      }
+
+      return res.status(400).json({
+        error: 'Failed to record return refunds',
+        code: 'DB_INSERT_ERROR',
+        details: refundsError.message
+      });
+    }
+
+    // Put restocked items back on the shelf through the inventory ledger
+    const stockErrors = await restockSaleLines(client, returnLines.filter(line => line.restocked), {
+      movementType: 'return',
+      userId: req.user.id,
+      notes: `Return ${saleReturn.id} for sale ${sale.id}`,
+      referenceType: 'sale_return',
+      referenceId: saleReturn.id
+    });
+
+    // Money goes back to the tenders it was paid with
+    const companySettings = await getCompanySettings(client, sale.company_id);
+    await refundToTenders(client, {
+      sale,
+      refunds,
+      share: Number(sale.total) > 0 ? refundTotal / Number(sale.total) : 0,
+      drawer: drawerLookup.drawer,
+      settings: companySettings,
+      entryType: 'refund',
+      referenceType: 'sale_return',
+      referenceId: saleReturn.id,
+      returnId: saleReturn.id,
+      userId: req.user.id,
+      notes: `Return ${saleReturn.id} for sale ${sale.id}`
+    });
+
+    let storeCredit = null;
+    if (refund_method === 'store_credit') {
+      const result = storeCreditCard
+        ? await postStoredValueEntry(client, {
+          cardId: storeCreditCard.id,
+          type: 'refund',
+          amount: refundTotal,
+          userId: req.user.id,
+          storeId: sale.store_id,
+          saleId: sale.id,
+          returnId: saleReturn.id,
+          notes: `Return ${saleReturn.id} for sale ${sale.id}`
+        })
+        : await issueStoredValueCard(client, {
+          companyId: sale.company_id,
+          kind: 'store_credit',
+          amount: refundTotal,
+          userId: req.user.id,
+          storeId: sale.store_id,
+          customerId: sale.customer_id || null,
+          saleId: sale.id,
+          returnId: saleReturn.id,
+          notes: `Return ${saleReturn.id} for sale ${sale.id}`
+        });
+
+      if (result.success) {
+        storeCredit = presentStoredValueCard(result.card, { revealCode: !storeCreditCard });
+      } else {
+        console.error(`❌ Failed to put store credit for return ${saleReturn.id}:`, result.error);
+      }
+    }
+
+    // Mark the sale as partially or fully returned
+    const fullyReturned = (sale.sale_items || [])
+      .filter(item => !item.voided_at)
+      .every(item => (returnedQuantities[item.id] || 0) >= item.quantity);
+    const { error: statusError } = await client
+      .from('sales')
+      .update({
+        status: fullyReturned ? 'returned' : 'partially_returned',
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', sale.id);
+
+    if (statusError) {
+      console.error('Error updating sale status after return:', statusError.message);
+    }
+
+    console.log(`✅ Return recorded for sale ${sale.id}: refund ${refundTotal} via ${refund_method}`);
+
+    res.status(201).json({
+      message: 'Return recorded successfully',
+      return: {
+        ...saleReturn,
+        items: returnItems,
+        refunds: returnRefunds || []
+      },
+      store_credit: storeCredit,
+      stock_errors: stockErrors
+    });
+
+  } catch (error) {
+    console.error('❌ Create return error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /sales/:saleId/returns - Fetch returns recorded against a sale
+router.get('/sales/:saleId/returns', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { saleId } = req.params;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: sale, error: saleError } = await client
+      .from('sales')
+      .select('id, store_id')
+      .eq('id', saleId)
+      .single();
+
+    if (saleError || !sale) {
+      return res.status(404).json({
+        error: 'Sale not found',
+        code: 'SALE_NOT_FOUND'
+      });
+    }
+
+    if (!canAccessStore(req, sale.store_id)) {
+      return res.status(403).json({
+        error: 'You can only view returns for your assigned store',
+        code: 'STORE_ACCESS_DENIED'
+      });
+    }
+
+    const { data: returns, error } = await client
+      .from('sale_returns')
+      .select('*, sale_return_items(*), sale_return_refunds(*)')
+      .eq('sale_id', saleId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('❌ Failed to fetch returns:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch returns from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    res.json({
+      returns: returns || [],
+      count: returns?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get returns error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router
+};
@@ -0,0 +1,1751 @@
+// ========================= SALES ENDPOINTS =========================
+const express = require('express');
+const { getSupabaseClient } = require('../lib/supabase');
+const {
+  authenticateToken,
+  requireRole,
+  consumeOverride,
+  releaseOverride,
+  requireRoleOrOverride,
+  OVERRIDE_USER_ROLES
+} = require('../lib/auth');
+const { resolveRequestStore, resolveListingStore, canAccessStore } = require('../lib/scope');
+const { getCompanySettings, getTenderTypes } = require('../lib/settings');
+const { roundMoney } = require('../lib/money');
+const { recordStockMovement } = require('./inventory');
+const { checkExpiredLots } = require('./lots');
+const { serialCountError, checkSerialsOut } = require('./serials');
+const { DEFAULT_MAX_CASHIER_DISCOUNT_PERCENT, summarizeLineTaxes, priceBasket } = require('./pricing');
+const { claimCouponUsage, releaseCouponUsage } = require('./promotions');
+const {
+  CHARGE_TENDER,
+  fetchCustomer,
+  postCreditTransaction,
+  recordCustomerPurchase
+} = require('./customers');
+const {
+  LOYALTY_TENDER,
+  getLoyaltySettings,
+  computeEarnedPoints,
+  fetchLoyaltyMember,
+  postLoyaltyEntry,
+  expireLoyaltyPoints,
+  reverseSaleLoyalty
+} = require('./loyalty');
+const {
+  STORED_VALUE_TENDER,
+  normalizeStoredValueCode,
+  maskStoredValueCode,
+  postStoredValueEntry,
+  prepareStoredValueRedemptions,
+  reverseSaleStoredValue
+} = require('./stored-value');
+const {
+  quoteBasket,
+  fetchQuoteForConversion,
+  claimQuoteForConversion,
+  releaseQuoteClaim,
+  markQuoteConverted
+} = require('./quotes');
+const {
+  fetchParkedOrderForCheckout,
+  claimParkedOrderForCheckout,
+  releaseParkedOrderClaim,
+  completeParkedOrder
+} = require('./parked-orders');
+const {
+  DEFAULT_TERMINAL_ID,
+  TERMINAL_ID_PATTERN,
+  issueOfficialReceipt,
+  voidOfficialReceipt
+} = require('./receipts');
+const { findOpenDrawer, recordDrawerMovement } = require('./cash-drawers');
+
+const router = express.Router();
+
+// Split the tendered payments over a sale total. Non-cash tenders may not
+// exceed what is owed; change is only ever given out of cash tenders.
+const allocatePayments = (total, payments, tenderTypes) => {
+  if (!Array.isArray(payments) || payments.length === 0) {
+    return { error: 'At least one payment is required', code: 'MISSING_PAYMENTS' };
+  }
+
+  const tendersByCode = {};
+  tenderTypes.forEach(tender => {
+    tendersByCode[tender.code] = tender;
+  });
+
+  const allocated = [];
+  let cashTendered = 0;
+  let nonCashTendered = 0;
+
+  for (let index = 0; index < payments.length; index++) {
+    const payment = payments[index];
+    const tender = tendersByCode[payment.tender_type];
+    const amount = roundMoney(payment.amount);
+
+    if (!tender) {
+      return {
+        error: `Tender type "${payment.tender_type}" is not accepted`,
+        code: 'INVALID_TENDER_TYPE',
+        payment: index
+      };
+    }
+
+    if (!(amount > 0)) {
+      return {
+        error: 'Payment amounts must be greater than zero',
+        code: 'INVALID_PAYMENT_AMOUNT',
+        payment: index
+      };
+    }
+
+    if (tender.is_cash) {
+      cashTendered += amount;
+    } else {
+      nonCashTendered += amount;
+    }
+
+    allocated.push({
+      tender_type: tender.code,
+      is_cash: !!tender.is_cash,
+      tendered_amount: amount,
+      amount,
+      change_amount: 0,
+      reference: payment.reference || null
+    });
+  }
+
+  cashTendered = roundMoney(cashTendered);
+  nonCashTendered = roundMoney(nonCashTendered);
+
+  if (nonCashTendered > total) {
+    return {
+      error: 'Non-cash tenders cannot exceed the amount due',
+      code: 'NON_CASH_OVERPAYMENT',
+      amount_due: total,
+      non_cash_tendered: nonCashTendered
+    };
+  }
+
+  const amountTendered = roundMoney(cashTendered + nonCashTendered);
+  if (amountTendered < total) {
+    return {
+      error: 'Tendered amount does not cover the sale total',
+      code: 'INSUFFICIENT_PAYMENT',
+      amount_due: total,
+      amount_tendered: amountTendered
+    };
+  }
+
+  // Give change out of the cash tenders, last one first
+  const changeDue = roundMoney(amountTendered - total);
+  let remainingChange = changeDue;
+  for (let index = allocated.length - 1; index >= 0 && remainingChange > 0; index--) {
+    const payment = allocated[index];
+    if (!payment.is_cash) {
+      continue;
+    }
+
+    const change = Math.min(remainingChange, payment.tendered_amount);
+    payment.change_amount = roundMoney(change);
+    payment.amount = roundMoney(payment.tendered_amount - change);
+    remainingChange = roundMoney(remainingChange - change);
+  }
+
+  return {
+    payments: allocated.map(({ is_cash, ...payment }) => payment),
+    amountTendered,
+    changeDue,
+    cashReceived: roundMoney(allocated.filter(payment => payment.is_cash).reduce((sum, payment) => sum + payment.amount, 0))
+  };
+};
+
+// Spread a refund over the sale's original payments, last tender first,
+// without refunding more to a tender than was paid with it
+const allocateRefundToTenders = (refundTotal, payments, previousRefunds) => {
+  const refundedByPayment = {};
+  (previousRefunds || []).forEach(refund => {
+    if (refund.sale_payment_id) {
+      refundedByPayment[refund.sale_payment_id] = roundMoney((refundedByPayment[refund.sale_payment_id] || 0) + Number(refund.amount));
+    }
+  });
+
+  const refunds = [];
+  let remaining = refundTotal;
+  for (let index = payments.length - 1; index >= 0 && remaining > 0; index--) {
+    const payment = payments[index];
+    const refundable = roundMoney(Number(payment.amount) - (refundedByPayment[payment.id] || 0));
+    if (refundable <= 0) {
+      continue;
+    }
+
+    const amount = roundMoney(Math.min(remaining, refundable));
+    refunds.push({
+      sale_payment_id: payment.id,
+      tender_type: payment.tender_type,
+      amount
+    });
+    remaining = roundMoney(remaining - amount);
+  }
+
+  return { refunds, unallocated: remaining };
+};
+
+// Pay refunds back to the tenders they were allocated to: cash out of the
+// drawer, charges off the customer's credit balance and gift card or store
+// credit value back onto the card. Points paid with are given back and points
+// earned on the refunded share of the sale are taken back. Shared by returns
+// and line voids; entryType names the drawer movement and credit entry.
+async function refundToTenders(client, { sale, refunds, share, drawer, settings, entryType, referenceType, referenceId, returnId = null, userId, notes }) {
+  const refundedTo = (codes) => roundMoney(refunds
+    .filter(refund => codes.includes(refund.tender_type))
+    .reduce((sum, refund) => sum + refund.amount, 0));
+
+  const cashRefunded = refundedTo(getTenderTypes(settings).filter(tender => tender.is_cash).map(tender => tender.code));
+  if (drawer && cashRefunded > 0) {
+    await recordDrawerMovement(client, {
+      drawer,
+      movementType: entryType,
+      amount: -cashRefunded,
+      userId,
+      notes,
+      referenceType,
+      referenceId
+    });
+  }
+
+  // Refunds to a charge payment come off the customer's credit balance
+  const chargeRefunded = refundedTo([CHARGE_TENDER.code]);
+  if (sale.customer_id && chargeRefunded > 0) {
+    const credit = await postCreditTransaction(client, {
+      customerId: sale.customer_id,
+      type: entryType,
+      amount: -chargeRefunded,
+      userId,
+      storeId: sale.store_id,
+      saleId: sale.id,
+      reference: referenceId,
+      notes
+    });
+
+    if (!credit.success) {
+      console.error(`❌ Failed to credit customer ${sale.customer_id} for ${referenceType} ${referenceId}:`, credit.error);
+    }
+  }
+
+  // Value paid from gift cards or store credit goes back onto the same card
+  const paymentsById = {};
+  (sale.sale_payments || []).forEach(payment => {
+    paymentsById[payment.id] = payment;
+  });
+
+  for (const refund of refunds.filter(candidate => candidate.tender_type === STORED_VALUE_TENDER.code)) {
+    const cardId = paymentsById[refund.sale_payment_id]?.stored_value_card_id;
+    const result = cardId
+      ? await postStoredValueEntry(client, {
+        cardId,
+        type: 'refund',
+        amount: refund.amount,
+        userId,
+        storeId: sale.store_id,
+        saleId: sale.id,
+        returnId,
+        notes
+      })
+      : { error: 'Card of the original payment is unknown' };
+
+    if (!result.success) {
+      console.error(`❌ Failed to refund ${refund.amount} to card for ${referenceType} ${referenceId}:`, result.error);
+    }
+  }
+
+  const { point_value: pointValue } = getLoyaltySettings(settings);
+  await reverseSaleLoyalty(client, sale, {
+    share,
+    redeemedRefund: Math.floor(roundMoney(refundedTo([LOYALTY_TENDER.code]) / pointValue)),
+    userId,
+    reference: referenceId,
+    notes
+  });
+}
+
+// Look up the sale a checkout with this idempotency key already recorded, in
+// the shape POST /sales answers with. Only a finished sale, one with its
+// receipt number, is replayed: a sale still being recorded may yet be
+// withdrawn, so its retry is told to wait instead.
+async function findSaleByIdempotencyKey(client, storeId, idempotencyKey) {
+  const { data: sale } = await client
+    .from('sales')
+    .select('*, sale_items(*), sale_payments(*)')
+    .eq('store_id', storeId)
+    .eq('idempotency_key', idempotencyKey)
+    .maybeSingle();
+
+  if (!sale) {
+    return null;
+  }
+
+  if (!sale.or_number) {
+    return {
+      status: 409,
+      error: 'A checkout with this idempotency key is still in progress, please retry shortly',
+      code: 'IN_PROGRESS',
+      sale_id: sale.id
+    };
+  }
+
+  const { sale_items, sale_payments, ...saleFields } = sale;
+  return {
+    status: 200,
+    message: 'Sale already recorded',
+    sale: {
+      ...saleFields,
+      items: sale_items || [],
+      payments: sale_payments || []
+    },
+    replayed: true
+  };
+}
+
+// Record a completed sale and take its items out of stock. Shared by POST /sales
+// and the conversion of accepted quotes.
+const recordSale = async (req, res) => {
+  try {
+    const { store_id, payments, drawer_id, terminal_id = DEFAULT_TERMINAL_ID, parked_order_id, quote_id } = req.body;
+    const idempotencyKey = req.headers['idempotency-key'] || null;
+
+    console.log(`🧾 Recording sale by user ${req.user.role}:${req.user.id}`);
+
+    const storeScope = resolveRequestStore(req, store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    if (!TERMINAL_ID_PATTERN.test(terminal_id)) {
+      return res.status(400).json({
+        error: 'Terminal ID may only contain letters, numbers, dashes and underscores',
+        code: 'INVALID_TERMINAL_ID'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // A retried checkout gets the sale (and receipt number) it already made
+    if (idempotencyKey) {
+      const existingSale = await findSaleByIdempotencyKey(client, storeScope.storeId, idempotencyKey);
+      if (existingSale) {
+        const { status, ...body } = existingSale;
+        if (body.sale) {
+          console.log(`↩️ Replaying sale ${body.sale.id} for idempotency key ${idempotencyKey}`);
+        }
+        return res.status(status).json(body);
+      }
+    }
+
+    // A parked basket is checked out as saved unless the request brings its own items
+    let parkedOrder = null;
+    if (parked_order_id) {
+      const parked = await fetchParkedOrderForCheckout(client, req, parked_order_id, storeScope.storeId);
+      if (parked.error) {
+        const { status, ...body } = parked;
+        return res.status(status).json(body);
+      }
+      parkedOrder = parked.order;
+    }
+
+    // An accepted quote is sold as quoted, provided its prices and stock still hold
+    let quote = null;
+    if (quote_id) {
+      const quoteLookup = await fetchQuoteForConversion(client, req, quote_id, storeScope.storeId);
+      if (quoteLookup.error) {
+        const { status, ...body } = quoteLookup;
+        return res.status(status).json(body);
+      }
+      quote = quoteLookup.quote;
+    }
+
+    const basket = quote
+      ? quoteBasket(quote, req.body.serial_numbers)
+      : parkedOrder && !req.body.items ? parkedOrder : req.body;
+    const { items, discount, price_tier, coupon_codes = [], statutory_discount } = basket;
+    const notes = req.body.notes ?? parkedOrder?.notes ?? quote?.notes ?? '';
+    const customerId = req.body.customer_id || quote?.customer_id || null;
+
+    // Sales to a known customer use their price tier and may go on their credit account
+    let customer = null;
+    if (customerId) {
+      const customerLookup = await fetchCustomer(client, req, customerId);
+      if (customerLookup.error) {
+        return res.status(customerLookup.status).json({ error: customerLookup.error, code: customerLookup.code });
+      }
+      customer = customerLookup.customer;
+    }
+
+    // Loyalty members earn points on the sale and may pay with their points
+    let loyaltyMember = null;
+    if (req.body.loyalty_member_id) {
+      const memberLookup = await fetchLoyaltyMember(client, req, req.body.loyalty_member_id);
+      if (memberLookup.error) {
+        return res.status(memberLookup.status).json({ error: memberLookup.error, code: memberLookup.code });
+      }
+      loyaltyMember = memberLookup.member;
+    }
+
+    // Senior citizen / PWD sales must record whose ID the discount was given against
+    if (statutory_discount && (!statutory_discount.id_number || !statutory_discount.holder_name)) {
+      return res.status(400).json({
+        error: 'Senior citizen and PWD discounts need the ID number and name of the cardholder',
+        code: 'MISSING_STATUTORY_ID'
+      });
+    }
+
+    // Price the basket from the resolved tier, promotions, discounts and tax
+    const pricing = await priceBasket(client, {
+      storeId: storeScope.storeId,
+      items,
+      priceTier: price_tier,
+      customerTier: customer ? customer.price_tier : null,
+      couponCodes: coupon_codes,
+      statutoryDiscountType: statutory_discount ? statutory_discount.type || '' : null,
+      discount
+    });
+
+    if (pricing.error) {
+      const { status, ...body } = pricing;
+      return res.status(status).json(body);
+    }
+
+    const { store, settings, productsById, lines, mismatchedPrices, subtotal, basketDiscount, total } = pricing;
+    const saleTier = pricing.priceTier;
+
+    if (quote && total !== Number(quote.total)) {
+      return res.status(409).json({
+        error: 'Prices have changed since the quote was made, please requote',
+        code: 'QUOTE_PRICE_CHANGED',
+        quoted_total: Number(quote.total),
+        current_total: total
+      });
+    }
+
+    if (customer && customer.company_id !== store.company_id) {
+      return res.status(404).json({
+        error: 'Customer not found',
+        code: 'CUSTOMER_NOT_FOUND'
+      });
+    }
+
+    const loyalty = getLoyaltySettings(settings);
+    if (loyaltyMember && (!loyalty.enabled || loyaltyMember.company_id !== store.company_id)) {
+      return res.status(400).json({
+        error: 'Loyalty program is not enabled for this company',
+        code: 'LOYALTY_DISABLED'
+      });
+    }
+
+    // Coupons that were presented but cannot be honoured stop the sale
+    if (pricing.rejectedCoupons.length > 0) {
+      return res.status(400).json({
+        error: 'One or more coupon codes cannot be applied',
+        code: 'INVALID_COUPON',
+        rejected_coupons: pricing.rejectedCoupons
+      });
+    }
+
+    if (pricing.statutoryDiscount && pricing.statutoryDiscount.eligible_lines.length === 0) {
+      return res.status(400).json({
+        error: 'None of the items qualify for the senior citizen or PWD discount',
+        code: 'NO_ELIGIBLE_ITEMS'
+      });
+    }
+
+    // Every product must have enough stock for all its lines
+    const requestedQuantities = {};
+    lines.forEach(line => {
+      requestedQuantities[line.product_id] = (requestedQuantities[line.product_id] || 0) + line.quantity;
+    });
+
+    for (const [productId, requested] of Object.entries(requestedQuantities)) {
+      const product = productsById[productId];
+      const available = (product.stock_quantity || 0) - (product.reserved_quantity || 0);
+      if (requested > available) {
+        return res.status(409).json({
+          error: `Insufficient stock for "${product.name}"`,
+          code: 'INSUFFICIENT_STOCK',
+          product_id: product.id,
+          available,
+          requested
+        });
+      }
+    }
+
+    // Expired lots either stop the sale or are reported back, per the company's lot policy
+    const lotCheck = await checkExpiredLots(client, {
+      products: Object.values(productsById),
+      quantities: requestedQuantities,
+      settings
+    });
+    if (lotCheck.error) {
+      const { status, ...body } = lotCheck;
+      return res.status(status).json(body);
+    }
+
+    // Serialised items are sold by the serial numbers picked for each line
+    const soldSerials = [];
+    for (const line of lines) {
+      const serials = await checkSerialsOut(client, {
+        product: productsById[line.product_id],
+        quantity: line.quantity,
+        serialNumbers: line.serial_numbers
+      });
+      if (serials.error || serials.serialNumbers.some(serial => soldSerials.includes(`${line.product_id}:${serial}`))) {
+        const { status = 400, ...body } = serials.error ? serials : serialCountError(productsById[line.product_id], line.quantity);
+        return res.status(status).json(body);
+      }
+
+      if (line.serial_numbers) {
+        line.serial_numbers = serials.serialNumbers;
+        serials.serialNumbers.forEach(serial => soldSerials.push(`${line.product_id}:${serial}`));
+      }
+    }
+
+    // Validate the tendered payments against the company's tender types;
+    // customers with a credit account may also charge the sale to it
+    const tenderTypes = [
+      ...getTenderTypes(settings),
+      ...(customer && customer.credit_enabled ? [CHARGE_TENDER] : []),
+      ...(loyaltyMember ? [LOYALTY_TENDER] : []),
+      STORED_VALUE_TENDER
+    ];
+
+    const allocation = allocatePayments(total, payments, tenderTypes);
+
+    if (allocation.error) {
+      const { error: paymentError, code, ...details } = allocation;
+      return res.status(400).json({
+        error: paymentError,
+        code,
+        ...details
+      });
+    }
+
+    const chargeAmount = roundMoney(allocation.payments
+      .filter(payment => payment.tender_type === CHARGE_TENDER.code)
+      .reduce((sum, payment) => sum + payment.amount, 0));
+
+    if (chargeAmount > 0 && roundMoney(Number(customer.credit_balance || 0) + chargeAmount) > Number(customer.credit_limit || 0)) {
+      return res.status(409).json({
+        error: 'Charge would exceed the customer\'s credit limit',
+        code: 'CREDIT_LIMIT_EXCEEDED',
+        credit_limit: Number(customer.credit_limit || 0),
+        credit_balance: Number(customer.credit_balance || 0),
+        available_credit: roundMoney(Number(customer.credit_limit || 0) - Number(customer.credit_balance || 0))
+      });
+    }
+
+    // Points pay for the sale at point_value each; lapsed points are expired first
+    const loyaltyAmount = roundMoney(allocation.payments
+      .filter(payment => payment.tender_type === LOYALTY_TENDER.code)
+      .reduce((sum, payment) => sum + payment.amount, 0));
+    const pointsToRedeem = loyaltyAmount > 0 ? Math.ceil(roundMoney(loyaltyAmount / loyalty.point_value)) : 0;
+
+    if (pointsToRedeem > 0) {
+      await expireLoyaltyPoints(client, { memberId: loyaltyMember.id });
+      const { data: freshMember } = await client
+        .from('loyalty_members')
+        .select('points_balance')
+        .eq('id', loyaltyMember.id)
+        .single();
+
+      if (pointsToRedeem > Number(freshMember?.points_balance || 0)) {
+        return res.status(409).json({
+          error: 'Member does not have enough points',
+          code: 'INSUFFICIENT_POINTS',
+          points_balance: Number(freshMember?.points_balance || 0),
+          requested: pointsToRedeem
+        });
+      }
+    }
+
+    // Gift card and store credit payments carry the card code as their reference
+    const storedValue = await prepareStoredValueRedemptions(client, req, store.company_id, allocation.payments);
+    if (storedValue.error) {
+      const { status, ...body } = storedValue;
+      return res.status(status).json(body);
+    }
+
+    allocation.payments.forEach(payment => {
+      const redemption = payment.tender_type === STORED_VALUE_TENDER.code
+        ? storedValue.redemptions.find(candidate => candidate.card.code === normalizeStoredValueCode(payment.reference))
+        : null;
+
+      payment.stored_value_card_id = redemption ? redemption.card.id : null;
+      if (redemption) {
+        payment.reference = maskStoredValueCode(redemption.card.code);
+      }
+    });
+
+    // Cash taken at checkout goes through the named drawer or the user's open one
+    const drawerLookup = await findOpenDrawer(client, {
+      drawerId: drawer_id,
+      storeId: storeScope.storeId,
+      userId: req.user.id
+    });
+
+    if (drawerLookup.error) {
+      return res.status(400).json({
+        error: drawerLookup.error,
+        code: drawerLookup.code
+      });
+    }
+
+    const drawer = drawerLookup.drawer;
+
+    // Until the sale is final, a step that fails undoes the steps before it
+    const undoSteps = [];
+    const undoEarlierSteps = async () => {
+      for (const undo of undoSteps.reverse()) {
+        await undo();
+      }
+    };
+
+    // Cashiers need a manager's approval for discounts above the company threshold;
+    // a quoted discount was already given by a manager when the quote was made
+    let discountApproval = null;
+    const discountThreshold = settings.max_cashier_discount_percent ?? DEFAULT_MAX_CASHIER_DISCOUNT_PERCENT;
+    if (!OVERRIDE_USER_ROLES.includes(req.user.role) && !quote && basketDiscount.percent > discountThreshold) {
+      const override = await consumeOverride(req, 'discount');
+      if (override.error) {
+        const { status, ...body } = override;
+        return res.status(status).json({
+          ...body,
+          discount_percent: basketDiscount.percent,
+          threshold_percent: discountThreshold
+        });
+      }
+      discountApproval = override.approval;
+      undoSteps.push(() => releaseOverride(client, discountApproval));
+    }
+
+    // Prices that differ from the tier need a manager's price override
+    let priceApproval = null;
+    if (mismatchedPrices.length > 0 && !OVERRIDE_USER_ROLES.includes(req.user.role)) {
+      const override = await consumeOverride(req, 'price_override');
+      if (override.error) {
+        await undoEarlierSteps();
+
+        const { status, ...body } = override;
+        return res.status(status).json({
+          ...body,
+          error: override.code === 'OVERRIDE_REQUIRED' ? 'Submitted prices do not match the price tier' : body.error,
+          code: override.code === 'OVERRIDE_REQUIRED' ? 'PRICE_MISMATCH' : body.code,
+          price_tier: saleTier,
+          mismatched_prices: mismatchedPrices
+        });
+      }
+      priceApproval = override.approval;
+      undoSteps.push(() => releaseOverride(client, priceApproval));
+    }
+
+    const saleData = {
+      store_id: storeScope.storeId,
+      company_id: store.company_id,
+      cashier_id: req.user.id,
+      item_count: lines.reduce((sum, line) => sum + line.quantity, 0),
+      subtotal,
+      promotion_total: pricing.promotionTotal,
+      applied_promotions: pricing.appliedPromotions,
+      statutory_discount_type: pricing.statutoryDiscount ? pricing.statutoryDiscount.type : null,
+      statutory_id_number: statutory_discount ? String(statutory_discount.id_number).trim() : null,
+      statutory_holder_name: statutory_discount ? String(statutory_discount.holder_name).trim() : null,
+      vat_exempt_sales: pricing.statutoryDiscount ? pricing.statutoryDiscount.vat_exempt_sales : 0,
+      vat_exempt_amount: pricing.statutoryDiscount ? pricing.statutoryDiscount.vat_exempt_amount : 0,
+      statutory_discount_total: pricing.statutoryDiscount ? pricing.statutoryDiscount.discount_total : 0,
+      discount_total: basketDiscount.amount,
+      prices_include_tax: pricing.pricesIncludeTax,
+      taxes: pricing.taxes,
+      tax_total: pricing.taxTotal,
+      discount_approval_id: discountApproval ? discountApproval.id : null,
+      price_tier: saleTier,
+      price_override_approval_id: priceApproval ? priceApproval.id : null,
+      total,
+      amount_tendered: allocation.amountTendered,
+      change_due: allocation.changeDue,
+      drawer_id: drawer ? drawer.id : null,
+      terminal_id,
+      idempotency_key: idempotencyKey,
+      parked_order_id: parkedOrder ? parkedOrder.id : null,
+      quote_id: quote ? quote.id : null,
+      customer_id: customer ? customer.id : null,
+      loyalty_member_id: loyaltyMember ? loyaltyMember.id : null,
+      status: 'completed',
+      notes,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    // The parked order or quote is claimed before the sale is recorded, so two
+    // checkouts cannot both sell it; it is given back if the sale does not go through
+    if (parkedOrder) {
+      const parkedClaim = await claimParkedOrderForCheckout(client, parkedOrder);
+      if (parkedClaim.error) {
+        await undoEarlierSteps();
+
+        const { status, ...body } = parkedClaim;
+        return res.status(status).json(body);
+      }
+      undoSteps.push(() => releaseParkedOrderClaim(client, parkedOrder));
+    }
+
+    if (quote) {
+      const quoteClaim = await claimQuoteForConversion(client, quote);
+      if (quoteClaim.error) {
+        await undoEarlierSteps();
+
+        const { status, ...body } = quoteClaim;
+        return res.status(status).json(body);
+      }
+      undoSteps.push(() => releaseQuoteClaim(client, quote));
+    }
+
+    const { data: sale, error: saleError } = await client
+      .from('sales')
+      .insert([saleData])
+      .select()
+      .single();
+
+    if (saleError) {
+      await undoEarlierSteps();
+
+      // A concurrent retry with the same idempotency key won the insert
+      if (idempotencyKey && saleError.code === '23505') {
+        const existingSale = await findSaleByIdempotencyKey(client, storeScope.storeId, idempotencyKey);
+        if (existingSale) {
+          const { status, ...body } = existingSale;
+          return res.status(status).json(body);
+        }
+      }
+
+      console.error('Database error creating sale:', saleError.message);
+      return res.status(400).json({
+        error: 'Failed to record sale',
+        code: 'DB_INSERT_ERROR',
+        details: saleError.message
+      });
+    }
+
+    const { data: saleItems, error: itemsError } = await client
+      .from('sale_items')
+      .insert(lines.map(line => ({
+        ...line,
+        sale_id: sale.id,
+        created_at: new Date().toISOString()
+      })))
+      .select();
+
+    if (itemsError) {
+      console.error('Database error creating sale items:', itemsError.message);
+
+      // Don't leave a sale header without lines behind
+      await client.from('sales').delete().eq('id', sale.id);
+      await undoEarlierSteps();
+
+      return res.status(400).json({
+        error: 'Failed to record sale items',
+        code: 'DB_INSERT_ERROR',
+        details: itemsError.message
+      });
+    }
+
+    const { data: salePayments, error: paymentsError } = await client
+      .from('sale_payments')
+      .insert(allocation.payments.map(payment => ({
+        ...payment,
+        sale_id: sale.id,
+        created_at: new Date().toISOString()
+      })))
+      .select();
+
+    if (paymentsError) {
+      console.error('Database error creating sale payments:', paymentsError.message);
+
+      await client.from('sale_items').delete().eq('sale_id', sale.id);
+      await client.from('sales').delete().eq('id', sale.id);
+      await undoEarlierSteps();
+
+      return res.status(400).json({
+        error: 'Failed to record sale payments',
+        code: 'DB_INSERT_ERROR',
+        details: paymentsError.message
+      });
+    }
+
+    // A step that fails from here on also withdraws the sale
+    const withdrawSale = async () => {
+      await undoEarlierSteps();
+      await client.from('sale_payments').delete().eq('sale_id', sale.id);
+      await client.from('sale_items').delete().eq('sale_id', sale.id);
+      await client.from('sales').delete().eq('id', sale.id);
+    };
+
+    // Count coupon redemptions towards their usage limits; a coupon used up by
+    // another checkout in the meantime stops the sale
+    const couponClaim = await claimCouponUsage(client, pricing.appliedPromotions);
+    if (couponClaim.error) {
+      await withdrawSale();
+
+      const { status, ...body } = couponClaim;
+      return res.status(status).json(body);
+    }
+    undoSteps.push(() => releaseCouponUsage(client, couponClaim.promotionIds));
+
+    // Take the account-backed tenders off their balances: the customer's credit
+    // account (its limit checked again against the balance at that moment),
+    // loyalty points and stored-value cards. If one fails, those already taken
+    // are put back and the sale is withdrawn.
+    const accountPostings = [];
+
+    if (chargeAmount > 0) {
+      const creditEntry = (type, amount) => () => postCreditTransaction(client, {
+        customerId: customer.id,
+        type,
+        amount,
+        userId: req.user.id,
+        storeId: storeScope.storeId,
+        saleId: sale.id,
+        enforceLimit: type === 'charge'
+      });
+      accountPostings.push({ post: creditEntry('charge', chargeAmount), undo: creditEntry('void', -chargeAmount) });
+    }
+
+    if (pointsToRedeem > 0) {
+      const loyaltyEntry = (type, points) => () => postLoyaltyEntry(client, {
+        memberId: loyaltyMember.id,
+        type,
+        points,
+        loyalty,
+        userId: req.user.id,
+        storeId: storeScope.storeId,
+        saleId: sale.id,
+        notes: `Redeemed for ${loyaltyAmount} on sale ${sale.id}`
+      });
+      accountPostings.push({ post: loyaltyEntry('redeem', -pointsToRedeem), undo: loyaltyEntry('adjust', pointsToRedeem) });
+    }
+
+    storedValue.redemptions.forEach(({ card, amount }) => {
+      const cardEntry = (type, value) => () => postStoredValueEntry(client, {
+        cardId: card.id,
+        type,
+        amount: value,
+        userId: req.user.id,
+        storeId: storeScope.storeId,
+        saleId: sale.id,
+        notes: `Sale ${sale.id}`
+      });
+      accountPostings.push({ post: cardEntry('redeem', -amount), undo: cardEntry('refund', amount) });
+    });
+
+    for (const posting of accountPostings) {
+      const result = await posting.post();
+
+      if (!result.success) {
+        await withdrawSale();
+
+        const { success, status, ...body } = result;
+        return res.status(status).json(body);
+      }
+
+      undoSteps.push(posting.undo);
+    }
+
+    // Take the sold items out of stock, one ledger row per line
+    const stockResult = await takeSaleLinesOutOfStock(client, saleItems, productsById, {
+      userId: req.user.id,
+      notes: `Sale ${sale.id}`,
+      saleId: sale.id
+    });
+
+    if (stockResult.error) {
+      console.error(`❌ Sale ${sale.id} withdrawn, stock could not be taken out:`, stockResult.error);
+      await withdrawSale();
+
+      const { status, ...body } = stockResult;
+      return res.status(status).json(body);
+    }
+    undoSteps.push(() => putBackSaleStock(client, stockResult.movements, {
+      userId: req.user.id,
+      notes: `Sale ${sale.id} withdrawn`,
+      saleId: sale.id
+    }));
+
+    // The sale is final once it has the terminal's next official receipt number;
+    // without one it is withdrawn so the checkout can be retried
+    const receiptResult = await issueOfficialReceipt(client, {
+      sale,
+      terminalId: terminal_id,
+      settings,
+      userId: req.user.id
+    });
+
+    if (receiptResult.error) {
+      await withdrawSale();
+
+      const { status, ...body } = receiptResult;
+      return res.status(status).json(body);
+    }
+
+    sale.or_number = receiptResult.receipt.or_number;
+    sale.receipt_id = receiptResult.receipt.id;
+
+    if (parkedOrder) {
+      await completeParkedOrder(client, parkedOrder, sale, req.user.id);
+    }
+
+    if (quote) {
+      await markQuoteConverted(client, quote, sale, req.user.id);
+    }
+
+    // The part of the bill not paid with points earns new points
+    if (loyaltyMember) {
+      const { points } = computeEarnedPoints(loyalty, loyaltyMember, saleItems, total > 0 ? (total - loyaltyAmount) / total : 0);
+      if (points > 0) {
+        const earning = await postLoyaltyEntry(client, {
+          memberId: loyaltyMember.id,
+          type: 'earn',
+          points,
+          loyalty,
+          userId: req.user.id,
+          storeId: storeScope.storeId,
+          saleId: sale.id,
+          notes: `Earned on sale ${sale.id}`
+        });
+
+        if (earning.success) {
+          sale.loyalty_points_earned = points;
+        }
+      }
+    }
+
+    if (customer) {
+      await recordCustomerPurchase(client, {
+        customer,
+        storeId: storeScope.storeId,
+        saleId: sale.id,
+        orNumber: sale.or_number || null,
+        total,
+        itemCount: saleData.item_count,
+        items: saleItems.map(line => ({
+          product_id: line.product_id,
+          product_name: line.product_name,
+          quantity: line.quantity,
+          unit_price: line.unit_price,
+          line_total: line.line_total
+        })),
+        purchasedAt: sale.created_at,
+        userId: req.user.id
+      });
+    }
+
+    if (drawer && allocation.cashReceived > 0) {
+      await recordDrawerMovement(client, {
+        drawer,
+        movementType: 'sale',
+        amount: allocation.cashReceived,
+        userId: req.user.id,
+        notes: `Sale ${sale.id}`,
+        referenceType: 'sale',
+        referenceId: sale.id
+      });
+    }
+
+    console.log(`✅ Sale recorded: ${sale.id} (${lines.length} lines, total ${sale.total})`);
+
+    res.status(201).json({
+      message: 'Sale recorded successfully',
+      sale: {
+        ...sale,
+        items: saleItems,
+        payments: salePayments
+      },
+      lot_warnings: lotCheck.warnings
+    });
+
+  } catch (error) {
+    console.error('❌ Create sale error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// POST /sales - Record a completed sale and take its items out of stock
+router.post('/sales', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), recordSale);
+
+// POST /quotes/:quoteId/convert - Sell an accepted quote, repricing and rechecking stock
+//
+// Serialised items need serial_numbers: { [product_id]: [serials] }.
+router.post('/quotes/:quoteId/convert', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), (req, res) => {
+  // The basket is the quote's, so only the checkout fields of the request are used
+  req.body = { ...req.body, parked_order_id: null, quote_id: req.params.quoteId };
+  return recordSale(req, res);
+});
+
+// GET /sales - Fetch sales with store filtering
+router.get('/sales', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    console.log('🔄 Get sales request from user:', {
+      userId: req.user.id,
+      userRole: req.user.role,
+      userStoreId: req.user.store_id,
+      queryParams: req.query
+    });
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { status, from, to, limit = 50 } = req.query;
+
+    const storeScope = resolveListingStore(req, req.query.store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    let query = client
+      .from('sales')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(parseInt(limit));
+
+    // Apply filtering based on user role
+    if (storeScope.storeId) {
+      query = query.eq('store_id', storeScope.storeId);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (from) {
+      query = query.gte('created_at', from);
+    }
+    if (to) {
+      query = query.lte('created_at', to);
+    }
+
+    const { data: sales, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch sales:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch sales from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    console.log(`✅ Retrieved ${sales?.length || 0} sales`);
+
+    res.json({
+      sales: sales || [],
+      count: sales?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get sales error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /sales/:saleId - Fetch one sale with its line items
+router.get('/sales/:saleId', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { saleId } = req.params;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: sale, error } = await client
+      .from('sales')
+      .select('*, sale_items(*), sale_payments(*)')
+      .eq('id', saleId)
+      .single();
+
+    if (error || !sale) {
+      return res.status(404).json({
+        error: 'Sale not found',
+        code: 'SALE_NOT_FOUND'
+      });
+    }
+
+    if (!canAccessStore(req, sale.store_id)) {
+      return res.status(403).json({
+        error: 'You can only view sales for your assigned store',
+        code: 'STORE_ACCESS_DENIED'
+      });
+    }
+
+    res.json({ sale });
+
+  } catch (error) {
+    console.error('❌ Get sale error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Put a set of sale lines back into stock through the inventory ledger
+async function restockSaleLines(client, lines, { movementType, userId, notes, referenceType, referenceId }) {
+  const stockErrors = [];
+  if (lines.length === 0) {
+    return stockErrors;
+  }
+
+  const { data: products } = await client
+    .from('products')
+    .select('id, name, store_id, stock_quantity, catalog_product_id')
+    .in('id', [...new Set(lines.map(line => line.product_id))]);
+
+  const productsById = {};
+  (products || []).forEach(product => {
+    productsById[product.id] = product;
+  });
+
+  for (const line of lines) {
+    const product = productsById[line.product_id];
+    if (!product) {
+      stockErrors.push({ product_id: line.product_id, error: 'Product not found' });
+      continue;
+    }
+
+    const result = await recordStockMovement(client, {
+      product,
+      quantity: line.quantity,
+      serialNumbers: line.serial_numbers || [],
+      movementType,
+      userId,
+      notes,
+      referenceType,
+      referenceId
+    });
+
+    if (!result.success) {
+      stockErrors.push({ product_id: line.product_id, error: result.error });
+    }
+  }
+
+  return stockErrors;
+}
+
+// Put the stock of sold lines back after the sale they were taken out for was
+// withdrawn, into the lots and with the serials they left with
+async function putBackSaleStock(client, movements, { userId, notes, saleId }) {
+  for (const movement of [...movements].reverse()) {
+    const result = await recordStockMovement(client, {
+      product: movement.product,
+      quantity: -movement.quantity,
+      lots: movement.lotAllocations.map(allocation => ({
+        lot_number: allocation.lot_number,
+        expiry_date: allocation.expiry_date,
+        quantity: -allocation.quantity
+      })),
+      serialNumbers: movement.serialNumbers,
+      movementType: 'void',
+      userId,
+      notes,
+      referenceType: 'sale',
+      referenceId: saleId
+    });
+
+    if (!result.success) {
+      console.error(`❌ Failed to put back ${-movement.quantity} of ${movement.product.id} for withdrawn sale ${saleId}:`, result.error);
+    }
+  }
+}
+
+// Take the lines of a sale out of stock, one ledger row per line. If one line
+// cannot be taken out the lines already taken are put back, so a sale is never
+// completed with its stock still on the shelf.
+async function takeSaleLinesOutOfStock(client, lines, productsById, { userId, notes, saleId }) {
+  const movements = [];
+
+  for (const line of lines) {
+    const product = productsById[line.product_id];
+    const result = product
+      ? await recordStockMovement(client, {
+        product,
+        quantity: -line.quantity,
+        serialNumbers: line.serial_numbers || [],
+        movementType: 'sale',
+        userId,
+        notes,
+        referenceType: 'sale',
+        referenceId: saleId
+      })
+      : { success: false, error: 'Product not found', code: 'PRODUCT_NOT_FOUND' };
+
+    if (!result.success) {
+      await putBackSaleStock(client, movements, { userId, notes: `${notes} withdrawn`, saleId });
+
+      const { success, status = 500, error, code = 'STOCK_UPDATE_FAILED', ...details } = result;
+      return {
+        status,
+        error: `Could not take "${product?.name || line.product_id}" out of stock`,
+        code,
+        details: error,
+        ...details,
+        product_id: line.product_id
+      };
+    }
+
+    movements.push({
+      product,
+      quantity: -line.quantity,
+      lotAllocations: result.lotAllocations,
+      serialNumbers: result.serialNumbers
+    });
+  }
+
+  return { movements };
+}
+
+// Load a sale with its lines and payments, checking the user may act on it
+async function fetchSaleForUpdate(client, req, saleId) {
+  const { data: sale, error } = await client
+    .from('sales')
+    .select('*, sale_items(*), sale_payments(*)')
+    .eq('id', saleId)
+    .single();
+
+  if (error || !sale) {
+    return { status: 404, error: 'Sale not found', code: 'SALE_NOT_FOUND' };
+  }
+
+  if (!canAccessStore(req, sale.store_id)) {
+    return { status: 403, error: 'You can only change sales for your assigned store', code: 'STORE_ACCESS_DENIED' };
+  }
+
+  return { sale };
+}
+
+// POST /sales/:saleId/void - Void a whole sale and put its items back into stock
+router.post('/sales/:saleId/void', authenticateToken, requireRoleOrOverride(['super_admin', 'manager'], 'void_sale', req => req.params.saleId), async (req, res) => {
+  try {
+    const { saleId } = req.params;
+    const { reason = '' } = req.body;
+
+    console.log(`🚫 Voiding sale ${saleId} by user ${req.user.role}:${req.user.id}`);
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { sale, status, error, code } = await fetchSaleForUpdate(client, req, saleId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    if (!['completed', 'open'].includes(sale.status)) {
+      return res.status(409).json({
+        error: `Cannot void a ${sale.status} sale`,
+        code: 'INVALID_SALE_STATUS'
+      });
+    }
+
+    const { data: voidedSale, error: updateError } = await client
+      .from('sales')
+      .update({
+        status: 'voided',
+        voided_at: new Date().toISOString(),
+        voided_by: req.user.id,
+        void_reason: reason,
+        void_approval_id: req.override ? req.override.id : null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', sale.id)
+      .eq('status', sale.status)
+      .select()
+      .single();
+
+    if (updateError || !voidedSale) {
+      console.error('Void sale error:', updateError?.message);
+      return res.status(409).json({
+        error: 'Sale was changed by someone else, please retry',
+        code: 'SALE_CONFLICT'
+      });
+    }
+
+    // The receipt number stays used; the void is recorded against it
+    await voidOfficialReceipt(client, { sale, userId: req.user.id, reason });
+
+    const stockErrors = await restockSaleLines(
+      client,
+      (sale.sale_items || []).filter(item => !item.voided_at),
+      {
+        movementType: 'void',
+        userId: req.user.id,
+        notes: `Void of sale ${sale.id}`,
+        referenceType: 'sale',
+        referenceId: sale.id
+      }
+    );
+
+    // Hand back the cash the sale put into a drawer
+    const { data: cashMovements } = await client
+      .from('cash_drawer_movements')
+      .select('amount')
+      .eq('reference_type', 'sale')
+      .eq('reference_id', sale.id);
+
+    const cashTaken = roundMoney((cashMovements || []).reduce((sum, movement) => sum + Number(movement.amount), 0));
+    if (cashTaken > 0) {
+      const saleDrawer = await findOpenDrawer(client, { drawerId: sale.drawer_id, storeId: sale.store_id, userId: req.user.id });
+      const { drawer } = saleDrawer.drawer ? saleDrawer : await findOpenDrawer(client, { storeId: sale.store_id, userId: req.user.id });
+
+      if (drawer) {
+        await recordDrawerMovement(client, {
+          drawer,
+          movementType: 'void',
+          amount: -cashTaken,
+          userId: req.user.id,
+          notes: `Void of sale ${sale.id}`,
+          referenceType: 'sale',
+          referenceId: sale.id
+        });
+      }
+    }
+
+    // Take back whatever the sale still has on the customer's credit account
+    if (sale.customer_id) {
+      const { data: creditEntries } = await client
+        .from('customer_credit_transactions')
+        .select('amount')
+        .eq('sale_id', sale.id);
+
+      const charged = roundMoney((creditEntries || []).reduce((sum, entry) => sum + Number(entry.amount), 0));
+      if (charged > 0) {
+        const credit = await postCreditTransaction(client, {
+          customerId: sale.customer_id,
+          type: 'void',
+          amount: -charged,
+          userId: req.user.id,
+          storeId: sale.store_id,
+          saleId: sale.id,
+          notes: `Void of sale ${sale.id}`
+        });
+
+        if (!credit.success) {
+          console.error(`❌ Failed to reverse charge of sale ${sale.id}:`, credit.error);
+        }
+      }
+
+      await client
+        .from('customer_purchases')
+        .update({ status: 'voided' })
+        .eq('sale_id', sale.id);
+    }
+
+    await reverseSaleLoyalty(client, sale, {
+      userId: req.user.id,
+      reference: 'void',
+      notes: `Void of sale ${sale.id}`
+    });
+
+    await reverseSaleStoredValue(client, sale, req.user.id);
+
+    console.log(`✅ Sale voided: ${sale.id}`);
+
+    res.json({
+      message: 'Sale voided successfully',
+      sale: voidedSale,
+      stock_errors: stockErrors
+    });
+
+  } catch (error) {
+    console.error('❌ Void sale error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /sales/:saleId/reopen - Reopen a completed receipt for corrections
+router.post('/sales/:saleId/reopen', authenticateToken, requireRoleOrOverride(['super_admin', 'manager'], 'reopen_sale', req => req.params.saleId), async (req, res) => {
+  try {
+    const { saleId } = req.params;
+    const { reason = '' } = req.body;
+
+    console.log(`🔓 Reopening sale ${saleId} by user ${req.user.role}:${req.user.id}`);
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { sale, status, error, code } = await fetchSaleForUpdate(client, req, saleId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    if (sale.status !== 'completed') {
+      return res.status(409).json({
+        error: `Cannot reopen a ${sale.status} sale`,
+        code: 'INVALID_SALE_STATUS'
+      });
+    }
+
+    const { data: reopenedSale, error: updateError } = await client
+      .from('sales')
+      .update({
+        status: 'open',
+        reopened_at: new Date().toISOString(),
+        reopened_by: req.user.id,
+        reopen_reason: reason,
+        reopen_approval_id: req.override ? req.override.id : null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', sale.id)
+      .eq('status', 'completed')
+      .select()
+      .single();
+
+    if (updateError || !reopenedSale) {
+      console.error('Reopen sale error:', updateError?.message);
+      return res.status(409).json({
+        error: 'Sale was changed by someone else, please retry',
+        code: 'SALE_CONFLICT'
+      });
+    }
+
+    console.log(`✅ Sale reopened: ${sale.id}`);
+
+    res.json({
+      message: 'Sale reopened successfully',
+      sale: reopenedSale
+    });
+
+  } catch (error) {
+    console.error('❌ Reopen sale error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /sales/:saleId/items/:itemId/void - Void one line of an open sale
+router.post('/sales/:saleId/items/:itemId/void', authenticateToken, requireRoleOrOverride(['super_admin', 'manager'], 'void_line', req => req.params.itemId), async (req, res) => {
+  try {
+    const { saleId, itemId } = req.params;
+    const { reason = '' } = req.body;
+
+    console.log(`🚫 Voiding line ${itemId} of sale ${saleId} by user ${req.user.role}:${req.user.id}`);
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { sale, status, error, code } = await fetchSaleForUpdate(client, req, saleId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    if (sale.status !== 'open') {
+      return res.status(409).json({
+        error: 'Lines can only be voided on an open sale',
+        code: 'INVALID_SALE_STATUS'
+      });
+    }
+
+    const line = (sale.sale_items || []).find(item => item.id === itemId);
+    if (!line) {
+      return res.status(404).json({
+        error: 'Sale line not found',
+        code: 'SALE_ITEM_NOT_FOUND'
+      });
+    }
+
+    if (line.voided_at) {
+      return res.status(409).json({
+        error: 'Sale line is already voided',
+        code: 'SALE_ITEM_VOIDED'
+      });
+    }
+
+    // The line's value goes back to the tenders the sale was paid with, last
+    // one first, after what returns and earlier line voids already refunded
+    const { data: returnRefunds, error: refundsError } = await client
+      .from('sale_return_refunds')
+      .select('sale_payment_id, amount')
+      .eq('sale_id', sale.id);
+
+    if (refundsError) {
+      console.error('❌ Failed to fetch previous refunds:', refundsError.message);
+      return res.status(500).json({
+        error: 'Failed to fetch previous refunds',
+        code: 'DB_ERROR',
+        details: refundsError.message
+      });
+    }
+
+    const { refunds } = allocateRefundToTenders(
+      roundMoney(Number(line.line_total)),
+      sale.sale_payments || [],
+      [...(returnRefunds || []), ...sale.sale_items.flatMap(item => item.void_refunds || [])]
+    );
+
+    const { data: voidedLine, error: lineError } = await client
+      .from('sale_items')
+      .update({
+        voided_at: new Date().toISOString(),
+        voided_by: req.user.id,
+        void_reason: reason,
+        void_approval_id: req.override ? req.override.id : null,
+        void_refunds: refunds
+      })
+      .eq('id', line.id)
+      .is('voided_at', null)
+      .select()
+      .single();
+
+    if (lineError || !voidedLine) {
+      console.error('Void line error:', lineError?.message);
+      return res.status(409).json({
+        error: 'Sale line was changed by someone else, please retry',
+        code: 'SALE_CONFLICT'
+      });
+    }
+
+    // Recompute the sale totals from the lines still standing
+    const activeLines = sale.sale_items.filter(item => item.id !== line.id && !item.voided_at);
+
+    // A coupon none of whose discounted items are left no longer counts as used
+    const activeProductIds = activeLines.map(item => item.product_id);
+    const releasedCoupons = (sale.applied_promotions || []).filter(promotion => promotion.coupon_code &&
+      !promotion.usage_released &&
+      !promotion.lines.some(appliedLine => activeProductIds.includes(appliedLine.product_id)));
+
+    const { data: updatedSale, error: saleUpdateError } = await client
+      .from('sales')
+      .update({
+        applied_promotions: (sale.applied_promotions || []).map(promotion => (releasedCoupons.includes(promotion)
+          ? { ...promotion, usage_released: true }
+          : promotion)),
+        item_count: activeLines.reduce((sum, item) => sum + item.quantity, 0),
+        subtotal: roundMoney(activeLines.reduce((sum, item) => sum + item.quantity * item.unit_price, 0)),
+        promotion_total: roundMoney(activeLines.reduce((sum, item) => sum + Number(item.promotion_discount || 0), 0)),
+        vat_exempt_sales: roundMoney(activeLines
+          .filter(item => Number(item.statutory_discount) > 0)
+          .reduce((sum, item) => sum + Number(item.line_total) + Number(item.statutory_discount), 0)),
+        vat_exempt_amount: roundMoney(activeLines.reduce((sum, item) => sum + Number(item.vat_exempt_amount || 0), 0)),
+        statutory_discount_total: roundMoney(activeLines.reduce((sum, item) => sum + Number(item.statutory_discount || 0), 0)),
+        discount_total: roundMoney(activeLines.reduce((sum, item) => sum + Number(item.discount_amount || 0), 0)),
+        taxes: summarizeLineTaxes(activeLines, sale.taxes || []),
+        tax_total: roundMoney(activeLines.reduce((sum, item) => sum + Number(item.tax_amount || 0), 0)),
+        total: roundMoney(activeLines.reduce((sum, item) => sum + Number(item.line_total), 0)),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', sale.id)
+      .select()
+      .single();
+
+    if (saleUpdateError) {
+      console.error('Error updating sale totals after line void:', saleUpdateError.message);
+    }
+
+    const stockErrors = await restockSaleLines(client, [line], {
+      movementType: 'void',
+      userId: req.user.id,
+      notes: `Void of line ${line.id} on sale ${sale.id}`,
+      referenceType: 'sale',
+      referenceId: sale.id
+    });
+
+    await releaseCouponUsage(client, releasedCoupons.map(promotion => promotion.promotion_id));
+
+    // Cash is handed back from the sale's drawer, or the user's open one
+    const saleDrawer = await findOpenDrawer(client, { drawerId: sale.drawer_id, storeId: sale.store_id, userId: req.user.id });
+    const { drawer } = saleDrawer.drawer ? saleDrawer : await findOpenDrawer(client, { storeId: sale.store_id, userId: req.user.id });
+
+    const originalTotal = roundMoney(sale.sale_items.reduce((sum, item) => sum + Number(item.line_total), 0));
+    await refundToTenders(client, {
+      sale,
+      refunds,
+      share: originalTotal > 0 ? Number(line.line_total) / originalTotal : 0,
+      drawer,
+      settings: await getCompanySettings(client, sale.company_id),
+      entryType: 'void',
+      referenceType: 'sale',
+      referenceId: sale.id,
+      userId: req.user.id,
+      notes: `Void of line ${line.id} on sale ${sale.id}`
+    });
+
+    console.log(`✅ Sale line voided: ${line.id}`);
+
+    res.json({
+      message: 'Sale line voided successfully',
+      sale: updatedSale || sale,
+      item: voidedLine,
+      refunds,
+      stock_errors: stockErrors
+    });
+
+  } catch (error) {
+    console.error('❌ Void sale line error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /sales/:saleId/complete - Close a reopened sale again
+router.post('/sales/:saleId/complete', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { saleId } = req.params;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { sale, status, error, code } = await fetchSaleForUpdate(client, req, saleId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    if (sale.status !== 'open') {
+      return res.status(409).json({
+        error: 'Only an open sale can be completed',
+        code: 'INVALID_SALE_STATUS'
+      });
+    }
+
+    // Voided lines may have left the customer owed money back beyond what
+    // was refunded to the tenders when they were voided
+    const amountPaid = roundMoney((sale.sale_payments || []).reduce((sum, payment) => sum + Number(payment.amount), 0));
+    const amountRefunded = roundMoney((sale.sale_items || [])
+      .flatMap(item => item.void_refunds || [])
+      .reduce((sum, refund) => sum + Number(refund.amount), 0));
+    const refundDue = roundMoney(Math.max(0, amountPaid - amountRefunded - Number(sale.total)));
+
+    const { data: completedSale, error: updateError } = await client
+      .from('sales')
+      .update({
+        status: 'completed',
+        refund_due: refundDue,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', sale.id)
+      .eq('status', 'open')
+      .select()
+      .single();
+
+    if (updateError || !completedSale) {
+      console.error('Complete sale error:', updateError?.message);
+      return res.status(409).json({
+        error: 'Sale was changed by someone else, please retry',
+        code: 'SALE_CONFLICT'
+      });
+    }
+
+    // A sale recorded without a receipt number gets one now, or stays open
+    if (!completedSale.or_number) {
+      const settings = await getCompanySettings(client, completedSale.company_id);
+      const receiptResult = await issueOfficialReceipt(client, {
+        sale: completedSale,
+        terminalId: completedSale.terminal_id || DEFAULT_TERMINAL_ID,
+        settings,
+        userId: req.user.id
+      });
+
+      if (receiptResult.error) {
+        await client
+          .from('sales')
+          .update({ status: 'open', updated_at: new Date().toISOString() })
+          .eq('id', sale.id);
+
+        const { status: receiptStatus, ...body } = receiptResult;
+        return res.status(receiptStatus).json(body);
+      }
+
+      completedSale.or_number = receiptResult.receipt.or_number;
+      completedSale.receipt_id = receiptResult.receipt.id;
+    }
+
+    console.log(`✅ Sale completed again: ${sale.id} (refund due ${refundDue})`);
+
+    res.json({
+      message: 'Sale completed successfully',
+      sale: completedSale,
+      refund_due: refundDue
+    });
+
+  } catch (error) {
+    console.error('❌ Complete sale error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router,
+  allocatePayments,
+  allocateRefundToTenders,
+  refundToTenders,
+  restockSaleLines,
+  putBackSaleStock,
+  takeSaleLinesOutOfStock
+};
@@ -0,0 +1,314 @@
+// ========================= SERIAL NUMBER ENDPOINTS =========================
+const express = require('express');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole } = require('../lib/auth');
+const { canAccessStore, resolveCompanyScope } = require('../lib/scope');
+
+const router = express.Router();
+
+// Products with track_serials on are stocked one registered serial (or IMEI)
+// number at a time in stock_serials. A serial belongs to the catalogue product,
+// so it keeps its record as it moves between stores. Every stock movement of
+// such a product has to name the serials it moves. apply_stock_movement moves
+// them together with the stock and keeps them on the movement in
+// inventory_movements.serial_numbers, which is where a serial's history is
+// read from.
+
+// Serials the company still holds
+const SERIAL_HELD_STATUSES = ['in_stock', 'reserved', 'in_transit'];
+
+// How each movement type reads in a serial's history
+const SERIAL_HISTORY_EVENTS = {
+  opening: 'received',
+  purchase: 'received',
+  transfer_out: 'transferred_out',
+  transfer_in: 'transferred_in',
+  sale: 'sold',
+  return: 'returned',
+  void: 'sale_voided'
+};
+
+// Serials are looked up across the catalogue product, or the listing if it has none
+const serialScope = (query, product) => (product.catalog_product_id
+  ? query.eq('catalog_product_id', product.catalog_product_id)
+  : query.eq('product_id', product.id));
+
+// Trim a submitted list of serial numbers; null if it is not a list of distinct serials
+const normalizeSerialNumbers = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  if (!Array.isArray(value) || value.some(serial => !['string', 'number'].includes(typeof serial) || !String(serial).trim())) {
+    return null;
+  }
+
+  const serials = value.map(serial => String(serial).trim());
+  return new Set(serials).size === serials.length ? serials : null;
+};
+
+const serialCountError = (product, quantity) => ({
+  status: 400,
+  error: `"${product.name}" needs one serial number for each of the ${quantity} units`,
+  code: 'SERIALS_REQUIRED',
+  product_id: product.id
+});
+
+// Serials being registered on stock-in must be new, or no longer held by the company
+async function checkSerialsIn(client, { product, quantity, serialNumbers }) {
+  if (!product.track_serials) {
+    return { serialNumbers: [] };
+  }
+
+  const serials = normalizeSerialNumbers(serialNumbers);
+  if (!serials || serials.length !== quantity) {
+    return serialCountError(product, quantity);
+  }
+
+  const { data: existing } = await serialScope(client.from('stock_serials').select('serial_number, status'), product)
+    .in('serial_number', serials);
+
+  const held = (existing || []).filter(serial => SERIAL_HELD_STATUSES.includes(serial.status));
+  if (held.length > 0) {
+    return {
+      status: 409,
+      error: 'Some serial numbers are already in stock',
+      code: 'SERIAL_IN_STOCK',
+      product_id: product.id,
+      serial_numbers: held.map(serial => serial.serial_number)
+    };
+  }
+
+  return { serialNumbers: serials };
+}
+
+// Serials selected for stock leaving a listing must be in stock there
+async function checkSerialsOut(client, { product, quantity, serialNumbers }) {
+  if (!product.track_serials) {
+    return { serialNumbers: [] };
+  }
+
+  const serials = normalizeSerialNumbers(serialNumbers);
+  if (!serials || serials.length !== quantity) {
+    return serialCountError(product, quantity);
+  }
+
+  const { data: available } = await client
+    .from('stock_serials')
+    .select('serial_number')
+    .eq('product_id', product.id)
+    .eq('status', 'in_stock')
+    .in('serial_number', serials);
+
+  const availableSerials = (available || []).map(serial => serial.serial_number);
+  const missing = serials.filter(serial => !availableSerials.includes(serial));
+  if (missing.length > 0) {
+    return {
+      status: 409,
+      error: `Some serial numbers of "${product.name}" are not in stock`,
+      code: 'SERIAL_NOT_AVAILABLE',
+      product_id: product.id,
+      serial_numbers: missing
+    };
+  }
+
+  return { serialNumbers: serials };
+}
+
+// Hold in-stock serials for a layaway, or give them back. Only serials still in
+// the expected state are changed; the ones changed are returned.
+async function holdSerials(client, { productId, serialNumbers, hold }) {
+  if (!serialNumbers || serialNumbers.length === 0) {
+    return [];
+  }
+
+  const { data: changed, error } = await client
+    .from('stock_serials')
+    .update({
+      status: hold ? 'reserved' : 'in_stock',
+      updated_at: new Date().toISOString()
+    })
+    .eq('product_id', productId)
+    .eq('status', hold ? 'in_stock' : 'reserved')
+    .in('serial_number', serialNumbers)
+    .select('serial_number');
+
+  if (error) {
+    console.error(`Error ${hold ? 'holding' : 'releasing'} serials of product ${productId}:`, error.message);
+  }
+
+  return (changed || []).map(serial => serial.serial_number);
+}
+
+// GET /inventory/serials - Serial numbers of a product, in stock by default
+router.get('/inventory/serials', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { product_id, status = 'in_stock' } = req.query;
+
+    if (!product_id) {
+      return res.status(400).json({
+        error: 'Product ID is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: product } = await client
+      .from('products')
+      .select('id, name, store_id, track_serials')
+      .eq('id', product_id)
+      .single();
+
+    if (!product || !canAccessStore(req, product.store_id)) {
+      return res.status(404).json({
+        error: 'Product not found',
+        code: 'PRODUCT_NOT_FOUND'
+      });
+    }
+
+    let query = client
+      .from('stock_serials')
+      .select('*')
+      .eq('product_id', product.id)
+      .order('serial_number', { ascending: true });
+
+    if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    const { data: serials, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch serials:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch serial numbers from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    res.json({
+      product_id: product.id,
+      track_serials: Boolean(product.track_serials),
+      items: serials || [],
+      count: (serials || []).length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get serials error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /serials/:serialNumber - Where a serial number is now and everything that happened to it, for warranty claims
+router.get('/serials/:serialNumber', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const serialNumber = String(req.params.serialNumber).trim();
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const companyScope = await resolveCompanyScope(client, req, req.query.company_id);
+    if (companyScope.error) {
+      return res.status(companyScope.status).json({
+        error: companyScope.error,
+        code: companyScope.code
+      });
+    }
+
+    const { data: serials } = await client
+      .from('stock_serials')
+      .select('*')
+      .eq('serial_number', serialNumber);
+
+    const { data: stores } = await client
+      .from('stores')
+      .select('id, name')
+      .eq('company_id', companyScope.companyId);
+
+    const storeIds = (stores || []).map(store => store.id);
+    const companySerials = (serials || []).filter(serial => storeIds.includes(serial.store_id));
+
+    if (companySerials.length === 0) {
+      return res.status(404).json({
+        error: 'Serial number not found',
+        code: 'SERIAL_NOT_FOUND'
+      });
+    }
+
+    // The same serial may be registered under more than one product
+    const records = [];
+    for (const serial of companySerials) {
+      const { data: listings } = await serialScope(client.from('products').select('id, name, sku, store_id'), serial.catalog_product_id
+        ? { catalog_product_id: serial.catalog_product_id }
+        : { id: serial.product_id });
+
+      const { data: movements } = await client
+        .from('inventory_movements')
+        .select('id, product_id, store_id, movement_type, quantity, reference_type, reference_id, notes, created_by, created_at')
+        .in('product_id', (listings || []).map(listing => listing.id))
+        .contains('serial_numbers', [serialNumber])
+        .order('created_at', { ascending: true });
+
+      const history = (movements || []).map(movement => ({
+        ...movement,
+        event: SERIAL_HISTORY_EVENTS[movement.movement_type] || (movement.quantity > 0 ? 'stocked' : 'removed'),
+        store_name: (stores || []).find(store => store.id === movement.store_id)?.name || null
+      }));
+      const sold = [...history].reverse().find(entry => entry.movement_type === 'sale');
+      const listing = (listings || []).find(candidate => candidate.id === serial.product_id) || {};
+
+      records.push({
+        ...serial,
+        product_name: listing.name || null,
+        sku: listing.sku || null,
+        store_name: (stores || []).find(store => store.id === serial.store_id)?.name || null,
+        sale: serial.status === 'sold' && sold
+          ? { sale_id: sold.reference_id, sold_at: sold.created_at, store_id: sold.store_id }
+          : null,
+        history
+      });
+    }
+
+    res.json({
+      serial_number: serialNumber,
+      items: records,
+      count: records.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Serial lookup error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router,
+  normalizeSerialNumbers,
+  serialCountError,
+  checkSerialsIn,
+  checkSerialsOut,
+  holdSerials
+};
@@ -0,0 +1,203 @@
+// ========================= STATISTICS ENDPOINTS =========================
+const express = require('express');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole } = require('../lib/auth');
+const { roundMoney } = require('../lib/money');
+const { STATUTORY_DISCOUNT_TYPES } = require('./pricing');
+
+const router = express.Router();
+
+// GET /products/stats - Get product statistics
+router.get('/products/stats', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    console.log('📊 Get product stats request');
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    let storeFilter = '';
+    let storeParams = [];
+
+    // Apply store filtering based on user role
+    if (req.user.role === 'manager' && req.user.store_id) {
+      storeFilter = 'AND store_id = $1';
+      storeParams = [req.user.store_id];
+    } else if (req.user.role === 'cashier' && req.user.store_id) {
+      storeFilter = 'AND store_id = $1';
+      storeParams = [req.user.store_id];
+    }
+
+    // Get total products
+    const { data: totalProducts } = await client
+      .rpc('count_products', { store_filter: req.user.store_id || null });
+
+    // Get total categories
+    const { data: totalCategories } = await client
+      .rpc('count_categories', { store_filter: req.user.store_id || null });
+
+    // Get low stock products
+    const { data: lowStockProducts } = await client
+      .rpc('count_low_stock_products', { store_filter: req.user.store_id || null });
+
+    // Get out of stock products
+    const { data: outOfStockProducts } = await client
+      .rpc('count_out_of_stock_products', { store_filter: req.user.store_id || null });
+
+    const stats = {
+      totalProducts: totalProducts || 0,
+      totalCategories: totalCategories || 0,
+      lowStockProducts: lowStockProducts || 0,
+      outOfStockProducts: outOfStockProducts || 0
+    };
+
+    res.json({
+      stats: stats,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get product stats error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /reports/statutory-discounts - Senior citizen / PWD sales totals for compliance reporting
+router.get('/reports/statutory-discounts', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { from, to, type } = req.query;
+
+    console.log('📊 Get statutory discount report request');
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    let query = client
+      .from('sales')
+      .select('id, store_id, created_at, statutory_discount_type, statutory_id_number, statutory_holder_name, subtotal, vat_exempt_sales, vat_exempt_amount, statutory_discount_total, total')
+      .eq('status', 'completed')
+      .not('statutory_discount_type', 'is', null)
+      .order('created_at', { ascending: true });
+
+    if (req.user.role !== 'super_admin' && req.user.store_id) {
+      query = query.eq('store_id', req.user.store_id);
+    } else if (req.query.store_id) {
+      query = query.eq('store_id', req.query.store_id);
+    }
+
+    if (type) {
+      query = query.eq('statutory_discount_type', type);
+    }
+    if (from) {
+      query = query.gte('created_at', from);
+    }
+    if (to) {
+      query = query.lte('created_at', to);
+    }
+
+    const { data: sales, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch statutory discount sales:', error.message);
+      return res.status(500).json({ 
+        error: 'Failed to fetch sales from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    // Totals per discount type, as filed separately for senior citizens and PWDs
+    const totals = {};
+    STATUTORY_DISCOUNT_TYPES.forEach(discountType => {
+      const typeSales = (sales || []).filter(sale => sale.statutory_discount_type === discountType);
+      totals[discountType] = {
+        count: typeSales.length,
+        gross: roundMoney(typeSales.reduce((sum, sale) => sum + Number(sale.subtotal), 0)),
+        vat_exempt_sales: roundMoney(typeSales.reduce((sum, sale) => sum + Number(sale.vat_exempt_sales || 0), 0)),
+        vat_exempt_amount: roundMoney(typeSales.reduce((sum, sale) => sum + Number(sale.vat_exempt_amount || 0), 0)),
+        discount: roundMoney(typeSales.reduce((sum, sale) => sum + Number(sale.statutory_discount_total || 0), 0)),
+        net: roundMoney(typeSales.reduce((sum, sale) => sum + Number(sale.total), 0))
+      };
+    });
+
+    res.json({
+      sales: sales || [],
+      totals,
+      count: sales?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get statutory discount report error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+router.get('/companies', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    console.log('🔄 Get companies request received');
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: companies, error } = await client
+      .from('companies')
+      .select(`
+        *,
+        stores:stores(count)
+      `)
+      .eq('is_active', true)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('❌ Failed to fetch companies:', error.message);
+      return res.status(500).json({ 
+        error: 'Failed to fetch companies from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    console.log(`✅ Retrieved ${companies?.length || 0} companies`);
+
+    res.json({
+      companies: companies || [],
+      count: companies?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get companies error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router
+};
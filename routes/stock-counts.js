@@ -0,0 +1,677 @@
+// ========================= STOCK COUNT ENDPOINTS =========================
+const express = require('express');
+const crypto = require('crypto');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole } = require('../lib/auth');
+const { resolveRequestStore, resolveListingStore, canAccessStore } = require('../lib/scope');
+const { getCompanySettings } = require('../lib/settings');
+const { recordStockMovement } = require('./inventory');
+const { checkExpiredLots } = require('./lots');
+
+const router = express.Router();
+
+// A stock count freezes the expected quantity of every product it covers when
+// it is opened. Staff then scan what is on the shelves; every scan is kept as
+// an entry, so several people can count at once. Sales and other movements
+// keep running while the count is open, so a line's expected quantity is its
+// snapshot plus whatever moved before the line was last counted, and posting
+// applies the variance on top of current stock instead of overwriting it.
+
+const generateStockCountNumber = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `SC-${date}-${String(crypto.randomInt(0, 1000000)).padStart(6, '0')}`;
+};
+
+async function fetchStockCount(client, req, countId) {
+  const { data: count, error } = await client
+    .from('stock_counts')
+    .select('*')
+    .eq('id', countId)
+    .single();
+
+  if (error || !count) {
+    return { status: 404, error: 'Stock count not found', code: 'STOCK_COUNT_NOT_FOUND' };
+  }
+
+  if (!canAccessStore(req, count.store_id)) {
+    return { status: 403, error: 'You can only access stock counts of your assigned store', code: 'STORE_ACCESS_DENIED' };
+  }
+
+  return { count };
+}
+
+// Work out each line's counted quantity and variance as things stand now
+async function computeCountVariances(client, count) {
+  const { data: lines } = await client
+    .from('stock_count_lines')
+    .select('*')
+    .eq('stock_count_id', count.id);
+
+  const { data: entries } = await client
+    .from('stock_count_entries')
+    .select('product_id, quantity, created_at')
+    .eq('stock_count_id', count.id);
+
+  const { data: movements } = await client
+    .from('inventory_movements')
+    .select('product_id, movement_type, quantity, created_at')
+    .eq('store_id', count.store_id)
+    .gte('created_at', count.opened_at);
+
+  return (lines || []).map(line => {
+    const lineEntries = (entries || []).filter(entry => entry.product_id === line.product_id);
+    if (lineEntries.length === 0) {
+      return {
+        ...line,
+        counted_quantity: null,
+        movements_during_count: 0,
+        expected_quantity: line.snapshot_quantity,
+        variance: null
+      };
+    }
+
+    const countedQuantity = Math.max(lineEntries.reduce((sum, entry) => sum + entry.quantity, 0), 0);
+    const lastCountedAt = lineEntries.reduce((latest, entry) => (entry.created_at > latest ? entry.created_at : latest), '');
+    const movedDuringCount = (movements || [])
+      .filter(movement => movement.product_id === line.product_id && movement.movement_type !== 'count' && movement.created_at <= lastCountedAt)
+      .reduce((sum, movement) => sum + movement.quantity, 0);
+    const expectedQuantity = line.snapshot_quantity + movedDuringCount;
+
+    return {
+      ...line,
+      counted_quantity: countedQuantity,
+      last_counted_at: lastCountedAt,
+      movements_during_count: movedDuringCount,
+      expected_quantity: expectedQuantity,
+      variance: countedQuantity - expectedQuantity
+    };
+  });
+}
+
+const summarizeCount = (lines) => ({
+  lines: lines.length,
+  counted_lines: lines.filter(line => line.counted_quantity !== null).length,
+  lines_with_variance: lines.filter(line => line.variance).length,
+  net_variance: lines.reduce((sum, line) => sum + (line.variance || 0), 0)
+});
+
+// GET /stock-counts - List the store's stock counts
+router.get('/stock-counts', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const storeScope = resolveListingStore(req, req.query.store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    const { storeId } = storeScope;
+
+    let query = client
+      .from('stock_counts')
+      .select('*')
+      .order('opened_at', { ascending: false })
+      .limit(parseInt(limit));
+
+    if (storeId) {
+      query = query.eq('store_id', storeId);
+    }
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: counts, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch stock counts:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch stock counts from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    res.json({
+      stock_counts: counts || [],
+      count: counts?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get stock counts error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /stock-counts - Open a count of the whole store or one category and freeze expected quantities
+router.post('/stock-counts', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { store_id, category_id = null, notes = '' } = req.body;
+
+    console.log(`📋 Opening stock count by user ${req.user.role}:${req.user.id}`);
+
+    const storeScope = resolveRequestStore(req, store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Counts would fight over the same stock, so a store runs one at a time
+    const { data: openCounts } = await client
+      .from('stock_counts')
+      .select('id, count_number')
+      .eq('store_id', storeScope.storeId)
+      .eq('status', 'open');
+
+    if ((openCounts || []).length > 0) {
+      return res.status(409).json({
+        error: `Stock count ${openCounts[0].count_number} is still open in this store`,
+        code: 'COUNT_IN_PROGRESS',
+        stock_count_id: openCounts[0].id
+      });
+    }
+
+    const { data: store } = await client
+      .from('stores')
+      .select('id, company_id')
+      .eq('id', storeScope.storeId)
+      .single();
+
+    if (!store) {
+      return res.status(404).json({
+        error: 'Store not found',
+        code: 'STORE_NOT_FOUND'
+      });
+    }
+
+    let productsQuery = client
+      .from('products')
+      .select('id, name, sku, barcode, category_id, stock_quantity, is_variant_parent')
+      .eq('store_id', storeScope.storeId)
+      .eq('is_active', true);
+
+    if (category_id) {
+      productsQuery = productsQuery.eq('category_id', category_id);
+    }
+
+    const { data: listings, error: productsError } = await productsQuery;
+
+    // Variant parents hold no stock; their variants are counted instead
+    const products = (listings || []).filter(product => !product.is_variant_parent);
+
+    if (productsError) {
+      console.error('❌ Failed to fetch products to count:', productsError.message);
+      return res.status(500).json({
+        error: 'Failed to fetch products from database',
+        code: 'DB_ERROR',
+        details: productsError.message
+      });
+    }
+
+    if (!products || products.length === 0) {
+      return res.status(400).json({
+        error: 'There are no products to count',
+        code: 'NOTHING_TO_COUNT'
+      });
+    }
+
+    const openedAt = new Date().toISOString();
+    const { data: count, error: insertError } = await client
+      .from('stock_counts')
+      .insert([{
+        count_number: generateStockCountNumber(),
+        company_id: store.company_id,
+        store_id: storeScope.storeId,
+        scope: category_id ? 'category' : 'full',
+        category_id,
+        status: 'open',
+        notes,
+        opened_by: req.user.id,
+        opened_at: openedAt,
+        created_at: openedAt,
+        updated_at: openedAt
+      }])
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('Database error opening stock count:', insertError.message);
+      return res.status(400).json({
+        error: 'Failed to open stock count',
+        code: 'DB_INSERT_ERROR',
+        details: insertError.message
+      });
+    }
+
+    const { error: linesError } = await client
+      .from('stock_count_lines')
+      .insert(products.map(product => ({
+        stock_count_id: count.id,
+        product_id: product.id,
+        product_name: product.name,
+        sku: product.sku || null,
+        barcode: product.barcode || null,
+        snapshot_quantity: product.stock_quantity || 0
+      })));
+
+    if (linesError) {
+      console.error('Database error freezing stock count lines:', linesError.message);
+      await client.from('stock_counts').delete().eq('id', count.id);
+      return res.status(400).json({
+        error: 'Failed to open stock count',
+        code: 'DB_INSERT_ERROR',
+        details: linesError.message
+      });
+    }
+
+    console.log(`✅ Stock count ${count.count_number} opened with ${products.length} lines`);
+
+    res.status(201).json({
+      message: 'Stock count opened successfully',
+      stock_count: {
+        ...count,
+        line_count: products.length
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Open stock count error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /stock-counts/:countId - Fetch a count with its lines and variances so far
+router.get('/stock-counts/:countId', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { only } = req.query;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { count, status, error, code } = await fetchStockCount(client, req, req.params.countId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    // Posted counts show the variances that were booked
+    const allLines = count.status === 'posted' ? count.posted_lines || [] : await computeCountVariances(client, count);
+    let lines = allLines;
+    if (only === 'variances') {
+      lines = allLines.filter(line => line.variance);
+    } else if (only === 'uncounted') {
+      lines = allLines.filter(line => line.counted_quantity === null);
+    }
+
+    res.json({
+      stock_count: {
+        ...count,
+        posted_lines: undefined,
+        summary: summarizeCount(allLines),
+        lines
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get stock count error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /stock-counts/:countId/entries - Submit counted quantities, by scanned barcode, SKU or product ID
+router.post('/stock-counts/:countId/entries', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { entries } = req.body;
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return res.status(400).json({
+        error: 'At least one counted entry is required',
+        code: 'MISSING_ITEMS'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { count, status, error, code } = await fetchStockCount(client, req, req.params.countId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    if (count.status !== 'open') {
+      return res.status(409).json({
+        error: `Cannot count into a ${count.status} stock count`,
+        code: 'INVALID_COUNT_STATUS'
+      });
+    }
+
+    const { data: lines } = await client
+      .from('stock_count_lines')
+      .select('product_id, barcode, sku')
+      .eq('stock_count_id', count.id);
+
+    // A scan counts one unit unless a quantity is given; negative quantities correct earlier scans
+    const rows = [];
+    const unmatched = [];
+    entries.forEach((entry, index) => {
+      const scanned = entry.barcode || entry.sku || entry.product_id;
+      const line = (lines || []).find(candidate =>
+        (entry.product_id && candidate.product_id === entry.product_id)
+        || (entry.barcode && candidate.barcode === String(entry.barcode).trim())
+        || (entry.sku && candidate.sku === String(entry.sku).trim().toUpperCase()));
+      const quantity = entry.quantity === undefined ? 1 : Number(entry.quantity);
+
+      if (!line || !Number.isInteger(quantity)) {
+        unmatched.push({ line: index, scanned: scanned || null });
+        return;
+      }
+
+      rows.push({
+        stock_count_id: count.id,
+        product_id: line.product_id,
+        quantity,
+        scanned_code: scanned,
+        counted_by: req.user.id,
+        created_at: new Date().toISOString()
+      });
+    });
+
+    if (rows.length > 0) {
+      const { error: insertError } = await client
+        .from('stock_count_entries')
+        .insert(rows);
+
+      if (insertError) {
+        console.error('Database error recording count entries:', insertError.message);
+        return res.status(400).json({
+          error: 'Failed to record counted quantities',
+          code: 'DB_INSERT_ERROR',
+          details: insertError.message
+        });
+      }
+    }
+
+    console.log(`📋 ${rows.length} count entries for ${count.count_number} by user ${req.user.id}${unmatched.length > 0 ? `, ${unmatched.length} unmatched` : ''}`);
+
+    const countedIds = new Set(rows.map(row => row.product_id));
+    const countedLines = (await computeCountVariances(client, count)).filter(line => countedIds.has(line.product_id));
+
+    res.status(rows.length > 0 ? 201 : 400).json({
+      ...(rows.length > 0
+        ? { message: 'Counted quantities recorded' }
+        : { error: 'None of the entries match a product in this count', code: 'NO_MATCHING_PRODUCTS' }),
+      lines: countedLines.map(line => ({
+        product_id: line.product_id,
+        product_name: line.product_name,
+        counted_quantity: line.counted_quantity
+      })),
+      unmatched
+    });
+
+  } catch (error) {
+    console.error('❌ Stock count entry error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /stock-counts/:countId/post - Book every variance of the count into stock at once
+router.post('/stock-counts/:countId/post', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { uncounted = 'skip' } = req.body;
+
+    console.log(`📋 Posting stock count ${req.params.countId} by user ${req.user.role}:${req.user.id}`);
+
+    if (!['skip', 'zero'].includes(uncounted)) {
+      return res.status(400).json({
+        error: "Uncounted lines must be either 'skip' or 'zero'",
+        code: 'INVALID_UNCOUNTED_OPTION'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const lookup = await fetchStockCount(client, req, req.params.countId);
+    if (lookup.error) {
+      return res.status(lookup.status).json({ error: lookup.error, code: lookup.code });
+    }
+
+    if (lookup.count.status !== 'open') {
+      return res.status(409).json({
+        error: `Cannot post a ${lookup.count.status} stock count`,
+        code: 'INVALID_COUNT_STATUS'
+      });
+    }
+
+    // Lines nobody counted are left alone, or taken as none on the shelf
+    const lines = (await computeCountVariances(client, lookup.count)).map(line => (
+      line.counted_quantity === null && uncounted === 'zero'
+        ? { ...line, counted_quantity: 0, variance: -line.expected_quantity }
+        : line
+    ));
+
+    const variances = lines.filter(line => line.variance);
+    const { data: products } = variances.length > 0
+      ? await client
+        .from('products')
+        .select('id, name, store_id, stock_quantity, track_lots, track_serials')
+        .in('id', variances.map(line => line.product_id))
+      : { data: [] };
+
+    // Shortages come out of lots first-to-expire, so expired lots are checked
+    // the same way as for a sale before anything is booked
+    const shortages = {};
+    variances
+      .filter(line => line.variance < 0)
+      .forEach(line => {
+        shortages[line.product_id] = -line.variance;
+      });
+    const lotCheck = await checkExpiredLots(client, {
+      products: (products || []).filter(product => !product.track_serials),
+      quantities: shortages,
+      settings: await getCompanySettings(client, lookup.count.company_id)
+    });
+    if (lotCheck.error) {
+      const { status, ...body } = lotCheck;
+      return res.status(status).json(body);
+    }
+
+    const { data: count, error: claimError } = await client
+      .from('stock_counts')
+      .update({
+        status: 'posted',
+        posted_lines: lines,
+        uncounted_lines: uncounted,
+        posted_by: req.user.id,
+        posted_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', lookup.count.id)
+      .eq('status', 'open')
+      .select()
+      .single();
+
+    if (claimError || !count) {
+      return res.status(409).json({
+        error: 'Stock count was changed by someone else, please reload it',
+        code: 'STOCK_COUNT_CONFLICT'
+      });
+    }
+
+    const stockErrors = [];
+    const serialisedVariances = [];
+    for (const line of variances) {
+      const product = (products || []).find(candidate => candidate.id === line.product_id);
+      if (!product) {
+        stockErrors.push({ product_id: line.product_id, error: 'Product not found' });
+        continue;
+      }
+
+      // A count does not say which serials are missing or extra; those are adjusted serial by serial
+      if (product.track_serials) {
+        serialisedVariances.push(line.product_id);
+        continue;
+      }
+
+      const result = await recordStockMovement(client, {
+        product,
+        quantity: line.variance,
+        movementType: 'count',
+        userId: req.user.id,
+        notes: `Stock count ${count.count_number}: expected ${line.expected_quantity}, counted ${line.counted_quantity}`,
+        referenceType: 'stock_count',
+        referenceId: count.id
+      });
+
+      if (!result.success) {
+        stockErrors.push({ product_id: line.product_id, error: result.error });
+      }
+    }
+
+    if (stockErrors.length > 0) {
+      console.error(`⚠️ Stock count ${count.id} posted with stock errors:`, stockErrors);
+    }
+
+    console.log(`✅ Stock count ${count.count_number} posted with ${variances.length} variances`);
+
+    res.json({
+      message: 'Stock count posted successfully',
+      stock_count: {
+        ...count,
+        posted_lines: undefined,
+        summary: summarizeCount(lines)
+      },
+      variances: variances.map(line => ({
+        product_id: line.product_id,
+        product_name: line.product_name,
+        expected_quantity: line.expected_quantity,
+        counted_quantity: line.counted_quantity,
+        variance: line.variance,
+        ...(serialisedVariances.includes(line.product_id) ? { posted: false, code: 'SERIALS_REQUIRED' } : {})
+      })),
+      lot_warnings: lotCheck.warnings,
+      ...(stockErrors.length > 0 ? { stock_errors: stockErrors } : {})
+    });
+
+  } catch (error) {
+    console.error('❌ Post stock count error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /stock-counts/:countId/cancel - Abandon an open count without touching stock
+router.post('/stock-counts/:countId/cancel', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { reason = '' } = req.body;
+
+    console.log(`🚫 Cancelling stock count ${req.params.countId} by user ${req.user.role}:${req.user.id}`);
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const lookup = await fetchStockCount(client, req, req.params.countId);
+    if (lookup.error) {
+      return res.status(lookup.status).json({ error: lookup.error, code: lookup.code });
+    }
+
+    const { data: count, error } = await client
+      .from('stock_counts')
+      .update({
+        status: 'cancelled',
+        cancelled_by: req.user.id,
+        cancelled_at: new Date().toISOString(),
+        cancel_reason: reason,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', lookup.count.id)
+      .eq('status', 'open')
+      .select()
+      .single();
+
+    if (error || !count) {
+      return res.status(409).json({
+        error: `Cannot cancel a ${lookup.count.status} stock count`,
+        code: 'INVALID_COUNT_STATUS'
+      });
+    }
+
+    console.log(`✅ Stock count ${count.count_number} cancelled`);
+
+    res.json({
+      message: 'Stock count cancelled successfully',
+      stock_count: count
+    });
+
+  } catch (error) {
+    console.error('❌ Cancel stock count error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router
+};
@@ -0,0 +1,889 @@
+// ========================= STORED VALUE ENDPOINTS =========================
+const express = require('express');
+const crypto = require('crypto');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole, OVERRIDE_USER_ROLES } = require('../lib/auth');
+const { resolveRequestStore, resolveCompanyScope } = require('../lib/scope');
+const { getCompanySettings, getTenderTypes } = require('../lib/settings');
+const { roundMoney } = require('../lib/money');
+const { fetchCustomer } = require('./customers');
+const { findOpenDrawer, recordDrawerMovement } = require('./cash-drawers');
+
+const router = express.Router();
+
+// Gift cards and store credit are redeemed at checkout as this tender, with the
+// card code as the payment reference
+const STORED_VALUE_TENDER = { code: 'stored_value', name: 'Gift card / store credit', is_cash: false };
+const STORED_VALUE_KINDS = ['gift_card', 'store_credit'];
+
+// Card codes are 15 random digits and a Luhn check digit, so terminals can
+// reject mistyped codes without asking the server
+const STORED_VALUE_CODE_LENGTH = 16;
+
+const normalizeStoredValueCode = (code) => String(code || '').replace(/[\s-]/g, '');
+
+const luhnCheckDigit = (digits) => {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+const isValidStoredValueCode = (code) => {
+  const normalized = normalizeStoredValueCode(code);
+  return new RegExp(`^\\d{${STORED_VALUE_CODE_LENGTH}}$`).test(normalized)
+    && luhnCheckDigit(normalized.slice(0, -1)) === normalized.slice(-1);
+};
+
+const generateStoredValueCode = () => {
+  let digits = '';
+  for (let index = 0; index < STORED_VALUE_CODE_LENGTH - 1; index++) {
+    digits += crypto.randomInt(0, 10);
+  }
+  return digits + luhnCheckDigit(digits);
+};
+
+// Only the last four digits are shown once a code has been used
+const maskStoredValueCode = (code) => `**** **** **** ${normalizeStoredValueCode(code).slice(-4)}`;
+
+const formatStoredValueCode = (code) => normalizeStoredValueCode(code).replace(/(\d{4})(?=\d)/g, '$1 ');
+
+// Card fields safe to hand back, with the code masked unless it is being issued
+const presentStoredValueCard = (card, { revealCode = false } = {}) => ({
+  ...card,
+  code: revealCode ? formatStoredValueCode(card.code) : maskStoredValueCode(card.code)
+});
+
+const isStoredValueCardExpired = (card) => !!card.expires_at && new Date(card.expires_at) <= new Date();
+
+// Look up a card by code within the user's company, checking the code first
+async function fetchStoredValueCard(client, req, code, companyId = null) {
+  if (!isValidStoredValueCode(code)) {
+    return { status: 400, error: 'Card code is not valid, please check for typos', code: 'INVALID_CARD_CODE' };
+  }
+
+  let query = client
+    .from('stored_value_cards')
+    .select('*')
+    .eq('code', normalizeStoredValueCode(code));
+
+  if (companyId) {
+    query = query.eq('company_id', companyId);
+  } else if (req.user.role !== 'super_admin') {
+    const scope = await resolveCompanyScope(client, req);
+    if (scope.error) {
+      return scope;
+    }
+    query = query.eq('company_id', scope.companyId);
+  }
+
+  const { data: cards } = await query.limit(1);
+  const card = cards?.[0];
+
+  if (!card) {
+    return { status: 404, error: 'Card not found', code: 'CARD_NOT_FOUND' };
+  }
+
+  return { card };
+}
+
+// Whether a card can be spent from or topped up right now
+const storedValueCardUsable = (card) => {
+  if (card.status !== 'active') {
+    return { status: 409, error: `Card is ${card.status}`, code: card.status === 'frozen' ? 'CARD_FROZEN' : 'CARD_VOIDED' };
+  }
+  if (isStoredValueCardExpired(card)) {
+    return { status: 409, error: 'Card has expired', code: 'CARD_EXPIRED' };
+  }
+  return null;
+};
+
+// Post an entry to a card's ledger. Positive amounts add value (issue, load,
+// refund), negative ones take it (redeem, void). The balance only moves if it
+// is unchanged since it was read; redeeming and loading need a usable card.
+async function postStoredValueEntry(client, { cardId, type, amount, userId, storeId = null, saleId = null, returnId = null, reference = null, notes = '' }) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const { data: card } = await client
+      .from('stored_value_cards')
+      .select('*')
+      .eq('id', cardId)
+      .single();
+
+    if (!card) {
+      return { success: false, status: 404, error: 'Card not found', code: 'CARD_NOT_FOUND' };
+    }
+
+    if (['redeem', 'load'].includes(type)) {
+      const unusable = storedValueCardUsable(card);
+      if (unusable) {
+        return { success: false, ...unusable };
+      }
+    } else if (card.status === 'voided') {
+      return { success: false, status: 409, error: 'Card is voided', code: 'CARD_VOIDED' };
+    }
+
+    const previousBalance = Number(card.balance || 0);
+    const newBalance = roundMoney(previousBalance + amount);
+
+    if (newBalance < 0) {
+      return {
+        success: false,
+        status: 409,
+        error: 'Card balance is not enough',
+        code: 'INSUFFICIENT_BALANCE',
+        balance: previousBalance,
+        requested: roundMoney(-amount)
+      };
+    }
+
+    const { data: updated, error: updateError } = await client
+      .from('stored_value_cards')
+      .update({
+        balance: newBalance,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', card.id)
+      .eq('balance', card.balance || 0)
+      .select('id');
+
+    if (updateError) {
+      console.error('Error updating card balance:', updateError.message);
+      return { success: false, status: 500, error: 'Failed to update card balance', code: 'DB_UPDATE_ERROR' };
+    }
+
+    if (!updated || updated.length === 0) {
+      continue;
+    }
+
+    const { data: entry, error: entryError } = await client
+      .from('stored_value_ledger')
+      .insert([{
+        card_id: card.id,
+        company_id: card.company_id,
+        store_id: storeId,
+        sale_id: saleId,
+        return_id: returnId,
+        entry_type: type,
+        amount: roundMoney(amount),
+        balance_after: newBalance,
+        reference,
+        notes,
+        created_by: userId,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (entryError) {
+      console.error(`❌ Balance of card ${card.id} moved to ${newBalance} but not recorded:`, entryError.message);
+    }
+
+    return { success: true, entry, card: { ...card, balance: newBalance }, balance: newBalance };
+  }
+
+  return { success: false, status: 409, error: 'Card is busy, please retry', code: 'CARD_CONFLICT' };
+}
+
+// Create a card with a fresh code and post its opening value
+async function issueStoredValueCard(client, { companyId, kind, amount, userId, storeId, customerId = null, expiresAt = null, saleId = null, returnId = null, notes = '' }) {
+  let card = null;
+  for (let attempt = 0; attempt < 5 && !card; attempt++) {
+    const code = generateStoredValueCode();
+    const { data: existing } = await client
+      .from('stored_value_cards')
+      .select('id')
+      .eq('code', code);
+
+    if ((existing || []).length > 0) {
+      continue;
+    }
+
+    const { data: inserted, error } = await client
+      .from('stored_value_cards')
+      .insert([{
+        company_id: companyId,
+        code,
+        kind,
+        balance: 0,
+        initial_value: roundMoney(amount),
+        status: 'active',
+        customer_id: customerId,
+        issued_store_id: storeId,
+        issued_by: userId,
+        expires_at: expiresAt,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error && error.code !== '23505') {
+      console.error('Database error issuing card:', error.message);
+      return { success: false, status: 400, error: 'Failed to issue card', code: 'DB_INSERT_ERROR', details: error.message };
+    }
+
+    card = inserted;
+  }
+
+  if (!card) {
+    return { success: false, status: 409, error: 'Could not generate a unique card code, please retry', code: 'CARD_CONFLICT' };
+  }
+
+  const result = await postStoredValueEntry(client, {
+    cardId: card.id,
+    type: 'issue',
+    amount: roundMoney(amount),
+    userId,
+    storeId,
+    saleId,
+    returnId,
+    notes
+  });
+
+  return result.success ? { ...result, card: { ...card, balance: result.balance } } : result;
+}
+
+// Check the stored-value tenders of a checkout: each needs a valid code of an
+// active card in the company with enough balance for what it pays
+async function prepareStoredValueRedemptions(client, req, companyId, payments) {
+  const amountsByCode = {};
+  for (const payment of payments) {
+    if (payment.tender_type !== STORED_VALUE_TENDER.code) {
+      continue;
+    }
+
+    const code = normalizeStoredValueCode(payment.reference);
+    amountsByCode[code] = roundMoney((amountsByCode[code] || 0) + payment.amount);
+  }
+
+  const redemptions = [];
+  for (const [code, amount] of Object.entries(amountsByCode)) {
+    const lookup = await fetchStoredValueCard(client, req, code, companyId);
+    if (lookup.error) {
+      return lookup;
+    }
+
+    const unusable = storedValueCardUsable(lookup.card);
+    if (unusable) {
+      return unusable;
+    }
+
+    if (amount > Number(lookup.card.balance)) {
+      return {
+        status: 409,
+        error: 'Card balance is not enough',
+        code: 'INSUFFICIENT_BALANCE',
+        card: maskStoredValueCode(code),
+        balance: Number(lookup.card.balance),
+        requested: amount
+      };
+    }
+
+    redemptions.push({ card: lookup.card, amount });
+  }
+
+  return { redemptions };
+}
+
+// Take a tender payment for value put on a card; cash goes into the drawer
+async function takeStoredValuePayment(client, req, { companyId, storeId, tenderType, drawerId }) {
+  const tender = getTenderTypes(await getCompanySettings(client, companyId)).find(type => type.code === tenderType);
+  if (!tender) {
+    return { status: 400, error: `Unknown tender type "${tenderType}"`, code: 'INVALID_TENDER_TYPE' };
+  }
+
+  const drawerLookup = await findOpenDrawer(client, { drawerId, storeId, userId: req.user.id });
+  if (drawerLookup.error) {
+    return { status: 400, error: drawerLookup.error, code: drawerLookup.code };
+  }
+
+  return { tender, drawer: tender.is_cash ? drawerLookup.drawer : null };
+}
+
+// Put back on each card what a voided sale still has taken from it
+async function reverseSaleStoredValue(client, sale, userId) {
+  const { data: entries } = await client
+    .from('stored_value_ledger')
+    .select('card_id, amount')
+    .eq('sale_id', sale.id);
+
+  const takenByCard = {};
+  (entries || []).forEach(entry => {
+    takenByCard[entry.card_id] = roundMoney((takenByCard[entry.card_id] || 0) - Number(entry.amount));
+  });
+
+  for (const [cardId, taken] of Object.entries(takenByCard)) {
+    if (taken <= 0) {
+      continue;
+    }
+
+    const result = await postStoredValueEntry(client, {
+      cardId,
+      type: 'refund',
+      amount: taken,
+      userId,
+      storeId: sale.store_id,
+      saleId: sale.id,
+      notes: `Void of sale ${sale.id}`
+    });
+
+    if (!result.success) {
+      console.error(`❌ Failed to put ${taken} back on card ${cardId} for void of sale ${sale.id}:`, result.error);
+    }
+  }
+}
+
+// POST /stored-value/cards - Sell a gift card, or issue store credit (Manager only)
+router.post('/stored-value/cards', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { store_id, kind = 'gift_card', amount, tender_type, drawer_id, customer_id, expires_at, notes = '' } = req.body;
+    const value = roundMoney(amount);
+
+    console.log(`🎁 Issuing ${kind} by user ${req.user.role}:${req.user.id}`);
+
+    if (!STORED_VALUE_KINDS.includes(kind)) {
+      return res.status(400).json({
+        error: `Card kind must be one of: ${STORED_VALUE_KINDS.join(', ')}`,
+        code: 'INVALID_CARD_KIND'
+      });
+    }
+
+    if (!(value > 0)) {
+      return res.status(400).json({
+        error: 'Card value must be greater than zero',
+        code: 'INVALID_AMOUNT'
+      });
+    }
+
+    // Gift cards are paid for; store credit handed out without payment needs a manager
+    if (kind === 'gift_card' && !tender_type) {
+      return res.status(400).json({
+        error: 'A tender type is required to sell a gift card',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    if (kind === 'store_credit' && !OVERRIDE_USER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        error: 'Only managers can issue store credit',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    const storeScope = resolveRequestStore(req, store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: store } = await client
+      .from('stores')
+      .select('id, company_id')
+      .eq('id', storeScope.storeId)
+      .single();
+
+    if (!store) {
+      return res.status(404).json({
+        error: 'Store not found',
+        code: 'STORE_NOT_FOUND'
+      });
+    }
+
+    if (customer_id) {
+      const customerLookup = await fetchCustomer(client, req, customer_id);
+      if (customerLookup.error || customerLookup.customer.company_id !== store.company_id) {
+        return res.status(404).json({ error: 'Customer not found', code: 'CUSTOMER_NOT_FOUND' });
+      }
+    }
+
+    let payment = null;
+    if (tender_type) {
+      payment = await takeStoredValuePayment(client, req, {
+        companyId: store.company_id,
+        storeId: store.id,
+        tenderType: tender_type,
+        drawerId: drawer_id
+      });
+
+      if (payment.error) {
+        return res.status(payment.status).json({ error: payment.error, code: payment.code });
+      }
+    }
+
+    const result = await issueStoredValueCard(client, {
+      companyId: store.company_id,
+      kind,
+      amount: value,
+      userId: req.user.id,
+      storeId: store.id,
+      customerId: customer_id || null,
+      expiresAt: expires_at || null,
+      notes: payment ? `Sold for ${payment.tender.code}` : notes
+    });
+
+    if (!result.success) {
+      const { success, status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    if (payment?.drawer) {
+      await recordDrawerMovement(client, {
+        drawer: payment.drawer,
+        movementType: 'stored_value_load',
+        amount: value,
+        userId: req.user.id,
+        notes: `${kind === 'gift_card' ? 'Gift card' : 'Store credit'} ${maskStoredValueCode(result.card.code)}`,
+        referenceType: 'stored_value_card',
+        referenceId: result.card.id
+      });
+    }
+
+    console.log(`✅ Issued ${kind} ${maskStoredValueCode(result.card.code)} for ${value}`);
+
+    res.status(201).json({
+      message: 'Card issued successfully',
+      card: presentStoredValueCard(result.card, { revealCode: true })
+    });
+
+  } catch (error) {
+    console.error('❌ Issue card error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /stored-value/cards - List the company's cards (Manager only)
+router.get('/stored-value/cards', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { kind, status, customer_id, limit = 100 } = req.query;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const scope = await resolveCompanyScope(client, req, req.query.company_id);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, code: scope.code });
+    }
+
+    let query = client
+      .from('stored_value_cards')
+      .select('*')
+      .eq('company_id', scope.companyId)
+      .order('created_at', { ascending: false })
+      .limit(parseInt(limit));
+
+    if (kind) {
+      query = query.eq('kind', kind);
+    }
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (customer_id) {
+      query = query.eq('customer_id', customer_id);
+    }
+
+    const { data: cards, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch cards:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch cards from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    res.json({
+      cards: (cards || []).map(card => presentStoredValueCard(card)),
+      outstanding_balance: roundMoney((cards || [])
+        .filter(card => card.status !== 'voided')
+        .reduce((sum, card) => sum + Number(card.balance), 0)),
+      count: cards?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get cards error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /stored-value/cards/:code - Check a card's balance and status
+router.get('/stored-value/cards/:code', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { card, status, error, code } = await fetchStoredValueCard(client, req, req.params.code);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    res.json({
+      card: {
+        ...presentStoredValueCard(card),
+        is_expired: isStoredValueCardExpired(card),
+        is_usable: !storedValueCardUsable(card)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get card error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /stored-value/cards/:code/ledger - Every movement of value on a card
+router.get('/stored-value/cards/:code/ledger', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { card, status, error, code } = await fetchStoredValueCard(client, req, req.params.code);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    const { data: entries, error: entriesError } = await client
+      .from('stored_value_ledger')
+      .select('*')
+      .eq('card_id', card.id)
+      .order('created_at', { ascending: false });
+
+    if (entriesError) {
+      console.error('❌ Failed to fetch card ledger:', entriesError.message);
+      return res.status(500).json({
+        error: 'Failed to fetch card ledger from database',
+        code: 'DB_ERROR',
+        details: entriesError.message
+      });
+    }
+
+    res.json({
+      card: presentStoredValueCard(card),
+      entries: entries || [],
+      count: entries?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get card ledger error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /stored-value/cards/:code/load - Reload a card against a tender payment
+router.post('/stored-value/cards/:code/load', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { store_id, amount, tender_type, drawer_id } = req.body;
+    const value = roundMoney(amount);
+
+    if (!(value > 0)) {
+      return res.status(400).json({
+        error: 'Load amount must be greater than zero',
+        code: 'INVALID_AMOUNT'
+      });
+    }
+
+    if (!tender_type) {
+      return res.status(400).json({
+        error: 'A tender type is required to load a card',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const storeScope = resolveRequestStore(req, store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { card, status, error, code } = await fetchStoredValueCard(client, req, req.params.code);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    const payment = await takeStoredValuePayment(client, req, {
+      companyId: card.company_id,
+      storeId: storeScope.storeId,
+      tenderType: tender_type,
+      drawerId: drawer_id
+    });
+
+    if (payment.error) {
+      return res.status(payment.status).json({ error: payment.error, code: payment.code });
+    }
+
+    const result = await postStoredValueEntry(client, {
+      cardId: card.id,
+      type: 'load',
+      amount: value,
+      userId: req.user.id,
+      storeId: storeScope.storeId,
+      notes: `Loaded with ${payment.tender.code}`
+    });
+
+    if (!result.success) {
+      const { success, status: postStatus, ...body } = result;
+      return res.status(postStatus).json(body);
+    }
+
+    if (payment.drawer) {
+      await recordDrawerMovement(client, {
+        drawer: payment.drawer,
+        movementType: 'stored_value_load',
+        amount: value,
+        userId: req.user.id,
+        notes: `Card load ${maskStoredValueCode(card.code)}`,
+        referenceType: 'stored_value_card',
+        referenceId: card.id
+      });
+    }
+
+    console.log(`✅ Loaded ${value} onto card ${maskStoredValueCode(card.code)}`);
+
+    res.status(201).json({
+      message: 'Card loaded successfully',
+      entry: result.entry,
+      card: presentStoredValueCard(result.card)
+    });
+
+  } catch (error) {
+    console.error('❌ Load card error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /stored-value/cards/:code/redeem - Spend from a card outside a recorded sale
+router.post('/stored-value/cards/:code/redeem', authenticateToken, requireRole(['super_admin', 'manager', 'cashier']), async (req, res) => {
+  try {
+    const { store_id, amount, reference, notes = '' } = req.body;
+    const value = roundMoney(amount);
+
+    if (!(value > 0)) {
+      return res.status(400).json({
+        error: 'Redeem amount must be greater than zero',
+        code: 'INVALID_AMOUNT'
+      });
+    }
+
+    const storeScope = resolveRequestStore(req, store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { card, status, error, code } = await fetchStoredValueCard(client, req, req.params.code);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    const result = await postStoredValueEntry(client, {
+      cardId: card.id,
+      type: 'redeem',
+      amount: -value,
+      userId: req.user.id,
+      storeId: storeScope.storeId,
+      reference: reference || null,
+      notes
+    });
+
+    if (!result.success) {
+      const { success, status: postStatus, ...body } = result;
+      return res.status(postStatus).json(body);
+    }
+
+    console.log(`✅ Redeemed ${value} from card ${maskStoredValueCode(card.code)}`);
+
+    res.status(201).json({
+      message: 'Card redeemed successfully',
+      entry: result.entry,
+      card: presentStoredValueCard(result.card)
+    });
+
+  } catch (error) {
+    console.error('❌ Redeem card error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Build a handler that moves a card between statuses (Manager only)
+const changeStoredValueCardStatus = (fromStatuses, toStatus, label) => async (req, res) => {
+  try {
+    const { reason = '' } = req.body;
+
+    console.log(`🔒 ${label} card by user ${req.user.role}:${req.user.id}`);
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { card, status, error, code } = await fetchStoredValueCard(client, req, req.params.code);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    if (!fromStatuses.includes(card.status)) {
+      return res.status(409).json({
+        error: `Cannot ${label.toLowerCase()} a ${card.status} card`,
+        code: 'INVALID_CARD_STATUS'
+      });
+    }
+
+    // A voided card's remaining value is written off in the ledger first
+    if (toStatus === 'voided' && Number(card.balance) > 0) {
+      const writeOff = await postStoredValueEntry(client, {
+        cardId: card.id,
+        type: 'void',
+        amount: -Number(card.balance),
+        userId: req.user.id,
+        notes: reason
+      });
+
+      if (!writeOff.success) {
+        const { success, status: postStatus, ...body } = writeOff;
+        return res.status(postStatus).json(body);
+      }
+    }
+
+    const { data: updated, error: updateError } = await client
+      .from('stored_value_cards')
+      .update({
+        status: toStatus,
+        status_reason: reason,
+        status_changed_by: req.user.id,
+        status_changed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', card.id)
+      .eq('status', card.status)
+      .select()
+      .single();
+
+    if (updateError || !updated) {
+      return res.status(409).json({
+        error: 'Card was changed by someone else, please retry',
+        code: 'CARD_CONFLICT'
+      });
+    }
+
+    console.log(`✅ Card ${maskStoredValueCode(card.code)} is now ${toStatus}`);
+
+    res.json({
+      message: `Card ${toStatus} successfully`,
+      card: presentStoredValueCard(updated)
+    });
+
+  } catch (error) {
+    console.error(`❌ ${label} card error:`, error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// POST /stored-value/cards/:code/freeze - Stop a card from being used
+router.post('/stored-value/cards/:code/freeze', authenticateToken, requireRole(['super_admin', 'manager']), changeStoredValueCardStatus(['active'], 'frozen', 'Freeze'));
+
+// POST /stored-value/cards/:code/unfreeze - Allow a frozen card to be used again
+router.post('/stored-value/cards/:code/unfreeze', authenticateToken, requireRole(['super_admin', 'manager']), changeStoredValueCardStatus(['frozen'], 'active', 'Unfreeze'));
+
+// POST /stored-value/cards/:code/void - Permanently cancel a card and write off its balance
+router.post('/stored-value/cards/:code/void', authenticateToken, requireRole(['super_admin', 'manager']), changeStoredValueCardStatus(['active', 'frozen'], 'voided', 'Void'));
+
+module.exports = {
+  router,
+  STORED_VALUE_TENDER,
+  normalizeStoredValueCode,
+  luhnCheckDigit,
+  isValidStoredValueCode,
+  generateStoredValueCode,
+  maskStoredValueCode,
+  presentStoredValueCard,
+  fetchStoredValueCard,
+  storedValueCardUsable,
+  postStoredValueEntry,
+  issueStoredValueCard,
+  prepareStoredValueRedemptions,
+  reverseSaleStoredValue
+};
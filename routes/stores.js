@@ -0,0 +1,162 @@
+// ========================= STORES ENDPOINTS =========================
+const express = require('express');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole } = require('../lib/auth');
+
+const router = express.Router();
+
+// Get all stores
+router.get('/stores', authenticateToken, async (req, res) => {
+  try {
+    console.log('🔄 Get stores request received from user:', {
+      userId: req.user.id,
+      userRole: req.user.role,
+      userCompanyId: req.user.company_id,
+      userStoreId: req.user.store_id,
+      queryParams: req.query
+    });
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { company_id } = req.query;
+
+    let query = client
+      .from('stores')
+      .select('*')
+      .eq('is_active', true)
+      .order('created_at', { ascending: false });
+
+    // Apply filtering based on user role
+    if (req.user.role === 'super_admin') {
+      // Super admin can see all stores or filter by company
+      if (company_id) {
+        console.log(`👑 Super admin filtering stores by company: ${company_id}`);
+        query = query.eq('company_id', company_id);
+      } else {
+        console.log('👑 Super admin accessing all stores');
+      }
+    } else if (req.user.role === 'manager') {
+      // ENHANCED: Manager can see all stores in their company
+      if (req.user.company_id) {
+        console.log(`🏢 Manager accessing company stores: ${req.user.company_id}`);
+        query = query.eq('company_id', req.user.company_id);
+      } else if (req.user.store_id) {
+        console.log(`🏪 Manager accessing assigned store: ${req.user.store_id}`);
+        query = query.eq('id', req.user.store_id);
+      }
+    } else if (req.user.store_id) {
+      // Other roles only see their assigned store
+      console.log(`🏪 User accessing assigned store: ${req.user.store_id}`);
+      query = query.eq('id', req.user.store_id);
+    }
+
+    const { data: stores, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch stores:', error.message);
+      return res.status(500).json({ 
+        error: 'Failed to fetch stores from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    console.log(`✅ Retrieved ${stores?.length || 0} stores for ${req.user.role}`);
+
+    res.json({
+      stores: stores || [],
+      count: stores?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get stores error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+// Create new store
+router.post('/stores', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const { name, address, phone, manager_id, company_id } = req.body;
+
+    console.log(`📝 Creating store: ${name}`);
+
+    if (!name || !company_id) {
+      return res.status(400).json({ 
+        error: 'Store name and company ID are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Get company name for store record
+    const { data: company } = await client
+      .from('companies')
+      .select('name')
+      .eq('id', company_id)
+      .single();
+
+    const storeData = {
+      name: name.trim(),
+      address: address?.trim() || null,
+      phone: phone?.trim() || null,
+      manager_id: manager_id || null,
+      company_id: company_id,
+      company_name: company?.name || 'Unknown Company',
+      is_active: true,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    const { data: newStore, error: insertError } = await client
+      .from('stores')
+      .insert([storeData])
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('Database error creating store:', insertError.message);
+      return res.status(400).json({ 
+        error: 'Failed to create store',
+        code: 'DB_INSERT_ERROR',
+        details: insertError.message
+      });
+    }
+
+    console.log('✅ Store created successfully:', newStore.name);
+
+    res.status(201).json({
+      message: 'Store created successfully',
+      store: newStore
+    });
+
+  } catch (error) {
+    console.error('❌ Create store error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router
+};
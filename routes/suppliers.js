@@ -0,0 +1,369 @@
+// ========================= SUPPLIER ENDPOINTS =========================
+const express = require('express');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole } = require('../lib/auth');
+const { resolveCompanyScope } = require('../lib/scope');
+const { normalizePhone } = require('./customers');
+
+const router = express.Router();
+
+const supplierFields = (input) => {
+  const fields = {};
+  if (input.name !== undefined) fields.name = String(input.name || '').trim();
+  if (input.contact_name !== undefined) fields.contact_name = input.contact_name || null;
+  if (input.phone !== undefined) fields.phone = normalizePhone(input.phone);
+  if (input.email !== undefined) fields.email = input.email ? String(input.email).trim().toLowerCase() : null;
+  if (input.address !== undefined) fields.address = input.address || null;
+  if (input.tax_id !== undefined) fields.tax_id = input.tax_id || null;
+  if (input.payment_terms !== undefined) fields.payment_terms = input.payment_terms || null;
+  if (input.notes !== undefined) fields.notes = input.notes || '';
+  return fields;
+};
+
+// Supplier names are unique per company
+async function supplierNameTaken(client, companyId, name, exceptId = null) {
+  let query = client
+    .from('suppliers')
+    .select('id')
+    .eq('company_id', companyId)
+    .ilike('name', name)
+    .eq('is_active', true);
+
+  if (exceptId) {
+    query = query.neq('id', exceptId);
+  }
+
+  const { data } = await query;
+  return (data || []).length > 0;
+}
+
+// Load an active supplier the user's company owns
+async function fetchSupplier(client, req, supplierId) {
+  const { data: supplier, error } = await client
+    .from('suppliers')
+    .select('*')
+    .eq('id', supplierId)
+    .eq('is_active', true)
+    .single();
+
+  if (error || !supplier) {
+    return { status: 404, error: 'Supplier not found', code: 'SUPPLIER_NOT_FOUND' };
+  }
+
+  if (req.user.role !== 'super_admin') {
+    const scope = await resolveCompanyScope(client, req, supplier.company_id);
+    if (scope.error) {
+      return scope;
+    }
+  }
+
+  return { supplier };
+}
+
+// GET /suppliers - List the company's suppliers
+router.get('/suppliers', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { company_id, search, limit = 100 } = req.query;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const scope = await resolveCompanyScope(client, req, company_id);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, code: scope.code });
+    }
+
+    let query = client
+      .from('suppliers')
+      .select('*')
+      .eq('company_id', scope.companyId)
+      .eq('is_active', true)
+      .order('name', { ascending: true })
+      .limit(parseInt(limit));
+
+    if (search) {
+      query = query.or(`name.ilike.%${search}%,contact_name.ilike.%${search}%,phone.ilike.%${search}%`);
+    }
+
+    const { data: suppliers, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch suppliers:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch suppliers from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    res.json({
+      suppliers: suppliers || [],
+      count: suppliers?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get suppliers error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /suppliers - Add a supplier to the company
+router.post('/suppliers', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const fields = supplierFields(req.body);
+
+    console.log(`📝 Creating supplier: ${fields.name} by user ${req.user.role}:${req.user.id}`);
+
+    if (!fields.name) {
+      return res.status(400).json({
+        error: 'Supplier name is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const scope = await resolveCompanyScope(client, req, req.body.company_id);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, code: scope.code });
+    }
+
+    if (await supplierNameTaken(client, scope.companyId, fields.name)) {
+      return res.status(409).json({
+        error: `Supplier "${fields.name}" already exists`,
+        code: 'SUPPLIER_EXISTS'
+      });
+    }
+
+    const { data: supplier, error: insertError } = await client
+      .from('suppliers')
+      .insert([{
+        contact_name: null,
+        phone: null,
+        email: null,
+        address: null,
+        tax_id: null,
+        payment_terms: null,
+        notes: '',
+        ...fields,
+        company_id: scope.companyId,
+        is_active: true,
+        created_by: req.user.id,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('Database error creating supplier:', insertError.message);
+      return res.status(400).json({
+        error: 'Failed to create supplier',
+        code: 'DB_INSERT_ERROR',
+        details: insertError.message
+      });
+    }
+
+    console.log(`✅ Supplier created: ${supplier.name}`);
+
+    res.status(201).json({
+      message: 'Supplier created successfully',
+      supplier
+    });
+
+  } catch (error) {
+    console.error('❌ Create supplier error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /suppliers/:supplierId - Fetch one supplier
+router.get('/suppliers/:supplierId', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { supplier, status, error, code } = await fetchSupplier(client, req, req.params.supplierId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    res.json({ supplier });
+
+  } catch (error) {
+    console.error('❌ Get supplier error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /suppliers/:supplierId - Update a supplier's details
+router.put('/suppliers/:supplierId', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { supplierId } = req.params;
+    const fields = supplierFields(req.body);
+
+    console.log(`📝 Updating supplier: ${supplierId}`);
+
+    if (fields.name !== undefined && !fields.name) {
+      return res.status(400).json({
+        error: 'Supplier name cannot be empty',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const existing = await fetchSupplier(client, req, supplierId);
+    if (existing.error) {
+      return res.status(existing.status).json({ error: existing.error, code: existing.code });
+    }
+
+    if (fields.name && await supplierNameTaken(client, existing.supplier.company_id, fields.name, supplierId)) {
+      return res.status(409).json({
+        error: `Supplier "${fields.name}" already exists`,
+        code: 'SUPPLIER_EXISTS'
+      });
+    }
+
+    const { data: supplier, error } = await client
+      .from('suppliers')
+      .update({
+        ...fields,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', supplierId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Update supplier error:', error.message);
+      return res.status(400).json({
+        error: 'Failed to update supplier',
+        code: 'DB_UPDATE_ERROR',
+        details: error.message
+      });
+    }
+
+    console.log(`✅ Supplier updated: ${supplier.name}`);
+
+    res.json({
+      message: 'Supplier updated successfully',
+      supplier
+    });
+
+  } catch (error) {
+    console.error('❌ Update supplier error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// DELETE /suppliers/:supplierId - Deactivate a supplier (soft delete)
+router.delete('/suppliers/:supplierId', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { supplierId } = req.params;
+
+    console.log(`🗑️ Deleting supplier: ${supplierId}`);
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const existing = await fetchSupplier(client, req, supplierId);
+    if (existing.error) {
+      return res.status(existing.status).json({ error: existing.error, code: existing.code });
+    }
+
+    // Suppliers with orders still to deliver cannot be removed
+    const { data: openOrders } = await client
+      .from('purchase_orders')
+      .select('id')
+      .eq('supplier_id', supplierId)
+      .in('status', ['sent', 'partially_received']);
+
+    if ((openOrders || []).length > 0) {
+      return res.status(409).json({
+        error: 'Supplier has open purchase orders',
+        code: 'OPEN_PURCHASE_ORDERS',
+        open_orders: openOrders.length
+      });
+    }
+
+    const { error } = await client
+      .from('suppliers')
+      .update({
+        is_active: false,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', supplierId);
+
+    if (error) {
+      console.error('Delete supplier error:', error.message);
+      return res.status(400).json({
+        error: 'Failed to delete supplier',
+        code: 'DB_DELETE_ERROR'
+      });
+    }
+
+    console.log('✅ Supplier deleted successfully:', existing.supplier.name);
+
+    res.json({
+      message: 'Supplier deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Delete supplier error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router,
+  fetchSupplier
+};
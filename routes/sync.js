@@ -0,0 +1,442 @@
+// ========================= SYNC ENDPOINTS =========================
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { getSupabaseClient } = require('../lib/supabase');
+const { generateToken, authenticateToken, optionalAuthentication, requireRole } = require('../lib/auth');
+
+const router = express.Router();
+
+// Update the sync/all endpoint to include staff and stores
+router.get('/sync/all', async (req, res) => {
+  try {
+    console.log('🔄 Complete sync request received');
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Get all users
+    const { data: users, error: usersError } = await client
+      .from('users')
+      .select('id, email, name, role, phone, store_id, company_id, is_active, created_at, updated_at, last_login')
+      .order('created_at', { ascending: false });
+
+    if (usersError) {
+      console.error('❌ Failed to fetch users:', usersError.message);
+      return res.status(500).json({ 
+        error: 'Failed to fetch users from database',
+        code: 'DB_ERROR',
+        details: usersError.message
+      });
+    }
+
+    // Get all companies
+    const { data: companies, error: companiesError } = await client
+      .from('companies')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (companiesError) {
+      console.error('❌ Failed to fetch companies:', companiesError.message);
+    }
+
+    // Get all stores
+    const { data: stores, error: storesError } = await client
+      .from('stores')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (storesError) {
+      console.error('❌ Failed to fetch stores:', storesError.message);
+    }
+
+    // Get all staff
+    const { data: staff, error: staffError } = await client
+      .from('staff')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (staffError) {
+      console.error('❌ Failed to fetch staff:', staffError.message);
+    }
+
+    // Get all categories
+    const { data: categories, error: categoriesError } = await client
+      .from('categories')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (categoriesError) {
+      console.error('❌ Failed to fetch categories:', categoriesError.message);
+    }
+
+    // Get all products
+    const { data: products, error: productsError } = await client
+      .from('products')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (productsError) {
+      console.error('❌ Failed to fetch products:', productsError.message);
+    }
+
+    // Get all active customers
+    const { data: customers, error: customersError } = await client
+      .from('customers')
+      .select('*')
+      .eq('is_active', true)
+      .order('created_at', { ascending: false });
+
+    if (customersError) {
+      console.error('❌ Failed to fetch customers:', customersError.message);
+    }
+
+    const syncData = {
+      users: users || [],
+      companies: companies || [],
+      stores: stores || [],
+      staff: (staff || []).map(({ passcode, ...member }) => member),
+      categories: categories || [],
+      products: products || [],
+      customers: customers || [],
+      counts: {
+        users: users?.length || 0,
+        companies: companies?.length || 0,
+        stores: stores?.length || 0,
+        staff: staff?.length || 0,
+        categories: categories?.length || 0,
+        products: products?.length || 0,
+        customers: customers?.length || 0
+      },
+      timestamp: new Date().toISOString(),
+      source: 'supabase'
+    };
+
+    console.log(`✅ Complete sync data prepared:`, syncData.counts);
+
+    res.json(syncData);
+
+  } catch (error) {
+    console.error('❌ Complete sync error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error during complete sync',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+router.put('/users/:userId', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { name, email, phone, role, store_id, company_id } = req.body;
+
+    console.log(`📝 Updating user: ${userId}`);
+
+    const client = await getSupabaseClient();
+    
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Prepare update data
+    const updateData = {
+      updated_at: new Date().toISOString()
+    };
+
+    // Only add fields that are provided
+    if (name) updateData.name = name.trim();
+    if (email) updateData.email = email.toLowerCase().trim();
+    if (phone) updateData.phone = phone.trim();
+    if (role) updateData.role = role;
+    if (store_id) updateData.store_id = store_id;
+    if (company_id) updateData.company_id = company_id;
+
+    const { data: updatedUser, error } = await client
+      .from('users')
+      .update(updateData)
+      .eq('id', userId)
+      .select('id, email, name, role, phone, store_id, company_id, is_active, created_at, updated_at')
+      .single();
+
+    if (error) {
+      console.error('Update user error:', error.message);
+      return res.status(400).json({ 
+        error: 'Failed to update user',
+        code: 'DB_UPDATE_ERROR',
+        details: error.message
+      });
+    }
+
+    if (!updatedUser) {
+      return res.status(404).json({ 
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    console.log('✅ User updated successfully:', updatedUser.email);
+
+    res.json({
+      message: 'User updated successfully',
+      user: updatedUser
+    });
+
+  } catch (error) {
+    console.error('❌ Update user error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+// Register endpoint
+router.post('/auth/register', async (req, res) => {
+  try {
+    const { email, password, name, role, phone , store_id , company_id } = req.body;
+
+    console.log(`📝 Registration attempt for: ${email}`);
+
+    // Validate input
+    if (!email || !password || !name) {
+      return res.status(400).json({ 
+        error: 'Email, password, and name are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    // Email validation
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({ 
+        error: 'Invalid email format',
+        code: 'INVALID_EMAIL'
+      });
+    }
+
+    // Password validation
+    if (password.length < 6) {
+      return res.status(400).json({ 
+        error: 'Password must be at least 6 characters long',
+        code: 'WEAK_PASSWORD'
+      });
+    }
+
+    // Get Supabase client
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Registration unavailable - database connection failed',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    // Check if user already exists
+    const { data: existingUser, error: checkError } = await client
+      .from('users')
+      .select('id, email')
+      .eq('email', email.toLowerCase())
+      .single();
+
+    if (checkError && checkError.code !== 'PGRST116') {
+      console.error('Database error checking user:', checkError.message);
+      return res.status(500).json({ 
+        error: 'Database error while checking user',
+        code: 'DB_ERROR'
+      });
+    }
+
+    if (existingUser) {
+      return res.status(409).json({ 
+        error: 'User with this email already exists',
+        code: 'USER_EXISTS'
+      });
+    }
+
+    // Hash password
+    const hashedPassword = await bcrypt.hash(password, 12);
+
+    // Prepare user data
+    const userData = {
+      email: email.toLowerCase().trim(),
+      password: hashedPassword,
+      name: name.trim(),
+      role: role,
+      is_active: true,
+      created_at: new Date().toISOString()
+    };
+
+    // Add phone if provided
+    if (phone && phone.trim()) {
+      userData.phone = phone.trim();
+    }
+
+    // Create user
+    const { data: user, error: insertError } = await client
+      .from('users')
+      .insert([userData])
+      .select('id, email, name, role, phone, is_active, created_at')
+      .single();
+
+    if (insertError) {
+      console.error('Database error creating user:', insertError.message);
+
+      if (insertError.code === '23505') {
+        return res.status(409).json({ 
+          error: 'User with this email already exists',
+          code: 'USER_EXISTS'
+        });
+      }
+
+      return res.status(400).json({ 
+        error: 'Failed to create user account',
+        code: 'DB_INSERT_ERROR',
+        details: insertError.message
+      });
+    }
+
+    console.log('✅ User created successfully:', user.email);
+
+    // Generate JWT token
+    const token = generateToken(user);
+
+    res.status(201).json({
+      message: 'User registered successfully',
+      user,
+      token,
+      source: 'supabase'
+    });
+
+  } catch (error) {
+    console.error('❌ Registration error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error during registration',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Get user profile
+router.get('/auth/profile', authenticateToken, async (req, res) => {
+  try {
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      // Return cached user info from JWT
+      return res.json({ 
+        user: req.user,
+        source: 'fallback'
+      });
+    }
+
+    const { data: user, error } = await client
+      .from('users')
+      .select('id, email, name, role, phone, is_active, created_at, last_login')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({ 
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    res.json({ user, source: 'supabase' });
+
+  } catch (error) {
+    console.error('Profile error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// FIXED: Logout endpoint with optional authentication
+router.post('/auth/logout', optionalAuthentication, (req, res) => {
+  // Always return success for logout, regardless of token validity
+  // This prevents 403 errors when tokens are expired/invalid
+
+  if (req.user) {
+    console.log(`✅ User logged out: ${req.user.email}`);
+  } else {
+    console.log(`✅ Logout request processed (no valid token found)`);
+  }
+
+  res.json({ 
+    message: 'Logout successful',
+    code: 'LOGOUT_SUCCESS'
+  });
+});
+
+// Get all users endpoint (for admin/manager)
+router.get('/users', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database unavailable',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { page = 1, limit = 50, role, active } = req.query;
+    const offset = (page - 1) * limit;
+
+    let query = client
+      .from('users')
+      .select('id, email, name, role, phone, is_active, created_at, last_login', { count: 'exact' });
+
+    // Apply filters
+    if (role) {
+      query = query.eq('role', role);
+    }
+    if (active !== undefined) {
+      query = query.eq('is_active', active === 'true');
+    }
+
+    // Apply pagination
+    query = query.range(offset, offset + limit - 1);
+    query = query.order('created_at', { ascending: false });
+
+    const { data: users, error, count } = await query;
+
+    if (error) {
+      console.error('Get users error:', error.message);
+      return res.status(500).json({ 
+        error: 'Database query failed',
+        code: 'DB_ERROR'
+      });
+    }
+
+    res.json({
+      users: users || [],
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get users error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router
+};
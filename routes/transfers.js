@@ -0,0 +1,820 @@
+// ========================= STOCK TRANSFER ENDPOINTS =========================
+const express = require('express');
+const crypto = require('crypto');
+const { getSupabaseClient } = require('../lib/supabase');
+const { authenticateToken, requireRole } = require('../lib/auth');
+const { resolveRequestStore, resolveListingStore, canAccessStore } = require('../lib/scope');
+const { getCompanySettings } = require('../lib/settings');
+const { variantRequiredError } = require('../lib/variants');
+const { recordStockMovement } = require('./inventory');
+const { checkExpiredLots } = require('./lots');
+const { normalizeSerialNumbers, checkSerialsOut } = require('./serials');
+
+const router = express.Router();
+
+// A transfer moves catalogue products from one store's listing to another's.
+// It is drafted at the source, shipped (stock leaves the source and is in
+// transit) and received at the destination, where the counted quantities may
+// differ from what was shipped.
+
+const generateTransferNumber = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `TR-${date}-${String(crypto.randomInt(0, 1000000)).padStart(6, '0')}`;
+};
+
+// Whether the user works at either end of a transfer
+const canAccessTransfer = (req, transfer) => {
+  return canAccessStore(req, transfer.source_store_id) || canAccessStore(req, transfer.destination_store_id);
+};
+
+async function fetchTransfer(client, req, transferId) {
+  const { data: transfer, error } = await client
+    .from('stock_transfers')
+    .select('*')
+    .eq('id', transferId)
+    .single();
+
+  if (error || !transfer) {
+    return { status: 404, error: 'Transfer not found', code: 'TRANSFER_NOT_FOUND' };
+  }
+
+  if (!canAccessTransfer(req, transfer)) {
+    return { status: 403, error: 'You can only access transfers of your assigned store', code: 'STORE_ACCESS_DENIED' };
+  }
+
+  return { transfer };
+}
+
+// Move a transfer on from one status, only if nobody else moved it first
+async function claimTransfer(client, transfer, fromStatus, updates) {
+  const { data: claimed, error } = await client
+    .from('stock_transfers')
+    .update({
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', transfer.id)
+    .eq('status', fromStatus)
+    .select()
+    .single();
+
+  if (error || !claimed) {
+    return { status: 409, error: 'Transfer was changed by someone else, please reload it', code: 'TRANSFER_CONFLICT' };
+  }
+
+  return { transfer: claimed };
+}
+
+// Load store listings by id, keyed by id, for recording stock movements
+async function fetchListings(client, productIds) {
+  const { data: products } = await client
+    .from('products')
+    .select('id, name, store_id, catalog_product_id, stock_quantity, reserved_quantity, is_active, track_lots, track_serials, is_variant_parent')
+    .in('id', [...new Set(productIds)]);
+
+  const productsById = {};
+  (products || []).forEach(product => {
+    productsById[product.id] = product;
+  });
+  return productsById;
+}
+
+// GET /transfers - List transfers in or out of the user's store
+router.get('/transfers', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { status, direction, limit = 100 } = req.query;
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const storeScope = resolveListingStore(req, req.query.store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    const { storeId } = storeScope;
+
+    let query = client
+      .from('stock_transfers')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(parseInt(limit));
+
+    if (storeId) {
+      if (direction === 'outgoing') {
+        query = query.eq('source_store_id', storeId);
+      } else if (direction === 'incoming') {
+        query = query.eq('destination_store_id', storeId);
+      } else {
+        query = query.or(`source_store_id.eq.${storeId},destination_store_id.eq.${storeId}`);
+      }
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: transfers, error } = await query;
+
+    if (error) {
+      console.error('❌ Failed to fetch transfers:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch transfers from database',
+        code: 'DB_ERROR',
+        details: error.message
+      });
+    }
+
+    res.json({
+      transfers: transfers || [],
+      count: transfers?.length || 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Get transfers error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /transfers - Draft a transfer out of the user's store
+router.post('/transfers', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { source_store_id, destination_store_id, items, notes = '' } = req.body;
+
+    console.log(`🚚 Drafting transfer by user ${req.user.role}:${req.user.id}`);
+
+    const storeScope = resolveRequestStore(req, source_store_id);
+    if (storeScope.error) {
+      return res.status(storeScope.status).json({
+        error: storeScope.error,
+        code: storeScope.code
+      });
+    }
+
+    if (!destination_store_id || destination_store_id === storeScope.storeId) {
+      return res.status(400).json({
+        error: 'A destination store other than the source is required',
+        code: 'INVALID_DESTINATION'
+      });
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        error: 'At least one line item is required',
+        code: 'MISSING_ITEMS'
+      });
+    }
+
+    for (let index = 0; index < items.length; index++) {
+      const quantity = Number(items[index].quantity);
+      if (!items[index].product_id || !Number.isInteger(quantity) || quantity <= 0) {
+        return res.status(400).json({
+          error: 'Each line item needs a product ID and a positive whole quantity',
+          code: 'INVALID_LINE_ITEM',
+          line: index
+        });
+      }
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { data: stores } = await client
+      .from('stores')
+      .select('id, company_id')
+      .in('id', [storeScope.storeId, destination_store_id]);
+
+    const source = (stores || []).find(store => store.id === storeScope.storeId);
+    const destination = (stores || []).find(store => store.id === destination_store_id);
+
+    if (!source || !destination || source.company_id !== destination.company_id) {
+      return res.status(404).json({
+        error: 'Store not found',
+        code: 'STORE_NOT_FOUND'
+      });
+    }
+
+    // Lines are the source store's listings; the destination must stock the same catalogue product
+    const sourceListings = await fetchListings(client, items.map(item => item.product_id));
+
+    const { data: destinationListings } = await client
+      .from('products')
+      .select('id, catalog_product_id')
+      .eq('store_id', destination_store_id)
+      .eq('is_active', true)
+      .in('catalog_product_id', Object.values(sourceListings).map(product => product.catalog_product_id).filter(Boolean));
+
+    const quantities = {};
+    const serialNumbers = {};
+    for (let index = 0; index < items.length; index++) {
+      const product = sourceListings[items[index].product_id];
+
+      if (!product || !product.is_active || product.store_id !== storeScope.storeId) {
+        return res.status(400).json({
+          error: 'Product not found in the source store',
+          code: 'PRODUCT_NOT_FOUND',
+          line: index
+        });
+      }
+
+      if (!product.catalog_product_id) {
+        return res.status(400).json({
+          error: `"${product.name}" is not in the company catalogue yet`,
+          code: 'PRODUCT_NOT_IN_CATALOG',
+          line: index
+        });
+      }
+
+      if (product.is_variant_parent) {
+        const { status, ...body } = variantRequiredError(product);
+        return res.status(status).json({ ...body, line: index });
+      }
+
+      quantities[product.id] = (quantities[product.id] || 0) + Number(items[index].quantity);
+      serialNumbers[product.id] = (serialNumbers[product.id] || []).concat(items[index].serial_numbers || []);
+    }
+
+    const lines = [];
+    for (const [productId, quantity] of Object.entries(quantities)) {
+      const product = sourceListings[productId];
+      const destinationListing = (destinationListings || []).find(listing => listing.catalog_product_id === product.catalog_product_id);
+
+      if (!destinationListing) {
+        return res.status(409).json({
+          error: `"${product.name}" is not stocked at the destination store`,
+          code: 'DESTINATION_NOT_STOCKED',
+          catalog_product_id: product.catalog_product_id
+        });
+      }
+
+      const serials = await checkSerialsOut(client, { product, quantity, serialNumbers: serialNumbers[productId] });
+      if (serials.error) {
+        const { status, ...body } = serials;
+        return res.status(status).json(body);
+      }
+
+      lines.push({
+        catalog_product_id: product.catalog_product_id,
+        source_product_id: product.id,
+        destination_product_id: destinationListing.id,
+        product_name: product.name,
+        quantity,
+        quantity_received: null,
+        ...(serials.serialNumbers.length > 0 ? { serial_numbers: serials.serialNumbers } : {})
+      });
+    }
+
+    const { data: transfer, error: insertError } = await client
+      .from('stock_transfers')
+      .insert([{
+        transfer_number: generateTransferNumber(),
+        company_id: source.company_id,
+        source_store_id: storeScope.storeId,
+        destination_store_id,
+        lines,
+        status: 'draft',
+        has_discrepancy: false,
+        notes,
+        created_by: req.user.id,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('Database error creating transfer:', insertError.message);
+      return res.status(400).json({
+        error: 'Failed to create transfer',
+        code: 'DB_INSERT_ERROR',
+        details: insertError.message
+      });
+    }
+
+    console.log(`✅ Transfer drafted: ${transfer.transfer_number}`);
+
+    res.status(201).json({
+      message: 'Transfer created successfully',
+      transfer
+    });
+
+  } catch (error) {
+    console.error('❌ Create transfer error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /transfers/:transferId - Fetch one transfer
+router.get('/transfers/:transferId', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const { transfer, status, error, code } = await fetchTransfer(client, req, req.params.transferId);
+    if (error) {
+      return res.status(status).json({ error, code });
+    }
+
+    res.json({ transfer });
+
+  } catch (error) {
+    console.error('❌ Get transfer error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /transfers/:transferId/ship - Take the goods out of the source store's stock
+router.post('/transfers/:transferId/ship', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    console.log(`🚚 Shipping transfer ${req.params.transferId} by user ${req.user.role}:${req.user.id}`);
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const lookup = await fetchTransfer(client, req, req.params.transferId);
+    if (lookup.error) {
+      return res.status(lookup.status).json({ error: lookup.error, code: lookup.code });
+    }
+
+    if (!canAccessStore(req, lookup.transfer.source_store_id)) {
+      return res.status(403).json({
+        error: 'Only the source store can ship a transfer',
+        code: 'STORE_ACCESS_DENIED'
+      });
+    }
+
+    if (lookup.transfer.status !== 'draft') {
+      return res.status(409).json({
+        error: `Cannot ship a transfer that is ${lookup.transfer.status}`,
+        code: 'INVALID_TRANSFER_STATUS'
+      });
+    }
+
+    // Stock held for layaways cannot be shipped
+    const productsById = await fetchListings(client, lookup.transfer.lines.map(line => line.source_product_id));
+    for (const line of lookup.transfer.lines) {
+      const product = productsById[line.source_product_id];
+      const available = product ? (product.stock_quantity || 0) - (product.reserved_quantity || 0) : 0;
+      if (line.quantity > available) {
+        return res.status(409).json({
+          error: `Insufficient stock for "${line.product_name}"`,
+          code: 'INSUFFICIENT_STOCK',
+          product_id: line.source_product_id,
+          available,
+          requested: line.quantity
+        });
+      }
+
+      // The serials picked when the transfer was drafted must still be on the shelf
+      const serials = await checkSerialsOut(client, { product, quantity: line.quantity, serialNumbers: line.serial_numbers });
+      if (serials.error) {
+        const { status, ...body } = serials;
+        return res.status(status).json(body);
+      }
+    }
+
+    const settings = await getCompanySettings(client, lookup.transfer.company_id);
+    const shippedQuantities = {};
+    lookup.transfer.lines.forEach(line => {
+      shippedQuantities[line.source_product_id] = (shippedQuantities[line.source_product_id] || 0) + line.quantity;
+    });
+    const lotCheck = await checkExpiredLots(client, {
+      products: Object.values(productsById),
+      quantities: shippedQuantities,
+      settings
+    });
+    if (lotCheck.error) {
+      const { status, ...body } = lotCheck;
+      return res.status(status).json(body);
+    }
+
+    const claim = await claimTransfer(client, lookup.transfer, 'draft', {
+      status: 'in_transit',
+      shipped_by: req.user.id,
+      shipped_at: new Date().toISOString()
+    });
+    if (claim.error) {
+      const { status, ...body } = claim;
+      return res.status(status).json(body);
+    }
+
+    // Every line leaves the source store or none does: if one cannot be taken
+    // out, the lines already taken out are put back and the transfer goes back
+    // to the status it was shipped from
+    const shipped = [];
+    const shippedLines = [];
+    for (const line of claim.transfer.lines) {
+      const product = productsById[line.source_product_id];
+      const result = await recordStockMovement(client, {
+        product,
+        quantity: -line.quantity,
+        serialNumbers: line.serial_numbers || [],
+        movementType: 'transfer_out',
+        userId: req.user.id,
+        notes: `Transfer ${claim.transfer.transfer_number} to store ${claim.transfer.destination_store_id}`,
+        referenceType: 'stock_transfer',
+        referenceId: claim.transfer.id
+      });
+
+      if (!result.success) {
+        console.error(`❌ Transfer ${claim.transfer.id} not shipped, "${product.name}" could not be taken out of stock:`, result.error);
+
+        // Shipped serials are in transit, so they come back the way a received transfer does
+        for (const movement of [...shipped].reverse()) {
+          const putBack = await recordStockMovement(client, {
+            product: movement.product,
+            quantity: movement.quantity,
+            lots: movement.lots,
+            serialNumbers: movement.serialNumbers,
+            movementType: 'transfer_in',
+            userId: req.user.id,
+            notes: `Transfer ${claim.transfer.transfer_number} not shipped`,
+            referenceType: 'stock_transfer',
+            referenceId: claim.transfer.id
+          });
+
+          if (!putBack.success) {
+            console.error(`❌ Failed to put back ${movement.quantity} of ${movement.product.id} for transfer ${claim.transfer.id}:`, putBack.error);
+          }
+        }
+
+        const reverted = await claimTransfer(client, claim.transfer, 'in_transit', {
+          status: lookup.transfer.status,
+          shipped_by: lookup.transfer.shipped_by || null,
+          shipped_at: lookup.transfer.shipped_at || null
+        });
+        if (reverted.error) {
+          console.error(`❌ Transfer ${claim.transfer.id} could not be put back to ${lookup.transfer.status}`);
+        }
+
+        const { success, status = 500, error, code = 'STOCK_UPDATE_FAILED', ...details } = result;
+        return res.status(status).json({
+          error: `Could not take "${product.name}" out of stock`,
+          code,
+          details: error,
+          ...details,
+          product_id: line.source_product_id
+        });
+      }
+
+      // The lots shipped travel with the line so the destination receives them as the same lots
+      const lots = result.lotAllocations.map(allocation => ({
+        lot_number: allocation.lot_number,
+        expiry_date: allocation.expiry_date,
+        quantity: -allocation.quantity
+      }));
+      shipped.push({ product, quantity: line.quantity, lots, serialNumbers: result.serialNumbers });
+      shippedLines.push(lots.length > 0 ? { ...line, lots } : line);
+    }
+
+    if (shippedLines.some(line => line.lots)) {
+      const { data: updated, error: linesError } = await client
+        .from('stock_transfers')
+        .update({ lines: shippedLines })
+        .eq('id', claim.transfer.id)
+        .select()
+        .single();
+
+      if (linesError) {
+        console.error(`⚠️ Lots shipped on transfer ${claim.transfer.id} were not recorded:`, linesError.message);
+      } else {
+        claim.transfer = updated;
+      }
+    }
+
+    console.log(`✅ Transfer ${claim.transfer.transfer_number} is in transit`);
+
+    res.json({
+      message: 'Transfer shipped successfully',
+      transfer: claim.transfer
+    });
+
+  } catch (error) {
+    console.error('❌ Ship transfer error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /transfers/:transferId/receive - Book the counted goods into the destination store's stock
+router.post('/transfers/:transferId/receive', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { items = [], notes } = req.body;
+
+    console.log(`📦 Receiving transfer ${req.params.transferId} by user ${req.user.role}:${req.user.id}`);
+
+    if (!Array.isArray(items)) {
+      return res.status(400).json({
+        error: 'Items must be a list of received quantities',
+        code: 'INVALID_LINE_ITEM'
+      });
+    }
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const lookup = await fetchTransfer(client, req, req.params.transferId);
+    if (lookup.error) {
+      return res.status(lookup.status).json({ error: lookup.error, code: lookup.code });
+    }
+
+    if (!canAccessStore(req, lookup.transfer.destination_store_id)) {
+      return res.status(403).json({
+        error: 'Only the destination store can receive a transfer',
+        code: 'STORE_ACCESS_DENIED'
+      });
+    }
+
+    if (lookup.transfer.status !== 'in_transit') {
+      return res.status(409).json({
+        error: `Cannot receive a transfer that is ${lookup.transfer.status}`,
+        code: 'INVALID_TRANSFER_STATUS'
+      });
+    }
+
+    // Lines not counted are taken as received in full
+    const counted = {};
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
+      const line = lookup.transfer.lines.find(transferLine =>
+        transferLine.destination_product_id === item.product_id || transferLine.catalog_product_id === item.catalog_product_id);
+      const quantity = Number(item.quantity_received);
+
+      if (!line || !Number.isInteger(quantity) || quantity < 0) {
+        return res.status(400).json({
+          error: 'Each counted line needs a product on the transfer and a whole quantity received',
+          code: 'INVALID_LINE_ITEM',
+          line: index
+        });
+      }
+      counted[line.catalog_product_id] = { quantity, reason: item.reason || null, serialNumbers: item.serial_numbers };
+    }
+
+    const lines = lookup.transfer.lines.map(line => {
+      const count = counted[line.catalog_product_id];
+      const received = count ? count.quantity : line.quantity;
+      return {
+        ...line,
+        quantity_received: received,
+        discrepancy: received - line.quantity,
+        discrepancy_reason: received !== line.quantity ? count.reason : null
+      };
+    });
+    const discrepancies = lines.filter(line => line.discrepancy !== 0);
+
+    // Serials shipped arrive in full, or the ones that did arrive are named
+    for (const line of lines.filter(transferLine => transferLine.serial_numbers)) {
+      const count = counted[line.catalog_product_id];
+      const serials = count && count.serialNumbers !== undefined
+        ? normalizeSerialNumbers(count.serialNumbers)
+        : line.quantity_received === line.quantity ? line.serial_numbers : null;
+
+      if (!serials || serials.length !== line.quantity_received || serials.some(serial => !line.serial_numbers.includes(serial))) {
+        return res.status(400).json({
+          error: `Name which of the serial numbers shipped of "${line.product_name}" were received`,
+          code: 'SERIALS_REQUIRED',
+          catalog_product_id: line.catalog_product_id,
+          serial_numbers: line.serial_numbers
+        });
+      }
+      line.serial_numbers_received = serials;
+    }
+
+    const productsById = await fetchListings(client, lines.map(line => line.destination_product_id));
+
+    const claim = await claimTransfer(client, lookup.transfer, 'in_transit', {
+      status: 'received',
+      lines,
+      has_discrepancy: discrepancies.length > 0,
+      received_by: req.user.id,
+      received_at: new Date().toISOString(),
+      ...(notes !== undefined ? { receiving_notes: notes } : {})
+    });
+    if (claim.error) {
+      const { status, ...body } = claim;
+      return res.status(status).json(body);
+    }
+
+    // Every line is booked into the destination store or none is: if one
+    // cannot be, the lines already booked are taken out again and the transfer
+    // goes back in transit so it can be received again
+    const received = [];
+    for (const line of lines.filter(transferLine => transferLine.quantity_received > 0)) {
+      const product = productsById[line.destination_product_id];
+
+      // Short receipts are taken out of the latest-expiring lots shipped
+      let unassigned = line.quantity_received;
+      const lots = [];
+      for (const lot of (line.lots || [])) {
+        if (unassigned <= 0) {
+          break;
+        }
+        lots.push({ ...lot, quantity: Math.min(lot.quantity, unassigned) });
+        unassigned -= lot.quantity;
+      }
+
+      const result = product
+        ? await recordStockMovement(client, {
+          product,
+          quantity: line.quantity_received,
+          lots,
+          serialNumbers: line.serial_numbers_received || [],
+          movementType: 'transfer_in',
+          userId: req.user.id,
+          notes: `Transfer ${claim.transfer.transfer_number} from store ${claim.transfer.source_store_id}`
+            + (line.discrepancy !== 0 ? ` (shipped ${line.quantity}, received ${line.quantity_received})` : ''),
+          referenceType: 'stock_transfer',
+          referenceId: claim.transfer.id
+        })
+        : { success: false, error: 'Product not found', code: 'PRODUCT_NOT_FOUND' };
+
+      if (!result.success) {
+        console.error(`❌ Transfer ${claim.transfer.id} not received, "${line.product_name}" could not be booked into stock:`, result.error);
+
+        // Received lots go out of the lots they went into; received serials go back in transit
+        for (const movement of [...received].reverse()) {
+          const takeOuts = movement.lotAllocations.length > 0 && movement.serialNumbers.length === 0
+            ? movement.lotAllocations.map(allocation => ({ quantity: -allocation.quantity, lotId: allocation.lot_id, serialNumbers: [] }))
+            : [{ quantity: -movement.quantity, lotId: null, serialNumbers: movement.serialNumbers }];
+
+          for (const takeOut of takeOuts) {
+            const takenOut = await recordStockMovement(client, {
+              product: movement.product,
+              ...takeOut,
+              movementType: 'transfer_out',
+              userId: req.user.id,
+              notes: `Transfer ${claim.transfer.transfer_number} not received`,
+              referenceType: 'stock_transfer',
+              referenceId: claim.transfer.id
+            });
+
+            if (!takenOut.success) {
+              console.error(`❌ Failed to take ${-takeOut.quantity} of ${movement.product.id} back out for transfer ${claim.transfer.id}:`, takenOut.error);
+            }
+          }
+        }
+
+        const reverted = await claimTransfer(client, claim.transfer, 'received', {
+          status: 'in_transit',
+          lines: lookup.transfer.lines,
+          has_discrepancy: lookup.transfer.has_discrepancy || false,
+          received_by: null,
+          received_at: null,
+          receiving_notes: lookup.transfer.receiving_notes || null
+        });
+        if (reverted.error) {
+          console.error(`❌ Transfer ${claim.transfer.id} could not be put back in transit`);
+        }
+
+        const { success, status = 500, error, code = 'STOCK_UPDATE_FAILED', ...details } = result;
+        return res.status(status).json({
+          error: `Could not book "${line.product_name}" into stock`,
+          code,
+          details: error,
+          ...details,
+          product_id: line.destination_product_id
+        });
+      }
+
+      received.push({
+        product,
+        quantity: line.quantity_received,
+        lotAllocations: result.lotAllocations || [],
+        serialNumbers: result.serialNumbers || []
+      });
+    }
+
+    console.log(`✅ Transfer ${claim.transfer.transfer_number} received${discrepancies.length > 0 ? ` with ${discrepancies.length} discrepancies` : ''}`);
+
+    res.json({
+      message: 'Transfer received successfully',
+      transfer: claim.transfer,
+      discrepancies: discrepancies.map(line => ({
+        catalog_product_id: line.catalog_product_id,
+        product_name: line.product_name,
+        shipped: line.quantity,
+        received: line.quantity_received,
+        discrepancy: line.discrepancy,
+        reason: line.discrepancy_reason
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Receive transfer error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /transfers/:transferId/cancel - Cancel a transfer that has not been shipped
+router.post('/transfers/:transferId/cancel', authenticateToken, requireRole(['super_admin', 'manager']), async (req, res) => {
+  try {
+    const { reason = '' } = req.body;
+
+    console.log(`🚫 Cancelling transfer ${req.params.transferId} by user ${req.user.role}:${req.user.id}`);
+
+    const client = await getSupabaseClient();
+
+    if (!client) {
+      return res.status(503).json({
+        error: 'Database connection not available',
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const lookup = await fetchTransfer(client, req, req.params.transferId);
+    if (lookup.error) {
+      return res.status(lookup.status).json({ error: lookup.error, code: lookup.code });
+    }
+
+    if (!canAccessStore(req, lookup.transfer.source_store_id)) {
+      return res.status(403).json({
+        error: 'Only the source store can cancel a transfer',
+        code: 'STORE_ACCESS_DENIED'
+      });
+    }
+
+    if (lookup.transfer.status !== 'draft') {
+      return res.status(409).json({
+        error: `Cannot cancel a transfer that is ${lookup.transfer.status}`,
+        code: 'INVALID_TRANSFER_STATUS'
+      });
+    }
+
+    const claim = await claimTransfer(client, lookup.transfer, 'draft', {
+      status: 'cancelled',
+      cancelled_by: req.user.id,
+      cancelled_at: new Date().toISOString(),
+      cancel_reason: reason
+    });
+    if (claim.error) {
+      const { status, ...body } = claim;
+      return res.status(status).json(body);
+    }
+
+    console.log(`✅ Transfer ${claim.transfer.transfer_number} cancelled`);
+
+    res.json({
+      message: 'Transfer cancelled successfully',
+      transfer: claim.transfer
+    });
+
+  } catch (error) {
+    console.error('❌ Cancel transfer error:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = {
+  router
+};
@@ -0,0 +1,36 @@
+-- Sales recorded at checkout, with one sale_items row per line sold. Product
+-- name, SKU and price are copied onto the line so the sale still reads the
+-- same after the product changes. The stock movement a sale causes points
+-- back at it through reference_type / reference_id.
+
+create table if not exists sales (
+  id uuid primary key default gen_random_uuid(),
+  store_id uuid not null references stores (id),
+  cashier_id uuid,
+  item_count integer not null default 0,
+  subtotal numeric(12, 2) not null default 0,
+  total numeric(12, 2) not null default 0,
+  status text not null default 'completed',
+  notes text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists sales_store_id_created_at_idx on sales (store_id, created_at);
+
+create table if not exists sale_items (
+  id uuid primary key default gen_random_uuid(),
+  sale_id uuid not null references sales (id) on delete cascade,
+  product_id uuid references products (id),
+  product_name text,
+  sku text,
+  quantity integer not null check (quantity > 0),
+  unit_price numeric(12, 2) not null default 0,
+  line_total numeric(12, 2) not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists sale_items_sale_id_idx on sale_items (sale_id);
+
+alter table inventory_movements add column if not exists reference_type text;
+alter table inventory_movements add column if not exists reference_id uuid;
@@ -0,0 +1,21 @@
+-- A sale can be paid with several tenders. Each one is a sale_payments row;
+-- only cash gives change, so amount is what the tender paid towards the sale
+-- and tendered_amount what the customer handed over.
+
+alter table sales add column if not exists company_id uuid references companies (id);
+alter table sales add column if not exists amount_tendered numeric(12, 2) not null default 0;
+alter table sales add column if not exists change_due numeric(12, 2) not null default 0;
+
+create table if not exists sale_payments (
+  id uuid primary key default gen_random_uuid(),
+  sale_id uuid not null references sales (id) on delete cascade,
+  tender_type text not null,
+  is_cash boolean not null default false,
+  tendered_amount numeric(12, 2) not null default 0,
+  amount numeric(12, 2) not null default 0,
+  change_amount numeric(12, 2) not null default 0,
+  reference text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists sale_payments_sale_id_idx on sale_payments (sale_id);
@@ -0,0 +1,47 @@
+-- Returns against an original sale: the return itself, the sale lines taken
+-- back and the refunds paid out, each refund against the sale payment it goes
+-- back to (none for store credit).
+
+create table if not exists sale_returns (
+  id uuid primary key default gen_random_uuid(),
+  sale_id uuid not null references sales (id),
+  store_id uuid not null references stores (id),
+  company_id uuid references companies (id),
+  refund_method text not null,
+  refund_total numeric(12, 2) not null default 0,
+  reason text,
+  created_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists sale_returns_sale_id_idx on sale_returns (sale_id);
+
+create table if not exists sale_return_items (
+  id uuid primary key default gen_random_uuid(),
+  return_id uuid not null references sale_returns (id) on delete cascade,
+  sale_id uuid not null references sales (id),
+  sale_item_id uuid not null references sale_items (id),
+  product_id uuid references products (id),
+  product_name text,
+  quantity integer not null check (quantity > 0),
+  unit_price numeric(12, 2) not null default 0,
+  refund_amount numeric(12, 2) not null default 0,
+  restocked boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists sale_return_items_sale_id_idx on sale_return_items (sale_id);
+create index if not exists sale_return_items_sale_item_id_idx on sale_return_items (sale_item_id);
+
+create table if not exists sale_return_refunds (
+  id uuid primary key default gen_random_uuid(),
+  return_id uuid not null references sale_returns (id) on delete cascade,
+  sale_id uuid not null references sales (id),
+  sale_payment_id uuid references sale_payments (id),
+  tender_type text not null,
+  amount numeric(12, 2) not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists sale_return_refunds_sale_id_idx on sale_return_refunds (sale_id);
+create index if not exists sale_return_refunds_sale_payment_id_idx on sale_return_refunds (sale_payment_id);
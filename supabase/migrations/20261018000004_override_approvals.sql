@@ -0,0 +1,46 @@
+-- Manager overrides. Every approval, and every rejected attempt, is an
+-- override_approvals row: 'issued' until the token is spent, then 'used'
+-- with what it was used on; 'rejected' rows count failed passcodes. Sales
+-- and lines keep the approval behind a void, reopen or discount, and the
+-- line void keeps the refunds it paid out per tender in void_refunds.
+
+create table if not exists override_approvals (
+  id uuid primary key default gen_random_uuid(),
+  action text not null,
+  target_id text,
+  reason text,
+  requested_by uuid not null,
+  store_id uuid references stores (id),
+  approved_by_staff_id uuid references staff (id),
+  approved_by_user_id uuid references users (id),
+  approver_name text,
+  status text not null default 'issued',
+  expires_at timestamptz,
+  used_at timestamptz,
+  used_by uuid,
+  used_on text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists override_approvals_requested_by_idx on override_approvals (requested_by, status, created_at);
+
+alter table sales add column if not exists discount_total numeric(12, 2) not null default 0;
+alter table sales add column if not exists discount_approval_id uuid references override_approvals (id);
+alter table sales add column if not exists voided_at timestamptz;
+alter table sales add column if not exists voided_by uuid;
+alter table sales add column if not exists void_reason text;
+alter table sales add column if not exists void_approval_id uuid references override_approvals (id);
+alter table sales add column if not exists reopened_at timestamptz;
+alter table sales add column if not exists reopened_by uuid;
+alter table sales add column if not exists reopen_reason text;
+alter table sales add column if not exists reopen_approval_id uuid references override_approvals (id);
+alter table sales add column if not exists refund_due numeric(12, 2) not null default 0;
+
+alter table sale_items add column if not exists discount_amount numeric(12, 2) not null default 0;
+alter table sale_items add column if not exists voided_at timestamptz;
+alter table sale_items add column if not exists voided_by uuid;
+alter table sale_items add column if not exists void_reason text;
+alter table sale_items add column if not exists void_approval_id uuid references override_approvals (id);
+alter table sale_items add column if not exists void_refunds jsonb;
+
+alter table inventory_movements add column if not exists approval_id uuid references override_approvals (id);
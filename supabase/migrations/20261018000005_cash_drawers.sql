@@ -0,0 +1,43 @@
+-- Cash drawer sessions. A drawer is opened with a float for one staff member
+-- on a terminal; every cash sale, refund, drop and payout is a movement on
+-- it, and closing it keeps the counted cash, the variance and the Z-report.
+
+create table if not exists cash_drawers (
+  id uuid primary key default gen_random_uuid(),
+  store_id uuid not null references stores (id),
+  staff_id uuid references staff (id),
+  terminal_id text,
+  opening_float numeric(12, 2) not null default 0,
+  status text not null default 'open',
+  notes text,
+  opened_by uuid,
+  opened_at timestamptz not null default now(),
+  expected_cash numeric(12, 2),
+  counted_cash numeric(12, 2),
+  variance numeric(12, 2),
+  z_report jsonb,
+  close_notes text,
+  closed_by uuid,
+  closed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists cash_drawers_store_id_status_idx on cash_drawers (store_id, status);
+
+create table if not exists cash_drawer_movements (
+  id uuid primary key default gen_random_uuid(),
+  drawer_id uuid not null references cash_drawers (id),
+  store_id uuid references stores (id),
+  movement_type text not null,
+  amount numeric(12, 2) not null,
+  notes text,
+  reference_type text,
+  reference_id uuid,
+  created_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists cash_drawer_movements_drawer_id_idx on cash_drawer_movements (drawer_id);
+
+alter table sales add column if not exists drawer_id uuid references cash_drawers (id);
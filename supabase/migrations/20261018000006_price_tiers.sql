@@ -0,0 +1,10 @@
+-- Sales are priced from one price tier. Each line keeps the tier's list
+-- price next to the price charged, and a sale with a price below the list
+-- keeps the manager approval that allowed it.
+
+alter table sales add column if not exists price_tier text;
+alter table sales add column if not exists price_override_approval_id uuid references override_approvals (id);
+
+alter table sale_items add column if not exists price_tier text;
+alter table sale_items add column if not exists list_price numeric(12, 2);
+alter table sale_items add column if not exists price_overridden boolean not null default false;
@@ -0,0 +1,43 @@
+-- Per-store promotions and coupons. Which products or categories a rule
+-- covers, and the days it runs on, are kept as arrays on the promotion.
+-- Sales keep the promotions applied to them and each line its share.
+
+create table if not exists promotions (
+  id uuid primary key default gen_random_uuid(),
+  store_id uuid not null references stores (id),
+  name text not null,
+  description text,
+  type text not null,
+  scope text not null default 'product',
+  product_ids jsonb not null default '[]',
+  category_ids jsonb not null default '[]',
+  value numeric(12, 2),
+  buy_quantity integer,
+  get_quantity integer,
+  get_discount_percent numeric(5, 2),
+  bundle_quantity integer,
+  bundle_price numeric(12, 2),
+  min_basket_amount numeric(12, 2),
+  starts_at timestamptz,
+  ends_at timestamptz,
+  days_of_week jsonb,
+  start_time text,
+  end_time text,
+  coupon_code text,
+  usage_limit integer,
+  usage_count integer not null default 0,
+  priority integer not null default 0,
+  is_active boolean not null default true,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists promotions_store_id_idx on promotions (store_id, is_active);
+
+alter table sales add column if not exists promotion_total numeric(12, 2) not null default 0;
+alter table sales add column if not exists applied_promotions jsonb;
+
+alter table sale_items add column if not exists category_id uuid references categories (id);
+alter table sale_items add column if not exists gross_amount numeric(12, 2);
+alter table sale_items add column if not exists promotion_discount numeric(12, 2) not null default 0;
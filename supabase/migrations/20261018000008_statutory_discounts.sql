@@ -0,0 +1,16 @@
+-- Senior citizen and PWD discounts. Categories say which goods qualify and a
+-- product can say otherwise (null follows its category). The sale keeps the
+-- holder's ID for the compliance report and the VAT-exempt amounts.
+
+alter table categories add column if not exists statutory_discount_eligible boolean not null default false;
+alter table products add column if not exists statutory_discount_eligible boolean;
+
+alter table sales add column if not exists statutory_discount_type text;
+alter table sales add column if not exists statutory_id_number text;
+alter table sales add column if not exists statutory_holder_name text;
+alter table sales add column if not exists vat_exempt_sales numeric(12, 2) not null default 0;
+alter table sales add column if not exists vat_exempt_amount numeric(12, 2) not null default 0;
+alter table sales add column if not exists statutory_discount_total numeric(12, 2) not null default 0;
+
+alter table sale_items add column if not exists vat_exempt_amount numeric(12, 2) not null default 0;
+alter table sale_items add column if not exists statutory_discount numeric(12, 2) not null default 0;
@@ -0,0 +1,14 @@
+-- Tax classes. A product takes its category's class unless it names its own
+-- (null follows the category, then the company default); the rates live in
+-- the company and store settings. Sales keep the tax breakdown per class.
+
+alter table categories add column if not exists tax_class text;
+alter table products add column if not exists tax_class text;
+
+alter table sales add column if not exists prices_include_tax boolean not null default true;
+alter table sales add column if not exists taxes jsonb;
+alter table sales add column if not exists tax_total numeric(12, 2) not null default 0;
+
+alter table sale_items add column if not exists tax_class text;
+alter table sale_items add column if not exists tax_rate numeric(5, 2) not null default 0;
+alter table sale_items add column if not exists tax_amount numeric(12, 2) not null default 0;
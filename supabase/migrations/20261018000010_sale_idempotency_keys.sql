@@ -0,0 +1,9 @@
+-- Checkouts can be retried with the same Idempotency-Key header. The key is
+-- unique per store, so of two requests carrying it only one sale is
+-- recorded; the other finds that sale instead of selling the basket twice.
+-- Sales also keep the terminal their official receipt was taken on.
+
+alter table sales add column if not exists terminal_id text;
+alter table sales add column if not exists idempotency_key text;
+
+create unique index if not exists sales_store_idempotency_key_idx on sales (store_id, idempotency_key);
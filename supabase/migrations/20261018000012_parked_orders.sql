@@ -0,0 +1,38 @@
+-- Parked orders: a basket put aside on one terminal and resumed on any
+-- terminal of the store. The basket is kept as it was submitted and priced
+-- again when resumed; one user at a time holds the edit lock until it
+-- expires.
+
+create table if not exists parked_orders (
+  id uuid primary key default gen_random_uuid(),
+  store_id uuid not null references stores (id),
+  label text not null,
+  notes text,
+  items jsonb not null default '[]',
+  price_tier text,
+  coupon_codes jsonb,
+  discount jsonb,
+  statutory_discount jsonb,
+  subtotal numeric(12, 2) not null default 0,
+  total numeric(12, 2) not null default 0,
+  status text not null default 'parked',
+  parked_by uuid,
+  parked_terminal_id text,
+  locked_by uuid,
+  locked_terminal_id text,
+  locked_at timestamptz,
+  lock_expires_at timestamptz,
+  expires_at timestamptz,
+  sale_id uuid references sales (id),
+  completed_by uuid,
+  completed_at timestamptz,
+  discarded_by uuid,
+  discarded_at timestamptz,
+  discard_reason text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists parked_orders_store_id_status_idx on parked_orders (store_id, status);
+
+alter table sales add column if not exists parked_order_id uuid references parked_orders (id);
@@ -0,0 +1,63 @@
+-- Customer directory shared by the stores of a company. Customers with a
+-- credit account can charge sales up to their limit; every charge and
+-- payment is a credit transaction carrying the balance after it. Sales made
+-- to a customer are copied into their purchase history.
+
+create table if not exists customers (
+  id uuid primary key default gen_random_uuid(),
+  company_id uuid not null references companies (id),
+  name text not null,
+  phone text,
+  email text,
+  address text,
+  notes text,
+  price_tier text,
+  credit_enabled boolean not null default false,
+  credit_limit numeric(12, 2) not null default 0,
+  credit_balance numeric(12, 2) not null default 0,
+  last_purchase_at timestamptz,
+  is_active boolean not null default true,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists customers_company_id_phone_idx on customers (company_id, phone);
+
+create table if not exists customer_credit_transactions (
+  id uuid primary key default gen_random_uuid(),
+  customer_id uuid not null references customers (id),
+  company_id uuid references companies (id),
+  store_id uuid references stores (id),
+  sale_id uuid references sales (id),
+  transaction_type text not null,
+  amount numeric(12, 2) not null,
+  balance_after numeric(12, 2) not null,
+  reference text,
+  notes text,
+  created_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists customer_credit_transactions_customer_id_idx on customer_credit_transactions (customer_id, created_at);
+
+create table if not exists customer_purchases (
+  id uuid primary key default gen_random_uuid(),
+  customer_id uuid not null references customers (id),
+  company_id uuid references companies (id),
+  store_id uuid references stores (id),
+  sale_id uuid references sales (id),
+  or_number text,
+  reference text,
+  total numeric(12, 2) not null default 0,
+  item_count integer not null default 0,
+  items jsonb,
+  status text not null default 'completed',
+  purchased_at timestamptz not null default now(),
+  created_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists customer_purchases_customer_id_idx on customer_purchases (customer_id, purchased_at);
+
+alter table sales add column if not exists customer_id uuid references customers (id);
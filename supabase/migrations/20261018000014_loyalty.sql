@@ -0,0 +1,43 @@
+-- Loyalty points. Members belong to a company and may be linked to a
+-- customer. Every earn, redemption, adjustment and expiry is a ledger entry;
+-- earned entries keep the points still unspent in points_remaining, so they
+-- can be redeemed and expired oldest first.
+
+create table if not exists loyalty_members (
+  id uuid primary key default gen_random_uuid(),
+  company_id uuid not null references companies (id),
+  customer_id uuid references customers (id),
+  name text,
+  phone text not null,
+  email text,
+  tier text,
+  points_balance integer not null default 0,
+  lifetime_points integer not null default 0,
+  is_active boolean not null default true,
+  enrolled_by uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists loyalty_members_company_id_phone_idx on loyalty_members (company_id, phone);
+
+create table if not exists loyalty_ledger (
+  id uuid primary key default gen_random_uuid(),
+  member_id uuid not null references loyalty_members (id),
+  company_id uuid references companies (id),
+  store_id uuid references stores (id),
+  sale_id uuid references sales (id),
+  entry_type text not null,
+  points integer not null,
+  points_remaining integer not null default 0,
+  expires_at timestamptz,
+  balance_after integer not null,
+  reference text,
+  notes text,
+  created_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists loyalty_ledger_member_id_idx on loyalty_ledger (member_id, created_at);
+
+alter table sales add column if not exists loyalty_member_id uuid references loyalty_members (id);
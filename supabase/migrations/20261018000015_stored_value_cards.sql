@@ -0,0 +1,45 @@
+-- Gift cards and store credit. A card's balance only changes together with
+-- a ledger entry holding the balance after it. Card codes are unique: a code
+-- generated twice is refused by the index and a new one is drawn. Sale
+-- payments taken off a card keep the card they were taken from.
+
+create table if not exists stored_value_cards (
+  id uuid primary key default gen_random_uuid(),
+  company_id uuid not null references companies (id),
+  code text not null,
+  kind text not null default 'gift_card',
+  initial_value numeric(12, 2) not null default 0,
+  balance numeric(12, 2) not null default 0 check (balance >= 0),
+  status text not null default 'active',
+  status_reason text,
+  status_changed_by uuid,
+  status_changed_at timestamptz,
+  customer_id uuid references customers (id),
+  issued_store_id uuid references stores (id),
+  issued_by uuid,
+  expires_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists stored_value_cards_code_idx on stored_value_cards (code);
+
+create table if not exists stored_value_ledger (
+  id uuid primary key default gen_random_uuid(),
+  card_id uuid not null references stored_value_cards (id),
+  company_id uuid references companies (id),
+  store_id uuid references stores (id),
+  sale_id uuid references sales (id),
+  return_id uuid references sale_returns (id),
+  entry_type text not null,
+  amount numeric(12, 2) not null,
+  balance_after numeric(12, 2) not null,
+  reference text,
+  notes text,
+  created_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists stored_value_ledger_card_id_idx on stored_value_ledger (card_id, created_at);
+
+alter table sale_payments add column if not exists stored_value_card_id uuid references stored_value_cards (id);
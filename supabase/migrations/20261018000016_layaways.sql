@@ -0,0 +1,57 @@
+-- Layaways: a priced basket whose stock is held (products.reserved_quantity,
+-- see reserve_stock) while the customer pays it off in installments. The
+-- order becomes a sale once fully paid; a cancelled order keeps the
+-- forfeiture fee and what was refunded. Installments taken off a gift card
+-- or store credit keep the card they were taken from.
+
+create table if not exists layaway_orders (
+  id uuid primary key default gen_random_uuid(),
+  store_id uuid not null references stores (id),
+  company_id uuid references companies (id),
+  customer_id uuid references customers (id),
+  customer_name text,
+  customer_phone text,
+  lines jsonb not null default '[]',
+  price_tier text,
+  subtotal numeric(12, 2) not null default 0,
+  promotion_total numeric(12, 2) not null default 0,
+  discount_total numeric(12, 2) not null default 0,
+  prices_include_tax boolean not null default true,
+  taxes jsonb,
+  tax_total numeric(12, 2) not null default 0,
+  total numeric(12, 2) not null default 0,
+  amount_paid numeric(12, 2) not null default 0,
+  balance_due numeric(12, 2) not null default 0,
+  due_date timestamptz,
+  status text not null default 'active',
+  notes text,
+  sale_id uuid references sales (id),
+  completed_at timestamptz,
+  forfeiture_fee numeric(12, 2),
+  refund_amount numeric(12, 2),
+  refund_method text,
+  cancel_reason text,
+  cancelled_by uuid,
+  cancelled_at timestamptz,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists layaway_orders_store_id_status_idx on layaway_orders (store_id, status);
+
+create table if not exists layaway_payments (
+  id uuid primary key default gen_random_uuid(),
+  layaway_id uuid not null references layaway_orders (id) on delete cascade,
+  tender_type text not null,
+  amount numeric(12, 2) not null,
+  reference text,
+  stored_value_card_id uuid references stored_value_cards (id),
+  drawer_id uuid references cash_drawers (id),
+  received_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists layaway_payments_layaway_id_idx on layaway_payments (layaway_id);
+
+alter table sales add column if not exists layaway_id uuid references layaway_orders (id);
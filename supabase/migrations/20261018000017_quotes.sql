@@ -0,0 +1,39 @@
+-- Quotes: a basket priced for a customer and valid until a date. The priced
+-- lines are kept so the quote reads the same when printed later; converting
+-- an accepted quote prices it again and records the sale it became.
+
+create table if not exists quotes (
+  id uuid primary key default gen_random_uuid(),
+  quote_number text not null,
+  store_id uuid not null references stores (id),
+  company_id uuid references companies (id),
+  customer_id uuid references customers (id),
+  customer_name text,
+  lines jsonb not null default '[]',
+  price_tier text,
+  discount jsonb,
+  subtotal numeric(12, 2) not null default 0,
+  promotion_total numeric(12, 2) not null default 0,
+  discount_total numeric(12, 2) not null default 0,
+  prices_include_tax boolean not null default true,
+  taxes jsonb,
+  tax_total numeric(12, 2) not null default 0,
+  total numeric(12, 2) not null default 0,
+  valid_until timestamptz,
+  status text not null default 'draft',
+  notes text,
+  sent_at timestamptz,
+  sent_by uuid,
+  accepted_at timestamptz,
+  accepted_by uuid,
+  sale_id uuid references sales (id),
+  converted_by uuid,
+  converted_at timestamptz,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists quotes_store_id_status_idx on quotes (store_id, status);
+
+alter table sales add column if not exists quote_id uuid references quotes (id);
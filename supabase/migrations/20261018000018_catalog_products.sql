@@ -0,0 +1,33 @@
+-- Company catalogue. A catalog_products row holds what every store shares
+-- (name, SKU, barcode, category, tax and discount rules); each store stocks
+-- it through its own products row, the store listing, which holds that
+-- store's stock and prices and a copy of the shared fields.
+
+create table if not exists catalog_products (
+  id uuid primary key default gen_random_uuid(),
+  company_id uuid not null references companies (id),
+  name text not null,
+  description text,
+  sku text,
+  barcode text,
+  category_id uuid references categories (id),
+  unit text,
+  weight numeric,
+  dimensions jsonb,
+  image_url text,
+  images jsonb,
+  tags jsonb,
+  is_featured boolean not null default false,
+  statutory_discount_eligible boolean,
+  tax_class text,
+  is_active boolean not null default true,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists catalog_products_company_id_sku_idx on catalog_products (company_id, sku);
+
+alter table products add column if not exists catalog_product_id uuid references catalog_products (id);
+
+create index if not exists products_catalog_product_id_idx on products (catalog_product_id);
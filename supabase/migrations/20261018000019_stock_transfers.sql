@@ -0,0 +1,29 @@
+-- Stock transfers between the stores of a company. The lines name the
+-- catalogue product and its listing in both stores, the quantity shipped
+-- and, once received, the quantity that arrived; a transfer that arrived
+-- short or over is flagged with has_discrepancy.
+
+create table if not exists stock_transfers (
+  id uuid primary key default gen_random_uuid(),
+  transfer_number text not null,
+  company_id uuid not null references companies (id),
+  source_store_id uuid not null references stores (id),
+  destination_store_id uuid not null references stores (id),
+  lines jsonb not null default '[]',
+  status text not null default 'draft',
+  has_discrepancy boolean not null default false,
+  notes text,
+  shipped_by uuid,
+  shipped_at timestamptz,
+  received_by uuid,
+  received_at timestamptz,
+  receiving_notes text,
+  cancelled_by uuid,
+  cancelled_at timestamptz,
+  cancel_reason text,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists stock_transfers_company_id_status_idx on stock_transfers (company_id, status);
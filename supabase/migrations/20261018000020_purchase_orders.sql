@@ -0,0 +1,65 @@
+-- Suppliers and purchase orders. An order's lines keep the quantity ordered
+-- and received so far; every delivery booked against it is a
+-- purchase_order_receipts row with the lines and cost of that delivery.
+
+create table if not exists suppliers (
+  id uuid primary key default gen_random_uuid(),
+  company_id uuid not null references companies (id),
+  name text not null,
+  contact_name text,
+  phone text,
+  email text,
+  address text,
+  tax_id text,
+  payment_terms text,
+  notes text,
+  is_active boolean not null default true,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists suppliers_company_id_idx on suppliers (company_id);
+
+create table if not exists purchase_orders (
+  id uuid primary key default gen_random_uuid(),
+  po_number text not null,
+  company_id uuid references companies (id),
+  store_id uuid not null references stores (id),
+  supplier_id uuid not null references suppliers (id),
+  supplier_name text,
+  lines jsonb not null default '[]',
+  total numeric(12, 2) not null default 0,
+  received_total numeric(12, 2) not null default 0,
+  expected_date timestamptz,
+  status text not null default 'draft',
+  notes text,
+  sent_by uuid,
+  sent_at timestamptz,
+  cancelled_by uuid,
+  cancelled_at timestamptz,
+  cancelled_reason text,
+  closed_by uuid,
+  closed_at timestamptz,
+  closed_reason text,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists purchase_orders_store_id_status_idx on purchase_orders (store_id, status);
+
+create table if not exists purchase_order_receipts (
+  id uuid primary key default gen_random_uuid(),
+  purchase_order_id uuid not null references purchase_orders (id),
+  store_id uuid references stores (id),
+  supplier_id uuid references suppliers (id),
+  lines jsonb not null default '[]',
+  total numeric(12, 2) not null default 0,
+  reference text,
+  notes text,
+  received_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists purchase_order_receipts_purchase_order_id_idx on purchase_order_receipts (purchase_order_id);
@@ -0,0 +1,52 @@
+-- Stock count sessions. Opening a count freezes the stock of every product
+-- in scope as stock_count_lines; scans from any number of users are added
+-- as stock_count_entries, and posting books the variances and keeps what
+-- was posted on the count.
+
+create table if not exists stock_counts (
+  id uuid primary key default gen_random_uuid(),
+  count_number text not null,
+  company_id uuid references companies (id),
+  store_id uuid not null references stores (id),
+  scope text not null default 'full',
+  category_id uuid references categories (id),
+  status text not null default 'open',
+  notes text,
+  opened_by uuid,
+  opened_at timestamptz not null default now(),
+  posted_lines jsonb,
+  uncounted_lines jsonb,
+  posted_by uuid,
+  posted_at timestamptz,
+  cancelled_by uuid,
+  cancelled_at timestamptz,
+  cancel_reason text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists stock_counts_store_id_status_idx on stock_counts (store_id, status);
+
+create table if not exists stock_count_lines (
+  id uuid primary key default gen_random_uuid(),
+  stock_count_id uuid not null references stock_counts (id) on delete cascade,
+  product_id uuid not null references products (id),
+  product_name text,
+  sku text,
+  barcode text,
+  snapshot_quantity integer not null default 0
+);
+
+create index if not exists stock_count_lines_stock_count_id_idx on stock_count_lines (stock_count_id);
+
+create table if not exists stock_count_entries (
+  id uuid primary key default gen_random_uuid(),
+  stock_count_id uuid not null references stock_counts (id) on delete cascade,
+  product_id uuid not null references products (id),
+  quantity integer not null,
+  scanned_code text,
+  counted_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists stock_count_entries_stock_count_id_idx on stock_count_entries (stock_count_id);
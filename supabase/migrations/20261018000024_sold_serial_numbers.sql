@@ -0,0 +1,6 @@
+-- Sale lines of serialised products keep the serials sold, and return lines
+-- the serials taken back, so a serial's history can be followed from
+-- stock-in to sale and return.
+
+alter table sale_items add column if not exists serial_numbers text[];
+alter table sale_return_items add column if not exists serial_numbers text[];
@@ -0,0 +1,19 @@
+-- Product variants. A parent catalogue product names its option axes in
+-- variant_options; every variant is a catalogue product of its own pointing
+-- at the parent, with its option values. Store listings follow the same
+-- shape: the parent's listing is marked is_variant_parent and each variant
+-- listing keeps the prices it overrides from the parent's tiers.
+
+alter table catalog_products add column if not exists variant_options jsonb;
+alter table catalog_products add column if not exists variant_values jsonb;
+alter table catalog_products add column if not exists parent_catalog_product_id uuid references catalog_products (id);
+
+create index if not exists catalog_products_parent_catalog_product_id_idx on catalog_products (parent_catalog_product_id);
+
+alter table products add column if not exists variant_options jsonb;
+alter table products add column if not exists variant_values jsonb;
+alter table products add column if not exists is_variant_parent boolean not null default false;
+alter table products add column if not exists parent_product_id uuid references products (id);
+alter table products add column if not exists price_overrides jsonb;
+
+create index if not exists products_parent_product_id_idx on products (parent_product_id);
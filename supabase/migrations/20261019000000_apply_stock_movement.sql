@@ -0,0 +1,65 @@
+-- Every stock change goes through apply_stock_movement: it locks the product
+-- row, adds the delta to the stock held there (instead of writing back a value
+-- read earlier) and writes the matching inventory_movements row, all in one
+-- transaction, so concurrent changes cannot overwrite each other and the
+-- ledger cannot drift from products.stock_quantity.
+--
+-- When p_expected_stock is given the change only applies if the stock is still
+-- that quantity; otherwise the function answers with status 'conflict'.
+-- Sales and outgoing transfers cannot take stock reserved for layaways
+-- (reserved_quantity): they answer with status 'insufficient_stock'.
+
+create or replace function apply_stock_movement(
+  p_product_id uuid,
+  p_quantity integer,
+  p_movement_type text,
+  p_created_by uuid,
+  p_notes text default '',
+  p_reference_type text default null,
+  p_reference_id uuid default null,
+  p_approval_id uuid default null,
+  p_expected_stock integer default null
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_product products%rowtype;
+  v_previous_stock integer;
+  v_new_stock integer;
+  v_movement inventory_movements%rowtype;
+begin
+  select * into v_product from products where id = p_product_id for update;
+  if not found then
+    return jsonb_build_object('status', 'not_found');
+  end if;
+
+  v_previous_stock := coalesce(v_product.stock_quantity, 0);
+
+  if p_expected_stock is not null and v_previous_stock <> p_expected_stock then
+    return jsonb_build_object('status', 'conflict', 'current_stock', v_previous_stock);
+  end if;
+
+  -- Stock held for layaways cannot be sold or shipped
+  if p_quantity < 0 and p_movement_type in ('sale', 'transfer_out')
+    and v_previous_stock + p_quantity < coalesce(v_product.reserved_quantity, 0) then
+    return jsonb_build_object('status', 'insufficient_stock',
+      'available', greatest(v_previous_stock - coalesce(v_product.reserved_quantity, 0), 0));
+  end if;
+
+  v_new_stock := v_previous_stock + p_quantity;
+  update products set stock_quantity = v_new_stock, updated_at = now() where id = p_product_id;
+
+  insert into inventory_movements (product_id, store_id, movement_type, quantity, previous_stock, new_stock,
+    notes, reference_type, reference_id, approval_id, created_by, created_at)
+  values (p_product_id, v_product.store_id, p_movement_type, p_quantity, v_previous_stock, v_new_stock,
+    p_notes, p_reference_type, p_reference_id, p_approval_id, p_created_by, now())
+  returning * into v_movement;
+
+  return jsonb_build_object(
+    'status', 'applied',
+    'previous_stock', v_previous_stock,
+    'new_stock', v_new_stock,
+    'movement', to_jsonb(v_movement)
+  );
+end;
+$$;
@@ -0,0 +1,232 @@
+-- Lot and serial tracking move inside apply_stock_movement, so a product's
+-- stock, its lots, its serials and the ledger row change in one transaction.
+--
+-- Lot-tracked products: received stock goes into the lots in p_lots
+-- ([{ lot_number, expiry_date, quantity }]); stock taken out comes from the
+-- earliest-expiring lots first and from the untracked stock (received without
+-- a lot) only once the lots are used up, or from p_lot_id alone when one lot
+-- is written off.
+--
+-- Serialised products: p_serial_numbers names one serial per unit moved.
+-- Serials coming in must not already be held (in transit is fine for a
+-- transfer being received); serials going out must be in stock at the listing.
+-- The split is kept on the movement in lot_allocations and serial_numbers.
+
+alter table products add column if not exists track_lots boolean not null default false;
+alter table products add column if not exists track_serials boolean not null default false;
+alter table catalog_products add column if not exists track_lots boolean not null default false;
+alter table catalog_products add column if not exists track_serials boolean not null default false;
+alter table inventory_movements add column if not exists lot_allocations jsonb;
+alter table inventory_movements add column if not exists serial_numbers text[];
+
+create table if not exists stock_lots (
+  id uuid primary key default gen_random_uuid(),
+  product_id uuid not null references products (id),
+  store_id uuid references stores (id),
+  lot_number text not null,
+  expiry_date date,
+  quantity_received integer not null default 0,
+  quantity_remaining integer not null default 0 check (quantity_remaining >= 0),
+  received_at timestamptz not null default now(),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists stock_lots_product_id_idx on stock_lots (product_id);
+
+create table if not exists stock_serials (
+  id uuid primary key default gen_random_uuid(),
+  catalog_product_id uuid references catalog_products (id),
+  product_id uuid not null references products (id),
+  store_id uuid references stores (id),
+  serial_number text not null,
+  status text not null default 'in_stock',
+  received_at timestamptz not null default now(),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists stock_serials_serial_number_idx on stock_serials (serial_number);
+
+drop function if exists apply_stock_movement(uuid, integer, text, uuid, text, text, uuid, uuid, integer);
+
+create or replace function apply_stock_movement(
+  p_product_id uuid,
+  p_quantity integer,
+  p_movement_type text,
+  p_created_by uuid,
+  p_notes text default '',
+  p_reference_type text default null,
+  p_reference_id uuid default null,
+  p_approval_id uuid default null,
+  p_expected_stock integer default null,
+  p_lots jsonb default '[]'::jsonb,
+  p_lot_id uuid default null,
+  p_serial_numbers text[] default '{}'
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_product products%rowtype;
+  v_previous_stock integer;
+  v_new_stock integer;
+  v_movement inventory_movements%rowtype;
+  v_lot stock_lots%rowtype;
+  v_received jsonb;
+  v_lot_quantity integer;
+  v_remaining integer;
+  v_take integer;
+  v_allocations jsonb := '[]'::jsonb;
+  v_serials text[] := coalesce(p_serial_numbers, '{}');
+  v_serial text;
+  v_unavailable text[];
+begin
+  -- Every stock, lot and serial change of a product goes through this lock
+  select * into v_product from products where id = p_product_id for update;
+  if not found then
+    return jsonb_build_object('status', 'not_found');
+  end if;
+
+  v_previous_stock := coalesce(v_product.stock_quantity, 0);
+
+  if p_expected_stock is not null and v_previous_stock <> p_expected_stock then
+    return jsonb_build_object('status', 'conflict', 'current_stock', v_previous_stock);
+  end if;
+
+  -- Stock held for layaways cannot be sold or shipped
+  if p_quantity < 0 and p_movement_type in ('sale', 'transfer_out')
+    and v_previous_stock + p_quantity < coalesce(v_product.reserved_quantity, 0) then
+    return jsonb_build_object('status', 'insufficient_stock',
+      'available', greatest(v_previous_stock - coalesce(v_product.reserved_quantity, 0), 0));
+  end if;
+
+  -- Check everything before anything changes
+  if v_product.track_serials then
+    if cardinality(v_serials) <> abs(p_quantity)
+      or (select count(distinct requested.serial_number) from unnest(v_serials) requested(serial_number)) <> cardinality(v_serials) then
+      return jsonb_build_object('status', 'serials_required');
+    end if;
+
+    if p_quantity > 0 then
+      select array_agg(requested.serial_number) into v_unavailable
+      from unnest(v_serials) requested(serial_number)
+      where exists (
+        select 1 from stock_serials s
+        where s.serial_number = requested.serial_number
+          and (case when v_product.catalog_product_id is not null
+            then s.catalog_product_id = v_product.catalog_product_id
+            else s.product_id = v_product.id end)
+          and (s.status in ('in_stock', 'reserved')
+            or (s.status = 'in_transit' and p_movement_type <> 'transfer_in'))
+      );
+
+      if v_unavailable is not null then
+        return jsonb_build_object('status', 'serials_in_stock', 'serial_numbers', to_jsonb(v_unavailable));
+      end if;
+    elsif p_quantity < 0 then
+      select array_agg(requested.serial_number) into v_unavailable
+      from unnest(v_serials) requested(serial_number)
+      where not exists (
+        select 1 from stock_serials s
+        where s.serial_number = requested.serial_number and s.product_id = v_product.id and s.status = 'in_stock'
+      );
+
+      if v_unavailable is not null then
+        return jsonb_build_object('status', 'serials_not_available', 'serial_numbers', to_jsonb(v_unavailable));
+      end if;
+    end if;
+  end if;
+
+  if v_product.track_lots and p_quantity < 0 and p_lot_id is not null then
+    select * into v_lot from stock_lots where id = p_lot_id and product_id = v_product.id;
+    if not found or v_lot.quantity_remaining < -p_quantity then
+      return jsonb_build_object('status', 'lot_short', 'quantity_remaining', coalesce(v_lot.quantity_remaining, 0));
+    end if;
+  end if;
+
+  v_new_stock := v_previous_stock + p_quantity;
+  update products set stock_quantity = v_new_stock, updated_at = now() where id = p_product_id;
+
+  if v_product.track_lots and p_quantity > 0 then
+    for v_received in select * from jsonb_array_elements(coalesce(p_lots, '[]'::jsonb)) loop
+      v_lot_quantity := coalesce((v_received->>'quantity')::integer, 0);
+      continue when coalesce(v_received->>'lot_number', '') = '' or v_lot_quantity <= 0;
+
+      update stock_lots
+      set quantity_received = quantity_received + v_lot_quantity,
+        quantity_remaining = quantity_remaining + v_lot_quantity,
+        updated_at = now()
+      where product_id = v_product.id
+        and lot_number = v_received->>'lot_number'
+        and expiry_date is not distinct from (v_received->>'expiry_date')::date
+      returning * into v_lot;
+
+      if not found then
+        insert into stock_lots (product_id, store_id, lot_number, expiry_date, quantity_received, quantity_remaining)
+        values (v_product.id, v_product.store_id, v_received->>'lot_number', (v_received->>'expiry_date')::date,
+          v_lot_quantity, v_lot_quantity)
+        returning * into v_lot;
+      end if;
+
+      v_allocations := v_allocations || jsonb_build_object('lot_id', v_lot.id, 'lot_number', v_lot.lot_number,
+        'expiry_date', v_lot.expiry_date, 'quantity', v_lot_quantity);
+    end loop;
+  elsif v_product.track_lots and p_quantity < 0 then
+    -- Lots go out first-to-expire; what they do not cover is untracked stock
+    v_remaining := -p_quantity;
+
+    for v_lot in
+      select * from stock_lots
+      where product_id = v_product.id and quantity_remaining > 0 and (p_lot_id is null or id = p_lot_id)
+      order by expiry_date asc nulls last, received_at asc
+    loop
+      exit when v_remaining <= 0;
+      v_take := least(v_lot.quantity_remaining, v_remaining);
+
+      update stock_lots set quantity_remaining = quantity_remaining - v_take, updated_at = now() where id = v_lot.id;
+
+      v_allocations := v_allocations || jsonb_build_object('lot_id', v_lot.id, 'lot_number', v_lot.lot_number,
+        'expiry_date', v_lot.expiry_date, 'quantity', -v_take);
+      v_remaining := v_remaining - v_take;
+    end loop;
+  end if;
+
+  if v_product.track_serials and p_quantity > 0 then
+    foreach v_serial in array v_serials loop
+      update stock_serials s
+      set product_id = v_product.id, store_id = v_product.store_id, status = 'in_stock', updated_at = now()
+      where s.serial_number = v_serial
+        and (case when v_product.catalog_product_id is not null
+          then s.catalog_product_id = v_product.catalog_product_id
+          else s.product_id = v_product.id end);
+
+      if not found then
+        insert into stock_serials (catalog_product_id, product_id, store_id, serial_number, status)
+        values (v_product.catalog_product_id, v_product.id, v_product.store_id, v_serial, 'in_stock');
+      end if;
+    end loop;
+  elsif v_product.track_serials and p_quantity < 0 then
+    update stock_serials
+    set status = case p_movement_type when 'sale' then 'sold' when 'transfer_out' then 'in_transit' else 'removed' end,
+      updated_at = now()
+    where product_id = v_product.id and status = 'in_stock' and serial_number = any(v_serials);
+  end if;
+
+  insert into inventory_movements (product_id, store_id, movement_type, quantity, previous_stock, new_stock,
+    notes, reference_type, reference_id, approval_id, created_by, created_at, lot_allocations, serial_numbers)
+  values (p_product_id, v_product.store_id, p_movement_type, p_quantity, v_previous_stock, v_new_stock,
+    p_notes, p_reference_type, p_reference_id, p_approval_id, p_created_by, now(),
+    nullif(v_allocations, '[]'::jsonb),
+    case when v_product.track_serials and p_quantity <> 0 then v_serials end)
+  returning * into v_movement;
+
+  return jsonb_build_object(
+    'status', 'applied',
+    'previous_stock', v_previous_stock,
+    'new_stock', v_new_stock,
+    'lot_allocations', v_allocations,
+    'serial_numbers', case when v_product.track_serials and p_quantity <> 0 then to_jsonb(v_serials) else '[]'::jsonb end,
+    'movement', to_jsonb(v_movement)
+  );
+end;
+$$;
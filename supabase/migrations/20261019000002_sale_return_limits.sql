@@ -0,0 +1,62 @@
+-- Returns are checked against what is still returnable before they are written,
+-- but two returns against the same sale can pass that check together. These
+-- triggers make the database the final word: a sale line cannot be returned
+-- more times than it was sold, and no payment can be refunded more than was
+-- paid with it. The sale line (or payment) row is locked first, so concurrent
+-- returns queue up and each one sees the rows the others committed.
+
+create or replace function check_sale_return_quantity() returns trigger
+language plpgsql
+as $$
+declare
+  v_sold integer;
+  v_returned integer;
+begin
+  select quantity into v_sold from sale_items where id = new.sale_item_id for update;
+
+  select coalesce(sum(quantity), 0) into v_returned
+  from sale_return_items where sale_item_id = new.sale_item_id;
+
+  if v_returned > v_sold then
+    raise exception 'Sale item % would be returned % times but was sold % times', new.sale_item_id, v_returned, v_sold
+      using errcode = 'check_violation';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists sale_return_items_quantity on sale_return_items;
+create trigger sale_return_items_quantity
+  after insert on sale_return_items
+  for each row execute function check_sale_return_quantity();
+
+create or replace function check_sale_return_refund() returns trigger
+language plpgsql
+as $$
+declare
+  v_paid numeric;
+  v_refunded numeric;
+begin
+  if new.sale_payment_id is null then
+    return new;
+  end if;
+
+  select amount into v_paid from sale_payments where id = new.sale_payment_id for update;
+
+  select coalesce(sum(amount), 0) into v_refunded
+  from sale_return_refunds where sale_payment_id = new.sale_payment_id;
+
+  if v_refunded > v_paid then
+    raise exception 'Sale payment % would be refunded % but was %', new.sale_payment_id, v_refunded, v_paid
+      using errcode = 'check_violation';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists sale_return_refunds_amount on sale_return_refunds;
+create trigger sale_return_refunds_amount
+  after insert on sale_return_refunds
+  for each row execute function check_sale_return_refund();
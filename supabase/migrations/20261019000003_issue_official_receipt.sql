@@ -0,0 +1,79 @@
+-- Official receipt (OR) numbers run gap-free per store terminal. Taking the
+-- next number, recording it in official_receipts and stamping it on the sale
+-- happen in one transaction inside issue_official_receipt, so a number is
+-- never taken without its receipt row and a sale never gets a number that
+-- was not recorded. The sequence row stays locked until the transaction ends,
+-- so checkouts on the same terminal take their numbers one after the other.
+
+create table if not exists receipt_sequences (
+  id uuid primary key default gen_random_uuid(),
+  store_id uuid not null references stores (id),
+  terminal_id text not null,
+  last_number integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists receipt_sequences_store_terminal_idx on receipt_sequences (store_id, terminal_id);
+
+create table if not exists official_receipts (
+  id uuid primary key default gen_random_uuid(),
+  store_id uuid not null references stores (id),
+  terminal_id text not null,
+  sequence_number integer not null,
+  or_number text not null,
+  sale_id uuid references sales (id),
+  status text not null default 'issued',
+  issued_by uuid,
+  issued_at timestamptz not null default now(),
+  voided_at timestamptz,
+  voided_by uuid,
+  void_reason text
+);
+
+create unique index if not exists official_receipts_sequence_idx on official_receipts (store_id, terminal_id, sequence_number);
+
+alter table sales add column if not exists or_number text;
+alter table sales add column if not exists receipt_id uuid;
+
+create or replace function issue_official_receipt(
+  p_sale_id uuid,
+  p_store_id uuid,
+  p_terminal_id text,
+  p_prefix text,
+  p_number_length integer,
+  p_issued_by uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_number integer;
+  v_digits text;
+  v_receipt official_receipts%rowtype;
+begin
+  insert into receipt_sequences (store_id, terminal_id, last_number)
+  values (p_store_id, p_terminal_id, 0)
+  on conflict (store_id, terminal_id) do nothing;
+
+  update receipt_sequences
+  set last_number = last_number + 1, updated_at = now()
+  where store_id = p_store_id and terminal_id = p_terminal_id
+  returning last_number into v_number;
+
+  -- Numbers longer than the padding keep all their digits
+  v_digits := v_number::text;
+  if length(v_digits) < p_number_length then
+    v_digits := lpad(v_digits, p_number_length, '0');
+  end if;
+
+  insert into official_receipts (store_id, terminal_id, sequence_number, or_number, sale_id, status, issued_by, issued_at)
+  values (p_store_id, p_terminal_id, v_number, p_prefix || '-' || p_terminal_id || '-' || v_digits,
+    p_sale_id, 'issued', p_issued_by, now())
+  returning * into v_receipt;
+
+  update sales set or_number = v_receipt.or_number, receipt_id = v_receipt.id, updated_at = now()
+  where id = p_sale_id;
+
+  return to_jsonb(v_receipt);
+end;
+$$;
@@ -0,0 +1,40 @@
+-- Layaways hold stock in products.reserved_quantity without taking it out of
+-- stock_quantity. reserve_stock changes the hold under the product's row lock,
+-- the lock apply_stock_movement takes as well, so a hold is only placed while
+-- the stock not yet held covers it: stock_quantity - reserved_quantity never
+-- goes below zero because of a hold. Otherwise the function answers with
+-- status 'insufficient_stock'. A negative quantity releases a hold, never
+-- below zero.
+
+alter table products add column if not exists reserved_quantity integer not null default 0;
+
+create or replace function reserve_stock(
+  p_product_id uuid,
+  p_quantity integer
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_product products%rowtype;
+  v_reserved integer;
+  v_available integer;
+begin
+  select * into v_product from products where id = p_product_id for update;
+  if not found then
+    return jsonb_build_object('status', 'not_found');
+  end if;
+
+  v_reserved := coalesce(v_product.reserved_quantity, 0);
+  v_available := coalesce(v_product.stock_quantity, 0) - v_reserved;
+
+  if p_quantity > 0 and p_quantity > v_available then
+    return jsonb_build_object('status', 'insufficient_stock', 'name', v_product.name,
+      'available', greatest(v_available, 0));
+  end if;
+
+  v_reserved := greatest(v_reserved + p_quantity, 0);
+  update products set reserved_quantity = v_reserved, updated_at = now() where id = p_product_id;
+
+  return jsonb_build_object('status', 'applied', 'reserved_quantity', v_reserved);
+end;
+$$;
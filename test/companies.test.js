@@ -0,0 +1,42 @@
+// test/companies.test.js - Endpoint tests for reading company settings in routes/companies.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { app, stub, users, COMPANY_ID, resetDatabase, authHeader } = require('./support/app');
+
+describe('GET /companies/:companyId settings', () => {
+  beforeEach(async () => {
+    await resetDatabase({ companies: [{ id: 'company-2', name: 'Other Company', settings: {} }] });
+    stub.rows('companies')[0].settings = { tender_types: [{ code: 'cash', name: 'Cash', is_cash: true }] };
+  });
+
+  it('shows a manager the settings of their own company', async () => {
+    const response = await request(app)
+      .get(`/companies/${COMPANY_ID}/tender-types`)
+      .set('Authorization', authHeader(users.manager));
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.tender_types.map(tender => tender.code), ['cash']);
+    assert.equal(response.body.is_default, false);
+  });
+
+  it('shows staff linked to the company only through their store', async () => {
+    for (const path of ['tender-types', 'tax-settings', 'loyalty-settings', 'layaway-settings', 'lot-settings']) {
+      const response = await request(app)
+        .get(`/companies/${COMPANY_ID}/${path}`)
+        .set('Authorization', authHeader({ ...users.cashier, company_id: null }));
+
+      assert.equal(response.status, 200, path);
+    }
+  });
+
+  it('refuses the settings of another company', async () => {
+    const response = await request(app)
+      .get('/companies/company-2/tax-settings')
+      .set('Authorization', authHeader(users.manager));
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'COMPANY_ACCESS_DENIED');
+  });
+});
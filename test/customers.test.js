@@ -0,0 +1,48 @@
+// test/customers.test.js - Endpoint tests for the company scoping of the customer directory in routes/customers.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { app, users, COMPANY_ID, resetDatabase, authHeader } = require('./support/app');
+
+describe('GET /customers', () => {
+  beforeEach(() => resetDatabase({
+    companies: [{ id: 'company-2', name: 'Other Company', settings: {} }],
+    customers: [
+      { id: 'customer-1', company_id: COMPANY_ID, name: 'Ana Reyes', is_active: true },
+      { id: 'customer-2', company_id: 'company-2', name: 'Ben Cruz', is_active: true }
+    ]
+  }));
+
+  it('lists the customers of a manager\'s own company', async () => {
+    const response = await request(app).get('/customers').set('Authorization', authHeader(users.manager));
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.customers.map(customer => customer.id), ['customer-1']);
+  });
+
+  it('finds the company of a cashier through their store', async () => {
+    const response = await request(app)
+      .get('/customers')
+      .set('Authorization', authHeader({ ...users.cashier, company_id: null }));
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.customers.map(customer => customer.id), ['customer-1']);
+  });
+
+  it('refuses another company\'s customers', async () => {
+    const response = await request(app)
+      .get('/customers?company_id=company-2')
+      .set('Authorization', authHeader(users.manager));
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'COMPANY_ACCESS_DENIED');
+  });
+
+  it('makes super admins name the company', async () => {
+    const response = await request(app).get('/customers').set('Authorization', authHeader(users.admin));
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'MISSING_FIELDS');
+  });
+});
@@ -0,0 +1,72 @@
+// test/inventory.test.js - Endpoint tests for the stock adjustments of routes/inventory.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { app, stub, users, OTHER_STORE_ID, resetDatabase, authHeader } = require('./support/app');
+
+const adjust = (user, body, headers = {}) => request(app)
+  .post('/inventory/adjust')
+  .set('Authorization', authHeader(user))
+  .set(headers)
+  .send({ product_id: 'product-1', ...body });
+
+const requestOverride = (action) => request(app)
+  .post('/overrides')
+  .set('Authorization', authHeader(users.cashier))
+  .send({ action, target_id: 'product-1', staff_id: 'MGR001', passcode: '2468' });
+
+const stockOf = (productId) => stub.rows('products').find(product => product.id === productId).stock_quantity;
+
+describe('POST /inventory/adjust', () => {
+  beforeEach(() => resetDatabase({
+    products: [{ id: 'product-2', store_id: OTHER_STORE_ID, name: 'Tea', stock_quantity: 5, reserved_quantity: 0, is_active: true }]
+  }));
+
+  it('lets a manager adjust stock and records the movement', async () => {
+    const response = await adjust(users.manager, { quantity_change: -3, movement_type: 'damage' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.new_stock, 7);
+    assert.deepEqual(stub.rows('inventory_movements').map(movement => [movement.movement_type, movement.quantity]), [['damage', -3]]);
+  });
+
+  it('refuses movement types that other flows record', async () => {
+    const response = await adjust(users.manager, { quantity_change: -3, movement_type: 'sale' });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'INVALID_MOVEMENT_TYPE');
+    assert.equal(stockOf('product-1'), 10);
+  });
+
+  it('refuses products of another store', async () => {
+    const response = await adjust(users.manager, { product_id: 'product-2', quantity_change: 1 });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'STORE_ACCESS_DENIED');
+    assert.equal(stockOf('product-2'), 5);
+  });
+
+  it('needs a negative stock override before a cashier takes stock below zero', async () => {
+    const approval = await requestOverride('inventory_adjust');
+    const response = await adjust(users.cashier, { new_quantity: -2 }, { 'X-Override-Token': approval.body.override_token });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.action, 'negative_stock');
+    assert.equal(response.body.resulting_stock, -2);
+    assert.equal(stockOf('product-1'), 10);
+    assert.equal(stub.rows('override_approvals')[0].status, 'issued');
+  });
+
+  it('takes stock below zero with a manager\'s negative stock override', async () => {
+    const adjustApproval = await requestOverride('inventory_adjust');
+    const negativeApproval = await requestOverride('negative_stock');
+    const response = await adjust(users.cashier, { quantity_change: -12 }, {
+      'X-Override-Token': `${adjustApproval.body.override_token},${negativeApproval.body.override_token}`
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.new_stock, -2);
+    assert.equal(stub.rows('inventory_movements')[0].approval_id, negativeApproval.body.approval.id);
+  });
+});
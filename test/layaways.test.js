@@ -0,0 +1,80 @@
+// test/layaways.test.js - Endpoint tests for the stock holds and installments of routes/layaways.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { app, stub, users, COMPANY_ID, STORE_ID, resetDatabase, authHeader } = require('./support/app');
+const { generateStoredValueCode } = require('../routes/stored-value');
+
+const CARD_CODE = generateStoredValueCode();
+
+// Put two units of the fixture product on layaway
+const openLayaway = (deposit) => request(app)
+  .post('/layaways')
+  .set('Authorization', authHeader(users.cashier))
+  .send({
+    store_id: STORE_ID,
+    customer_name: 'Juan dela Cruz',
+    customer_phone: '09171234567',
+    items: [{ product_id: 'product-1', quantity: 2 }],
+    deposit
+  });
+
+const productOf = (productId) => stub.rows('products').find(product => product.id === productId);
+
+describe('POST /layaways', () => {
+  beforeEach(() => resetDatabase({
+    stored_value_cards: [{ id: 'card-1', company_id: COMPANY_ID, code: CARD_CODE, kind: 'gift_card', status: 'active', balance: 500 }]
+  }));
+
+  it('holds the stock of the layaway', async () => {
+    const response = await openLayaway({ tender_type: 'cash', amount: 50 });
+
+    assert.equal(response.status, 201);
+    assert.equal(productOf('product-1').reserved_quantity, 2);
+    assert.equal(productOf('product-1').stock_quantity, 10);
+  });
+
+  it('refuses to hold stock that is already held', async () => {
+    productOf('product-1').reserved_quantity = 9;
+
+    const response = await openLayaway({ tender_type: 'cash', amount: 50 });
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, 'INSUFFICIENT_STOCK');
+    assert.equal(response.body.available, 1);
+    assert.equal(productOf('product-1').reserved_quantity, 9);
+    assert.equal(stub.rows('layaway_orders').length, 0);
+  });
+
+  it('takes gift card installments off the card and keeps the card on the sale payments', async () => {
+    const opened = await openLayaway({ tender_type: 'stored_value', amount: 50, reference: CARD_CODE });
+
+    assert.equal(opened.status, 201);
+    assert.equal(stub.rows('stored_value_cards')[0].balance, 450);
+    assert.equal(stub.rows('layaway_payments')[0].stored_value_card_id, 'card-1');
+
+    const paid = await request(app)
+      .post(`/layaways/${opened.body.layaway.id}/payments`)
+      .set('Authorization', authHeader(users.cashier))
+      .send({ tender_type: 'cash', amount: 150 });
+
+    assert.equal(paid.status, 201);
+    assert.deepEqual(stub.rows('sale_payments').map(payment => [payment.tender_type, payment.amount, payment.stored_value_card_id]), [
+      ['stored_value', 50, 'card-1'],
+      ['cash', 150, null]
+    ]);
+    assert.equal(productOf('product-1').reserved_quantity, 0);
+    assert.equal(productOf('product-1').stock_quantity, 8);
+  });
+
+  it('refuses an installment the card cannot cover', async () => {
+    stub.rows('stored_value_cards')[0].balance = 20;
+
+    const response = await openLayaway({ tender_type: 'stored_value', amount: 50, reference: CARD_CODE });
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, 'INSUFFICIENT_BALANCE');
+    assert.equal(productOf('product-1').reserved_quantity, 0);
+  });
+});
@@ -0,0 +1,42 @@
+// test/lots.test.js - Unit tests for the lot depletion helper of routes/lots.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { planLotDepletion } = require('../routes/lots');
+
+describe('planLotDepletion', () => {
+  const lots = [
+    { id: 'later', expiry_date: '2026-12-01', quantity_remaining: 3 },
+    { id: 'sooner', expiry_date: '2026-11-01', quantity_remaining: 4 },
+    { id: 'no-expiry', expiry_date: null, quantity_remaining: 2 }
+  ];
+  const plan = (stock, quantity, lotList = lots) => {
+    const { untracked, allocations } = planLotDepletion(stock, lotList, quantity);
+    return { untracked, allocations: allocations.map(allocation => [allocation.lot.id, allocation.quantity]) };
+  };
+
+  it('takes lots first-to-expire before untracked stock', () => {
+    assert.deepEqual(plan(10, 6), { untracked: 0, allocations: [['sooner', 4], ['later', 2]] });
+  });
+
+  it('takes lots without an expiry date last', () => {
+    assert.deepEqual(plan(10, 9).allocations, [['sooner', 4], ['later', 3], ['no-expiry', 2]]);
+  });
+
+  it('takes untracked stock once the lots are used up', () => {
+    assert.deepEqual(plan(12, 11), { untracked: 2, allocations: [['sooner', 4], ['later', 3], ['no-expiry', 2]] });
+  });
+
+  it('takes lots with the same expiry in the order they were received', () => {
+    const sameDay = [
+      { id: 'second', expiry_date: '2026-11-01', received_at: '2026-10-02', quantity_remaining: 5 },
+      { id: 'first', expiry_date: '2026-11-01', received_at: '2026-10-01', quantity_remaining: 5 }
+    ];
+
+    assert.deepEqual(plan(10, 7, sameDay), { untracked: 0, allocations: [['first', 5], ['second', 2]] });
+  });
+
+  it('plans only what the lots hold', () => {
+    assert.deepEqual(plan(9, 12), { untracked: 0, allocations: [['sooner', 4], ['later', 3], ['no-expiry', 2]] });
+  });
+});
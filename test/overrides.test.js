@@ -0,0 +1,120 @@
+// test/overrides.test.js - Endpoint tests for the manager overrides of routes/overrides.js and the staff passcodes they check
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+
+const { app, stub, users, STORE_ID, resetDatabase, authHeader } = require('./support/app');
+
+const requestOverride = (user, body) => request(app)
+  .post('/overrides')
+  .set('Authorization', authHeader(user))
+  .send({ action: 'void_sale', target_id: 'sale-1', ...body });
+
+describe('POST /overrides', () => {
+  beforeEach(() => resetDatabase());
+
+  it('issues a single-use approval for a manager\'s staff passcode', async () => {
+    const response = await requestOverride(users.cashier, { staff_id: 'mgr001', passcode: '2468' });
+
+    assert.equal(response.status, 201);
+    assert.equal(typeof response.body.override_token, 'string');
+    assert.equal(response.body.approval.approver_name, 'Shift Manager');
+
+    const [approval] = stub.rows('override_approvals');
+    assert.equal(approval.status, 'issued');
+    assert.equal(approval.requested_by, users.cashier.id);
+    assert.equal(approval.approved_by_staff_id, 'staff-manager');
+  });
+
+  it('refuses a wrong passcode', async () => {
+    const response = await requestOverride(users.cashier, { staff_id: 'MGR001', passcode: '0000' });
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'INVALID_CREDENTIALS');
+    assert.equal(stub.rows('override_approvals').filter(approval => approval.status === 'issued').length, 0);
+  });
+
+  it('hashes a passcode still stored in plain text once it has been used', async () => {
+    await requestOverride(users.cashier, { staff_id: 'MGR001', passcode: '2468' });
+
+    const manager = stub.rows('staff').find(member => member.id === 'staff-manager');
+    assert.notEqual(manager.passcode, '2468');
+    assert.equal(await bcrypt.compare('2468', manager.passcode), true);
+
+    const again = await requestOverride(users.cashier, { staff_id: 'MGR001', passcode: '2468' });
+    assert.equal(again.status, 201);
+  });
+
+  it('turns a user away after too many wrong passcodes', async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const response = await requestOverride(users.cashier, { staff_id: 'MGR001', passcode: String(attempt) });
+      assert.equal(response.status, 401);
+    }
+
+    const response = await requestOverride(users.cashier, { staff_id: 'MGR001', passcode: '2468' });
+
+    assert.equal(response.status, 429);
+    assert.equal(response.body.code, 'TOO_MANY_ATTEMPTS');
+    assert.equal(stub.rows('override_approvals').filter(approval => approval.status === 'issued').length, 0);
+  });
+
+  it('does not accept an override token as a login, nor a login as an override', async () => {
+    const approval = await requestOverride(users.cashier, { staff_id: 'MGR001', passcode: '2468' });
+
+    const asLogin = await request(app).get('/sales').set('Authorization', `Bearer ${approval.body.override_token}`);
+    assert.equal(asLogin.status, 403);
+    assert.equal(asLogin.body.code, 'INVALID_TOKEN');
+
+    const asOverride = await request(app)
+      .post('/sales/sale-1/void')
+      .set('Authorization', authHeader(users.cashier))
+      .set('X-Override-Token', authHeader(users.manager).replace('Bearer ', ''))
+      .send({});
+    assert.equal(asOverride.status, 403);
+    assert.equal(asOverride.body.code, 'INVALID_OVERRIDE');
+  });
+
+  it('refuses staff who are not managers or supervisors', async () => {
+    const response = await requestOverride(users.cashier, { staff_id: 'CSH001', passcode: '1357' });
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'INVALID_CREDENTIALS');
+  });
+
+  it('refuses actions that cannot be overridden', async () => {
+    const response = await requestOverride(users.cashier, { action: 'delete_store', staff_id: 'MGR001', passcode: '2468' });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'INVALID_OVERRIDE_ACTION');
+  });
+});
+
+describe('staff passcodes', () => {
+  beforeEach(() => resetDatabase());
+
+  it('are stored hashed and never handed out', async () => {
+    const created = await request(app)
+      .post('/staff')
+      .set('Authorization', authHeader(users.manager))
+      .send({ name: 'New Supervisor', staff_id: 'sup001', store_id: STORE_ID, passcode: ' 9753 ', role: 'supervisor' });
+
+    assert.equal(created.status, 201);
+    assert.equal(created.body.staff.passcode, undefined);
+
+    const stored = stub.rows('staff').find(member => member.staff_id === 'SUP001');
+    assert.equal(await bcrypt.compare('9753', stored.passcode), true);
+
+    const approval = await requestOverride(users.cashier, { staff_id: 'SUP001', passcode: '9753' });
+    assert.equal(approval.status, 201);
+
+    const updated = await request(app)
+      .put(`/staff/${stored.id}`)
+      .set('Authorization', authHeader(users.manager))
+      .send({ passcode: '1111' });
+
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.staff.passcode, undefined);
+    assert.equal(await bcrypt.compare('1111', stub.rows('staff').find(member => member.id === stored.id).passcode), true);
+  });
+});
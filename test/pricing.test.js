@@ -0,0 +1,158 @@
+// test/pricing.test.js - Unit tests for the promotion and tax helpers of routes/pricing.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { evaluatePromotions, computeTaxes } = require('../routes/pricing');
+
+const line = (product_id, unit_price, quantity, extra = {}) => ({
+  product_id,
+  unit_price,
+  quantity,
+  gross_amount: unit_price * quantity,
+  ...extra
+});
+
+const promotion = (fields) => ({
+  id: fields.type,
+  name: fields.type,
+  is_active: true,
+  scope: 'product',
+  product_ids: ['p1', 'p2'],
+  ...fields
+});
+
+describe('evaluatePromotions', () => {
+  it('gives the cheapest unit of each buy-x-get-y group away', () => {
+    const lines = [line('p1', 10, 2), line('p2', 4, 1)];
+    const result = evaluatePromotions(lines, [promotion({ type: 'buy_x_get_y', buy_quantity: 2, get_quantity: 1 })]);
+
+    assert.deepEqual(result.lineDiscounts, [0, 4]);
+    assert.equal(result.applied[0].amount, 4);
+  });
+
+  it('only discounts complete buy-x-get-y groups, at the get percentage', () => {
+    const lines = [line('p1', 10, 5)];
+    const result = evaluatePromotions(lines, [promotion({ type: 'buy_x_get_y', buy_quantity: 2, get_quantity: 1, get_discount_percent: 50 })]);
+
+    assert.deepEqual(result.lineDiscounts, [5]);
+    assert.deepEqual(result.applied[0].lines, [{ line: 0, product_id: 'p1', quantity: 3, amount: 5 }]);
+  });
+
+  it('sells each complete bundle for the bundle price, spread by unit price', () => {
+    const lines = [line('p1', 10, 2), line('p2', 5, 2)];
+    const result = evaluatePromotions(lines, [promotion({ type: 'bundle', bundle_quantity: 3, bundle_price: 20 })]);
+
+    assert.deepEqual(result.lineDiscounts, [4, 1]);
+    assert.equal(result.applied[0].amount, 5);
+  });
+
+  it('skips a bundle that is dearer than the items bought separately', () => {
+    const lines = [line('p1', 5, 3)];
+    const result = evaluatePromotions(lines, [promotion({ type: 'bundle', bundle_quantity: 3, bundle_price: 20 })]);
+
+    assert.deepEqual(result.lineDiscounts, [0]);
+    assert.deepEqual(result.applied, []);
+  });
+
+  it('lets each unit take only the highest priority line promotion', () => {
+    const lines = [line('p1', 10, 3)];
+    const result = evaluatePromotions(lines, [
+      promotion({ type: 'percent', value: 10, priority: 1 }),
+      promotion({ type: 'buy_x_get_y', buy_quantity: 2, get_quantity: 1, priority: 2 })
+    ]);
+
+    assert.deepEqual(result.lineDiscounts, [10]);
+    assert.deepEqual(result.applied.map(applied => applied.type), ['buy_x_get_y']);
+  });
+
+  it('spreads a rounded basket discount so the lines add up to it', () => {
+    const lines = [line('p1', 10, 1), line('p2', 23.33, 1)];
+    const result = evaluatePromotions(lines, [promotion({ type: 'percent', scope: 'basket', value: 10 })]);
+
+    assert.deepEqual(result.lineDiscounts, [1, 2.33]);
+    assert.equal(result.applied[0].amount, 3.33);
+  });
+
+  it('applies basket promotions to what line promotions left', () => {
+    const lines = [line('p1', 10, 2)];
+    const result = evaluatePromotions(lines, [
+      promotion({ type: 'fixed', value: 5, priority: 2 }),
+      promotion({ type: 'percent', scope: 'basket', value: 50, min_basket_amount: 10, priority: 1 })
+    ]);
+
+    assert.deepEqual(result.lineDiscounts, [15]);
+  });
+
+  it('leaves out basket promotions under their minimum spend', () => {
+    const lines = [line('p1', 10, 2)];
+    const result = evaluatePromotions(lines, [promotion({ type: 'percent', scope: 'basket', value: 10, min_basket_amount: 50 })]);
+
+    assert.deepEqual(result.lineDiscounts, [0]);
+  });
+
+  it('applies coupon promotions only for their code and rejects unknown codes', () => {
+    const lines = [line('p1', 10, 1)];
+    const coupon = promotion({ type: 'fixed', value: 3, coupon_code: 'SAVE3' });
+
+    assert.deepEqual(evaluatePromotions(lines, [coupon]).lineDiscounts, [0]);
+
+    const result = evaluatePromotions(lines, [coupon], { couponCodes: [' save3 ', 'NOPE'] });
+    assert.deepEqual(result.lineDiscounts, [3]);
+    assert.deepEqual(result.rejectedCoupons.map(rejected => rejected.code), ['NOPE']);
+  });
+
+  it('ignores promotions that are used up or not running', () => {
+    const lines = [line('p1', 10, 1)];
+    const result = evaluatePromotions(lines, [
+      promotion({ type: 'fixed', value: 1, usage_limit: 5, usage_count: 5 }),
+      promotion({ type: 'fixed', value: 2, ends_at: '2020-01-01T00:00:00Z' }),
+      promotion({ type: 'fixed', value: 3, is_active: false })
+    ]);
+
+    assert.deepEqual(result.lineDiscounts, [0]);
+  });
+});
+
+describe('computeTaxes', () => {
+  const taxSettings = (pricesIncludeTax) => ({
+    pricesIncludeTax,
+    defaultClass: 'vat',
+    classes: {
+      vat: { name: 'VAT', rate: 12 },
+      exempt: { name: 'VAT-exempt', rate: 0, exempt: true }
+    }
+  });
+
+  it('rounds tax once per class and shares it out over the lines', () => {
+    const lines = [10, 10, 13.33].map(total => ({ tax_class: 'vat', line_total: total }));
+    const result = computeTaxes(lines, taxSettings(true));
+
+    assert.deepEqual(lines.map(taxed => taxed.tax_amount), [1.07, 1.07, 1.43]);
+    assert.deepEqual(lines.map(taxed => taxed.line_total), [10, 10, 13.33]);
+    assert.deepEqual(result.breakdown, [
+      { tax_class: 'vat', name: 'VAT', rate: 12, exempt: false, taxable_amount: 29.76, tax_amount: 3.57 }
+    ]);
+    assert.equal(result.taxTotal, 3.57);
+  });
+
+  it('adds tax to the line totals when prices exclude it', () => {
+    const lines = [19.99, 5.01].map(total => ({ tax_class: 'vat', line_total: total }));
+    const result = computeTaxes(lines, taxSettings(false));
+
+    assert.deepEqual(lines.map(taxed => taxed.tax_amount), [2.4, 0.6]);
+    assert.deepEqual(lines.map(taxed => taxed.line_total), [22.39, 5.61]);
+    assert.equal(result.breakdown[0].taxable_amount, 25);
+    assert.equal(result.taxTotal, 3);
+  });
+
+  it('reports exempt lines in their own class without tax', () => {
+    const lines = [{ tax_class: 'vat', line_total: 112 }, { tax_class: 'exempt', line_total: 80 }];
+    const result = computeTaxes(lines, taxSettings(true));
+
+    assert.deepEqual(result.breakdown.map(taxClass => [taxClass.tax_class, taxClass.exempt, taxClass.tax_amount]), [
+      ['vat', false, 12],
+      ['exempt', true, 0]
+    ]);
+    assert.equal(lines[1].tax_amount, 0);
+  });
+});
@@ -0,0 +1,54 @@
+// test/quotes.test.js - Endpoint tests for changing quotes in routes/quotes.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { app, users, STORE_ID, resetDatabase, authHeader } = require('./support/app');
+
+const updateQuote = (user, quoteId, body) => request(app)
+  .put(`/quotes/${quoteId}`)
+  .set('Authorization', authHeader(user))
+  .send(body);
+
+describe('PUT /quotes/:quoteId', () => {
+  let quote;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    quote = (await request(app)
+      .post('/quotes')
+      .set('Authorization', authHeader(users.manager))
+      .send({
+        store_id: STORE_ID,
+        customer_name: 'Juan dela Cruz',
+        items: [{ product_id: 'product-1', quantity: 2 }],
+        discount: { type: 'percent', value: 10 }
+      })).body.quote;
+  });
+
+  it('drops a manager\'s discount when a cashier changes the items', async () => {
+    const response = await updateQuote(users.cashier, quote.id, { items: [{ product_id: 'product-1', quantity: 5 }] });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.discount_cleared, true);
+    assert.equal(response.body.quote.discount, null);
+    assert.equal(response.body.quote.discount_total, 0);
+    assert.equal(response.body.quote.total, 500);
+  });
+
+  it('keeps the discount when a manager changes the items', async () => {
+    const response = await updateQuote(users.manager, quote.id, { items: [{ product_id: 'product-1', quantity: 5 }] });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.discount_cleared, undefined);
+    assert.equal(response.body.quote.discount_total, 50);
+    assert.equal(response.body.quote.total, 450);
+  });
+
+  it('keeps the discount when a cashier only changes the notes', async () => {
+    const response = await updateQuote(users.cashier, quote.id, { notes: 'Deliver on Friday' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.quote.discount_total, 20);
+  });
+});
@@ -0,0 +1,53 @@
+// test/receipts.test.js - Tests for the receipt render endpoint of routes/receipts.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { app, users, STORE_ID, resetDatabase, authHeader } = require('./support/app');
+
+const render = (body) => request(app)
+  .post('/receipts/render?format=text')
+  .set('Authorization', authHeader(users.cashier))
+  .send(body);
+
+describe('POST /receipts/render', () => {
+  let sale;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    sale = (await request(app)
+      .post('/sales')
+      .set('Authorization', authHeader(users.cashier))
+      .send({
+        store_id: STORE_ID,
+        items: [{ product_id: 'product-1', quantity: 2 }],
+        payments: [{ tender_type: 'cash', amount: 200 }]
+      })).body.sale;
+  });
+
+  it('prints a recorded sale as an official receipt with its OR number', async () => {
+    const response = await render({ sale_id: sale.id });
+
+    assert.equal(response.status, 200);
+    assert.match(response.text, /OFFICIAL RECEIPT/);
+    assert.doesNotMatch(response.text, /NOT AN OFFICIAL RECEIPT/);
+    assert.match(response.text, /OR No:\s+OR-main-00000001/);
+  });
+
+  it('prints a sale payload as a preview, whatever OR number it claims', async () => {
+    const response = await render({
+      sale: {
+        store_id: STORE_ID,
+        or_number: 'OR-main-00009999',
+        items: [{ product_name: 'Coffee Beans', quantity: 1, unit_price: 100 }],
+        subtotal: 100,
+        total: 100
+      }
+    });
+
+    assert.equal(response.status, 200);
+    assert.match(response.text, /NOT AN OFFICIAL RECEIPT/);
+    assert.doesNotMatch(response.text, /OR-main-00009999/);
+    assert.doesNotMatch(response.text, /OR No:/);
+  });
+});
@@ -0,0 +1,75 @@
+// test/returns.test.js - Endpoint tests for the returns of routes/returns.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { app, stub, users, STORE_ID, resetDatabase, authHeader } = require('./support/app');
+
+describe('POST /sales/:saleId/returns', () => {
+  let sale;
+
+  beforeEach(async () => {
+    await resetDatabase();
+
+    const checkout = await request(app)
+      .post('/sales')
+      .set('Authorization', authHeader(users.cashier))
+      .send({
+        store_id: STORE_ID,
+        items: [{ product_id: 'product-1', quantity: 3 }],
+        payments: [{ tender_type: 'card', amount: 100 }, { tender_type: 'cash', amount: 200 }]
+      });
+    sale = checkout.body.sale;
+  });
+
+  const returnItems = (user, quantity, body = {}) => request(app)
+    .post(`/sales/${sale.id}/returns`)
+    .set('Authorization', authHeader(user))
+    .send({ items: [{ sale_item_id: sale.items[0].id, quantity }], reason: 'Damaged', ...body });
+
+  const stockOf = (productId) => stub.rows('products').find(product => product.id === productId).stock_quantity;
+
+  it('refunds the last tender first and puts the items back in stock', async () => {
+    const response = await returnItems(users.manager, 1);
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.return.refund_total, 100);
+    assert.deepEqual(response.body.return.refunds.map(refund => [refund.tender_type, refund.amount]), [['cash', 100]]);
+    assert.equal(stockOf('product-1'), 8);
+    assert.equal(stub.rows('sales')[0].status, 'partially_returned');
+  });
+
+  it('marks the sale returned once every unit is back', async () => {
+    await returnItems(users.manager, 1);
+    const response = await returnItems(users.manager, 2);
+
+    assert.equal(response.status, 201);
+    assert.deepEqual(response.body.return.refunds.map(refund => [refund.tender_type, refund.amount]), [['cash', 100], ['card', 100]]);
+    assert.equal(stub.rows('sales')[0].status, 'returned');
+    assert.equal(stockOf('product-1'), 10);
+  });
+
+  it('refuses to take back more than was sold', async () => {
+    await returnItems(users.manager, 2);
+    const response = await returnItems(users.manager, 2);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'RETURN_EXCEEDS_SOLD');
+    assert.equal(response.body.already_returned, 2);
+  });
+
+  it('leaves the stock alone when the items are not restocked', async () => {
+    const response = await returnItems(users.manager, 1, { restock: false });
+
+    assert.equal(response.status, 201);
+    assert.equal(stockOf('product-1'), 7);
+  });
+
+  it('is refused to cashiers', async () => {
+    const response = await returnItems(users.cashier, 1);
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'INSUFFICIENT_PERMISSIONS');
+    assert.equal(stub.rows('sale_returns').length, 0);
+  });
+});
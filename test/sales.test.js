@@ -0,0 +1,439 @@
+// test/sales.test.js - Tests for the payment and refund helpers and the checkout and void endpoints of routes/sales.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const jwt = require('jsonwebtoken');
+
+const { app, stub, users, STORE_ID, OTHER_STORE_ID, resetDatabase, authHeader } = require('./support/app');
+const { allocatePayments, allocateRefundToTenders } = require('../routes/sales');
+
+describe('allocatePayments', () => {
+  const tenderTypes = [
+    { code: 'cash', name: 'Cash', is_cash: true },
+    { code: 'card', name: 'Card', is_cash: false }
+  ];
+
+  it('gives change out of the cash tender', () => {
+    const result = allocatePayments(95.5, [{ tender_type: 'card', amount: 50 }, { tender_type: 'cash', amount: 100 }], tenderTypes);
+
+    assert.deepEqual(result.payments.map(payment => [payment.tender_type, payment.amount, payment.change_amount]), [
+      ['card', 50, 0],
+      ['cash', 45.5, 54.5]
+    ]);
+    assert.equal(result.amountTendered, 150);
+    assert.equal(result.changeDue, 54.5);
+    assert.equal(result.cashReceived, 45.5);
+  });
+
+  it('gives change out of the last cash tender first', () => {
+    const result = allocatePayments(30, [
+      { tender_type: 'cash', amount: 20 },
+      { tender_type: 'card', amount: 5 },
+      { tender_type: 'cash', amount: 20 }
+    ], tenderTypes);
+
+    assert.deepEqual(result.payments.map(payment => payment.amount), [20, 5, 5]);
+    assert.equal(result.cashReceived, 25);
+  });
+
+  it('adds tendered amounts without floating point drift', () => {
+    const result = allocatePayments(0.3, [{ tender_type: 'cash', amount: 0.1 }, { tender_type: 'cash', amount: 0.2 }], tenderTypes);
+
+    assert.equal(result.error, undefined);
+    assert.equal(result.changeDue, 0);
+  });
+
+  it('refuses non-cash tenders over the amount due', () => {
+    const result = allocatePayments(50, [{ tender_type: 'card', amount: 60 }], tenderTypes);
+
+    assert.equal(result.code, 'NON_CASH_OVERPAYMENT');
+  });
+
+  it('refuses payments that do not cover the total', () => {
+    const result = allocatePayments(50, [{ tender_type: 'cash', amount: 49.99 }], tenderTypes);
+
+    assert.equal(result.code, 'INSUFFICIENT_PAYMENT');
+    assert.equal(result.amount_tendered, 49.99);
+  });
+
+  it('refuses missing payments, unknown tenders and empty amounts', () => {
+    assert.equal(allocatePayments(10, [], tenderTypes).code, 'MISSING_PAYMENTS');
+    assert.equal(allocatePayments(10, [{ tender_type: 'cheque', amount: 10 }], tenderTypes).code, 'INVALID_TENDER_TYPE');
+    assert.equal(allocatePayments(10, [{ tender_type: 'cash', amount: 0 }], tenderTypes).code, 'INVALID_PAYMENT_AMOUNT');
+  });
+});
+
+describe('allocateRefundToTenders', () => {
+  const payments = [
+    { id: 'pay1', tender_type: 'card', amount: 50 },
+    { id: 'pay2', tender_type: 'cash', amount: 30 }
+  ];
+
+  it('refunds the last tender first', () => {
+    const result = allocateRefundToTenders(40, payments, []);
+
+    assert.deepEqual(result.refunds, [
+      { sale_payment_id: 'pay2', tender_type: 'cash', amount: 30 },
+      { sale_payment_id: 'pay1', tender_type: 'card', amount: 10 }
+    ]);
+    assert.equal(result.unallocated, 0);
+  });
+
+  it('only refunds what is left of each tender after earlier refunds', () => {
+    const result = allocateRefundToTenders(20, payments, [
+      { sale_payment_id: 'pay2', amount: 25 },
+      { sale_payment_id: null, amount: 100 }
+    ]);
+
+    assert.deepEqual(result.refunds.map(refund => [refund.sale_payment_id, refund.amount]), [['pay2', 5], ['pay1', 15]]);
+  });
+
+  it('leaves what no tender can take unallocated', () => {
+    const result = allocateRefundToTenders(10, payments, [
+      { sale_payment_id: 'pay2', amount: 30 },
+      { sale_payment_id: 'pay1', amount: 45 }
+    ]);
+
+    assert.deepEqual(result.refunds.map(refund => [refund.sale_payment_id, refund.amount]), [['pay1', 5]]);
+    assert.equal(result.unallocated, 5);
+  });
+
+  it('keeps partial refunds to the cent', () => {
+    const result = allocateRefundToTenders(33.34, [
+      { id: 'pay1', tender_type: 'card', amount: 33.33 },
+      { id: 'pay2', tender_type: 'cash', amount: 33.33 }
+    ], [{ sale_payment_id: 'pay2', amount: 0.1 }, { sale_payment_id: 'pay2', amount: 0.2 }]);
+
+    assert.deepEqual(result.refunds.map(refund => refund.amount), [33.03, 0.31]);
+    assert.equal(result.unallocated, 0);
+  });
+});
+
+// Sell two units of the fixture product for cash
+const checkout = (user, overrides = {}, headers = {}) => request(app)
+  .post('/sales')
+  .set('Authorization', authHeader(user))
+  .set(headers)
+  .send({
+    store_id: STORE_ID,
+    items: [{ product_id: 'product-1', quantity: 2 }],
+    payments: [{ tender_type: 'cash', amount: 500 }],
+    ...overrides
+  });
+
+const stockOf = (productId) => stub.rows('products').find(product => product.id === productId).stock_quantity;
+
+describe('POST /sales', () => {
+  beforeEach(() => resetDatabase());
+
+  it('records the sale, its lines and payments, takes the stock and issues a receipt number', async () => {
+    const response = await checkout(users.cashier);
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.sale.total, 200);
+    assert.equal(response.body.sale.change_due, 300);
+    assert.equal(response.body.sale.or_number, 'OR-main-00000001');
+    assert.deepEqual(response.body.sale.items.map(item => [item.product_id, item.quantity, item.line_total]), [['product-1', 2, 200]]);
+    assert.deepEqual(response.body.sale.payments.map(payment => [payment.tender_type, payment.amount, payment.change_amount]), [['cash', 200, 300]]);
+
+    assert.equal(stockOf('product-1'), 8);
+    assert.deepEqual(stub.rows('inventory_movements').map(movement => [movement.movement_type, movement.quantity, movement.reference_id]), [
+      ['sale', -2, response.body.sale.id]
+    ]);
+  });
+
+  it('refuses to sell more than is in stock and leaves nothing behind', async () => {
+    const response = await checkout(users.cashier, { items: [{ product_id: 'product-1', quantity: 11 }] });
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, 'INSUFFICIENT_STOCK');
+    assert.equal(stockOf('product-1'), 10);
+    assert.equal(stub.rows('sales').length, 0);
+  });
+
+  it('does not count stock reserved for layaways as available', async () => {
+    stub.rows('products')[0].reserved_quantity = 9;
+
+    const response = await checkout(users.cashier);
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, 'INSUFFICIENT_STOCK');
+    assert.equal(response.body.available, 1);
+  });
+
+  it('refuses stock reserved for a layaway while the sale was being rung up', async () => {
+    const applyStockMovement = stub.rpcs.apply_stock_movement;
+    stub.rpcs.apply_stock_movement = (args, db) => {
+      db.rows('products')[0].reserved_quantity = 9;
+      return applyStockMovement(args, db);
+    };
+
+    try {
+      const response = await checkout(users.cashier);
+
+      assert.equal(response.status, 409);
+      assert.equal(response.body.code, 'INSUFFICIENT_STOCK');
+      assert.equal(response.body.available, 1);
+      assert.equal(stockOf('product-1'), 10);
+      assert.equal(stub.rows('sales').length, 0);
+    } finally {
+      stub.rpcs.apply_stock_movement = applyStockMovement;
+    }
+  });
+
+  it('replays a retried checkout instead of selling twice', async () => {
+    const first = await checkout(users.cashier, {}, { 'Idempotency-Key': 'checkout-1' });
+    const retry = await checkout(users.cashier, {}, { 'Idempotency-Key': 'checkout-1' });
+
+    assert.equal(first.status, 201);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.replayed, true);
+    assert.equal(retry.body.sale.id, first.body.sale.id);
+    assert.equal(retry.body.sale.or_number, first.body.sale.or_number);
+    assert.equal(stub.rows('sales').length, 1);
+    assert.equal(stockOf('product-1'), 8);
+  });
+
+  it('tells a retry to wait while the first checkout is still being recorded', async () => {
+    stub.rows('sales').push({ id: 'sale-pending', store_id: STORE_ID, idempotency_key: 'checkout-1', status: 'completed', or_number: null });
+
+    const retry = await checkout(users.cashier, {}, { 'Idempotency-Key': 'checkout-1' });
+
+    assert.equal(retry.status, 409);
+    assert.equal(retry.body.code, 'IN_PROGRESS');
+    assert.equal(retry.body.sale_id, 'sale-pending');
+    assert.equal(stub.rows('sales').length, 1);
+    assert.equal(stockOf('product-1'), 10);
+  });
+
+  it('withdraws the sale and puts the stock back when no receipt number can be issued', async () => {
+    const issueOfficialReceipt = stub.rpcs.issue_official_receipt;
+    stub.rpcs.issue_official_receipt = async () => ({ data: null, error: { message: 'sequence locked' } });
+
+    try {
+      const response = await checkout(users.cashier);
+
+      assert.equal(response.status, 503);
+      assert.equal(response.body.code, 'RECEIPT_NOT_ISSUED');
+      assert.equal(stub.rows('sales').length, 0);
+      assert.equal(stub.rows('sale_items').length, 0);
+      assert.equal(stub.rows('sale_payments').length, 0);
+      assert.equal(stockOf('product-1'), 10);
+    } finally {
+      stub.rpcs.issue_official_receipt = issueOfficialReceipt;
+    }
+  });
+
+  it('withdraws the sale when its lines cannot be recorded', async () => {
+    stub.failWhen(query => query.table === 'sale_items' && query.operation === 'insert' && { data: null, error: { message: 'insert failed' } });
+
+    const response = await checkout(users.cashier);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'DB_INSERT_ERROR');
+    assert.equal(stub.rows('sales').length, 0);
+    assert.equal(stockOf('product-1'), 10);
+  });
+
+  it('gives a manager override back when the sale it was used on does not go through', async () => {
+    const approval = await request(app)
+      .post('/overrides')
+      .set('Authorization', authHeader(users.cashier))
+      .send({ action: 'price_override', staff_id: 'MGR001', passcode: '2468' });
+    const overrideHeader = { 'X-Override-Token': approval.body.override_token };
+    const items = [{ product_id: 'product-1', quantity: 2, unit_price: 50 }];
+
+    stub.failWhen(query => query.table === 'sale_payments' && query.operation === 'insert' && { data: null, error: { message: 'insert failed' } });
+    const failed = await checkout(users.cashier, { items }, overrideHeader);
+
+    assert.equal(failed.status, 400);
+    assert.equal(stub.rows('override_approvals')[0].status, 'issued');
+
+    stub.interceptors = [];
+    const retried = await checkout(users.cashier, { items }, overrideHeader);
+
+    assert.equal(retried.status, 201);
+    assert.equal(retried.body.sale.total, 100);
+    assert.equal(retried.body.sale.price_override_approval_id, approval.body.approval.id);
+    assert.equal(stub.rows('override_approvals')[0].status, 'used');
+  });
+
+  it('needs a manager override for prices that differ from the price tier', async () => {
+    const response = await checkout(users.cashier, { items: [{ product_id: 'product-1', quantity: 2, unit_price: 50 }] });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'PRICE_MISMATCH');
+    assert.equal(stub.rows('sales').length, 0);
+  });
+});
+
+describe('POST /sales/:saleId/void', () => {
+  let sale;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    sale = (await checkout(users.cashier)).body.sale;
+  });
+
+  const voidSale = (user, headers = {}) => request(app)
+    .post(`/sales/${sale.id}/void`)
+    .set('Authorization', authHeader(user))
+    .set(headers)
+    .send({ reason: 'Customer changed their mind' });
+
+  it('lets a manager void a sale, putting its stock back and voiding its receipt', async () => {
+    const response = await voidSale(users.manager);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.sale.status, 'voided');
+    assert.equal(stockOf('product-1'), 10);
+    assert.equal(stub.rows('official_receipts')[0].status, 'voided');
+  });
+
+  it('needs a manager override for a cashier', async () => {
+    const response = await voidSale(users.cashier);
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'OVERRIDE_REQUIRED');
+    assert.equal(stub.rows('sales')[0].status, 'completed');
+    assert.equal(stockOf('product-1'), 8);
+  });
+
+  it('lets a cashier void with a manager override, once', async () => {
+    const approval = await request(app)
+      .post('/overrides')
+      .set('Authorization', authHeader(users.cashier))
+      .send({ action: 'void_sale', target_id: sale.id, staff_id: 'MGR001', passcode: '2468' });
+
+    assert.equal(approval.status, 201);
+
+    const response = await voidSale(users.cashier, { 'X-Override-Token': approval.body.override_token });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.sale.void_approval_id, approval.body.approval.id);
+    assert.equal(stub.rows('override_approvals')[0].status, 'used');
+
+    const reused = await voidSale(users.cashier, { 'X-Override-Token': approval.body.override_token });
+    assert.equal(reused.status, 403);
+    assert.equal(reused.body.code, 'OVERRIDE_ALREADY_USED');
+  });
+
+  it('refuses to void a sale twice', async () => {
+    await voidSale(users.manager);
+    const response = await voidSale(users.manager);
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, 'INVALID_SALE_STATUS');
+    assert.equal(stockOf('product-1'), 10);
+  });
+});
+
+describe('POST /sales/:saleId/items/:itemId/void', () => {
+  let sale;
+
+  beforeEach(async () => {
+    await resetDatabase({
+      cash_drawers: [{ id: 'drawer-1', store_id: STORE_ID, status: 'open', opened_by: users.cashier.id }]
+    });
+    sale = (await checkout(users.cashier, {
+      items: [{ product_id: 'product-1', quantity: 1 }, { product_id: 'product-1', quantity: 2 }],
+      payments: [{ tender_type: 'cash', amount: 300 }]
+    })).body.sale;
+
+    await request(app)
+      .post(`/sales/${sale.id}/reopen`)
+      .set('Authorization', authHeader(users.manager))
+      .send({ reason: 'Wrong item rung up' });
+  });
+
+  const voidLine = (item) => request(app)
+    .post(`/sales/${sale.id}/items/${item.id}/void`)
+    .set('Authorization', authHeader(users.manager))
+    .send({ reason: 'Wrong item rung up' });
+
+  it('refunds the line to the tender it was paid with and hands the cash back from the drawer', async () => {
+    const response = await voidLine(sale.items[1]);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.sale.total, 100);
+    assert.deepEqual(response.body.refunds.map(refund => [refund.tender_type, refund.amount]), [['cash', 200]]);
+    assert.equal(stockOf('product-1'), 9);
+    assert.deepEqual(stub.rows('cash_drawer_movements').map(movement => [movement.movement_type, movement.amount]), [
+      ['sale', 300],
+      ['void', -200]
+    ]);
+
+    const completed = await request(app)
+      .post(`/sales/${sale.id}/complete`)
+      .set('Authorization', authHeader(users.cashier));
+
+    assert.equal(completed.status, 200);
+    assert.equal(completed.body.refund_due, 0);
+  });
+
+  it('only refunds what earlier voids left on the tenders', async () => {
+    await voidLine(sale.items[1]);
+    const response = await voidLine(sale.items[0]);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.refunds.map(refund => [refund.tender_type, refund.amount]), [['cash', 100]]);
+    assert.equal(stub.rows('cash_drawer_movements').reduce((sum, movement) => sum + movement.amount, 0), 0);
+  });
+});
+
+describe('store scoping of sales', () => {
+  beforeEach(() => resetDatabase());
+
+  it('pins a cashier to the store in their token', async () => {
+    const response = await checkout(users.cashier, { store_id: undefined });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.sale.store_id, STORE_ID);
+  });
+
+  it('refuses a checkout in another store', async () => {
+    const response = await checkout(users.otherCashier);
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'STORE_ACCESS_DENIED');
+    assert.equal(stub.rows('sales').length, 0);
+  });
+
+  it('refuses users who are not assigned to a store', async () => {
+    const response = await checkout(users.unassigned);
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'STORE_ACCESS_DENIED');
+
+    const listing = await request(app).get('/sales').set('Authorization', authHeader(users.unassigned));
+    assert.equal(listing.status, 403);
+    assert.equal(listing.body.code, 'STORE_ACCESS_DENIED');
+  });
+
+  it('lists and voids only the sales of the user\'s own store', async () => {
+    const { sale } = (await checkout(users.cashier)).body;
+    stub.rows('sales').push({ id: 'sale-elsewhere', store_id: OTHER_STORE_ID, status: 'completed', total: 50, created_at: new Date().toISOString() });
+
+    const listing = await request(app).get('/sales').set('Authorization', authHeader(users.otherCashier));
+    assert.deepEqual(listing.body.sales.map(row => row.id), ['sale-elsewhere']);
+
+    const otherManager = { ...users.manager, id: 'user-other-manager', store_id: OTHER_STORE_ID };
+    const response = await request(app)
+      .post(`/sales/${sale.id}/void`)
+      .set('Authorization', authHeader(otherManager))
+      .send({ reason: 'Wrong store' });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'STORE_ACCESS_DENIED');
+  });
+
+  it('asks users with a token from before store scoping to sign in again', async () => {
+    const token = jwt.sign({ id: users.cashier.id, email: users.cashier.email, role: 'cashier' }, process.env.JWT_SECRET);
+
+    const response = await request(app).get('/sales').set('Authorization', `Bearer ${token}`);
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'TOKEN_EXPIRED');
+  });
+});
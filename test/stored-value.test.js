@@ -0,0 +1,30 @@
+// test/stored-value.test.js - Unit tests for the gift card and store credit code helpers of routes/stored-value.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { luhnCheckDigit, isValidStoredValueCode, generateStoredValueCode } = require('../routes/stored-value');
+
+describe('stored value codes', () => {
+  it('computes the Luhn check digit', () => {
+    assert.equal(luhnCheckDigit('7992739871'), '3');
+    assert.equal(luhnCheckDigit('000000000000000'), '0');
+  });
+
+  it('generates 16-digit codes that pass their own check', () => {
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const code = generateStoredValueCode();
+      assert.match(code, /^\d{16}$/);
+      assert.equal(isValidStoredValueCode(code), true);
+    }
+  });
+
+  it('accepts codes typed with spaces or dashes and rejects mistyped ones', () => {
+    const code = generateStoredValueCode();
+    const mistyped = code.slice(0, -1) + String((Number(code.slice(-1)) + 1) % 10);
+
+    assert.equal(isValidStoredValueCode(code.match(/.{4}/g).join('-')), true);
+    assert.equal(isValidStoredValueCode(code.match(/.{4}/g).join(' ')), true);
+    assert.equal(isValidStoredValueCode(mistyped), false);
+    assert.equal(isValidStoredValueCode(code.slice(1)), false);
+  });
+});
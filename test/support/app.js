@@ -0,0 +1,196 @@
+// test/support/app.js - The Express app running against the in-memory Supabase stub, for endpoint tests
+//
+// Requiring this module loads app.js with @supabase/supabase-js swapped for the
+// stub, so the endpoints run unchanged against plain JavaScript tables. The
+// database functions the endpoints call are emulated here in JavaScript.
+
+const { createSupabaseStub } = require('./supabase');
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'https://stub.supabase.co';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'service-role-key';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const stub = createSupabaseStub();
+
+require.cache[require.resolve('@supabase/supabase-js')] = {
+  id: require.resolve('@supabase/supabase-js'),
+  filename: require.resolve('@supabase/supabase-js'),
+  loaded: true,
+  exports: { createClient: () => stub }
+};
+
+// The endpoints log every request; keep the test output to the test results
+if (!process.env.DEBUG_ENDPOINT_TESTS) {
+  console.log = () => {};
+  console.error = () => {};
+}
+
+const app = require('../../app');
+const { getSupabaseClient } = require('../../lib/supabase');
+const { generateToken } = require('../../lib/auth');
+
+// One checkout per idempotency key and store, like the unique index on sales
+stub.unique('sales', ['store_id', 'idempotency_key']);
+
+// apply_stock_movement without lots and serials: check the expected stock and
+// the stock reserved for layaways, change it and write the ledger row
+stub.rpcs.apply_stock_movement = (args, db) => {
+  const product = db.rows('products').find(row => row.id === args.p_product_id);
+  if (!product) {
+    return { data: { status: 'not_found' }, error: null };
+  }
+
+  const previousStock = product.stock_quantity || 0;
+  if (args.p_expected_stock !== null && args.p_expected_stock !== undefined && previousStock !== args.p_expected_stock) {
+    return { data: { status: 'conflict', current_stock: previousStock }, error: null };
+  }
+
+  const reserved = product.reserved_quantity || 0;
+  if (args.p_quantity < 0 && ['sale', 'transfer_out'].includes(args.p_movement_type) && previousStock + args.p_quantity < reserved) {
+    return { data: { status: 'insufficient_stock', available: Math.max(previousStock - reserved, 0) }, error: null };
+  }
+
+  product.stock_quantity = previousStock + args.p_quantity;
+
+  const movement = {
+    id: db.nextId('inventory_movements'),
+    product_id: product.id,
+    store_id: product.store_id,
+    movement_type: args.p_movement_type,
+    quantity: args.p_quantity,
+    previous_stock: previousStock,
+    new_stock: product.stock_quantity,
+    notes: args.p_notes,
+    reference_type: args.p_reference_type,
+    reference_id: args.p_reference_id,
+    approval_id: args.p_approval_id,
+    created_by: args.p_created_by,
+    created_at: new Date().toISOString()
+  };
+  db.rows('inventory_movements').push(movement);
+
+  return {
+    data: {
+      status: 'applied',
+      previous_stock: previousStock,
+      new_stock: product.stock_quantity,
+      lot_allocations: [],
+      serial_numbers: [],
+      movement
+    },
+    error: null
+  };
+};
+
+// reserve_stock: hold stock for a layaway while the stock not yet held covers it
+stub.rpcs.reserve_stock = (args, db) => {
+  const product = db.rows('products').find(row => row.id === args.p_product_id);
+  if (!product) {
+    return { data: { status: 'not_found' }, error: null };
+  }
+
+  const reserved = product.reserved_quantity || 0;
+  const available = (product.stock_quantity || 0) - reserved;
+  if (args.p_quantity > 0 && args.p_quantity > available) {
+    return { data: { status: 'insufficient_stock', name: product.name, available: Math.max(available, 0) }, error: null };
+  }
+
+  product.reserved_quantity = Math.max(reserved + args.p_quantity, 0);
+  return { data: { status: 'applied', reserved_quantity: product.reserved_quantity }, error: null };
+};
+
+// issue_official_receipt: the terminal's next number, its receipt row and the stamp on the sale
+stub.rpcs.issue_official_receipt = (args, db) => {
+  let sequence = db.rows('receipt_sequences').find(row => row.store_id === args.p_store_id && row.terminal_id === args.p_terminal_id);
+  if (!sequence) {
+    sequence = { id: db.nextId('receipt_sequences'), store_id: args.p_store_id, terminal_id: args.p_terminal_id, last_number: 0 };
+    db.rows('receipt_sequences').push(sequence);
+  }
+  sequence.last_number += 1;
+
+  const receipt = {
+    id: db.nextId('official_receipts'),
+    store_id: args.p_store_id,
+    terminal_id: args.p_terminal_id,
+    sequence_number: sequence.last_number,
+    or_number: `${args.p_prefix}-${args.p_terminal_id}-${String(sequence.last_number).padStart(args.p_number_length, '0')}`,
+    sale_id: args.p_sale_id,
+    status: 'issued',
+    issued_by: args.p_issued_by,
+    issued_at: new Date().toISOString()
+  };
+  db.rows('official_receipts').push(receipt);
+
+  const sale = db.rows('sales').find(row => row.id === args.p_sale_id);
+  if (sale) {
+    Object.assign(sale, { or_number: receipt.or_number, receipt_id: receipt.id });
+  }
+
+  return { data: receipt, error: null };
+};
+
+// A company with one store, its staff and one product in stock
+const COMPANY_ID = 'company-1';
+const STORE_ID = 'store-1';
+const OTHER_STORE_ID = 'store-2';
+
+const users = {
+  admin: { id: 'user-admin', email: 'admin@example.com', name: 'Admin', role: 'super_admin', store_id: null, company_id: null },
+  manager: { id: 'user-manager', email: 'manager@example.com', name: 'Manager', role: 'manager', store_id: STORE_ID, company_id: COMPANY_ID },
+  cashier: { id: 'user-cashier', email: 'cashier@example.com', name: 'Cashier', role: 'cashier', store_id: STORE_ID, company_id: COMPANY_ID },
+  otherCashier: { id: 'user-other-cashier', email: 'other@example.com', name: 'Other Cashier', role: 'cashier', store_id: OTHER_STORE_ID, company_id: COMPANY_ID },
+  unassigned: { id: 'user-unassigned', email: 'unassigned@example.com', name: 'Unassigned Manager', role: 'manager', store_id: null, company_id: COMPANY_ID }
+};
+
+const seedTables = () => ({
+  companies: [{ id: COMPANY_ID, name: 'Test Company', settings: {} }],
+  stores: [
+    { id: STORE_ID, company_id: COMPANY_ID, name: 'Main Store', is_active: true },
+    { id: OTHER_STORE_ID, company_id: COMPANY_ID, name: 'Second Store', is_active: true }
+  ],
+  users: Object.values(users).map(user => ({ ...user, is_active: true })),
+  staff: [
+    { id: 'staff-manager', staff_id: 'MGR001', name: 'Shift Manager', role: 'manager', store_id: STORE_ID, passcode: '2468', is_active: true },
+    { id: 'staff-cashier', staff_id: 'CSH001', name: 'Shift Cashier', role: 'cashier', store_id: STORE_ID, passcode: '1357', is_active: true }
+  ],
+  products: [
+    {
+      id: 'product-1',
+      store_id: STORE_ID,
+      name: 'Coffee Beans',
+      sku: 'COF-1',
+      default_price: 100,
+      stock_quantity: 10,
+      reserved_quantity: 0,
+      is_active: true,
+      track_lots: false,
+      track_serials: false
+    }
+  ]
+});
+
+// Empty every table and load the fixtures (plus any extra rows given)
+async function resetDatabase(extra = {}) {
+  // The first client use seeds demo users; let that happen before the tables are reset
+  await getSupabaseClient();
+
+  const tables = seedTables();
+  Object.entries(extra).forEach(([table, rows]) => {
+    tables[table] = (tables[table] || []).concat(rows);
+  });
+  stub.reset(tables);
+}
+
+// Authorization header of a user signed in the way POST /auth/login signs them
+const authHeader = (user) => `Bearer ${generateToken(user)}`;
+
+module.exports = {
+  app,
+  stub,
+  users,
+  COMPANY_ID,
+  STORE_ID,
+  OTHER_STORE_ID,
+  resetDatabase,
+  authHeader
+};
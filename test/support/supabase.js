@@ -0,0 +1,274 @@
+// test/support/supabase.js - In-memory stand-in for the Supabase client used by the endpoint tests
+//
+// Tables are plain arrays of rows. Queries support the subset of the PostgREST
+// builder the endpoints use; embedded selects such as `sale_items(*)` join on
+// <parent in the singular>_id. Database functions are plain JavaScript handlers
+// registered in `rpcs`.
+
+const matchesPattern = (value, pattern) => {
+  const source = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*');
+  return value !== null && value !== undefined && new RegExp(`^${source}$`, 'i').test(String(value));
+};
+
+// Parse the filters of .or('name.ilike.%x%,sku.eq.ABC')
+const parseOrFilter = (expression) => expression.split(',').map(part => {
+  const [column, operator, ...rest] = part.split('.');
+  return { column, operator, value: rest.join('.') };
+});
+
+const compare = (left, right) => (left > right ? 1 : left < right ? -1 : 0);
+
+const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+class Query {
+  constructor(stub, table) {
+    this.stub = stub;
+    this.table = table;
+    this.operation = 'select';
+    this.filters = [];
+    this.columns = '*';
+    this.returning = false;
+    this.ordering = [];
+  }
+
+  select(columns = '*', options = {}) {
+    this.columns = columns;
+    this.countRows = Boolean(options.count);
+    this.headOnly = Boolean(options.head);
+    if (this.operation !== 'select') {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.operation = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.operation = 'upsert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.conflictColumns = (options.onConflict || 'id').split(',').map(column => column.trim());
+    return this;
+  }
+
+  update(values) {
+    this.operation = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
+  filter(test) {
+    this.filters.push(test);
+    return this;
+  }
+
+  eq(column, value) { return this.filter(row => row[column] !== undefined && row[column] !== null && String(row[column]) === String(value)); }
+  neq(column, value) { return this.filter(row => String(row[column]) !== String(value)); }
+  gt(column, value) { return this.filter(row => row[column] > value); }
+  gte(column, value) { return this.filter(row => row[column] >= value); }
+  lt(column, value) { return this.filter(row => row[column] < value); }
+  lte(column, value) { return this.filter(row => row[column] <= value); }
+  in(column, values) { return this.filter(row => values.map(String).includes(String(row[column]))); }
+  is(column, value) { return this.filter(row => (value === null ? row[column] === null || row[column] === undefined : row[column] === value)); }
+  ilike(column, pattern) { return this.filter(row => matchesPattern(row[column], pattern)); }
+  contains(column, values) { return this.filter(row => Array.isArray(row[column]) && values.every(value => row[column].includes(value))); }
+
+  not(column, operator, value) {
+    if (operator === 'is' && value === null) {
+      return this.filter(row => row[column] !== null && row[column] !== undefined);
+    }
+    if (operator === 'in') {
+      const excluded = String(value).replace(/^\(|\)$/g, '').split(',');
+      return this.filter(row => !excluded.includes(String(row[column])));
+    }
+    return this.filter(row => String(row[column]) !== String(value));
+  }
+
+  or(expression) {
+    const alternatives = parseOrFilter(expression);
+    return this.filter(row => alternatives.some(({ column, operator, value }) => {
+      if (operator === 'ilike') return matchesPattern(row[column], value);
+      if (operator === 'eq') return String(row[column]) === value;
+      if (operator === 'is') return value === 'null' ? row[column] === null || row[column] === undefined : String(row[column]) === value;
+      return false;
+    }));
+  }
+
+  order(column, options = {}) {
+    this.ordering.push({ column, ascending: options.ascending !== false });
+    return this;
+  }
+
+  limit(count) {
+    this.rowLimit = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rowRange = [from, to];
+    return this;
+  }
+
+  single() {
+    this.singleRow = true;
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleRow = true;
+    this.allowNone = true;
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.run()).then(resolve, reject);
+  }
+
+  matching() {
+    return this.stub.rows(this.table).filter(row => this.filters.every(test => test(row)));
+  }
+
+  run() {
+    const intercepted = this.stub.intercept(this);
+    if (intercepted) {
+      return intercepted;
+    }
+
+    let rows;
+    if (this.operation === 'insert' || this.operation === 'upsert') {
+      rows = [];
+      for (const values of this.payload) {
+        const existing = this.operation === 'upsert'
+          ? this.stub.rows(this.table).find(row => this.conflictColumns.every(column => String(row[column]) === String(values[column])))
+          : null;
+
+        if (existing) {
+          Object.assign(existing, copy(values));
+          rows.push({ ...existing });
+          continue;
+        }
+
+        const violation = this.stub.uniqueViolation(this.table, values);
+        if (violation) {
+          return { data: null, error: violation };
+        }
+
+        const row = { id: this.stub.nextId(this.table), ...copy(values) };
+        this.stub.rows(this.table).push(row);
+        rows.push({ ...row });
+      }
+    } else if (this.operation === 'update') {
+      rows = this.matching().map(row => Object.assign(row, copy(this.payload))).map(row => ({ ...row }));
+    } else if (this.operation === 'delete') {
+      const doomed = this.matching();
+      this.stub.tables[this.table] = this.stub.rows(this.table).filter(row => !doomed.includes(row));
+      rows = doomed;
+    } else {
+      rows = this.matching().map(row => this.stub.embed(this.table, { ...row }, this.columns));
+      this.ordering.slice().reverse().forEach(({ column, ascending }) => {
+        rows.sort((left, right) => compare(left[column], right[column]) * (ascending ? 1 : -1));
+      });
+      const count = rows.length;
+      if (this.rowRange) rows = rows.slice(this.rowRange[0], this.rowRange[1] + 1);
+      if (this.rowLimit !== undefined) rows = rows.slice(0, this.rowLimit);
+      if (this.headOnly) return { data: null, error: null, count };
+      if (!this.singleRow) return { data: rows, error: null, count: this.countRows ? count : null };
+    }
+
+    if (this.singleRow) {
+      if (rows.length === 1) return { data: rows[0], error: null };
+      if (rows.length === 0 && this.allowNone) return { data: null, error: null };
+      return { data: null, error: { code: 'PGRST116', message: `JSON object requested, ${rows.length} rows returned` } };
+    }
+
+    return { data: this.operation === 'select' || this.returning ? rows : null, error: null };
+  }
+}
+
+function createSupabaseStub() {
+  const stub = {
+    tables: {},
+    rpcs: {},
+    uniqueKeys: {},
+    interceptors: [],
+    sequence: 0,
+
+    rows(table) {
+      if (!this.tables[table]) this.tables[table] = [];
+      return this.tables[table];
+    },
+
+    nextId(table) {
+      this.sequence += 1;
+      return `${table}-${this.sequence}`;
+    },
+
+    // Start every test from empty tables, with only the given rows in them
+    reset(seed = {}) {
+      this.tables = {};
+      this.interceptors = [];
+      Object.entries(seed).forEach(([table, rows]) => {
+        this.tables[table] = rows.map(row => copy(row));
+      });
+    },
+
+    // Refuse inserts that repeat the values of a unique index, like Postgres (23505)
+    unique(table, columns) {
+      (this.uniqueKeys[table] = this.uniqueKeys[table] || []).push(columns);
+    },
+
+    uniqueViolation(table, values) {
+      const clash = (this.uniqueKeys[table] || []).find(columns => columns.every(column => values[column] !== null && values[column] !== undefined) &&
+        this.rows(table).some(row => columns.every(column => String(row[column]) === String(values[column]))));
+      return clash ? { code: '23505', message: `duplicate key value violates unique constraint on ${table} (${clash.join(', ')})` } : null;
+    },
+
+    // Answer matching queries with a canned result instead of the tables,
+    // e.g. to make one insert fail: (query) => query.table === 'sale_items' && query.operation === 'insert' && { data: null, error }
+    failWhen(handler) {
+      this.interceptors.push(handler);
+    },
+
+    intercept(query) {
+      for (const handler of this.interceptors) {
+        const result = handler(query);
+        if (result) return result;
+      }
+      return null;
+    },
+
+    embed(table, row, columns) {
+      const embedded = /(^|[\s,])(\w+)\(([^()]*)\)/g;
+      const foreignKey = `${table.replace(/s$/, '')}_id`;
+      let match;
+      while ((match = embedded.exec(columns || ''))) {
+        const children = this.rows(match[2]).filter(child => String(child[foreignKey]) === String(row.id)).map(child => ({ ...child }));
+        row[match[2]] = match[3].trim() === 'count' ? [{ count: children.length }] : children;
+      }
+      return row;
+    },
+
+    from(table) {
+      return new Query(this, table);
+    },
+
+    async rpc(name, args) {
+      if (!this.rpcs[name]) {
+        return { data: null, error: { code: '42883', message: `function ${name} does not exist` } };
+      }
+      return this.rpcs[name](args, this);
+    }
+  };
+
+  return stub;
+}
+
+module.exports = { createSupabaseStub };
@@ -0,0 +1,74 @@
+// test/transfers.test.js - Endpoint tests for receiving stock transfers in routes/transfers.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { app, stub, users, COMPANY_ID, STORE_ID, OTHER_STORE_ID, resetDatabase, authHeader } = require('./support/app');
+
+// Two lines shipped from the second store to the fixture store
+const transferLines = [
+  { catalog_product_id: 'catalog-1', source_product_id: 'source-1', destination_product_id: 'product-1', product_name: 'Coffee Beans', quantity: 2 },
+  { catalog_product_id: 'catalog-2', source_product_id: 'source-2', destination_product_id: 'product-2', product_name: 'Tea', quantity: 3 }
+];
+
+const receive = () => request(app)
+  .post('/transfers/transfer-1/receive')
+  .set('Authorization', authHeader(users.manager))
+  .send({});
+
+const stockOf = (productId) => stub.rows('products').find(product => product.id === productId).stock_quantity;
+
+describe('POST /transfers/:transferId/receive', () => {
+  beforeEach(() => resetDatabase({
+    products: [{ id: 'product-2', store_id: STORE_ID, name: 'Tea', stock_quantity: 0, reserved_quantity: 0, is_active: true }],
+    stock_transfers: [{
+      id: 'transfer-1',
+      transfer_number: 'TR-0001',
+      company_id: COMPANY_ID,
+      source_store_id: OTHER_STORE_ID,
+      destination_store_id: STORE_ID,
+      status: 'in_transit',
+      lines: transferLines
+    }]
+  }));
+
+  it('books every line into the destination store', async () => {
+    const response = await receive();
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.transfer.status, 'received');
+    assert.equal(stockOf('product-1'), 12);
+    assert.equal(stockOf('product-2'), 3);
+  });
+
+  it('takes the booked lines out again and keeps the transfer in transit when a line cannot be booked', async () => {
+    const applyStockMovement = stub.rpcs.apply_stock_movement;
+    stub.rpcs.apply_stock_movement = (args, db) => (args.p_product_id === 'product-2'
+      ? { data: null, error: { message: 'deadlock detected' } }
+      : applyStockMovement(args, db));
+
+    try {
+      const response = await receive();
+
+      assert.equal(response.status, 500);
+      assert.equal(response.body.code, 'STOCK_UPDATE_FAILED');
+      assert.equal(response.body.product_id, 'product-2');
+    } finally {
+      stub.rpcs.apply_stock_movement = applyStockMovement;
+    }
+
+    const [transfer] = stub.rows('stock_transfers');
+    assert.equal(transfer.status, 'in_transit');
+    assert.equal(transfer.received_at, null);
+    assert.equal(stockOf('product-1'), 10);
+    assert.deepEqual(stub.rows('inventory_movements').map(movement => [movement.product_id, movement.movement_type, movement.quantity]), [
+      ['product-1', 'transfer_in', 2],
+      ['product-1', 'transfer_out', -2]
+    ]);
+
+    const retried = await receive();
+    assert.equal(retried.status, 200);
+    assert.equal(stockOf('product-1'), 12);
+    assert.equal(stockOf('product-2'), 3);
+  });
+});